@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Script de prueba para la sincronización incremental (?since=) de GET /gps/last
+ * 1. Cursor: tokens, fechas ISO y epoch, y armado de páginas (sin Redis ni API)
+ * 2. Flujo completo: escribe y borra una posición en Redis y la sigue con el token devuelto por el API
+ *
+ * Uso (el API debe estar en ejecución con las keyspace notifications habilitadas):
+ *   API_URL=http://localhost:3001 node pruebas/test-delta-sync.js
+ */
+
+import { createRedisClient } from '../src/config/redis.js';
+import { config } from '../src/config/env.js';
+import { createSyncToken, parseSinceParam, buildSyncPage } from '../src/utils/sync.js';
+
+const API_BASE_URL = process.env.API_URL || 'http://localhost:3001';
+const API_KEY = process.env.API_KEY || '';
+
+// Configurar headers
+const headers = {
+  'Content-Type': 'application/json',
+  ...(API_KEY && { 'X-API-Key': API_KEY })
+};
+
+// Dispositivo temporal que el script crea y elimina
+const TEST_DEVICE_ID = 'device-sync-test';
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Realiza una petición HTTP
+ */
+async function makeRequest(path, options = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      headers,
+      ...options
+    });
+
+    const data = await response.json();
+    return { status: response.status, data, nextSince: response.headers.get('x-next-since') };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Registra el resultado de una comprobación
+ */
+function check(description, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`   ✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`   ❌ ${description}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+/**
+ * Repite una consulta de cambios hasta que cumpla la condición o venza el plazo
+ * El índice de cambios se actualiza de forma asíncrona a partir de las keyspace notifications
+ */
+async function waitForChanges(since, condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  let response;
+
+  do {
+    response = await makeRequest(`/api/v4/gps/last?since=${encodeURIComponent(since)}`);
+    if (response.status === 200 && condition(response.data)) {
+      return response;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  } while (Date.now() < deadline);
+
+  return response;
+}
+
+/**
+ * Prueba el cursor y el armado de páginas
+ */
+function testCursor() {
+  console.log('\n🔖 === CURSOR DE SINCRONIZACIÓN ===\n');
+
+  const cursor = { time: 1753785000123, id: 'device-001' };
+  check('Token → cursor (ida y vuelta)', JSON.stringify(parseSinceParam(createSyncToken(cursor))) === JSON.stringify(cursor));
+  check('Fecha ISO → cursor sin id', JSON.stringify(parseSinceParam('2025-07-29T10:30:00.123Z')) === JSON.stringify({ time: 1753785000123, id: null }));
+  check('Epoch en segundos', parseSinceParam('1753785000')?.time === 1753785000000);
+  check('Epoch en milisegundos', parseSinceParam('1753785000123')?.time === 1753785000123);
+  check('Texto inválido → null', parseSinceParam('ayer') === null);
+  check('Valor demasiado largo → null', parseSinceParam('a'.repeat(201)) === null);
+
+  const changes = [
+    { id: 'device-001', time: 100, position: { id: 'device-001', quality: { valid: true } } },
+    { id: 'device-002', time: 100, position: null },
+    { id: 'device-003', time: 200, position: { id: 'device-003', quality: { valid: false } } }
+  ];
+  const page = buildSyncPage({ changes, total: 5 }, { time: 50, id: null }, position => position.quality.valid);
+  check('Posiciones que siguen cumpliendo el filtro', JSON.stringify(page.positions.map(position => position.id)) === JSON.stringify(['device-001']));
+  check('Borradas y las que dejaron de cumplir el filtro en removedIds', JSON.stringify(page.removedIds) === JSON.stringify(['device-002', 'device-003']));
+  check('hasMore cuando quedan cambios', page.hasMore === true);
+  check('nextSince apunta al último cambio entregado', JSON.stringify(parseSinceParam(page.nextSince)) === JSON.stringify({ time: 200, id: 'device-003' }));
+
+  const empty = buildSyncPage({ changes: [], total: 0 }, cursor);
+  check('Sin cambios se devuelve el mismo cursor', JSON.stringify(parseSinceParam(empty.nextSince)) === JSON.stringify(cursor));
+}
+
+/**
+ * Prueba el flujo contra el API: alta, modificación y baja de una posición
+ */
+async function testApiFlow() {
+  console.log('\n🔄 === FLUJO CONTRA EL API ===\n');
+
+  const client = createRedisClient();
+  const key = `${config.redis.keyPrefix}${TEST_DEVICE_ID}`;
+
+  try {
+    // Sincronización inicial completa: se recorren las páginas hasta obtener el token actual
+    let since = '0';
+    let initial;
+    do {
+      initial = await makeRequest(`/api/v4/gps/last?since=${encodeURIComponent(since)}&limit=500`);
+      since = initial.nextSince;
+    } while (initial.status === 200 && initial.data.summary.hasMore);
+    check('GET /gps/last?since=0 recorre todas las páginas con X-Next-Since', initial.status === 200 && Boolean(since), initial.error || initial.status);
+
+    const now = new Date().toISOString();
+    await client.hset(key, {
+      deviceId: TEST_DEVICE_ID,
+      lat: '-12.045409',
+      lng: '-77.031494',
+      timestamp: now,
+      updatedAt: now
+    });
+    console.log(`   📝 Posición creada: ${key}`);
+
+    const created = await waitForChanges(since, data => data.data.some(position => position.id === TEST_DEVICE_ID));
+    check('La posición nueva aparece con el token anterior', created.data?.data?.some(position => position.id === TEST_DEVICE_ID), JSON.stringify(created.data?.summary));
+    since = created.nextSince;
+
+    const unchanged = await makeRequest(`/api/v4/gps/last?since=${encodeURIComponent(since)}`);
+    check('Con el nuevo token ya no aparece', !unchanged.data?.data?.some(position => position.id === TEST_DEVICE_ID));
+
+    await client.hset(key, { lat: '-12.046000', updatedAt: new Date().toISOString() });
+    const updated = await waitForChanges(since, data => data.data.some(position => position.id === TEST_DEVICE_ID));
+    check('La modificación vuelve a aparecer', updated.data?.data?.some(position => position.id === TEST_DEVICE_ID && position.lat === -12.046), JSON.stringify(updated.data?.summary));
+    since = updated.nextSince;
+
+    await client.del(key);
+    console.log(`   🗑️ Posición eliminada: ${key}`);
+    const removed = await waitForChanges(since, data => data.summary.removedIds?.includes(TEST_DEVICE_ID));
+    check('La baja se informa en summary.removedIds', removed.data?.summary?.removedIds?.includes(TEST_DEVICE_ID), JSON.stringify(removed.data?.summary));
+
+    const paged = await makeRequest('/api/v4/gps/last?since=0&limit=1');
+    check('limit=1 pagina con hasMore y nextSince', paged.status === 200 && paged.data?.data?.length + (paged.data?.summary?.removedIds?.length || 0) <= 1 &&
+      typeof paged.data?.summary?.hasMore === 'boolean' && Boolean(paged.data?.summary?.nextSince));
+
+    console.log('\n🚫 Validación:');
+    const invalid = await makeRequest('/api/v4/gps/last?since=ayer');
+    check('since=ayer → 400 INVALID_SINCE', invalid.status === 400 && invalid.data?.code === 'INVALID_SINCE');
+    const withOffset = await makeRequest(`/api/v4/gps/last?since=${encodeURIComponent(since)}&offset=10`);
+    check('since con offset → 400', withOffset.status === 400, withOffset.status);
+  } finally {
+    await client.del(key);
+    await client.quit();
+  }
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  console.log('🧪 PRUEBAS DE SINCRONIZACIÓN INCREMENTAL');
+  console.log('=========================================');
+
+  testCursor();
+
+  // Verificar conectividad
+  console.log('\n🔍 Verificando conectividad...');
+  const healthCheck = await makeRequest('/api/v4/gps/health');
+
+  if (healthCheck.error || !healthCheck.data?.healthy) {
+    console.error('❌ Error: No se puede conectar al API');
+    console.error('   Asegúrate de que el servidor esté ejecutándose en:', API_BASE_URL);
+    process.exit(1);
+  }
+
+  console.log('✅ Conectividad OK');
+
+  await testApiFlow();
+
+  console.log(`\n📊 Resultado: ${passed} correctas, ${failed} fallidas`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Ejecutar si es llamado directamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
+
+export { main as testDeltaSync };
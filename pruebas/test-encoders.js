@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Script de prueba para los codificadores binarios: Mapbox Vector Tiles, Protobuf y MessagePack
+ * Decodifica la salida con lectores mínimos independientes de los codificadores y la compara con lo esperado
+ * No necesita Redis ni el API
+ */
+
+import { readFileSync } from 'node:fs';
+import { encodePointTile, MVT_EXTENT } from '../src/utils/mvt.js';
+import { encodeResponse } from '../src/utils/lastPositionProto.js';
+import { encodeMsgpack } from '../src/utils/msgpack.js';
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Registra el resultado de una comprobación
+ */
+function check(description, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`   ✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`   ❌ ${description}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+/**
+ * Lee un mensaje protobuf y agrupa los valores por número de campo
+ * varint → number, fixed64 → double, length-delimited → Buffer
+ */
+function readProtobuf(buffer) {
+  const fields = {};
+  let offset = 0;
+
+  const varint = () => {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = buffer[offset++];
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+    return result;
+  };
+
+  while (offset < buffer.length) {
+    const tag = varint();
+    const field = Math.floor(tag / 8);
+    const wireType = tag % 8;
+    let value;
+
+    if (wireType === 0) {
+      value = varint();
+    } else if (wireType === 1) {
+      value = buffer.readDoubleLE(offset);
+      offset += 8;
+    } else if (wireType === 2) {
+      const length = varint();
+      value = buffer.subarray(offset, offset + length);
+      offset += length;
+    } else {
+      throw new Error(`Tipo de cable no soportado: ${wireType}`);
+    }
+
+    (fields[field] ||= []).push(value);
+  }
+
+  return fields;
+}
+
+/**
+ * Lee una lista de varints empaquetada (packed repeated)
+ */
+function readPacked(buffer) {
+  const values = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = buffer[offset++];
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+    values.push(result);
+  }
+
+  return values;
+}
+
+/**
+ * Convierte un google.protobuf.Struct en objeto plano
+ */
+function readStruct(buffer) {
+  const object = {};
+
+  for (const entry of readProtobuf(buffer)[1] || []) {
+    const { 1: [key], 2: [value] } = readProtobuf(entry);
+    object[key.toString('utf8')] = readValue(value);
+  }
+
+  return object;
+}
+
+/**
+ * Convierte un google.protobuf.Value en valor JSON
+ */
+function readValue(buffer) {
+  const fields = readProtobuf(buffer);
+
+  if (fields[1]) return null;
+  if (fields[2]) return fields[2][0];
+  if (fields[3]) return fields[3][0].toString('utf8');
+  if (fields[4]) return fields[4][0] === 1;
+  if (fields[5]) return readStruct(fields[5][0]);
+  return (readProtobuf(fields[6]?.[0] || Buffer.alloc(0))[1] || []).map(readValue);
+}
+
+/**
+ * Decodificador mínimo de MessagePack (los tipos que produce encodeMsgpack)
+ */
+function decodeMsgpack(buffer) {
+  let offset = 0;
+
+  const read = () => {
+    const type = buffer[offset++];
+
+    if (type <= 0x7f) return type;
+    if (type >= 0xe0) return type - 0x100;
+    if (type >= 0x80 && type <= 0x8f) return readMap(type - 0x80);
+    if (type >= 0x90 && type <= 0x9f) return readArray(type - 0x90);
+    if (type >= 0xa0 && type <= 0xbf) return readString(type - 0xa0);
+
+    const fixed = (size, reader) => {
+      const value = reader.call(buffer, offset);
+      offset += size;
+      return value;
+    };
+
+    switch (type) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xca: return fixed(4, buffer.readFloatBE);
+      case 0xcb: return fixed(8, buffer.readDoubleBE);
+      case 0xcc: return fixed(1, buffer.readUInt8);
+      case 0xcd: return fixed(2, buffer.readUInt16BE);
+      case 0xce: return fixed(4, buffer.readUInt32BE);
+      case 0xcf: return Number(fixed(8, buffer.readBigUInt64BE));
+      case 0xd0: return fixed(1, buffer.readInt8);
+      case 0xd1: return fixed(2, buffer.readInt16BE);
+      case 0xd2: return fixed(4, buffer.readInt32BE);
+      case 0xd3: return Number(fixed(8, buffer.readBigInt64BE));
+      case 0xd9: return readString(fixed(1, buffer.readUInt8));
+      case 0xda: return readString(fixed(2, buffer.readUInt16BE));
+      case 0xdb: return readString(fixed(4, buffer.readUInt32BE));
+      case 0xdc: return readArray(fixed(2, buffer.readUInt16BE));
+      case 0xdd: return readArray(fixed(4, buffer.readUInt32BE));
+      case 0xde: return readMap(fixed(2, buffer.readUInt16BE));
+      case 0xdf: return readMap(fixed(4, buffer.readUInt32BE));
+      default: throw new Error(`Tipo MessagePack no soportado: 0x${type.toString(16)}`);
+    }
+  };
+
+  const readString = length => {
+    const value = buffer.toString('utf8', offset, offset + length);
+    offset += length;
+    return value;
+  };
+
+  const readArray = length => Array.from({ length }, () => read());
+
+  const readMap = length => {
+    const object = {};
+    for (let i = 0; i < length; i++) {
+      const key = read();
+      object[key] = read();
+    }
+    return object;
+  };
+
+  const value = read();
+  if (offset !== buffer.length) {
+    throw new Error(`Sobran ${buffer.length - offset} bytes`);
+  }
+  return value;
+}
+
+/**
+ * Prueba el codificador de Mapbox Vector Tiles
+ */
+function testMvt() {
+  console.log('\n🧱 === MAPBOX VECTOR TILES ===\n');
+
+  const tile = encodePointTile([{
+    name: 'gps',
+    features: [
+      { x: 10, y: 20, properties: { id: 'device-001', speed: 45, offset: -3, moving: true, ratio: 1.5, empty: null } },
+      { x: -5, y: MVT_EXTENT, properties: { id: 'device-002', speed: 45 } }
+    ]
+  }]);
+
+  const layers = readProtobuf(tile)[3] || [];
+  check('Un solo layer (campo 3)', layers.length === 1);
+
+  const layer = readProtobuf(layers[0]);
+  const keys = (layer[3] || []).map(key => key.toString('utf8'));
+  const values = (layer[4] || []).map(readProtobuf);
+  const features = (layer[2] || []).map(readProtobuf);
+
+  check('Versión 2 y nombre "gps"', layer[15]?.[0] === 2 && layer[1]?.[0].toString('utf8') === 'gps');
+  check(`Extent ${MVT_EXTENT}`, layer[5]?.[0] === MVT_EXTENT);
+  check('Claves sin repetir y sin propiedades null', JSON.stringify(keys) === JSON.stringify(['id', 'speed', 'offset', 'moving', 'ratio']), keys.join(','));
+  check('Valores deduplicados (speed 45 una sola vez)', values.length === 6, `${values.length} valores`);
+  check('Tipos de Value: string, uint, sint (zigzag), bool, double',
+    values[0][1]?.[0].toString('utf8') === 'device-001' && values[1][5]?.[0] === 45 && values[2][6]?.[0] === 5 &&
+    values[3][7]?.[0] === 1 && values[4][3]?.[0] === 1.5);
+
+  check('Dos features de tipo POINT', features.length === 2 && features.every(feature => feature[3]?.[0] === 1));
+  check('Geometría MoveTo(10, 20) con zigzag', JSON.stringify(readPacked(features[0][4][0])) === JSON.stringify([9, 20, 40]));
+  check('Coordenadas fuera del tile (buffer) con zigzag', JSON.stringify(readPacked(features[1][4][0])) === JSON.stringify([9, 9, 8192]));
+  check('Tags apuntan a claves y valores compartidos', JSON.stringify(readPacked(features[1][2][0])) === JSON.stringify([0, 5, 1, 1]));
+}
+
+/**
+ * Prueba la codificación Protobuf de respuestas (gpslastposition.v4.Response)
+ */
+function testProtobuf() {
+  console.log('\n📦 === PROTOBUF ===\n');
+
+  // Los números de campo esperados salen del esquema publicado
+  const schema = readFileSync(new URL('../proto/last_position.proto', import.meta.url), 'utf8');
+  const fieldNumber = declaration => Number(schema.match(new RegExp(`${declaration} = (\\d+);`))?.[1]);
+  const position = {
+    id: fieldNumber('string id'),
+    lat: fieldNumber('optional double lat'),
+    lng: fieldNumber('optional double lng'),
+    name: fieldNumber('string name'),
+    quality: fieldNumber('Quality quality'),
+    metadata: fieldNumber('google.protobuf.Struct metadata'),
+    extra: fieldNumber('google.protobuf.Struct extra')
+  };
+  check('Números de campo encontrados en proto/last_position.proto', Object.values(position).every(Number.isInteger));
+
+  const response = readProtobuf(encodeResponse({
+    success: true,
+    data: [{
+      deviceId: 'device-001',
+      lat: -12.045409,
+      lng: -77.031494,
+      name: 'Vehículo Principal',
+      quality: { status: 'valid', valid: true },
+      metadata: { speed: 45.5, tags: ['a', 'b'], driver: null },
+      custom: 'extra'
+    }],
+    summary: { total: 1, hasMore: false }
+  }));
+
+  check('success = true (campo 1)', response[1]?.[0] === 1);
+  check('Lista de posiciones en el campo 2', response[2]?.length === 1);
+
+  const encoded = readProtobuf(response[2][0]);
+  check('id desde deviceId', encoded[position.id]?.[0].toString('utf8') === 'device-001');
+  check('lat y lng como double', encoded[position.lat]?.[0] === -12.045409 && encoded[position.lng]?.[0] === -77.031494);
+  check('name en UTF-8', encoded[position.name]?.[0].toString('utf8') === 'Vehículo Principal');
+
+  const quality = readProtobuf(encoded[position.quality][0]);
+  check('quality { status, valid }', quality[1]?.[0].toString('utf8') === 'valid' && quality[2]?.[0] === 1);
+  check('metadata como Struct', JSON.stringify(readStruct(encoded[position.metadata][0])) === JSON.stringify({ speed: 45.5, tags: ['a', 'b'], driver: null }));
+  check('Campos desconocidos en extra', JSON.stringify(readStruct(encoded[position.extra][0])) === JSON.stringify({ custom: 'extra' }));
+  check('summary como Struct (campo 5)', JSON.stringify(readStruct(response[5][0])) === JSON.stringify({ total: 1, hasMore: false }));
+
+  const error = readProtobuf(encodeResponse({ success: false, error: 'Dispositivo no encontrado', code: 'DEVICE_NOT_FOUND' }));
+  const errorMessage = readProtobuf(error[7]?.[0] || Buffer.alloc(0));
+  check('Error: success = false y { message, code } en el campo 7',
+    error[1]?.[0] === 0 && errorMessage[1]?.[0].toString('utf8') === 'Dispositivo no encontrado' &&
+    errorMessage[2]?.[0].toString('utf8') === 'DEVICE_NOT_FOUND');
+}
+
+/**
+ * Prueba el codificador MessagePack
+ */
+function testMsgpack() {
+  console.log('\n🗜️ === MESSAGEPACK ===\n');
+
+  check('Vector conocido {a:1,b:[true,null,"x"]}',
+    encodeMsgpack({ a: 1, b: [true, null, 'x'] }).toString('hex') === '82a16101a16293c3c0a178');
+  check('1.5 como float64', encodeMsgpack(1.5).toString('hex') === 'cb3ff8000000000000');
+  check('-1 como negative fixint', encodeMsgpack(-1).toString('hex') === 'ff');
+
+  const numbers = [0, 127, 128, 255, 256, 65535, 65536, 2 ** 32, 2 ** 40, -32, -33, -128, -129, -32768, -32769, -(2 ** 31) - 1, -(2 ** 40)];
+  const decodedNumbers = decodeMsgpack(encodeMsgpack(numbers));
+  check('Enteros en todos los anchos', JSON.stringify(decodedNumbers) === JSON.stringify(numbers), JSON.stringify(decodedNumbers));
+
+  const strings = ['', 'a'.repeat(31), 'b'.repeat(32), 'c'.repeat(256), 'd'.repeat(65536), 'ñandú 🚀'];
+  check('Strings fixstr, str8, str16, str32 y UTF-8', JSON.stringify(decodeMsgpack(encodeMsgpack(strings))) === JSON.stringify(strings));
+
+  const longArray = Array.from({ length: 20 }, (_, index) => index);
+  const wideObject = Object.fromEntries(Array.from({ length: 20 }, (_, index) => [`k${index}`, index]));
+  check('Array de 20 elementos (array16)', JSON.stringify(decodeMsgpack(encodeMsgpack(longArray))) === JSON.stringify(longArray));
+  check('Objeto de 20 claves (map16)', JSON.stringify(decodeMsgpack(encodeMsgpack(wideObject))) === JSON.stringify(wideObject));
+
+  const body = {
+    success: true,
+    data: [{ id: 'device-001', lat: -12.045409, lng: -77.031494, metadata: { speed: 45.5 } }],
+    summary: { total: 1, skipped: undefined },
+    meta: { timestamp: new Date('2025-07-29T10:30:00.000Z'), ratio: NaN }
+  };
+  check('Mismo resultado que JSON.stringify (toJSON, undefined, NaN)',
+    JSON.stringify(decodeMsgpack(encodeMsgpack(body))) === JSON.stringify(body));
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  console.log('🧪 PRUEBAS DE CODIFICADORES BINARIOS');
+  console.log('=====================================');
+
+  testMvt();
+  testProtobuf();
+  testMsgpack();
+
+  console.log(`\n📊 Resultado: ${passed} correctas, ${failed} fallidas`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Ejecutar si es llamado directamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
+
+export { main as testEncoders };
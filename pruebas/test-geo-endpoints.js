@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Script de prueba para los endpoints geoespaciales
+ * Radio, viewport, polígono, k más cercanos, matriz de distancias, clusters y heatmap
+ *
+ * Uso (con los datos de setup-all-test-data.js cargados y el API en ejecución):
+ *   API_URL=http://localhost:3001 node pruebas/test-geo-endpoints.js
+ */
+
+const API_BASE_URL = process.env.API_URL || 'http://localhost:3001';
+const API_KEY = process.env.API_KEY || '';
+
+// Configurar headers
+const headers = {
+  'Content-Type': 'application/json',
+  ...(API_KEY && { 'X-API-Key': API_KEY })
+};
+
+// Centro de los datos de prueba (Lima)
+const CENTER = { lat: -12.045409, lng: -77.031494 };
+const LIMA_BBOX = { minLat: -12.1, minLng: -77.1, maxLat: -12.0, maxLng: -77.0 };
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Realiza una petición HTTP
+ */
+async function makeRequest(path, options = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      headers,
+      ...options
+    });
+
+    const data = await response.json();
+    return { status: response.status, data };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Registra el resultado de una comprobación
+ */
+function check(description, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`   ✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`   ❌ ${description}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+/**
+ * Verifica que una lista esté ordenada por un campo numérico ascendente
+ */
+function isSortedBy(items, field) {
+  return items.every((item, index) => index === 0 || items[index - 1][field] <= item[field]);
+}
+
+/**
+ * Prueba búsquedas por radio y k más cercanos
+ */
+async function testNearby() {
+  console.log('\n📍 === RADIO Y MÁS CERCANOS ===\n');
+
+  const nearby = await makeRequest(`/api/v4/gps/nearby?lat=${CENTER.lat}&lng=${CENTER.lng}&radius=2&unit=km`);
+  const positions = nearby.data?.data || [];
+  check('GET /gps/nearby responde 200', nearby.status === 200, nearby.error || nearby.status);
+  check('Incluye device-001 (en el centro)', positions.some(position => position.id === 'device-001'));
+  check('Todas las distancias dentro del radio', positions.every(position => position.distance <= 2));
+  check('Ordenado por distancia', isSortedBy(positions, 'distance'));
+
+  const nearest = await makeRequest(`/api/v4/gps/nearest?lat=${CENTER.lat}&lng=${CENTER.lng}&k=2`);
+  const closest = nearest.data?.data || [];
+  check('GET /gps/nearest?k=2 devuelve como máximo 2', nearest.status === 200 && closest.length <= 2, nearest.status);
+  check('Incluye rumbo y distancia ascendente', closest.every(position => typeof position.bearing === 'number') && isSortedBy(closest, 'distance'));
+
+  const toDevice = await makeRequest('/api/v4/gps/nearest/to/gps/device-001?k=3');
+  check('GET /gps/nearest/to/gps/device-001 excluye al propio dispositivo',
+    toDevice.status === 200 && !(toDevice.data?.data || []).some(position => position.id === 'device-001'), toDevice.status);
+
+  const toUser = await makeRequest('/api/v4/gps/nearest/to/mobile/user-001?k=1');
+  check('GET /gps/nearest/to/mobile/user-001 responde 200', toUser.status === 200, toUser.status);
+
+  console.log('\n🚫 Validación:');
+  const zeroRadius = await makeRequest(`/api/v4/gps/nearby?lat=${CENTER.lat}&lng=${CENTER.lng}&radius=0`);
+  check('radius=0 → 400 INVALID_RADIUS', zeroRadius.status === 400 && zeroRadius.data?.code === 'INVALID_RADIUS');
+  const hugeRadius = await makeRequest(`/api/v4/gps/nearby?lat=${CENTER.lat}&lng=${CENTER.lng}&radius=99999&unit=km`);
+  check('radius mayor al máximo de la unidad → 400 INVALID_RADIUS', hugeRadius.status === 400 && hugeRadius.data?.code === 'INVALID_RADIUS');
+}
+
+/**
+ * Prueba viewport (bounding box) y polígono
+ */
+async function testAreas() {
+  console.log('\n🗺️ === VIEWPORT Y POLÍGONO ===\n');
+
+  const query = new URLSearchParams(LIMA_BBOX).toString();
+  const isInside = position => position.lat >= LIMA_BBOX.minLat && position.lat <= LIMA_BBOX.maxLat &&
+    position.lng >= LIMA_BBOX.minLng && position.lng <= LIMA_BBOX.maxLng;
+
+  for (const source of ['gps', 'mobile']) {
+    const within = await makeRequest(`/api/v4/${source}/within?${query}`);
+    const positions = within.data?.data || [];
+    check(`GET /${source}/within devuelve posiciones dentro del box`, within.status === 200 && positions.length > 0 && positions.every(isInside), within.status);
+  }
+
+  const antimeridian = await makeRequest('/api/v4/gps/within?minLat=-10&minLng=170&maxLat=10&maxLng=-170');
+  check('Box que cruza el antimeridiano (minLng > maxLng) se acepta', antimeridian.status === 200, antimeridian.status);
+
+  const inverted = await makeRequest('/api/v4/gps/within?minLat=10&minLng=0&maxLat=5&maxLng=1');
+  check('minLat > maxLat → 400 INVALID_BOUNDING_BOX', inverted.status === 400 && inverted.data?.code === 'INVALID_BOUNDING_BOX');
+
+  const polygon = {
+    type: 'Polygon',
+    coordinates: [[
+      [LIMA_BBOX.minLng, LIMA_BBOX.minLat],
+      [LIMA_BBOX.maxLng, LIMA_BBOX.minLat],
+      [LIMA_BBOX.maxLng, LIMA_BBOX.maxLat],
+      [LIMA_BBOX.minLng, LIMA_BBOX.maxLat],
+      [LIMA_BBOX.minLng, LIMA_BBOX.minLat]
+    ]]
+  };
+  const withinPolygon = await makeRequest('/api/v4/gps/within/polygon', { method: 'POST', body: JSON.stringify(polygon) });
+  const inPolygon = withinPolygon.data?.data || [];
+  check('POST /gps/within/polygon devuelve posiciones dentro', withinPolygon.status === 200 && inPolygon.length > 0 && inPolygon.every(isInside), withinPolygon.status);
+
+  const openRing = { type: 'Polygon', coordinates: [polygon.coordinates[0].slice(0, 4)] };
+  const invalidPolygon = await makeRequest('/api/v4/gps/within/polygon', { method: 'POST', body: JSON.stringify(openRing) });
+  check('Anillo abierto → 400', invalidPolygon.status === 400, invalidPolygon.status);
+}
+
+/**
+ * Prueba la matriz de distancias
+ */
+async function testDistanceMatrix() {
+  console.log('\n📐 === MATRIZ DE DISTANCIAS ===\n');
+
+  const body = {
+    origins: [{ type: 'gps', id: 'device-001' }, { type: 'gps', id: 'device-002' }],
+    destinations: [{ type: 'mobile', id: 'user-001' }, { type: 'gps', id: 'device-inexistente' }]
+  };
+  const matrix = await makeRequest('/api/v4/distance-matrix', { method: 'POST', body: JSON.stringify(body) });
+  const rows = matrix.data?.data?.matrix || [];
+
+  check('POST /distance-matrix responde 200', matrix.status === 200, matrix.error || matrix.status);
+  check('Matriz de 2 × 2', rows.length === 2 && rows.every(row => row.length === 2));
+  check('Destino inexistente → celda null', rows.every(row => row[1] === null));
+  check('Destino inexistente en notFoundDeviceIds', matrix.data?.summary?.notFoundDeviceIds?.includes('device-inexistente'));
+}
+
+/**
+ * Prueba clusters y heatmap
+ */
+async function testAggregations() {
+  console.log('\n🔥 === CLUSTERS Y HEATMAP ===\n');
+
+  const clusters = await makeRequest('/api/v4/gps/clusters?zoom=10');
+  const items = clusters.data?.data || [];
+  const counted = items.reduce((sum, item) => sum + (item.type === 'cluster' ? item.count : 1), 0);
+  check('GET /gps/clusters?zoom=10 responde 200', clusters.status === 200, clusters.status);
+  check('Clusters + puntos suman el total', counted === clusters.data?.summary?.total, `${counted} vs ${clusters.data?.summary?.total}`);
+
+  const bbox = `${LIMA_BBOX.minLng},${LIMA_BBOX.minLat},${LIMA_BBOX.maxLng},${LIMA_BBOX.maxLat}`;
+  for (const source of ['gps', 'mobile']) {
+    const heatmap = await makeRequest(`/api/v4/${source}/heatmap?bbox=${bbox}&cellSize=500`);
+    const cells = heatmap.data?.data || [];
+    const total = cells.reduce((sum, cell) => sum + cell.count, 0);
+    check(`GET /${source}/heatmap: las celdas suman el total`, heatmap.status === 200 && total === heatmap.data?.summary?.total, `${total} vs ${heatmap.data?.summary?.total}`);
+    check(`GET /${source}/heatmap: weight máximo = 1`, cells.length === 0 || Math.max(...cells.map(cell => cell.weight)) === 1);
+  }
+
+  console.log('\n🚫 Validación:');
+  const zoom = await makeRequest('/api/v4/gps/clusters?zoom=99');
+  check('zoom=99 → 400 INVALID_ZOOM', zoom.status === 400 && zoom.data?.code === 'INVALID_ZOOM');
+  const cellSize = await makeRequest('/api/v4/gps/heatmap?cellSize=5');
+  check('cellSize=5 → 400 INVALID_CELL_SIZE', cellSize.status === 400 && cellSize.data?.code === 'INVALID_CELL_SIZE');
+  const invalidBbox = await makeRequest('/api/v4/gps/heatmap?bbox=1,2,3');
+  check('bbox con 3 valores → 400 INVALID_BOUNDING_BOX', invalidBbox.status === 400 && invalidBbox.data?.code === 'INVALID_BOUNDING_BOX');
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  console.log('🧪 PRUEBAS DE ENDPOINTS GEOESPACIALES');
+  console.log('======================================');
+
+  // Verificar conectividad
+  console.log('\n🔍 Verificando conectividad...');
+  const healthCheck = await makeRequest('/api/v4/gps/health');
+
+  if (healthCheck.error || !healthCheck.data?.healthy) {
+    console.error('❌ Error: No se puede conectar al API');
+    console.error('   Asegúrate de que el servidor esté ejecutándose en:', API_BASE_URL);
+    process.exit(1);
+  }
+
+  console.log('✅ Conectividad OK');
+
+  await testNearby();
+  await testAreas();
+  await testDistanceMatrix();
+  await testAggregations();
+
+  console.log(`\n📊 Resultado: ${passed} correctas, ${failed} fallidas`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Ejecutar si es llamado directamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
+
+export { main as testGeoEndpoints };
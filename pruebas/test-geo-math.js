@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Script de prueba para las funciones geométricas compartidas (src/utils/geo.js)
+ * Cubre distancias, bounding boxes que cruzan el antimeridiano y polígonos con huecos
+ * No necesita Redis ni el API: llama a las funciones directamente
+ */
+
+import {
+  haversineDistance,
+  normalizeLongitude,
+  isInBoundingBox,
+  boundingBoxCircle,
+  isPointInPolygon,
+  getPolygonGeometryError
+} from '../src/utils/geo.js';
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Registra el resultado de una comprobación
+ */
+function check(description, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`   ✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`   ❌ ${description}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+/**
+ * Prueba distancias y normalización de longitudes
+ */
+function testDistances() {
+  console.log('\n📏 === DISTANCIAS Y LONGITUDES ===\n');
+
+  const oneDegree = haversineDistance(0, 0, 0, 1);
+  check('1° sobre el ecuador ≈ 111226 m', Math.abs(oneDegree - 111226.3) < 1, `${oneDegree}`);
+  check('La unidad km divide entre 1000', Math.abs(haversineDistance(0, 0, 0, 1, 'km') - oneDegree / 1000) < 1e-9);
+
+  const acrossAntimeridian = haversineDistance(0, 179.5, 0, -179.5);
+  check('179.5° a -179.5° es 1° (no 359°)', Math.abs(acrossAntimeridian - oneDegree) < 1, `${acrossAntimeridian}`);
+
+  check('normalizeLongitude(190) = -170', normalizeLongitude(190) === -170);
+  check('normalizeLongitude(-190) = 170', normalizeLongitude(-190) === 170);
+  check('normalizeLongitude(180) = 180', normalizeLongitude(180) === 180);
+  check('normalizeLongitude(-180) = -180', normalizeLongitude(-180) === -180);
+}
+
+/**
+ * Prueba bounding boxes normales y que cruzan el antimeridiano
+ */
+function testBoundingBoxes() {
+  console.log('\n🗺️ === BOUNDING BOXES ===\n');
+
+  const lima = { minLat: -12.1, minLng: -77.1, maxLat: -12.0, maxLng: -77.0 };
+  check('Punto dentro del box de Lima', isInBoundingBox(-12.05, -77.05, lima));
+  check('Bordes incluidos', isInBoundingBox(-12.0, -77.1, lima));
+  check('Punto fuera del box de Lima', !isInBoundingBox(-12.2, -77.05, lima));
+
+  // minLng > maxLng: el box va de 170° a -170° pasando por 180°
+  const pacific = { minLat: -10, minLng: 170, maxLat: 10, maxLng: -170 };
+  check('Antimeridiano: 175° está dentro', isInBoundingBox(0, 175, pacific));
+  check('Antimeridiano: -175° está dentro', isInBoundingBox(0, -175, pacific));
+  check('Antimeridiano: 180° está dentro', isInBoundingBox(0, 180, pacific));
+  check('Antimeridiano: 0° está fuera', !isInBoundingBox(0, 0, pacific));
+  check('Antimeridiano: latitud fuera de rango', !isInBoundingBox(11, 175, pacific));
+
+  const circle = boundingBoxCircle(pacific);
+  check('Antimeridiano: el círculo se centra en ±180°', Math.abs(Math.abs(circle.lng) - 180) < 1e-9, `lng ${circle.lng}`);
+
+  const corners = [[-10, 170], [-10, -170], [10, 170], [10, -170], [0, 180]];
+  const outside = corners.filter(([lat, lng]) => haversineDistance(circle.lat, circle.lng, lat, lng) > circle.radius);
+  check('Antimeridiano: el círculo cubre esquinas y borde', outside.length === 0, JSON.stringify(outside));
+  check('Antimeridiano: el radio no abarca medio planeta', circle.radius < 2000000, `${Math.round(circle.radius)} m`);
+}
+
+/**
+ * Prueba contención en Polygon y MultiPolygon
+ */
+function testPolygons() {
+  console.log('\n🔷 === POLÍGONOS ===\n');
+
+  const withHole = {
+    type: 'Polygon',
+    coordinates: [
+      [[-77.1, -12.1], [-77.0, -12.1], [-77.0, -12.0], [-77.1, -12.0], [-77.1, -12.1]],
+      [[-77.06, -12.06], [-77.04, -12.06], [-77.04, -12.04], [-77.06, -12.04], [-77.06, -12.06]]
+    ]
+  };
+  check('Punto dentro del anillo exterior', isPointInPolygon(-12.02, -77.02, withHole));
+  check('Punto dentro del hueco queda fuera', !isPointInPolygon(-12.05, -77.05, withHole));
+  check('Punto fuera del polígono', !isPointInPolygon(-12.2, -77.05, withHole));
+
+  // RFC 7946: un polígono que cruza el antimeridiano se parte en un MultiPolygon
+  const splitAtAntimeridian = {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[170, -10], [180, -10], [180, 10], [170, 10], [170, -10]]],
+      [[[-180, -10], [-170, -10], [-170, 10], [-180, 10], [-180, -10]]]
+    ]
+  };
+  check('MultiPolygon partido: 175° está dentro', isPointInPolygon(0, 175, splitAtAntimeridian));
+  check('MultiPolygon partido: -175° está dentro', isPointInPolygon(0, -175, splitAtAntimeridian));
+  check('MultiPolygon partido: 0° está fuera', !isPointInPolygon(0, 0, splitAtAntimeridian));
+
+  console.log('\n🚫 Geometrías inválidas:');
+  const errorCode = geometry => getPolygonGeometryError(geometry)?.code ?? null;
+  check('Polygon válido', errorCode(withHole) === null);
+  check('Point → GEOMETRY_NOT_POLYGON', errorCode({ type: 'Point', coordinates: [0, 0] }) === 'GEOMETRY_NOT_POLYGON');
+  check('Anillo de 3 posiciones → GEOMETRY_RING_TOO_SHORT',
+    errorCode({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }) === 'GEOMETRY_RING_TOO_SHORT');
+  check('Anillo abierto → GEOMETRY_RING_NOT_CLOSED',
+    errorCode({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }) === 'GEOMETRY_RING_NOT_CLOSED');
+  check('Longitud 200 → GEOMETRY_INVALID_POSITION',
+    errorCode({ type: 'Polygon', coordinates: [[[0, 0], [200, 0], [1, 1], [0, 0]]] }) === 'GEOMETRY_INVALID_POSITION');
+  check('Más vértices que el máximo → GEOMETRY_TOO_MANY_VERTICES',
+    getPolygonGeometryError(withHole, 5)?.code === 'GEOMETRY_TOO_MANY_VERTICES');
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  console.log('🧪 PRUEBAS DE FUNCIONES GEOMÉTRICAS');
+  console.log('====================================');
+
+  testDistances();
+  testBoundingBoxes();
+  testPolygons();
+
+  console.log(`\n📊 Resultado: ${passed} correctas, ${failed} fallidas`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Ejecutar si es llamado directamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
+
+export { main as testGeoMath };
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Script de prueba para las posiciones en vivo: SSE (/gps/stream), WebSocket (/ws) y long-polling (waitForChange)
+ * Escribe y borra una posición temporal en Redis y comprueba que los tres canales reciben cada cambio
+ *
+ * Uso (el API debe estar en ejecución con las keyspace notifications habilitadas en Redis):
+ *   API_URL=http://localhost:3001 API_KEY=... node pruebas/test-live-endpoints.js
+ */
+
+import WebSocket from 'ws';
+import { createRedisClient } from '../src/config/redis.js';
+import { config } from '../src/config/env.js';
+
+const API_BASE_URL = process.env.API_URL || 'http://localhost:3001';
+const API_KEY = process.env.API_KEY || '';
+
+// Configurar headers
+const headers = {
+  'Content-Type': 'application/json',
+  ...(API_KEY && { 'X-API-Key': API_KEY })
+};
+
+// Dispositivo temporal que el script crea, mueve y elimina
+const TEST_DEVICE_ID = 'device-live-test';
+const LIMA_BBOX = '-77.10,-12.10,-77.00,-12.00';
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Realiza una petición HTTP
+ */
+async function makeRequest(path, options = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      headers,
+      ...options
+    });
+
+    const data = response.status === 304 ? null : await response.json();
+    return { status: response.status, data, version: response.headers.get('x-position-version') };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Registra el resultado de una comprobación
+ */
+function check(description, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`   ✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`   ❌ ${description}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+/**
+ * Espera hasta que la condición se cumpla o venza el plazo
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const result = condition();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  return null;
+}
+
+/**
+ * Espera a que la posición de prueba aparezca en el índice geoespacial dentro del bbox
+ */
+async function waitForIndex(bbox, timeoutMs = 10000) {
+  const [minLng, minLat, maxLng, maxLat] = bbox.split(',');
+  const deadline = Date.now() + timeoutMs;
+
+  do {
+    const response = await makeRequest(`/api/v4/gps/within?minLat=${minLat}&minLng=${minLng}&maxLat=${maxLat}&maxLng=${maxLng}`);
+    if (response.data?.data?.some(position => position.id === TEST_DEVICE_ID)) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  } while (Date.now() < deadline);
+
+  return false;
+}
+
+/**
+ * Abre un stream SSE y acumula sus eventos { event, id, data }
+ */
+async function openEventStream(path) {
+  const controller = new AbortController();
+  const response = await fetch(`${API_BASE_URL}${path}`, { headers, signal: controller.signal });
+  const events = [];
+
+  if (response.status !== 200) {
+    return { status: response.status, events, close: () => {} };
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const reading = (async () => {
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let separator;
+        while ((separator = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, separator);
+          buffer = buffer.slice(separator + 2);
+
+          const fields = Object.fromEntries(block.split('\n')
+            .filter(line => line && !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+
+          // Los bloques sin evento (retry:, comentarios de heartbeat) no se registran
+          if (!fields.event && !fields.data) {
+            continue;
+          }
+          events.push({ event: fields.event || 'message', id: fields.id, data: fields.data ? JSON.parse(fields.data) : null });
+        }
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.log(`   ⚠️ Stream SSE interrumpido: ${error.message}`);
+      }
+    }
+  })();
+
+  return {
+    status: response.status,
+    events,
+    close: async () => {
+      controller.abort();
+      await reading;
+    }
+  };
+}
+
+/**
+ * Abre una conexión WebSocket y acumula los mensajes recibidos
+ */
+function openSocket() {
+  const url = `${API_BASE_URL.replace(/^http/, 'ws')}/api/v4/ws${API_KEY ? `?apiKey=${encodeURIComponent(API_KEY)}` : ''}`;
+  const socket = new WebSocket(url);
+  const messages = [];
+
+  socket.on('message', message => messages.push(JSON.parse(message.toString())));
+
+  return new Promise(resolve => {
+    socket.once('open', () => resolve({ socket, messages }));
+    socket.once('unexpected-response', (request, response) => resolve({ socket: null, messages, status: response.statusCode }));
+    socket.once('error', error => resolve({ socket: null, messages, status: error.message }));
+  });
+}
+
+/**
+ * Prueba SSE, WebSocket y long-polling sobre la misma secuencia de cambios
+ */
+async function testLiveChannels() {
+  const client = createRedisClient();
+  const key = `${config.redis.keyPrefix}${TEST_DEVICE_ID}`;
+  const writePosition = (lat, lng) => client.hset(key, {
+    deviceId: TEST_DEVICE_ID,
+    lat: String(lat),
+    lng: String(lng),
+    timestamp: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  let stream = null;
+  let ws = null;
+
+  try {
+    await writePosition(-12.045409, -77.031494);
+    console.log(`   📝 Posición creada: ${key}`);
+
+    console.log('\n📡 === CONEXIÓN ===\n');
+    stream = await openEventStream(`/api/v4/gps/stream?deviceIds=${TEST_DEVICE_ID},device-inexistente&format=gps`);
+    check('GET /gps/stream responde 200', stream.status === 200, stream.status);
+    const ready = await waitFor(() => stream.events.find(event => event.event === 'ready'));
+    check('SSE: posición inicial y luego ready', stream.events[0]?.event === 'position' && Boolean(ready));
+    check('SSE: ready informa los IDs sin posición', ready?.data?.notFoundDeviceIds?.includes('device-inexistente'));
+
+    ws = await openSocket();
+    check('WebSocket conectado', Boolean(ws.socket), ws.status);
+    if (!ws.socket) {
+      return;
+    }
+
+    // La suscripción por bbox parte del índice geoespacial, que se actualiza de forma asíncrona
+    const indexed = await waitForIndex(LIMA_BBOX);
+    check('El índice geoespacial incluye la posición nueva', indexed);
+
+    ws.socket.send(JSON.stringify({ type: 'subscribe', subscriptionId: 'por-id', ids: [TEST_DEVICE_ID], format: 'gps' }));
+    ws.socket.send(JSON.stringify({ type: 'subscribe', subscriptionId: 'lima', bbox: LIMA_BBOX, format: 'gps' }));
+    ws.socket.send(JSON.stringify({ type: 'subscribe', subscriptionId: 'sin-filtro' }));
+    const subscribed = await waitFor(() => ws.messages.filter(message => message.type === 'subscribed').length === 2 &&
+      ws.messages.filter(message => message.type === 'subscribed'));
+    check('WS: suscripciones por ids y por bbox confirmadas', Boolean(subscribed));
+    check('WS: subscribed incluye la posición actual',
+      subscribed?.every(message => message.data.some(position => position.id === TEST_DEVICE_ID)));
+    check('WS: suscripción sin filtro → error', Boolean(await waitFor(() => ws.messages.find(message => message.type === 'error' && message.subscriptionId === 'sin-filtro'))));
+
+    console.log('\n⏳ === LONG-POLLING ===\n');
+    const current = await makeRequest(`/api/v4/gps/last/${TEST_DEVICE_ID}`);
+    check('GET /gps/last/:id devuelve X-Position-Version', current.status === 200 && Boolean(current.version), current.status);
+
+    const idle = await makeRequest(`/api/v4/gps/last/${TEST_DEVICE_ID}?waitForChange=1s&ifVersion=${current.version}`);
+    check('Sin cambios durante la espera → 304', idle.status === 304, idle.status);
+
+    const stale = await makeRequest(`/api/v4/gps/last/${TEST_DEVICE_ID}?waitForChange=30s&ifVersion=version-vieja`);
+    check('ifVersion desactualizada → 200 inmediato', stale.status === 200, stale.status);
+
+    console.log('\n🔄 === CAMBIO DE POSICIÓN ===\n');
+    const waiting = makeRequest(`/api/v4/gps/last/${TEST_DEVICE_ID}?waitForChange=10s&ifVersion=${current.version}`);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    await writePosition(-12.05, -77.04);
+
+    const changed = await waiting;
+    check('Long-polling: 200 con la nueva posición', changed.status === 200 && changed.data?.data?.lat === -12.05, changed.status);
+    check('Long-polling: meta.waitedMs y nueva versión', typeof changed.data?.meta?.waitedMs === 'number' && changed.version !== current.version);
+
+    const ssePosition = await waitFor(() => stream.events.find(event => event.event === 'position' && event.data?.lat === -12.05));
+    check('SSE: evento position con la nueva posición', Boolean(ssePosition));
+    check('SSE: los eventos de cambio llevan id (Last-Event-ID)', Boolean(ssePosition?.id));
+
+    const wsPositions = await waitFor(() => {
+      const updates = ws.messages.filter(message => message.type === 'position' && message.data?.lat === -12.05);
+      return updates.length === 2 && updates;
+    });
+    check('WS: position en ambas suscripciones', Boolean(wsPositions));
+
+    console.log('\n🧭 Sale del bbox:');
+    await writePosition(10, 10);
+    const leftBbox = await waitFor(() => ws.messages.find(message => message.type === 'removed' && message.subscriptionId === 'lima'));
+    check('WS: removed con reason left-bbox en la suscripción por bbox', leftBbox?.reason === 'left-bbox', leftBbox?.reason);
+    check('WS: la suscripción por ids sigue recibiendo position',
+      Boolean(await waitFor(() => ws.messages.find(message => message.type === 'position' && message.subscriptionId === 'por-id' && message.data?.lat === 10))));
+
+    console.log('\n🗑️ === ELIMINACIÓN ===\n');
+    const latest = await makeRequest(`/api/v4/gps/last/${TEST_DEVICE_ID}`);
+    const waitingRemoval = makeRequest(`/api/v4/gps/last/${TEST_DEVICE_ID}?waitForChange=10s&ifVersion=${latest.version}`);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    await client.del(key);
+
+    const removed = await waitingRemoval;
+    check('Long-polling: 404 POSITION_NOT_FOUND al eliminarse', removed.status === 404 && removed.data?.code === 'POSITION_NOT_FOUND', removed.status);
+    check('SSE: evento removed', Boolean(await waitFor(() => stream.events.find(event => event.event === 'removed' && event.data?.id === TEST_DEVICE_ID))));
+    const wsRemoved = await waitFor(() => ws.messages.find(message => message.type === 'removed' && message.subscriptionId === 'por-id'));
+    check('WS: removed con reason deleted', wsRemoved?.reason === 'deleted', wsRemoved?.reason);
+  } finally {
+    if (stream) {
+      await stream.close();
+    }
+    if (ws?.socket) {
+      ws.socket.close();
+    }
+    await client.del(key);
+    await client.quit();
+  }
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  console.log('🧪 PRUEBAS DE POSICIONES EN VIVO');
+  console.log('=================================');
+
+  // Verificar conectividad
+  console.log('\n🔍 Verificando conectividad...');
+  const healthCheck = await makeRequest('/api/v4/gps/health');
+
+  if (healthCheck.error || !healthCheck.data?.healthy) {
+    console.error('❌ Error: No se puede conectar al API');
+    console.error('   Asegúrate de que el servidor esté ejecutándose en:', API_BASE_URL);
+    process.exit(1);
+  }
+
+  console.log('✅ Conectividad OK\n');
+
+  await testLiveChannels();
+
+  console.log(`\n📊 Resultado: ${passed} correctas, ${failed} fallidas`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Ejecutar si es llamado directamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
+
+export { main as testLiveEndpoints };
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Script de prueba para los webhooks
+ * 1. Lista de bloqueo de destinos (SSRF): direcciones y hosts no públicos, sin red
+ * 2. Entrega firmada, reintentos y dead-letter contra el API, usando pruebas/webhook-receiver.js como receptor
+ *
+ * Uso (el API acepta la URL del receptor en localhost solo con WEBHOOKS_ALLOW_PRIVATE_TARGETS=true;
+ * con pocos intentos y backoff corto la dead-letter llega en segundos):
+ *   API_KEY=... WEBHOOKS_ALLOW_PRIVATE_TARGETS=true WEBHOOKS_MAX_ATTEMPTS=3 WEBHOOKS_BACKOFF_BASE_MS=500 npm start
+ *   API_KEY=... node pruebas/test-webhooks.js
+ */
+
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createRedisClient } from '../src/config/redis.js';
+import { config } from '../src/config/env.js';
+import { isAllowedAddress, isBlockedHostname, checkWebhookTarget } from '../src/utils/webhookTarget.js';
+
+const API_BASE_URL = process.env.API_URL || 'http://localhost:3001';
+const API_KEY = process.env.API_KEY || '';
+
+// Configurar headers
+const headers = {
+  'Content-Type': 'application/json',
+  ...(API_KEY && { 'X-API-Key': API_KEY })
+};
+
+const RECEIVER_PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const RECEIVER_URL = process.env.WEBHOOK_RECEIVER_URL || `http://localhost:${RECEIVER_PORT}/hooks`;
+const RECEIVER_SCRIPT = fileURLToPath(new URL('./webhook-receiver.js', import.meta.url));
+
+// Webhook y dispositivo temporales que el script crea y elimina
+const TEST_WEBHOOK_ID = 'pruebas-webhooks';
+const TEST_DEVICE_ID = 'device-webhook-test';
+const TEST_SECRET = 'whsec_pruebas_webhooks_0123456789abcdef';
+
+// El worker relee los webhooks registrados cada WEBHOOKS_REGISTRY_TTL_MS
+const REGISTRY_TTL_MS = parseInt(process.env.WEBHOOKS_REGISTRY_TTL_MS) || 5000;
+const DEAD_LETTER_TIMEOUT_MS = parseInt(process.env.DEAD_LETTER_TIMEOUT_MS) || 60000;
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Realiza una petición HTTP
+ */
+async function makeRequest(path, options = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      headers,
+      ...options
+    });
+
+    const data = response.status === 204 ? null : await response.json();
+    return { status: response.status, data };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Registra el resultado de una comprobación
+ */
+function check(description, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`   ✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`   ❌ ${description}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+/**
+ * Espera hasta que la condición se cumpla o venza el plazo
+ */
+async function waitFor(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const result = await condition();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  return null;
+}
+
+/**
+ * Arranca pruebas/webhook-receiver.js y acumula las entregas que imprime
+ * @returns {Object} { deliveries, stop }
+ */
+async function startReceiver(failRate) {
+  const child = spawn(process.execPath, [RECEIVER_SCRIPT], {
+    env: { ...process.env, WEBHOOK_RECEIVER_PORT: String(RECEIVER_PORT), WEBHOOK_SECRET: TEST_SECRET, FAIL_RATE: String(failRate) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  const deliveries = [];
+  let output = '';
+
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', chunk => {
+    output += chunk;
+
+    // Cada entrega empieza con "🪝 Entrega #N <evento> (intento N)" y sigue con la línea de la firma
+    for (const match of output.matchAll(/🪝 Entrega #(\d+) (\S+) \(intento (\d+)\)[\s\S]*?Firma: ([^\n]+)\n/g)) {
+      if (!deliveries.some(delivery => delivery.number === Number(match[1]))) {
+        deliveries.push({ number: Number(match[1]), event: match[2], attempt: Number(match[3]), validSignature: match[4].includes('✅') });
+      }
+    }
+  });
+
+  const listening = await waitFor(() => output.includes('escuchando'), 5000);
+  check(`Receptor escuchando en el puerto ${RECEIVER_PORT} (FAIL_RATE=${failRate})`, Boolean(listening));
+
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null) {
+      return resolve();
+    }
+    child.once('exit', resolve);
+    child.kill('SIGINT');
+  });
+
+  return { deliveries, stop };
+}
+
+/**
+ * Prueba la lista de bloqueo de destinos sin tocar la red
+ */
+async function testTargetBlocklist() {
+  console.log('\n🛡️ === DESTINOS BLOQUEADOS (SSRF) ===\n');
+
+  // La comprobación se desactiva con WEBHOOKS_ALLOW_PRIVATE_TARGETS: aquí se prueba activa
+  const allowPrivateTargets = config.webhooks.allowPrivateTargets;
+  config.webhooks.allowPrivateTargets = false;
+
+  try {
+    const blocked = [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+      '0.0.0.0', '224.0.0.1', '::1', '::', 'fe80::1', 'fc00::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254'
+    ];
+    const allowed = ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111'];
+
+    for (const address of blocked) {
+      check(`${address} bloqueada`, !isAllowedAddress(address));
+    }
+    for (const address of allowed) {
+      check(`${address} permitida`, isAllowedAddress(address));
+    }
+    check('Texto que no es IP no se permite', !isAllowedAddress('no-es-ip'));
+
+    console.log('\n🌐 Hosts (sin DNS):');
+    for (const hostname of ['localhost', 'api.localhost', 'LOCALHOST.', '[::1]', '127.0.0.1']) {
+      check(`${hostname} bloqueado`, isBlockedHostname(hostname));
+    }
+    check('partner.example.com se resuelve al registrar', !isBlockedHostname('partner.example.com'));
+    check('checkWebhookTarget(http://169.254.169.254/latest) → blocked', await checkWebhookTarget('http://169.254.169.254/latest') === 'blocked');
+    check('checkWebhookTarget(http://[::ffff:7f00:1]/) → blocked', await checkWebhookTarget('http://[::ffff:7f00:1]/') === 'blocked');
+  } finally {
+    config.webhooks.allowPrivateTargets = allowPrivateTargets;
+  }
+}
+
+/**
+ * Prueba registro, entrega firmada, reintentos y dead-letter contra el API
+ */
+async function testDeliveryFlow() {
+  console.log('\n🪝 === ENTREGAS, REINTENTOS Y DEAD-LETTER ===\n');
+
+  const client = createRedisClient();
+  const key = `${config.redis.keyPrefix}${TEST_DEVICE_ID}`;
+  let receiver = null;
+
+  try {
+    const invalid = await makeRequest('/api/v4/webhooks', {
+      method: 'POST',
+      body: JSON.stringify({ url: 'ftp://partner.example.com', events: ['position.updated'], filter: { deviceIds: [TEST_DEVICE_ID] } })
+    });
+    check('URL ftp:// → 400 INVALID_WEBHOOK', invalid.status === 400 && invalid.data?.code === 'INVALID_WEBHOOK', invalid.error || invalid.status);
+
+    await makeRequest(`/api/v4/webhooks/${TEST_WEBHOOK_ID}`, { method: 'DELETE' });
+    const created = await makeRequest('/api/v4/webhooks', {
+      method: 'POST',
+      body: JSON.stringify({
+        id: TEST_WEBHOOK_ID,
+        url: RECEIVER_URL,
+        events: ['position.updated', 'position.removed'],
+        filter: { deviceIds: [TEST_DEVICE_ID] },
+        secret: TEST_SECRET,
+        description: 'pruebas/test-webhooks.js'
+      })
+    });
+    check(`POST /webhooks con ${RECEIVER_URL} → 201`, created.status === 201, created.data?.code || created.error || created.status);
+    if (created.status !== 201) {
+      console.log('   💡 El API debe arrancar con API_KEY y WEBHOOKS_ALLOW_PRIVATE_TARGETS=true para aceptar el receptor local');
+      return;
+    }
+
+    console.log(`   ⏳ Esperando ${REGISTRY_TTL_MS} ms a que el worker relea los webhooks...`);
+    await new Promise(resolve => setTimeout(resolve, REGISTRY_TTL_MS + 500));
+
+    console.log('\n📬 Entrega correcta:');
+    receiver = await startReceiver(0);
+    const now = new Date().toISOString();
+    await client.hset(key, { deviceId: TEST_DEVICE_ID, lat: '-12.045409', lng: '-77.031494', timestamp: now, updatedAt: now });
+    console.log(`   📝 Posición creada: ${key}`);
+
+    const delivered = await waitFor(() => receiver.deliveries.find(delivery => delivery.event === 'position.updated'), 15000);
+    check('El receptor recibe position.updated', Boolean(delivered));
+    check('Firma válida con el secreto registrado', delivered?.validSignature === true);
+    check('Primer intento', delivered?.attempt === 1);
+    await receiver.stop();
+
+    console.log('\n💥 Reintentos hasta la dead-letter (el receptor responde siempre 500):');
+    receiver = await startReceiver(1);
+    const startedAt = Date.now();
+    await client.del(key);
+    console.log(`   🗑️ Posición eliminada: ${key}`);
+
+    const deadLetter = await waitFor(async () => {
+      const response = await makeRequest('/api/v4/webhooks/dead-letters?limit=50');
+      return (response.data?.data || []).find(delivery => delivery.webhookId === TEST_WEBHOOK_ID &&
+        delivery.event === 'position.removed' && Date.parse(delivery.deadAt) >= startedAt);
+    }, DEAD_LETTER_TIMEOUT_MS);
+
+    const attempts = receiver.deliveries.filter(delivery => delivery.event === 'position.removed');
+    check('position.removed se reintenta', attempts.length >= 2, `${attempts.length} intentos`);
+    check('Los intentos llevan X-Webhook-Attempt creciente', attempts.every((delivery, index) => delivery.attempt === index + 1));
+    check('La entrega termina en la dead-letter', Boolean(deadLetter), `sin entrada en ${DEAD_LETTER_TIMEOUT_MS} ms`);
+    check('reason max_attempts y lastStatus 500', deadLetter?.reason === 'max_attempts' && deadLetter?.lastStatus === 500,
+      deadLetter ? `${deadLetter.reason} / ${deadLetter.lastStatus}` : '');
+    check('attempt de la dead-letter = intentos recibidos', deadLetter?.attempt === attempts.length, deadLetter ? `${deadLetter.attempt} vs ${attempts.length}` : '');
+  } finally {
+    if (receiver) {
+      await receiver.stop();
+    }
+    await makeRequest(`/api/v4/webhooks/${TEST_WEBHOOK_ID}`, { method: 'DELETE' });
+    await client.del(key);
+    await client.quit();
+  }
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  console.log('🧪 PRUEBAS DE WEBHOOKS');
+  console.log('======================');
+
+  await testTargetBlocklist();
+
+  // Verificar conectividad
+  console.log('\n🔍 Verificando conectividad...');
+  const healthCheck = await makeRequest('/api/v4/gps/health');
+
+  if (healthCheck.error || !healthCheck.data?.healthy) {
+    console.error('❌ Error: No se puede conectar al API');
+    console.error('   Asegúrate de que el servidor esté ejecutándose en:', API_BASE_URL);
+    process.exit(1);
+  }
+
+  console.log('✅ Conectividad OK');
+
+  await testDeliveryFlow();
+
+  console.log(`\n📊 Resultado: ${passed} correctas, ${failed} fallidas`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Ejecutar si es llamado directamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
+
+export { main as testWebhooks };
@@ -0,0 +1,82 @@
+import http from 'node:http';
+import dotenv from 'dotenv';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, verifyWebhookSignature } from '../src/utils/webhookSignature.js';
+
+dotenv.config();
+
+/**
+ * Receptor local de webhooks para pruebas
+ * Verifica la firma de cada entrega y la imprime; con FAIL_RATE responde 500 al azar para probar reintentos
+ *
+ * Uso (la API debe arrancar con WEBHOOKS_ALLOW_PRIVATE_TARGETS=true para aceptar una URL en localhost):
+ *   WEBHOOK_SECRET=whsec_... node pruebas/webhook-receiver.js
+ *   curl -X POST http://localhost:3001/api/v4/webhooks -H 'Content-Type: application/json' \
+ *     -d '{"url":"http://localhost:4000/hooks","events":["position.updated"],"filter":{"deviceIds":["device-001"]},"secret":"whsec_..."}'
+ */
+
+const port = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET || null;
+const failRate = parseFloat(process.env.FAIL_RATE) || 0;
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    received++;
+
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    const timestamp = req.headers[TIMESTAMP_HEADER.toLowerCase()];
+    const validSignature = secret ? verifyWebhookSignature(secret, signature, timestamp, body) : null;
+
+    console.log(`\n🪝 Entrega #${received} ${req.headers['x-webhook-event']} (intento ${req.headers['x-webhook-attempt']})`);
+    console.log(`   Delivery: ${req.headers['x-webhook-delivery']}`);
+    console.log(`   Firma: ${validSignature === null ? 'sin verificar (defina WEBHOOK_SECRET)' : validSignature ? '✅ válida' : '❌ inválida'}`);
+
+    try {
+      const payload = JSON.parse(body);
+      console.log(`   Entidad: ${payload.data.source}:${payload.data.entityId}`);
+      if (payload.data.position) {
+        console.log(`   Posición: ${payload.data.position.lat}, ${payload.data.position.lng}`);
+      }
+      if (payload.data.geofence) {
+        console.log(`   Geocerca: ${payload.data.geofence.id} (inside: ${payload.data.geofence.inside})`);
+      }
+    } catch (error) {
+      console.log(`   ❌ Cuerpo no es JSON: ${error.message}`);
+    }
+
+    if (validSignature === false) {
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (Math.random() < failRate) {
+      console.log('   💥 Respondiendo 500 (FAIL_RATE)');
+      res.writeHead(500).end();
+      return;
+    }
+
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🚀 Receptor de webhooks escuchando en http://localhost:${port}`);
+  console.log(`   Firma: ${secret ? 'verificada con WEBHOOK_SECRET' : 'sin verificar'} | FAIL_RATE: ${failRate}`);
+});
+
+process.on('SIGINT', () => {
+  console.log(`\n📊 Entregas recibidas: ${received}`);
+  server.close(() => process.exit(0));
+});
@@ -1,16 +1,32 @@
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { config } from './config/env.js';
 import { logger } from './utils/logger.js';
+import { sendError } from './utils/errors.js';
 import { GPSLastPositionController } from './controllers/GPSLastPositionController.js';
 import { MobileLastPositionController } from './controllers/MobileLastPositionController.js';
+import { getPositionChangeNotifier } from './services/PositionChangeNotifier.js';
+import { PositionSocketServer } from './services/PositionSocketServer.js';
+import { GeoIndexUpdater } from './services/GeoIndexUpdater.js';
+import { GeofenceTracker } from './services/GeofenceTracker.js';
+import { WebhookDeliveryWorker } from './services/WebhookDeliveryWorker.js';
 import gpsRoutes from './routes/gpsRoutes.js';
 import mobileRoutes from './routes/mobileRoutes.js';
-import { authMiddleware, optionalAuthMiddleware } from './middleware/authMiddleware.js';
+import geofenceRoutes from './routes/geofenceRoutes.js';
+import distanceMatrixRoutes from './routes/distanceMatrixRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import { optionalAuthMiddleware, requiredAuthMiddleware } from './middleware/authMiddleware.js';
 import { errorMiddleware, notFoundMiddleware, timeoutMiddleware } from './middleware/errorMiddleware.js';
 import { validateJsonMiddleware } from './middleware/validationMiddleware.js';
+import { binaryResponseMiddleware, geoJsonResponseMiddleware, timeFormatResponseMiddleware, waypointResponseMiddleware } from './middleware/responseFormatMiddleware.js';
+import { openApiDocument } from './docs/openapi.js';
+import { renderDocsPage } from './docs/docsPage.js';
+
+// Esquema publicado de las respuestas application/x-protobuf
+const PROTO_SCHEMA_PATH = fileURLToPath(new URL('../proto/last_position.proto', import.meta.url));
 
 /**
  * Configuración y creación de la aplicación Express
@@ -36,8 +52,9 @@ export function createApp() {
   // Configurar CORS
   app.use(cors({
     origin: config.api.corsOrigin === '*' ? true : config.api.corsOrigin,
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+    exposedHeaders: ['X-Next-Since', 'X-Position-Version'],
     credentials: false
   }));
 
@@ -46,15 +63,16 @@ export function createApp() {
     const limiter = rateLimit({
       windowMs: config.rateLimit.windowMs,
       max: config.rateLimit.max,
-      message: {
-        success: false,
-        error: 'Demasiadas peticiones, intenta de nuevo más tarde',
-        code: 'RATE_LIMIT_EXCEEDED',
-        meta: {
-          windowMs: config.rateLimit.windowMs,
-          maxRequests: config.rateLimit.max,
-          timestamp: new Date().toISOString()
-        }
+      handler: (req, res) => {
+        sendError(res, 429, {
+          error: 'Demasiadas peticiones, intenta de nuevo más tarde',
+          code: 'RATE_LIMIT_EXCEEDED',
+          meta: {
+            windowMs: config.rateLimit.windowMs,
+            maxRequests: config.rateLimit.max,
+            timestamp: new Date().toISOString()
+          }
+        });
       },
       standardHeaders: true,
       legacyHeaders: false,
@@ -109,6 +127,20 @@ export function createApp() {
     await mobileController.healthCheck(req, res);
   });
 
+  // Esquema protobuf (sin autenticación)
+  app.get('/api/v4/proto/last_position.proto', (req, res) => {
+    res.type('text/plain').sendFile(PROTO_SCHEMA_PATH);
+  });
+
+  // Documento OpenAPI y documentación interactiva (sin autenticación)
+  app.get('/api/v4/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  app.get('/api/v4/docs', (req, res) => {
+    res.type('html').send(renderDocsPage('/api/v4/openapi.json'));
+  });
+
   // Ruta de información básica
   app.get('/api/v4', (req, res) => {
     res.json({
@@ -122,9 +154,21 @@ export function createApp() {
         },
         api: {
           gps: '/api/v4/gps',
-          mobile: '/api/v4/mobile'
+          mobile: '/api/v4/mobile',
+          geofences: '/api/v4/geofences',
+          distanceMatrix: '/api/v4/distance-matrix',
+          webhooks: '/api/v4/webhooks'
         },
-        docs: 'Ver README.md para documentación completa'
+        stream: {
+          gps: '/api/v4/gps/stream?deviceIds=',
+          mobile: '/api/v4/mobile/stream?userIds=',
+          websocket: config.websocket.enabled ? config.websocket.path : null
+        },
+        schemas: {
+          openapi: '/api/v4/openapi.json',
+          protobuf: '/api/v4/proto/last_position.proto'
+        },
+        docs: '/api/v4/docs'
       },
       meta: {
         timestamp: new Date().toISOString()
@@ -133,8 +177,13 @@ export function createApp() {
   });
 
   // Rutas de la API con autenticación opcional para stats
-  app.use('/api/v4/gps', optionalAuthMiddleware, gpsRoutes);
-  app.use('/api/v4/mobile', optionalAuthMiddleware, mobileRoutes);
+  app.use('/api/v4/gps', optionalAuthMiddleware, binaryResponseMiddleware, geoJsonResponseMiddleware, waypointResponseMiddleware, timeFormatResponseMiddleware, gpsRoutes);
+  app.use('/api/v4/mobile', optionalAuthMiddleware, binaryResponseMiddleware, geoJsonResponseMiddleware, waypointResponseMiddleware, timeFormatResponseMiddleware, mobileRoutes);
+  app.use('/api/v4/geofences', optionalAuthMiddleware, geofenceRoutes);
+  app.use('/api/v4/distance-matrix', optionalAuthMiddleware, distanceMatrixRoutes);
+
+  // Los webhooks registran URLs a las que el servidor envía peticiones: siempre requieren API key
+  app.use('/api/v4/webhooks', requiredAuthMiddleware, webhookRoutes);
 
   // Rutas protegidas que requieren autenticación
   // if (config.api.key) {
@@ -178,10 +227,33 @@ export async function startServer() {
     // Configurar timeout del servidor
     server.timeout = config.server.requestTimeout;
 
+    // Suscripciones en vivo por WebSocket sobre el mismo puerto HTTP
+    const socketServer = config.websocket.enabled ? new PositionSocketServer() : null;
+    socketServer?.attach(server);
+
+    // Índice GEO de nearby, nearest y within, actualizado con cada cambio de posición
+    const geoIndexUpdater = new GeoIndexUpdater();
+    geoIndexUpdater.start();
+
+    // Entradas/salidas de geocercas, detectadas con cada cambio de posición
+    const geofenceTracker = config.geofences.trackingEnabled ? new GeofenceTracker() : null;
+    geofenceTracker?.start();
+
+    // Entregas de webhooks (puede ejecutarse en todas las instancias: los eventos se deduplican en Redis)
+    const webhookWorker = config.webhooks.workerEnabled ? new WebhookDeliveryWorker() : null;
+    webhookWorker?.start();
+
     // Manejo graceful de cierre
     const gracefulShutdown = async (signal) => {
       logger.info(`📡 Señal ${signal} recibida, cerrando servidor...`);
 
+      // Los streams en vivo (SSE y WebSocket) no terminan solos: se cierran para que server.close pueda completar
+      socketServer?.close();
+      await webhookWorker?.stop();
+      await geoIndexUpdater.stop();
+      await geofenceTracker?.stop();
+      await getPositionChangeNotifier().stop();
+
       server.close(async () => {
         logger.info('✅ Servidor HTTP cerrado');
 
@@ -27,6 +27,111 @@ export const config = {
     lazyConnect: true
   },
 
+  // Configuración de índices geoespaciales (Redis GEO)
+  geo: {
+    gpsIndexKey: process.env.REDIS_GPS_GEO_KEY || 'gps:geo:last',
+    mobileIndexKey: process.env.REDIS_MOBILE_GEO_KEY || 'mobile:geo:last',
+    reconcileIntervalMs: parseInt(process.env.GEO_INDEX_RECONCILE_MS) || 300000, // 5 min
+    maxRadiusKm: parseInt(process.env.GEO_MAX_RADIUS_KM) || 1000,
+    maxNearest: parseInt(process.env.GEO_MAX_NEAREST) || 100,
+    maxMatrixEntities: parseInt(process.env.GEO_MAX_MATRIX_ENTITIES) || 100
+  },
+
+  // Sincronización incremental (?since=): eliminaciones registradas al mantener los índices GEO
+  sync: {
+    // Índice de cambios de ?since=: <prefijo>changes, <prefijo>removed y <prefijo>versions
+    gpsKeyPrefix: process.env.REDIS_GPS_SYNC_PREFIX || 'gps:sync:',
+    mobileKeyPrefix: process.env.REDIS_MOBILE_SYNC_PREFIX || 'mobile:sync:',
+    removalsRetentionMs: parseInt(process.env.SYNC_REMOVALS_RETENTION_MS) || 604800000 // 7 días
+  },
+
+  // Configuración de clustering para mapas
+  clusters: {
+    cellSizePx: parseInt(process.env.CLUSTER_CELL_SIZE_PX) || 60,
+    maxZoom: parseInt(process.env.CLUSTER_MAX_ZOOM) || 16
+  },
+
+  // Configuración de heatmaps de densidad
+  heatmap: {
+    defaultCellSize: parseInt(process.env.HEATMAP_DEFAULT_CELL_SIZE) || 1000, // metros
+    maxCellSize: parseInt(process.env.HEATMAP_MAX_CELL_SIZE) || 100000 // metros
+  },
+
+  // Configuración de exportación CSV
+  export: {
+    metadataColumns: (process.env.EXPORT_METADATA_COLUMNS || 'speed,heading,altitude,accuracy')
+      .split(',')
+      .map(column => column.trim())
+      .filter(Boolean),
+    scanBatchSize: parseInt(process.env.EXPORT_SCAN_BATCH_SIZE) || 200
+  },
+
+  // Configuración de geocercas
+  geofences: {
+    registryKey: process.env.REDIS_GEOFENCES_KEY || 'geofences',
+    stateKeyPrefix: process.env.REDIS_GEOFENCE_STATE_PREFIX || 'geofence:state:',
+    transitionsKey: process.env.REDIS_GEOFENCE_TRANSITIONS_KEY || 'geofence:transitions',
+    transitionsMax: parseInt(process.env.GEOFENCE_TRANSITIONS_MAX) || 10000,
+    trackingEnabled: process.env.GEOFENCES_TRACKING_ENABLED !== 'false',
+    maxGeofences: parseInt(process.env.GEOFENCES_MAX) || 1000
+  },
+
+  // Notificaciones en vivo (Server-Sent Events y long-polling) a partir de keyspace notifications de Redis
+  realtime: {
+    heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS) || 15000,
+    retryMs: parseInt(process.env.SSE_RETRY_MS) || 5000,
+    maxStreamIds: parseInt(process.env.SSE_MAX_IDS) || 100,
+    historySize: parseInt(process.env.SSE_HISTORY_SIZE) || 10000,
+    longPollMaxWaitMs: parseInt(process.env.LONG_POLL_MAX_WAIT_MS) || 60000, // ?waitForChange= máximo
+    configureKeyspaceEvents: process.env.REDIS_CONFIGURE_KEYSPACE_EVENTS === 'true' // CONFIG SET en tiempo de ejecución (opt-in)
+  },
+
+  // Servidor WebSocket de suscripciones (dispositivos, grupos o bounding box)
+  websocket: {
+    enabled: process.env.WS_ENABLED !== 'false',
+    path: process.env.WS_PATH || '/api/v4/ws',
+    maxConnections: parseInt(process.env.WS_MAX_CONNECTIONS) || 10000,
+    maxSubscriptions: parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 20,
+    maxGroupMembers: parseInt(process.env.WS_MAX_GROUP_MEMBERS) || 5000,
+    groupRefreshMs: parseInt(process.env.WS_GROUP_REFRESH_MS) || 60000,
+    maxPayloadBytes: parseInt(process.env.WS_MAX_PAYLOAD_BYTES) || 65536,
+    maxBufferedBytes: parseInt(process.env.WS_MAX_BUFFERED_BYTES) || 1048576, // 1 MB
+    pingIntervalMs: parseInt(process.env.WS_PING_INTERVAL_MS) || 30000
+  },
+
+  // Webhooks: registro, cola de entregas, reintentos con backoff y dead-letter en Redis
+  webhooks: {
+    registryKey: process.env.REDIS_WEBHOOKS_KEY || 'webhooks',
+    queueKey: process.env.REDIS_WEBHOOK_QUEUE_KEY || 'webhooks:queue',
+    processingKey: process.env.REDIS_WEBHOOK_PROCESSING_KEY || 'webhooks:processing',
+    leasesKey: process.env.REDIS_WEBHOOK_LEASES_KEY || 'webhooks:leases',
+    transitionsProcessingKey: process.env.REDIS_WEBHOOK_TRANSITIONS_PROCESSING_KEY || 'webhooks:transitions:processing',
+    transitionsLeasesKey: process.env.REDIS_WEBHOOK_TRANSITIONS_LEASES_KEY || 'webhooks:transitions:leases',
+    retryKey: process.env.REDIS_WEBHOOK_RETRY_KEY || 'webhooks:retry',
+    deadLetterKey: process.env.REDIS_WEBHOOK_DEAD_LETTER_KEY || 'webhooks:dead',
+    maxWebhooks: parseInt(process.env.WEBHOOKS_MAX) || 100,
+    maxFilterIds: parseInt(process.env.WEBHOOKS_MAX_FILTER_IDS) || 1000,
+    dedupeKeyPrefix: process.env.REDIS_WEBHOOK_DEDUPE_PREFIX || 'webhooks:dedupe:',
+    dedupeTtlMs: parseInt(process.env.WEBHOOKS_DEDUPE_TTL_MS) || 60000,
+    workerEnabled: process.env.WEBHOOKS_WORKER_ENABLED !== 'false',
+    allowPrivateTargets: process.env.WEBHOOKS_ALLOW_PRIVATE_TARGETS === 'true', // solo desarrollo local
+    concurrency: parseInt(process.env.WEBHOOKS_CONCURRENCY) || 4,
+    timeoutMs: parseInt(process.env.WEBHOOKS_TIMEOUT_MS) || 5000,
+    leaseMs: parseInt(process.env.WEBHOOKS_LEASE_MS) || 60000, // plazo para confirmar una entrega tomada de la cola
+    maxAttempts: parseInt(process.env.WEBHOOKS_MAX_ATTEMPTS) || 8,
+    backoffBaseMs: parseInt(process.env.WEBHOOKS_BACKOFF_BASE_MS) || 1000,
+    backoffMaxMs: parseInt(process.env.WEBHOOKS_BACKOFF_MAX_MS) || 300000, // 5 min
+    deadLetterMax: parseInt(process.env.WEBHOOKS_DEAD_LETTER_MAX) || 10000,
+    registryTtlMs: parseInt(process.env.WEBHOOKS_REGISTRY_TTL_MS) || 5000,
+    pollIntervalMs: parseInt(process.env.WEBHOOKS_POLL_INTERVAL_MS) || 1000
+  },
+
+  // Grupos de entidades: sets de Redis con los IDs miembros (<prefijo><grupo>)
+  groups: {
+    gpsKeyPrefix: process.env.REDIS_GPS_GROUP_PREFIX || 'gps:group:',
+    mobileKeyPrefix: process.env.REDIS_MOBILE_GROUP_PREFIX || 'mobile:group:'
+  },
+
   // Configuración de la API
   api: {
     key: process.env.API_KEY || null,
@@ -34,6 +139,17 @@ export const config = {
     trustProxy: process.env.TRUST_PROXY === 'true'
   },
 
+  // Formato de errores: 'envelope' (compatibilidad) o 'problem' (RFC 7807)
+  errors: {
+    format: process.env.ERROR_FORMAT === 'problem' ? 'problem' : 'envelope',
+    typeBaseUri: process.env.ERROR_TYPE_BASE_URI || 'urn:gps-last-position-api:problem:'
+  },
+
+  // Idioma de los mensajes de error: ?lang= o Accept-Language, con este valor por defecto
+  i18n: {
+    defaultLanguage: process.env.DEFAULT_LANGUAGE === 'en' ? 'en' : 'es'
+  },
+
   // Configuración de Rate Limiting
   rateLimit: {
     enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
@@ -4,6 +4,33 @@ import { logger } from '../utils/logger.js';
 
 let redisClient = null;
 
+/**
+ * Opciones de conexión comunes a todos los clientes Redis
+ * @private
+ */
+function buildRedisOptions() {
+  const redisConfig = {
+    host: config.redis.host,
+    port: config.redis.port,
+    db: config.redis.db,
+    retryDelayOnFailover: config.redis.retryDelayOnFailover,
+    maxRetriesPerRequest: config.redis.maxRetriesPerRequest,
+    lazyConnect: config.redis.lazyConnect
+  };
+
+  // Configuración para Redis Cloud con SSL
+  if (config.redis.host.includes('redislabs.com') || config.redis.host.includes('redis.cloud')) {
+    redisConfig.tls = {};
+  }
+
+  // Agregar password si está configurado
+  if (config.redis.password) {
+    redisConfig.password = config.redis.password;
+  }
+
+  return redisConfig;
+}
+
 /**
  * Crea y configura el cliente Redis para consultas de última posición
  */
@@ -13,26 +40,7 @@ export function createRedisClient() {
   }
 
   try {
-    const redisConfig = {
-      host: config.redis.host,
-      port: config.redis.port,
-      db: config.redis.db,
-      retryDelayOnFailover: config.redis.retryDelayOnFailover,
-      maxRetriesPerRequest: config.redis.maxRetriesPerRequest,
-      lazyConnect: config.redis.lazyConnect
-    };
-
-    // Configuración para Redis Cloud con SSL
-    if (config.redis.host.includes('redislabs.com') || config.redis.host.includes('redis.cloud')) {
-      redisConfig.tls = {};
-    }
-
-    // Agregar password si está configurado
-    if (config.redis.password) {
-      redisConfig.password = config.redis.password;
-    }
-
-    redisClient = new Redis(redisConfig);
+    redisClient = new Redis(buildRedisOptions());
 
     // Configurar eventos
     redisClient.on('connect', () => {
@@ -63,6 +71,36 @@ export function createRedisClient() {
   }
 }
 
+/**
+ * Crea un cliente Redis dedicado a suscripciones (pub/sub)
+ * Una conexión en modo suscripción no puede ejecutar otros comandos, por eso no se comparte
+ * @returns {Redis} Cliente nuevo (lazyConnect)
+ */
+export function createRedisSubscriber() {
+  const subscriber = new Redis(buildRedisOptions());
+
+  subscriber.on('error', (error) => {
+    logger.error('❌ Error de Redis (suscripciones):', error.message);
+  });
+
+  return subscriber;
+}
+
+/**
+ * Crea un cliente Redis dedicado a transacciones optimistas (WATCH/MULTI/EXEC)
+ * WATCH vale para toda la conexión, por eso no se comparte con las consultas concurrentes de la API
+ * @returns {Redis} Cliente nuevo (lazyConnect: se conecta con el primer comando)
+ */
+export function createRedisTransactionClient() {
+  const client = new Redis(buildRedisOptions());
+
+  client.on('error', (error) => {
+    logger.error('❌ Error de Redis (transacciones):', error.message);
+  });
+
+  return client;
+}
+
 /**
  * Cierra la conexión Redis
  */
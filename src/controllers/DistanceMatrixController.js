@@ -0,0 +1,59 @@
+import { DistanceMatrixService } from '../services/DistanceMatrixService.js';
+import { logger } from '../utils/logger.js';
+import { sendError } from '../utils/errors.js';
+
+/**
+ * Controlador REST para matrices de distancias entre entidades GPS y móviles
+ */
+export class DistanceMatrixController {
+  constructor() {
+    this.service = new DistanceMatrixService();
+  }
+
+  /**
+   * POST /api/distance-matrix
+   * Calcula distancia y rumbo entre cada origen y cada destino
+   * Body: { "origins": [{ "type": "gps", "id": "device-001" }], "destinations": [{ "type": "mobile", "id": "user-001" }] }
+   * Query params: ?unit=km
+   */
+  async getDistanceMatrix(req, res) {
+    try {
+      const { origins, destinations } = req.body;
+      const unit = req.query.unit || 'm';
+
+      logger.info(`🗺️ API: Solicitud de matriz de distancias ${origins.length}x${destinations.length}`);
+
+      const result = await this.service.getDistanceMatrix({ origins, destinations, unit });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp,
+            unit
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getDistanceMatrix:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+}
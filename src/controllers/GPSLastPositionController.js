@@ -1,5 +1,18 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import { GPSLastPositionService } from '../services/GPSLastPositionService.js';
+import { getPositionChangeNotifier } from '../services/PositionChangeNotifier.js';
+import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { sendError } from '../utils/errors.js';
+import { extractGeoJsonGeometry, parseBoundingBoxParam } from '../utils/geo.js';
+import { MVT_CONTENT_TYPE } from '../utils/mvt.js';
+import { CSV_CONTENT_TYPE } from '../utils/csv.js';
+import { NDJSON_CONTENT_TYPE } from '../utils/ndjson.js';
+import { formatPositionTimes, parseDuration, parseTimeOptions } from '../utils/time.js';
+import { parseSinceParam } from '../utils/sync.js';
+import { openEventStream } from '../utils/sse.js';
+import { parseFieldsParam, selectFields } from '../utils/fields.js';
 
 /**
  * Controlador REST para endpoints de última posición GPS
@@ -12,8 +25,13 @@ export class GPSLastPositionController {
   /**
    * GET /api/gps/last/:deviceId
    * Obtiene la última posición completa de un dispositivo específico
+   * Con ?waitForChange=30s&ifVersion=<version> espera a que la posición cambie (long-polling)
    */
   async getLastPosition(req, res) {
+    if (req.query.waitForChange !== undefined) {
+      return await this._waitForPositionChange(req, res);
+    }
+
     try {
       const { deviceId } = req.params;
       
@@ -23,19 +41,19 @@ export class GPSLastPositionController {
       const result = await this.service.getDeviceLastPosition(deviceId, 'full');
 
       if (result.success) {
-        res.status(200).json({
+        res.status(200).set('X-Position-Version', result.version).json({
           success: true,
           data: result.data,
           meta: {
             deviceId: result.deviceId,
+            version: result.version,
             timestamp: result.timestamp,
             format: 'full'
           }
         });
       } else {
         const statusCode = result.code === 'POSITION_NOT_FOUND' ? 404 : 400;
-        res.status(statusCode).json({
-          success: false,
+        sendError(res, statusCode, {
           error: result.error,
           code: result.code,
           meta: {
@@ -48,8 +66,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getLastPosition:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -68,11 +85,12 @@ export class GPSLastPositionController {
   async getMultipleLastPositions(req, res) {
     try {
       const { deviceIds } = req.body;
+      const validOnly = req.query.validOnly === 'true';
 
       logger.info(`📡 API: Solicitud de múltiples últimas posiciones completas para ${deviceIds?.length || 0} dispositivos`);
 
       // Usar formato 'full' para devolver todos los datos
-      const result = await this.service.getMultipleDevicesLastPositions(deviceIds, 'full');
+      const result = await this.service.getMultipleDevicesLastPositions(deviceIds, 'full', { validOnly });
 
       if (result.success) {
         res.status(200).json({
@@ -85,8 +103,7 @@ export class GPSLastPositionController {
           }
         });
       } else {
-        res.status(400).json({
-          success: false,
+        sendError(res, 400, {
           error: result.error,
           code: result.code,
           details: result.invalidIds || result.requested || null,
@@ -99,8 +116,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getMultipleLastPositions:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -114,17 +130,18 @@ export class GPSLastPositionController {
   /**
    * GET /api/gps/last
    * Obtiene todas las últimas posiciones disponibles
-   * Query params: ?limit=10&offset=0
+   * Query params: ?limit=10&offset=0&format=gps&since=<token|timestamp> (sincronización incremental)
    */
   async getAllLastPositions(req, res) {
     try {
       const limit = req.query.limit ? parseInt(req.query.limit) : null;
       const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+      const validOnly = req.query.validOnly === 'true';
+      const format = req.query.format || 'gps';
 
       // Validar parámetros
       if (limit !== null && (isNaN(limit) || limit <= 0 || limit > 1000)) {
-        return res.status(400).json({
-          success: false,
+        return sendError(res, 400, {
           error: 'El parámetro limit debe ser un número entre 1 y 1000',
           code: 'INVALID_LIMIT',
           meta: {
@@ -134,8 +151,7 @@ export class GPSLastPositionController {
       }
 
       if (isNaN(offset) || offset < 0) {
-        return res.status(400).json({
-          success: false,
+        return sendError(res, 400, {
           error: 'El parámetro offset debe ser un número mayor o igual a 0',
           code: 'INVALID_OFFSET',
           meta: {
@@ -144,9 +160,355 @@ export class GPSLastPositionController {
         });
       }
 
+      if (req.query.stream === 'ndjson') {
+        return await this._streamAllLastPositions(req, res, { limit, offset, validOnly, format });
+      }
+
       logger.info(`📡 API GPS: Solicitud de todas las posiciones GPS optimizadas (limit: ${limit}, offset: ${offset})`);
 
-      const result = await this.service.getAllLastPositions({ limit, offset });
+      const since = req.query.since !== undefined ? parseSinceParam(req.query.since) : null;
+
+      const result = await this.service.getAllLastPositions({ limit, offset, validOnly, format, since });
+
+      if (result.success) {
+        // El token también va en cabecera para los formatos que no conservan summary (GPX, KML, binarios)
+        if (result.summary.nextSince) {
+          res.setHeader('X-Next-Since', result.summary.nextSince);
+        }
+
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp,
+            format
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString(),
+            format
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getAllLastPositions:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/gps/nearby
+   * Obtiene los dispositivos dentro de un radio alrededor de un punto
+   * Query params: ?lat=-12.04&lng=-77.03&radius=2&unit=km&format=gps&limit=10&offset=0
+   */
+  async getNearbyPositions(req, res) {
+    const format = req.query.format || 'gps';
+
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+      const radius = parseFloat(req.query.radius);
+      const unit = req.query.unit || 'm';
+      const limit = req.query.limit ? parseInt(req.query.limit) : null;
+      const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+      logger.info(`📡 API GPS: Solicitud de dispositivos cercanos a (${lat}, ${lng}) en ${radius}${unit}`);
+
+      const result = await this.service.getNearbyPositions({ lat, lng, radius, unit, format, limit, offset });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp,
+            format
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString(),
+            format
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getNearbyPositions:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString(),
+          format
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/gps/nearest
+   * Obtiene los k dispositivos más cercanos a un punto, con distancia y rumbo
+   * Query params: ?lat=-12.04&lng=-77.03&k=10&unit=m&format=gps
+   */
+  async getNearestPositions(req, res) {
+    const format = req.query.format || 'gps';
+
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+      const k = req.query.k ? parseInt(req.query.k) : 10;
+      const unit = req.query.unit || 'm';
+
+      logger.info(`📡 API GPS: Solicitud de ${k} dispositivos más cercanos a (${lat}, ${lng})`);
+
+      const result = await this.service.getNearestPositions({ lat, lng, k, unit, format });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp,
+            format
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString(),
+            format
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getNearestPositions:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString(),
+          format
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/gps/nearest/to/gps/:deviceId
+   * Obtiene los k dispositivos más cercanos a otro dispositivo GPS (excluyéndolo)
+   * Query params: ?k=10&unit=m&format=gps
+   */
+  async getNearestToDevice(req, res) {
+    await this._getNearestToEntity(req, res, 'gps', req.params.deviceId);
+  }
+
+  /**
+   * GET /api/gps/nearest/to/mobile/:userId
+   * Obtiene los k dispositivos más cercanos a la última posición de un usuario móvil
+   * Query params: ?k=10&unit=m&format=gps
+   */
+  async getNearestToMobileUser(req, res) {
+    await this._getNearestToEntity(req, res, 'mobile', req.params.userId);
+  }
+
+  /**
+   * Busca los vecinos más cercanos a una entidad y envía la respuesta
+   * @private
+   */
+  async _getNearestToEntity(req, res, entityType, entityId) {
+    const format = req.query.format || 'gps';
+
+    try {
+      const k = req.query.k ? parseInt(req.query.k) : 10;
+      const unit = req.query.unit || 'm';
+
+      logger.info(`📡 API GPS: Solicitud de ${k} dispositivos más cercanos a ${entityType}:${entityId}`);
+
+      const result = await this.service.getNearestToEntity(entityType, entityId, { k, unit, format });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            entityType,
+            entityId,
+            timestamp: result.timestamp,
+            format
+          }
+        });
+      } else {
+        const statusCodes = {
+          POSITION_NOT_FOUND: 404,
+          INVALID_POSITION: 422,
+          INTERNAL_ERROR: 500
+        };
+
+        sendError(res, statusCodes[result.code] || 400, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            entityType,
+            entityId,
+            timestamp: new Date().toISOString(),
+            format
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador de dispositivos más cercanos:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString(),
+          format
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/gps/within
+   * Obtiene los dispositivos dentro de un bounding box (viewport de mapa)
+   * Query params: ?minLat=-12.1&minLng=-77.1&maxLat=-12.0&maxLng=-77.0&format=gps&limit=10&offset=0
+   */
+  async getPositionsWithinBox(req, res) {
+    const format = req.query.format || 'gps';
+
+    try {
+      const bbox = {
+        minLat: parseFloat(req.query.minLat),
+        minLng: parseFloat(req.query.minLng),
+        maxLat: parseFloat(req.query.maxLat),
+        maxLng: parseFloat(req.query.maxLng)
+      };
+      const limit = req.query.limit ? parseInt(req.query.limit) : null;
+      const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+      logger.info(`📡 API GPS: Solicitud de dispositivos dentro del bounding box (limit: ${limit}, offset: ${offset})`);
+
+      const result = await this.service.getPositionsWithinBox({ bbox, format, limit, offset });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp,
+            format
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString(),
+            format
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getPositionsWithinBox:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString(),
+          format
+        }
+      });
+    }
+  }
+
+  /**
+   * POST /api/gps/within/polygon
+   * Obtiene los dispositivos dentro de un Polygon o MultiPolygon GeoJSON
+   * Body: { "type": "Polygon", "coordinates": [[[lng, lat], ...]] } (también acepta un Feature)
+   */
+  async getPositionsWithinPolygon(req, res) {
+    const format = req.query.format || 'gps';
+
+    try {
+      const geometry = extractGeoJsonGeometry(req.body);
+
+      logger.info(`📡 API GPS: Solicitud de dispositivos dentro de un ${geometry.type}`);
+
+      const result = await this.service.getPositionsWithinPolygon(geometry, format);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp,
+            format
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString(),
+            format
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getPositionsWithinPolygon:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString(),
+          format
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/gps/clusters
+   * Agrupa los dispositivos en clusters de grilla según el zoom del mapa
+   * Query params: ?zoom=12&bbox=-77.10,-12.10,-77.00,-12.00
+   */
+  async getClusters(req, res) {
+    try {
+      const zoom = parseInt(req.query.zoom);
+      const bbox = req.query.bbox ? parseBoundingBoxParam(req.query.bbox) : undefined;
+
+      logger.info(`📡 API GPS: Solicitud de clusters en zoom ${zoom}${req.query.bbox ? ` para bbox ${req.query.bbox}` : ''}`);
+
+      const result = await this.service.getClusters({ zoom, bbox });
 
       if (result.success) {
         res.status(200).json({
@@ -159,8 +521,7 @@ export class GPSLastPositionController {
           }
         });
       } else {
-        res.status(500).json({
-          success: false,
+        sendError(res, 500, {
           error: result.error,
           code: result.code,
           meta: {
@@ -171,9 +532,98 @@ export class GPSLastPositionController {
       }
 
     } catch (error) {
-      logger.error('❌ Error en controlador getAllLastPositions:', error.message);
-      res.status(500).json({
-        success: false,
+      logger.error('❌ Error en controlador getClusters:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString(),
+          format: 'gps'
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/gps/tiles/:z/:x/:y.mvt
+   * Devuelve un Mapbox Vector Tile con los dispositivos dentro del tile
+   */
+  async getVectorTile(req, res) {
+    try {
+      const z = parseInt(req.params.z);
+      const x = parseInt(req.params.x);
+      const y = parseInt(req.params.y);
+
+      logger.debug(`📡 API GPS: Solicitud de tile vectorial ${z}/${x}/${y}`);
+
+      const result = await this.service.getVectorTile(z, x, y, { timeOptions: parseTimeOptions(req.query) });
+
+      if (result.success) {
+        res.set({
+          'Content-Type': MVT_CONTENT_TYPE,
+          'Cache-Control': 'no-cache',
+          'X-Tile-Features': String(result.summary.features)
+        });
+        res.status(200).send(result.data);
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            tile: `${z}/${x}/${y}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getVectorTile:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/gps/heatmap
+   * Agrega las últimas posiciones de dispositivos en una grilla de densidad
+   * Query params: ?bbox=-77.10,-12.10,-77.00,-12.00&cellSize=500
+   */
+  async getHeatmap(req, res) {
+    try {
+      const bbox = req.query.bbox ? parseBoundingBoxParam(req.query.bbox) : undefined;
+      const cellSize = req.query.cellSize ? parseFloat(req.query.cellSize) : undefined;
+
+      logger.info(`📡 API GPS: Solicitud de heatmap${cellSize ? ` con celdas de ${cellSize}m` : ''}`);
+
+      const result = await this.service.getHeatmap({ bbox, cellSize });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getHeatmap:', error.message);
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -183,6 +633,167 @@ export class GPSLastPositionController {
     }
   }
 
+  /**
+   * GET /api/gps/export.csv
+   * Exporta todas las últimas posiciones GPS como CSV transmitido por streaming
+   * Query params: ?metadata=speed,heading&validOnly=true&tz=America/Lima&timeFormat=iso
+   */
+  async exportCsv(req, res) {
+    try {
+      const metadataColumns = req.query.metadata
+        ? req.query.metadata.split(',').map(column => column.trim())
+        : config.export.metadataColumns;
+      const validOnly = req.query.validOnly === 'true';
+
+      logger.info(`📡 API GPS: Solicitud de exportación CSV (metadata: ${metadataColumns.join(', ') || 'ninguna'})`);
+
+      const result = await this.service.createCsvExport({ metadataColumns, validOnly, timeOptions: parseTimeOptions(req.query) });
+
+      if (!result.success) {
+        return sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const filename = `gps-last-positions-${result.timestamp.slice(0, 10)}.csv`;
+      res.status(200).set({
+        'Content-Type': CSV_CONTENT_TYPE,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+      });
+
+      // pipeline respeta el backpressure del socket y cierra la respuesta si el cliente se desconecta
+      await pipeline(Readable.from(result.data), res);
+
+    } catch (error) {
+      logger.error('❌ Error en controlador exportCsv:', error.message);
+
+      if (!res.headersSent) {
+        sendError(res, 500, {
+          error: 'Error interno del servidor',
+          code: 'INTERNAL_ERROR',
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * GET /api/gps/stream?deviceIds=device-001,device-002
+   * Stream en vivo (Server-Sent Events): la última posición de cada dispositivo y un evento por cada cambio en Redis
+   * Query params: ?format=gps|mobile|full&tz=America/Lima&timeFormat=iso; se reanuda con la cabecera Last-Event-ID
+   */
+  async streamLastPositions(req, res) {
+    const deviceIds = [...new Set(req.query.deviceIds.split(',').map(id => id.trim()))];
+    const watched = new Set(deviceIds);
+    const format = req.query.format || 'full';
+    // Con ?fields= el formato ya es full (sparseFieldsResponseMiddleware) y cada evento se proyecta
+    const output = {
+      timeOptions: parseTimeOptions(req.query),
+      fields: req.query.fields !== undefined ? parseFieldsParam(req.query.fields).fields : null
+    };
+    const notifier = getPositionChangeNotifier();
+    let stream = null;
+    let unsubscribe = () => {};
+
+    // Los cambios se encadenan para enviarse en orden y solo después de las posiciones iniciales
+    let releaseChanges;
+    let sending = new Promise(resolve => {
+      releaseChanges = resolve;
+    });
+
+    try {
+      logger.info(`📡 API GPS: Stream en vivo para ${deviceIds.length} dispositivos (format: ${format})`);
+
+      // Suscribirse antes de leer Redis para no perder cambios entre la lectura inicial y el stream
+      try {
+        unsubscribe = await notifier.subscribe(change => {
+          if (change.source === 'gps' && watched.has(change.id)) {
+            sending = sending.then(() => this._sendStreamChange(stream, change, format, output));
+          }
+        }, () => stream?.close());
+      } catch (error) {
+        logger.error('❌ Error suscribiendo a cambios de posición:', error.message);
+        return sendError(res, 503, {
+          error: 'Las actualizaciones en vivo no están disponibles',
+          code: 'REALTIME_UNAVAILABLE',
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const lastEventId = req.get('Last-Event-ID');
+      const resumed = lastEventId ? notifier.getChangesSince(lastEventId, 'gps', deviceIds) : null;
+      const eventId = notifier.currentEventId();
+
+      stream = openEventStream(req, res, {
+        retryMs: config.realtime.retryMs,
+        heartbeatMs: config.realtime.heartbeatMs,
+        onClose: () => unsubscribe()
+      });
+
+      // Sin Last-Event-ID válido se envían todas las posiciones; al reanudar, solo las que cambiaron
+      const initialIds = resumed
+        ? resumed.filter(change => change.type === 'position').map(change => change.id)
+        : deviceIds;
+      const result = initialIds.length > 0
+        ? await this.service.getMultipleDevicesLastPositions(initialIds, format)
+        : { success: true, data: [], summary: { notFoundDeviceIds: [] } };
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      for (const position of result.data) {
+        stream.send({ id: eventId, event: 'position', data: this._toStreamPosition(position, output) });
+      }
+
+      for (const change of resumed || []) {
+        if (change.type === 'removed') {
+          stream.send({ id: eventId, event: 'removed', data: { id: change.id } });
+        }
+      }
+
+      stream.send({
+        id: eventId,
+        event: 'ready',
+        data: {
+          deviceIds,
+          notFoundDeviceIds: resumed ? [] : result.summary.notFoundDeviceIds,
+          resumed: Boolean(resumed),
+          format,
+          ...(output.fields ? { fields: output.fields } : {}),
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      releaseChanges();
+
+    } catch (error) {
+      logger.error('❌ Error en controlador streamLastPositions:', error.message);
+      unsubscribe();
+
+      if (!res.headersSent) {
+        sendError(res, 500, {
+          error: 'Error interno del servidor',
+          code: 'INTERNAL_ERROR',
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      } else {
+        stream?.close();
+      }
+    }
+  }
+
   /**
    * GET /api/gps/exists/:deviceId
    * Verifica si existe una última posición para un dispositivo
@@ -205,8 +816,7 @@ export class GPSLastPositionController {
           }
         });
       } else {
-        res.status(400).json({
-          success: false,
+        sendError(res, 400, {
           error: result.error,
           code: result.code,
           meta: {
@@ -218,8 +828,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador checkDeviceExists:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -248,8 +857,7 @@ export class GPSLastPositionController {
           }
         });
       } else {
-        res.status(500).json({
-          success: false,
+        sendError(res, 500, {
           error: result.error,
           code: result.code,
           meta: {
@@ -260,8 +868,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getStats:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -295,8 +902,7 @@ export class GPSLastPositionController {
         });
       } else {
         const statusCode = result.code === 'POSITION_NOT_FOUND' ? 404 : 400;
-        res.status(statusCode).json({
-          success: false,
+        sendError(res, statusCode, {
           error: result.error,
           code: result.code,
           meta: {
@@ -309,8 +915,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getLastPositionForGPS:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -328,10 +933,11 @@ export class GPSLastPositionController {
   async getMultipleLastPositionsForGPS(req, res) {
     try {
       const { deviceIds } = req.body;
+      const validOnly = req.query.validOnly === 'true';
 
       logger.info(`📡 API GPS: Solicitud de múltiples posiciones para ${deviceIds?.length || 0} dispositivos`);
 
-      const result = await this.service.getMultipleDevicesLastPositionsForGPS(deviceIds);
+      const result = await this.service.getMultipleDevicesLastPositionsForGPS(deviceIds, { validOnly });
 
       if (result.success) {
         res.status(200).json({
@@ -344,8 +950,7 @@ export class GPSLastPositionController {
           }
         });
       } else {
-        res.status(400).json({
-          success: false,
+        sendError(res, 400, {
           error: result.error,
           code: result.code,
           details: result.invalidIds || result.requested || null,
@@ -358,8 +963,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getMultipleLastPositionsForGPS:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -394,8 +998,7 @@ export class GPSLastPositionController {
         });
       } else {
         const statusCode = result.code === 'POSITION_NOT_FOUND' ? 404 : 400;
-        res.status(statusCode).json({
-          success: false,
+        sendError(res, statusCode, {
           error: result.error,
           code: result.code,
           meta: {
@@ -408,8 +1011,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getLastPositionForMobile:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -427,10 +1029,11 @@ export class GPSLastPositionController {
   async getMultipleLastPositionsForMobile(req, res) {
     try {
       const { deviceIds } = req.body;
+      const validOnly = req.query.validOnly === 'true';
 
       logger.info(`📱 API Mobile: Solicitud de múltiples posiciones para ${deviceIds?.length || 0} dispositivos`);
 
-      const result = await this.service.getMultipleDevicesLastPositionsForMobile(deviceIds);
+      const result = await this.service.getMultipleDevicesLastPositionsForMobile(deviceIds, { validOnly });
 
       if (result.success) {
         res.status(200).json({
@@ -443,8 +1046,7 @@ export class GPSLastPositionController {
           }
         });
       } else {
-        res.status(400).json({
-          success: false,
+        sendError(res, 400, {
           error: result.error,
           code: result.code,
           details: result.invalidIds || result.requested || null,
@@ -457,8 +1059,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getMultipleLastPositionsForMobile:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -493,8 +1094,7 @@ export class GPSLastPositionController {
         });
       } else {
         const statusCode = result.code === 'POSITION_NOT_FOUND' ? 404 : 400;
-        res.status(statusCode).json({
-          success: false,
+        sendError(res, statusCode, {
           error: result.error,
           code: result.code,
           meta: {
@@ -507,8 +1107,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getLastPositionFull:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -526,10 +1125,11 @@ export class GPSLastPositionController {
   async getMultipleLastPositionsFull(req, res) {
     try {
       const { deviceIds } = req.body;
+      const validOnly = req.query.validOnly === 'true';
 
       logger.info(`📊 API Full: Solicitud de múltiples posiciones completas para ${deviceIds?.length || 0} dispositivos`);
 
-      const result = await this.service.getMultipleDevicesLastPositions(deviceIds, 'full');
+      const result = await this.service.getMultipleDevicesLastPositions(deviceIds, 'full', { validOnly });
 
       if (result.success) {
         res.status(200).json({
@@ -542,8 +1142,7 @@ export class GPSLastPositionController {
           }
         });
       } else {
-        res.status(400).json({
-          success: false,
+        sendError(res, 400, {
           error: result.error,
           code: result.code,
           details: result.invalidIds || result.requested || null,
@@ -556,8 +1155,7 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getMultipleLastPositionsFull:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -591,9 +1189,10 @@ export class GPSLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en health check:', error.message);
-      res.status(503).json({
+      sendError(res, 503, {
+        error: 'Servicio temporalmente no disponible',
+        code: 'SERVICE_UNAVAILABLE',
         healthy: false,
-        error: error.message,
         meta: {
           timestamp: new Date().toISOString(),
           service: 'gps-last-position-api',
@@ -602,4 +1201,226 @@ export class GPSLastPositionController {
       });
     }
   }
+
+  /**
+   * Long-polling de la última posición de un dispositivo (?waitForChange=30s&ifVersion=<version>)
+   * Responde en cuanto la versión difiere de ifVersion (o de la vigente si no se envía);
+   * sin cambios dentro del plazo responde 304 con la versión vigente en X-Position-Version
+   * @private
+   */
+  async _waitForPositionChange(req, res) {
+    const { deviceId } = req.params;
+    const waitMs = parseDuration(req.query.waitForChange);
+    const notifier = getPositionChangeNotifier();
+    const startedAt = Date.now();
+    let unsubscribe = () => {};
+
+    // Estado compartido con el listener: un cambio pendiente, el cierre del notifier o del cliente despiertan la espera
+    let pendingChange = false;
+    let stopped = false;
+    let closed = false;
+    let wakeUp = () => {};
+
+    res.on('close', () => {
+      closed = true;
+      wakeUp();
+    });
+
+    try {
+      logger.info(`📡 API GPS: Long-polling de ${deviceId} (espera máxima ${waitMs}ms)`);
+
+      // Suscribirse antes de leer Redis para no perder un cambio entre la lectura y la espera
+      try {
+        unsubscribe = await notifier.subscribe(change => {
+          if (change.source === 'gps' && change.id === deviceId) {
+            pendingChange = true;
+            wakeUp();
+          }
+        }, () => {
+          stopped = true;
+          wakeUp();
+        });
+      } catch (error) {
+        logger.error('❌ Error suscribiendo a cambios de posición:', error.message);
+        return sendError(res, 503, {
+          error: 'Las actualizaciones en vivo no están disponibles',
+          code: 'REALTIME_UNAVAILABLE',
+          meta: {
+            deviceId,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      let result = await this.service.getDeviceLastPosition(deviceId, 'full');
+      const baseVersion = req.query.ifVersion || result.version;
+
+      // timeoutMiddleware no debe cortar la espera: su límite se amplía por la duración pedida
+      req.extendTimeout?.(waitMs);
+
+      while (result.success && result.version === baseVersion) {
+        const remainingMs = startedAt + waitMs - Date.now();
+
+        if (!pendingChange && !stopped && !closed && remainingMs > 0) {
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, remainingMs);
+            wakeUp = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+        }
+
+        if (closed) {
+          return;
+        }
+
+        // Sin eventos dentro del plazo (o el servidor se está cerrando): se relee antes de responder 304
+        // por si el cambio ocurrió y su notificación se perdió (reconexión del suscriptor)
+        if (!pendingChange) {
+          result = await this.service.getDeviceLastPosition(deviceId, 'full');
+
+          if (closed) {
+            return;
+          }
+
+          if (result.success && result.version === baseVersion) {
+            res.status(304).set({ 'X-Position-Version': result.version, 'Cache-Control': 'no-store' }).end();
+            return;
+          }
+
+          break;
+        }
+
+        pendingChange = false;
+        result = await this.service.getDeviceLastPosition(deviceId, 'full');
+      }
+
+      if (closed) {
+        return;
+      }
+
+      if (!result.success) {
+        return sendError(res, result.code === 'POSITION_NOT_FOUND' ? 404 : 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            deviceId,
+            timestamp: new Date().toISOString(),
+            format: 'full'
+          }
+        });
+      }
+
+      res.status(200).set({ 'X-Position-Version': result.version, 'Cache-Control': 'no-store' }).json({
+        success: true,
+        data: result.data,
+        meta: {
+          deviceId: result.deviceId,
+          version: result.version,
+          waitedMs: Date.now() - startedAt,
+          timestamp: result.timestamp,
+          format: 'full'
+        }
+      });
+
+    } catch (error) {
+      logger.error('❌ Error en controlador de long-polling:', error.message);
+
+      if (!res.headersSent) {
+        sendError(res, 500, {
+          error: 'Error interno del servidor',
+          code: 'INTERNAL_ERROR',
+          meta: {
+            timestamp: new Date().toISOString(),
+            format: 'full'
+          }
+        });
+      }
+    } finally {
+      unsubscribe();
+    }
+  }
+
+  /**
+   * Transmite todas las últimas posiciones como NDJSON (una posición por línea)
+   * @param {Object} req - Request con ?fields opcional
+   * @param {Object} res - Response
+   * @param {Object} options - { limit, offset, validOnly, format } ya validados
+   * @private
+   */
+  async _streamAllLastPositions(req, res, options) {
+    const fields = req.query.fields ? parseFieldsParam(req.query.fields).fields : null;
+
+    logger.info(`📡 API GPS: Streaming NDJSON de todas las posiciones (limit: ${options.limit}, offset: ${options.offset})`);
+
+    const result = await this.service.createPositionStream({ ...options, fields, timeOptions: parseTimeOptions(req.query) });
+
+    if (!result.success) {
+      return sendError(res, 500, {
+        error: result.error,
+        code: result.code,
+        meta: {
+          timestamp: new Date().toISOString(),
+          format: options.format
+        }
+      });
+    }
+
+    res.status(200).set({
+      'Content-Type': NDJSON_CONTENT_TYPE,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await pipeline(Readable.from(result.data), res);
+    } catch (error) {
+      // Con la respuesta ya iniciada solo se puede cortar la conexión
+      logger.error('❌ Error transmitiendo NDJSON:', error.message);
+    }
+  }
+
+  /**
+   * Aplica ?fields=, ?tz= y ?timeFormat= a una posición del stream SSE
+   * @param {Object} position - Posición en el formato del stream
+   * @param {Object} output - { timeOptions, fields }
+   * @returns {Object} Datos del evento position
+   * @private
+   */
+  _toStreamPosition(position, { timeOptions, fields }) {
+    return formatPositionTimes(fields ? selectFields(position, fields) : position, timeOptions);
+  }
+
+  /**
+   * Envía al stream SSE la posición actual de una entidad que cambió en Redis
+   * @param {Object} stream - Resultado de openEventStream
+   * @param {Object} change - Cambio del PositionChangeNotifier
+   * @param {string} format - Formato de la posición
+   * @param {Object} output - { timeOptions, fields } de la petición
+   * @private
+   */
+  async _sendStreamChange(stream, change, format, output) {
+    if (!stream || stream.closed) {
+      return;
+    }
+
+    try {
+      const result = change.type === 'position'
+        ? await this.service.getMultipleDevicesLastPositions([change.id], format)
+        : null;
+
+      if (result && !result.success) {
+        throw new Error(result.error);
+      }
+
+      // Si la clave se borró entre la notificación y la lectura también se informa como removed
+      if (result && result.data.length > 0) {
+        stream.send({ id: change.eventId, event: 'position', data: this._toStreamPosition(result.data[0], output) });
+      } else {
+        stream.send({ id: change.eventId, event: 'removed', data: { id: change.id } });
+      }
+    } catch (error) {
+      logger.error(`❌ Error enviando cambio de ${change.id} al stream en vivo:`, error.message);
+    }
+  }
 }
\ No newline at end of file
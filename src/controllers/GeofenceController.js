@@ -0,0 +1,249 @@
+import { GeofenceService } from '../services/GeofenceService.js';
+import { logger } from '../utils/logger.js';
+import { sendError } from '../utils/errors.js';
+
+/**
+ * Controlador REST para el registro de geocercas y la evaluación de entradas/salidas
+ */
+export class GeofenceController {
+  constructor() {
+    this.service = new GeofenceService();
+  }
+
+  /**
+   * POST /api/geofences
+   * Crea una geocerca (circle o polygon)
+   */
+  async createGeofence(req, res) {
+    try {
+      logger.info(`🧭 API: Solicitud de creación de geocerca ${req.body.name}`);
+
+      const result = await this.service.createGeofence(req.body);
+
+      if (result.success) {
+        res.status(201).json({
+          success: true,
+          data: result.data,
+          meta: {
+            geofenceId: result.data.id,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador createGeofence:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * GET /api/geofences
+   * Lista todas las geocercas registradas
+   */
+  async listGeofences(req, res) {
+    try {
+      logger.info('🧭 API: Solicitud de listado de geocercas');
+
+      const result = await this.service.listGeofences();
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador listGeofences:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * GET /api/geofences/:geofenceId
+   * Obtiene una geocerca
+   */
+  async getGeofence(req, res) {
+    try {
+      const { geofenceId } = req.params;
+
+      logger.info(`🧭 API: Solicitud de geocerca ${geofenceId}`);
+
+      const result = await this.service.getGeofence(geofenceId);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          meta: {
+            geofenceId,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getGeofence:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * PUT /api/geofences/:geofenceId
+   * Reemplaza los datos de una geocerca
+   */
+  async updateGeofence(req, res) {
+    try {
+      const { geofenceId } = req.params;
+
+      logger.info(`🧭 API: Solicitud de actualización de geocerca ${geofenceId}`);
+
+      const result = await this.service.updateGeofence(geofenceId, req.body);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          meta: {
+            geofenceId,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador updateGeofence:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * DELETE /api/geofences/:geofenceId
+   * Elimina una geocerca
+   */
+  async deleteGeofence(req, res) {
+    try {
+      const { geofenceId } = req.params;
+
+      logger.info(`🧭 API: Solicitud de eliminación de geocerca ${geofenceId}`);
+
+      const result = await this.service.deleteGeofence(geofenceId);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          deleted: true,
+          meta: {
+            geofenceId,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador deleteGeofence:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * GET /api/geofences/evaluate/gps/:deviceId
+   * Evalúa en qué geocercas está la última posición de un dispositivo GPS
+   */
+  async evaluateDevice(req, res) {
+    await this._evaluate(req, res, 'gps', req.params.deviceId);
+  }
+
+  /**
+   * GET /api/geofences/evaluate/mobile/:userId
+   * Evalúa en qué geocercas está la última posición de un usuario móvil
+   */
+  async evaluateUser(req, res) {
+    await this._evaluate(req, res, 'mobile', req.params.userId);
+  }
+
+  /**
+   * Evalúa una entidad y envía la respuesta
+   * @private
+   */
+  async _evaluate(req, res, entityType, entityId) {
+    try {
+      logger.info(`🧭 API: Evaluación de geocercas para ${entityType}:${entityId}`);
+
+      const result = await this.service.evaluateEntity(entityType, entityId);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            entityType,
+            entityId,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result, { entityType, entityId });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador de evaluación de geocercas:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * Envía un error de servicio con el código HTTP correspondiente
+   * @private
+   */
+  _sendError(res, result, meta = {}) {
+    const statusCodes = {
+      GEOFENCE_NOT_FOUND: 404,
+      POSITION_NOT_FOUND: 404,
+      GEOFENCE_ALREADY_EXISTS: 409,
+      INVALID_POSITION: 422,
+      INTERNAL_ERROR: 500
+    };
+
+    sendError(res, statusCodes[result.code] || 400, {
+      error: result.error,
+      code: result.code,
+      meta: {
+        ...(result.geofenceId ? { geofenceId: result.geofenceId } : {}),
+        ...meta,
+        timestamp: new Date().toISOString()
+      },
+      params: { maximum: result.maximum }
+    });
+  }
+
+  /**
+   * Envía un error interno genérico
+   * @private
+   */
+  _sendInternalError(res) {
+    sendError(res, 500, {
+      error: 'Error interno del servidor',
+      code: 'INTERNAL_ERROR',
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
@@ -1,5 +1,18 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import { MobileLastPositionService } from '../services/MobileLastPositionService.js';
+import { getPositionChangeNotifier } from '../services/PositionChangeNotifier.js';
+import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { sendError } from '../utils/errors.js';
+import { parseBoundingBoxParam } from '../utils/geo.js';
+import { MVT_CONTENT_TYPE } from '../utils/mvt.js';
+import { CSV_CONTENT_TYPE } from '../utils/csv.js';
+import { NDJSON_CONTENT_TYPE } from '../utils/ndjson.js';
+import { formatPositionTimes, parseTimeOptions } from '../utils/time.js';
+import { parseSinceParam } from '../utils/sync.js';
+import { openEventStream } from '../utils/sse.js';
+import { parseFieldsParam, selectFields } from '../utils/fields.js';
 
 /**
  * Controlador REST para endpoints de última posición móvil
@@ -33,8 +46,7 @@ export class MobileLastPositionController {
         });
       } else {
         const statusCode = result.code === 'POSITION_NOT_FOUND' ? 404 : 400;
-        res.status(statusCode).json({
-          success: false,
+        sendError(res, statusCode, {
           error: result.error,
           code: result.code,
           meta: {
@@ -47,8 +59,7 @@ export class MobileLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getLastPosition móvil:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -67,10 +78,11 @@ export class MobileLastPositionController {
   async getMultipleLastPositions(req, res) {
     try {
       const { userIds } = req.body;
+      const validOnly = req.query.validOnly === 'true';
 
       logger.info(`📱 API: Solicitud de múltiples últimas posiciones móviles completas para ${userIds?.length || 0} usuarios`);
 
-      const result = await this.service.getMultipleUsersLastPositions(userIds);
+      const result = await this.service.getMultipleUsersLastPositions(userIds, { validOnly });
 
       if (result.success) {
         res.status(200).json({
@@ -83,8 +95,7 @@ export class MobileLastPositionController {
           }
         });
       } else {
-        res.status(400).json({
-          success: false,
+        sendError(res, 400, {
           error: result.error,
           code: result.code,
           details: result.invalidIds || result.requested || null,
@@ -97,8 +108,7 @@ export class MobileLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getMultipleLastPositions móvil:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -112,17 +122,18 @@ export class MobileLastPositionController {
   /**
    * GET /api/mobile/last
    * Obtiene todas las últimas posiciones móviles disponibles
-   * Query params: ?limit=10&offset=0
+   * Query params: ?limit=10&offset=0&format=mobile|full&since=<token|timestamp> (sincronización incremental)
    */
   async getAllLastPositions(req, res) {
     try {
       const limit = req.query.limit ? parseInt(req.query.limit) : null;
       const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+      const validOnly = req.query.validOnly === 'true';
+      const format = req.query.format === 'full' ? 'full' : 'mobile';
 
       // Validar parámetros
       if (limit !== null && (isNaN(limit) || limit <= 0 || limit > 1000)) {
-        return res.status(400).json({
-          success: false,
+        return sendError(res, 400, {
           error: 'El parámetro limit debe ser un número entre 1 y 1000',
           code: 'INVALID_LIMIT',
           meta: {
@@ -132,8 +143,7 @@ export class MobileLastPositionController {
       }
 
       if (isNaN(offset) || offset < 0) {
-        return res.status(400).json({
-          success: false,
+        return sendError(res, 400, {
           error: 'El parámetro offset debe ser un número mayor o igual a 0',
           code: 'INVALID_OFFSET',
           meta: {
@@ -142,36 +152,189 @@ export class MobileLastPositionController {
         });
       }
 
+      if (req.query.stream === 'ndjson') {
+        return await this._streamAllLastPositions(req, res, { limit, offset, validOnly, format });
+      }
+
       logger.info(`📱 API Mobile: Solicitud de todas las posiciones móviles optimizadas (limit: ${limit}, offset: ${offset})`);
 
-      const result = await this.service.getAllLastPositions({ limit, offset });
+      const since = req.query.since !== undefined ? parseSinceParam(req.query.since) : null;
+
+      const result = await this.service.getAllLastPositions({ limit, offset, validOnly, format, since });
 
       if (result.success) {
+        // El token también va en cabecera para los formatos que no conservan summary (GPX, KML, binarios)
+        if (result.summary.nextSince) {
+          res.setHeader('X-Next-Since', result.summary.nextSince);
+        }
+
         res.status(200).json({
           success: true,
           data: result.data,
           summary: result.summary,
           meta: {
             timestamp: result.timestamp,
-            format: 'mobile'
+            format
           }
         });
       } else {
-        res.status(500).json({
-          success: false,
+        sendError(res, 500, {
           error: result.error,
           code: result.code,
           meta: {
             timestamp: new Date().toISOString(),
-            format: 'mobile'
+            format
           }
         });
       }
 
     } catch (error) {
       logger.error('❌ Error en controlador getAllLastPositions móvil:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/mobile/within
+   * Obtiene los usuarios móviles dentro de un bounding box (viewport de mapa)
+   * Query params: ?minLat=-12.1&minLng=-77.1&maxLat=-12.0&maxLng=-77.0&limit=10&offset=0&format=mobile|full
+   */
+  async getPositionsWithinBox(req, res) {
+    try {
+      const bbox = {
+        minLat: parseFloat(req.query.minLat),
+        minLng: parseFloat(req.query.minLng),
+        maxLat: parseFloat(req.query.maxLat),
+        maxLng: parseFloat(req.query.maxLng)
+      };
+      const limit = req.query.limit ? parseInt(req.query.limit) : null;
+      const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+      const format = req.query.format === 'full' ? 'full' : 'mobile';
+
+      logger.info(`📱 API Mobile: Solicitud de usuarios móviles dentro del bounding box (limit: ${limit}, offset: ${offset})`);
+
+      const result = await this.service.getPositionsWithinBox({ bbox, limit, offset, format });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp,
+            format
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString(),
+            format
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getPositionsWithinBox móvil:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString(),
+          format: 'mobile'
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/mobile/tiles/:z/:x/:y.mvt
+   * Devuelve un Mapbox Vector Tile con los usuarios móviles dentro del tile
+   */
+  async getVectorTile(req, res) {
+    try {
+      const z = parseInt(req.params.z);
+      const x = parseInt(req.params.x);
+      const y = parseInt(req.params.y);
+
+      logger.debug(`📱 API Mobile: Solicitud de tile vectorial ${z}/${x}/${y}`);
+
+      const result = await this.service.getVectorTile(z, x, y, { timeOptions: parseTimeOptions(req.query) });
+
+      if (result.success) {
+        res.set({
+          'Content-Type': MVT_CONTENT_TYPE,
+          'Cache-Control': 'no-cache',
+          'X-Tile-Features': String(result.summary.features)
+        });
+        res.status(200).send(result.data);
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            tile: `${z}/${x}/${y}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getVectorTile móvil:', error.message);
+      sendError(res, 500, {
+        error: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR',
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * GET /api/mobile/heatmap
+   * Agrega las últimas posiciones de usuarios móviles en una grilla de densidad
+   * Query params: ?bbox=-77.10,-12.10,-77.00,-12.00&cellSize=500
+   */
+  async getHeatmap(req, res) {
+    try {
+      const bbox = req.query.bbox ? parseBoundingBoxParam(req.query.bbox) : undefined;
+      const cellSize = req.query.cellSize ? parseFloat(req.query.cellSize) : undefined;
+
+      logger.info(`📱 API Mobile: Solicitud de heatmap${cellSize ? ` con celdas de ${cellSize}m` : ''}`);
+
+      const result = await this.service.getHeatmap({ bbox, cellSize });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getHeatmap móvil:', error.message);
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -181,6 +344,167 @@ export class MobileLastPositionController {
     }
   }
 
+  /**
+   * GET /api/mobile/export.csv
+   * Exporta todas las últimas posiciones móviles como CSV transmitido por streaming
+   * Query params: ?metadata=speed,heading&validOnly=true&tz=America/Lima&timeFormat=iso
+   */
+  async exportCsv(req, res) {
+    try {
+      const metadataColumns = req.query.metadata
+        ? req.query.metadata.split(',').map(column => column.trim())
+        : config.export.metadataColumns;
+      const validOnly = req.query.validOnly === 'true';
+
+      logger.info(`📱 API Mobile: Solicitud de exportación CSV (metadata: ${metadataColumns.join(', ') || 'ninguna'})`);
+
+      const result = await this.service.createCsvExport({ metadataColumns, validOnly, timeOptions: parseTimeOptions(req.query) });
+
+      if (!result.success) {
+        return sendError(res, 500, {
+          error: result.error,
+          code: result.code,
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const filename = `mobile-last-positions-${result.timestamp.slice(0, 10)}.csv`;
+      res.status(200).set({
+        'Content-Type': CSV_CONTENT_TYPE,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+      });
+
+      // pipeline respeta el backpressure del socket y cierra la respuesta si el cliente se desconecta
+      await pipeline(Readable.from(result.data), res);
+
+    } catch (error) {
+      logger.error('❌ Error en controlador exportCsv móvil:', error.message);
+
+      if (!res.headersSent) {
+        sendError(res, 500, {
+          error: 'Error interno del servidor',
+          code: 'INTERNAL_ERROR',
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * GET /api/mobile/stream?userIds=user-001,user-002
+   * Stream en vivo (Server-Sent Events): la última posición de cada usuario y un evento por cada cambio en Redis
+   * Query params: ?format=mobile|full&tz=America/Lima&timeFormat=iso; se reanuda con la cabecera Last-Event-ID
+   */
+  async streamLastPositions(req, res) {
+    const userIds = [...new Set(req.query.userIds.split(',').map(id => id.trim()))];
+    const watched = new Set(userIds);
+    const format = req.query.format || 'full';
+    // Con ?fields= el formato ya es full (sparseFieldsResponseMiddleware) y cada evento se proyecta
+    const output = {
+      timeOptions: parseTimeOptions(req.query),
+      fields: req.query.fields !== undefined ? parseFieldsParam(req.query.fields).fields : null
+    };
+    const notifier = getPositionChangeNotifier();
+    let stream = null;
+    let unsubscribe = () => {};
+
+    // Los cambios se encadenan para enviarse en orden y solo después de las posiciones iniciales
+    let releaseChanges;
+    let sending = new Promise(resolve => {
+      releaseChanges = resolve;
+    });
+
+    try {
+      logger.info(`📱 API Mobile: Stream en vivo para ${userIds.length} usuarios (format: ${format})`);
+
+      // Suscribirse antes de leer Redis para no perder cambios entre la lectura inicial y el stream
+      try {
+        unsubscribe = await notifier.subscribe(change => {
+          if (change.source === 'mobile' && watched.has(change.id)) {
+            sending = sending.then(() => this._sendStreamChange(stream, change, format, output));
+          }
+        }, () => stream?.close());
+      } catch (error) {
+        logger.error('❌ Error suscribiendo a cambios de posición móvil:', error.message);
+        return sendError(res, 503, {
+          error: 'Las actualizaciones en vivo no están disponibles',
+          code: 'REALTIME_UNAVAILABLE',
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const lastEventId = req.get('Last-Event-ID');
+      const resumed = lastEventId ? notifier.getChangesSince(lastEventId, 'mobile', userIds) : null;
+      const eventId = notifier.currentEventId();
+
+      stream = openEventStream(req, res, {
+        retryMs: config.realtime.retryMs,
+        heartbeatMs: config.realtime.heartbeatMs,
+        onClose: () => unsubscribe()
+      });
+
+      // Sin Last-Event-ID válido se envían todas las posiciones; al reanudar, solo las que cambiaron
+      const initialIds = resumed
+        ? resumed.filter(change => change.type === 'position').map(change => change.id)
+        : userIds;
+      const result = initialIds.length > 0
+        ? await this.service.getMultipleUsersLastPositions(initialIds, { format })
+        : { success: true, data: [], summary: { notFoundUserIds: [] } };
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      for (const position of result.data) {
+        stream.send({ id: eventId, event: 'position', data: this._toStreamPosition(position, output) });
+      }
+
+      for (const change of resumed || []) {
+        if (change.type === 'removed') {
+          stream.send({ id: eventId, event: 'removed', data: { id: change.id } });
+        }
+      }
+
+      stream.send({
+        id: eventId,
+        event: 'ready',
+        data: {
+          userIds,
+          notFoundUserIds: resumed ? [] : result.summary.notFoundUserIds,
+          resumed: Boolean(resumed),
+          format,
+          ...(output.fields ? { fields: output.fields } : {}),
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      releaseChanges();
+
+    } catch (error) {
+      logger.error('❌ Error en controlador streamLastPositions móvil:', error.message);
+      unsubscribe();
+
+      if (!res.headersSent) {
+        sendError(res, 500, {
+          error: 'Error interno del servidor',
+          code: 'INTERNAL_ERROR',
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      } else {
+        stream?.close();
+      }
+    }
+  }
+
   /**
    * GET /api/mobile/exists/:userId
    * Verifica si existe una última posición para un usuario móvil
@@ -203,8 +527,7 @@ export class MobileLastPositionController {
           }
         });
       } else {
-        res.status(400).json({
-          success: false,
+        sendError(res, 400, {
           error: result.error,
           code: result.code,
           meta: {
@@ -216,8 +539,7 @@ export class MobileLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador checkUserExists móvil:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -246,8 +568,7 @@ export class MobileLastPositionController {
           }
         });
       } else {
-        res.status(500).json({
-          success: false,
+        sendError(res, 500, {
           error: result.error,
           code: result.code,
           meta: {
@@ -258,8 +579,7 @@ export class MobileLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en controlador getStats móvil:', error.message);
-      res.status(500).json({
-        success: false,
+      sendError(res, 500, {
         error: 'Error interno del servidor',
         code: 'INTERNAL_ERROR',
         meta: {
@@ -292,9 +612,10 @@ export class MobileLastPositionController {
 
     } catch (error) {
       logger.error('❌ Error en health check móvil:', error.message);
-      res.status(503).json({
+      sendError(res, 503, {
+        error: 'Servicio temporalmente no disponible',
+        code: 'SERVICE_UNAVAILABLE',
         healthy: false,
-        error: error.message,
         meta: {
           timestamp: new Date().toISOString(),
           service: 'mobile-last-position-api',
@@ -303,4 +624,86 @@ export class MobileLastPositionController {
       });
     }
   }
+
+  /**
+   * Transmite todas las últimas posiciones como NDJSON (una posición por línea)
+   * @param {Object} req - Request con ?fields opcional
+   * @param {Object} res - Response
+   * @param {Object} options - { limit, offset, validOnly, format } ya validados
+   * @private
+   */
+  async _streamAllLastPositions(req, res, options) {
+    const fields = req.query.fields ? parseFieldsParam(req.query.fields).fields : null;
+
+    logger.info(`📱 API Mobile: Streaming NDJSON de todas las posiciones (limit: ${options.limit}, offset: ${options.offset})`);
+
+    const result = await this.service.createPositionStream({ ...options, fields, timeOptions: parseTimeOptions(req.query) });
+
+    if (!result.success) {
+      return sendError(res, 500, {
+        error: result.error,
+        code: result.code,
+        meta: {
+          timestamp: new Date().toISOString(),
+          format: options.format
+        }
+      });
+    }
+
+    res.status(200).set({
+      'Content-Type': NDJSON_CONTENT_TYPE,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await pipeline(Readable.from(result.data), res);
+    } catch (error) {
+      // Con la respuesta ya iniciada solo se puede cortar la conexión
+      logger.error('❌ Error transmitiendo NDJSON móvil:', error.message);
+    }
+  }
+
+  /**
+   * Aplica ?fields=, ?tz= y ?timeFormat= a una posición del stream SSE
+   * @param {Object} position - Posición en el formato del stream
+   * @param {Object} output - { timeOptions, fields }
+   * @returns {Object} Datos del evento position
+   * @private
+   */
+  _toStreamPosition(position, { timeOptions, fields }) {
+    return formatPositionTimes(fields ? selectFields(position, fields) : position, timeOptions);
+  }
+
+  /**
+   * Envía al stream SSE la posición actual de una entidad que cambió en Redis
+   * @param {Object} stream - Resultado de openEventStream
+   * @param {Object} change - Cambio del PositionChangeNotifier
+   * @param {string} format - Formato de la posición
+   * @param {Object} output - { timeOptions, fields } de la petición
+   * @private
+   */
+  async _sendStreamChange(stream, change, format, output) {
+    if (!stream || stream.closed) {
+      return;
+    }
+
+    try {
+      const result = change.type === 'position'
+        ? await this.service.getMultipleUsersLastPositions([change.id], { format })
+        : null;
+
+      if (result && !result.success) {
+        throw new Error(result.error);
+      }
+
+      // Si la clave se borró entre la notificación y la lectura también se informa como removed
+      if (result && result.data.length > 0) {
+        stream.send({ id: change.eventId, event: 'position', data: this._toStreamPosition(result.data[0], output) });
+      } else {
+        stream.send({ id: change.eventId, event: 'removed', data: { id: change.id } });
+      }
+    } catch (error) {
+      logger.error(`❌ Error enviando cambio de ${change.id} al stream en vivo móvil:`, error.message);
+    }
+  }
 }
\ No newline at end of file
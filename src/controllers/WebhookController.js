@@ -0,0 +1,247 @@
+import { WebhookService } from '../services/WebhookService.js';
+import { logger } from '../utils/logger.js';
+import { sendError } from '../utils/errors.js';
+
+/**
+ * Controlador REST para el registro de webhooks y la consulta de entregas fallidas
+ */
+export class WebhookController {
+  constructor() {
+    this.service = new WebhookService();
+  }
+
+  /**
+   * POST /api/webhooks
+   * Registra un webhook y devuelve su secreto de firma
+   */
+  async createWebhook(req, res) {
+    try {
+      logger.info(`🪝 API: Solicitud de creación de webhook para ${req.body.url}`);
+
+      const result = await this.service.createWebhook(req.body);
+
+      if (result.success) {
+        res.status(201).json({
+          success: true,
+          data: result.data,
+          meta: {
+            webhookId: result.data.id,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador createWebhook:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * GET /api/webhooks
+   * Lista los webhooks registrados y el estado de la cola de entregas
+   */
+  async listWebhooks(req, res) {
+    try {
+      logger.info('🪝 API: Solicitud de listado de webhooks');
+
+      const result = await this.service.listWebhooks();
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador listWebhooks:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * GET /api/webhooks/dead-letters?limit=50
+   * Lista las entregas que agotaron sus reintentos
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+      if (isNaN(limit) || limit <= 0 || limit > 1000) {
+        return sendError(res, 400, {
+          error: 'El parámetro limit debe ser un número entre 1 y 1000',
+          code: 'INVALID_LIMIT',
+          meta: {
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      logger.info(`🪝 API: Solicitud de dead-letter de webhooks (limit ${limit})`);
+
+      const result = await this.service.listDeadLetters(limit);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          summary: result.summary,
+          meta: {
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador listDeadLetters:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * GET /api/webhooks/:webhookId
+   * Obtiene un webhook
+   */
+  async getWebhook(req, res) {
+    try {
+      const { webhookId } = req.params;
+
+      logger.info(`🪝 API: Solicitud de webhook ${webhookId}`);
+
+      const result = await this.service.getWebhook(webhookId);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          meta: {
+            webhookId,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador getWebhook:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * PUT /api/webhooks/:webhookId
+   * Reemplaza los datos de un webhook
+   */
+  async updateWebhook(req, res) {
+    try {
+      const { webhookId } = req.params;
+
+      logger.info(`🪝 API: Solicitud de actualización de webhook ${webhookId}`);
+
+      const result = await this.service.updateWebhook(webhookId, req.body);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          data: result.data,
+          meta: {
+            webhookId,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador updateWebhook:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * DELETE /api/webhooks/:webhookId
+   * Elimina un webhook
+   */
+  async deleteWebhook(req, res) {
+    try {
+      const { webhookId } = req.params;
+
+      logger.info(`🪝 API: Solicitud de eliminación de webhook ${webhookId}`);
+
+      const result = await this.service.deleteWebhook(webhookId);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          deleted: true,
+          meta: {
+            webhookId,
+            timestamp: result.timestamp
+          }
+        });
+      } else {
+        this._sendError(res, result);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en controlador deleteWebhook:', error.message);
+      this._sendInternalError(res);
+    }
+  }
+
+  /**
+   * Envía un error de servicio con el código HTTP correspondiente
+   * @private
+   */
+  _sendError(res, result, meta = {}) {
+    const statusCodes = {
+      WEBHOOK_NOT_FOUND: 404,
+      WEBHOOK_ALREADY_EXISTS: 409,
+      TOO_MANY_WEBHOOKS: 409,
+      GEOFENCE_NOT_FOUND: 422,
+      WEBHOOK_URL_NOT_ALLOWED: 422,
+      WEBHOOK_URL_UNRESOLVED: 422,
+      INTERNAL_ERROR: 500
+    };
+
+    sendError(res, statusCodes[result.code] || 400, {
+      error: result.error,
+      code: result.code,
+      meta: {
+        ...(result.webhookId ? { webhookId: result.webhookId } : {}),
+        ...(result.geofenceId ? { geofenceId: result.geofenceId } : {}),
+        ...(result.hostname ? { hostname: result.hostname } : {}),
+        ...meta,
+        timestamp: new Date().toISOString()
+      },
+      params: { maximum: result.maximum }
+    });
+  }
+
+  /**
+   * Envía un error interno genérico
+   * @private
+   */
+  _sendInternalError(res) {
+    sendError(res, 500, {
+      error: 'Error interno del servidor',
+      code: 'INTERNAL_ERROR',
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Página de documentación interactiva (Swagger UI) sobre el documento OpenAPI
+ * Los assets se cargan desde jsDelivr para no agregar dependencias al servicio
+ */
+
+const SWAGGER_UI_VERSION = '5.17.14';
+const SWAGGER_UI_CDN = `https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+
+/**
+ * Genera el HTML de la página de documentación
+ * @param {string} specUrl - URL del documento OpenAPI (/api/v4/openapi.json)
+ * @returns {string} Documento HTML
+ */
+export function renderDocsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>GPS & Mobile Last Position API - Documentación</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: ${JSON.stringify(specUrl)},
+      dom_id: '#swagger-ui',
+      deepLinking: true,
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>
+`;
+}
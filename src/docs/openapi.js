@@ -0,0 +1,933 @@
+import { config } from '../config/env.js';
+import { COORDINATE_QUALITY, UNIT_TO_METERS } from '../utils/geo.js';
+import { MAX_MAP_ZOOM } from '../utils/grid.js';
+import { MAX_FIELDS, POSITION_FIELDS } from '../utils/fields.js';
+import { SUPPORTED_LANGUAGES } from '../utils/i18n.js';
+import { TIME_FORMATS } from '../utils/time.js';
+import { PROTOBUF_CONTENT_TYPE, PROTOBUF_MESSAGE_TYPE } from '../utils/lastPositionProto.js';
+
+/**
+ * Documento OpenAPI 3 de las rutas GPS (/api/v4/gps) y móviles (/api/v4/mobile)
+ * Es la fuente de validación de parámetros (validateOpenApiRequestMiddleware):
+ * - x-error-code: código que devuelve la API si el parámetro no cumple su esquema
+ * - x-error-codes: código por restricción (maxLength, pattern...) cuando hay más de uno
+ * - x-validated-by: el parámetro o cuerpo lo valida solo un middleware dedicado, porque su regla no se puede expresar
+ *   con un esquema: listas separadas por comas (IDs, fields, metadata, bbox), since, waitForChange, tz (IANA),
+ *   tiles (x e y según z) y los cuerpos JSON y GeoJSON
+ * - x-also-validated-by: el esquema se valida aquí y el middleware agrega una regla que depende de otro parámetro
+ *   (radius máximo según unit, minLat <= maxLat)
+ * Cada regla vive en un solo lugar: los middlewares de las rutas no repiten lo que el esquema ya valida
+ */
+
+const ID_PATTERN = '^[a-zA-Z0-9._-]+$';
+const MAX_IDS_PER_REQUEST = 100;
+
+const parameterRef = name => ({ $ref: `#/components/parameters/${name}` });
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = name => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * Respuesta de error con los códigos posibles en la operación
+ * @private
+ */
+function errorResponse(description, codes) {
+  return {
+    description: `${description}. Códigos: ${codes.join(', ')}`,
+    'x-error-codes': codes,
+    content: {
+      'application/json': { schema: schemaRef('ErrorEnvelope') },
+      'application/problem+json': { schema: schemaRef('ProblemDetails') }
+    }
+  };
+}
+
+/**
+ * Respuesta exitosa con envelope { success, data, summary, meta }
+ * Las representaciones alternativas (GeoJSON, GPX, KML, binarias...) se agregan según la ruta
+ * @private
+ */
+function successResponse(description, dataSchema, { summary = true, alternatives = [] } = {}) {
+  const envelope = {
+    type: 'object',
+    required: ['success', 'data', 'meta'],
+    properties: {
+      success: { type: 'boolean', example: true },
+      data: dataSchema,
+      ...(summary ? { summary: { type: 'object', additionalProperties: true } } : {}),
+      meta: schemaRef('Meta')
+    }
+  };
+
+  const content = { 'application/json': { schema: envelope } };
+  const representations = {
+    geojson: ['application/geo+json', { schema: schemaRef('FeatureCollection') }],
+    gpx: ['application/gpx+xml', { schema: { type: 'string' } }],
+    kml: ['application/vnd.google-earth.kml+xml', { schema: { type: 'string' } }],
+    binary: ['application/msgpack', { schema: { type: 'string', format: 'binary' } }],
+    ndjson: ['application/x-ndjson', { schema: { type: 'string' } }]
+  };
+
+  for (const alternative of alternatives) {
+    const [contentType, media] = representations[alternative];
+    content[contentType] = media;
+  }
+
+  if (alternatives.includes('binary')) {
+    content[PROTOBUF_CONTENT_TYPE] = {
+      schema: { type: 'string', format: 'binary' },
+      'x-message-type': PROTOBUF_MESSAGE_TYPE
+    };
+  }
+
+  return { description, content };
+}
+
+// Códigos de ?tz y ?timeFormat en las operaciones que devuelven timestamps de posiciones
+const TIME_CODES = ['INVALID_TIMEZONE', 'INVALID_TIME_FORMAT'];
+
+/**
+ * Construye una operación con los parámetros comunes y las respuestas de error estándar
+ * @private
+ */
+function operation({ operationId, tags, summary, description, parameters = [], requestBody, responses, badRequestCodes = [], timestamps = false }) {
+  const timeParameters = timestamps ? [parameterRef('Tz'), parameterRef('TimeFormat')] : [];
+  const codes = timestamps ? [...badRequestCodes, ...TIME_CODES] : badRequestCodes;
+
+  return {
+    operationId,
+    tags,
+    summary,
+    ...(description ? { description } : {}),
+    parameters: [...parameters, ...timeParameters, parameterRef('Lang')],
+    ...(requestBody ? { requestBody } : {}),
+    responses: {
+      ...responses,
+      ...(codes.length > 0 ? { 400: errorResponse('Parámetros inválidos', codes) } : {}),
+      429: responseRef('RateLimited'),
+      500: responseRef('InternalError')
+    }
+  };
+}
+
+// Representaciones de listas de posiciones disponibles en las rutas de lectura
+const POSITION_LIST_ALTERNATIVES = ['geojson', 'gpx', 'kml', 'binary'];
+
+const DEVICE_ID_CODES = ['INVALID_DEVICE_ID', 'DEVICE_ID_TOO_LONG', 'INVALID_DEVICE_ID_CHARACTERS'];
+const USER_ID_CODES = ['INVALID_USER_ID', 'USER_ID_TOO_LONG', 'INVALID_USER_ID_CHARACTERS'];
+const DEVICE_IDS_BODY_CODES = ['MISSING_DEVICE_IDS', 'INVALID_DEVICE_IDS_TYPE', 'EMPTY_DEVICE_IDS', 'TOO_MANY_DEVICE_IDS', 'INVALID_DEVICE_IDS'];
+const USER_IDS_BODY_CODES = ['MISSING_USER_IDS', 'INVALID_USER_IDS_TYPE', 'EMPTY_USER_IDS', 'TOO_MANY_USER_IDS', 'INVALID_USER_IDS'];
+// ?deviceIds= / ?userIds= de los streams en vivo: código por restricción
+const DEVICE_IDS_QUERY_CODES = { required: 'MISSING_DEVICE_IDS', maxItems: 'TOO_MANY_DEVICE_IDS', pattern: 'INVALID_DEVICE_IDS' };
+const USER_IDS_QUERY_CODES = { required: 'MISSING_USER_IDS', maxItems: 'TOO_MANY_USER_IDS', pattern: 'INVALID_USER_IDS' };
+const BOUNDING_BOX_PARAMETERS = ['MinLat', 'MinLng', 'MaxLat', 'MaxLng'].map(parameterRef);
+
+const positionNotFound = errorResponse('Sin última posición', ['POSITION_NOT_FOUND']);
+
+/**
+ * Operaciones comunes de GPS y móvil que solo cambian por fuente
+ * @private
+ */
+function sourcePaths(source) {
+  const isGps = source === 'gps';
+  const base = `/api/v4/${source}`;
+  const tags = [isGps ? 'GPS' : 'Mobile'];
+  const entity = isGps ? 'dispositivos' : 'usuarios móviles';
+  const prefix = isGps ? 'Gps' : 'Mobile';
+  const listSchema = { type: 'array', items: schemaRef(isGps ? 'GpsPosition' : 'MobilePosition') };
+  const format = parameterRef(isGps ? 'GpsFormat' : 'MobileFormat');
+  const multipleBody = isGps ? 'DeviceIdsBody' : 'UserIdsBody';
+  const multipleCodes = isGps ? DEVICE_IDS_BODY_CODES : USER_IDS_BODY_CODES;
+
+  return {
+    [`${base}/health`]: {
+      get: {
+        operationId: `get${prefix}Health`,
+        tags,
+        summary: 'Health check (sin autenticación ni rate limiting)',
+        responses: {
+          200: { description: 'Servicio y Redis disponibles', content: { 'application/json': { schema: { type: 'object' } } } },
+          503: {
+            description: 'Redis no disponible (healthy: false) o fallo del health check. Códigos: SERVICE_UNAVAILABLE',
+            'x-error-codes': ['SERVICE_UNAVAILABLE'],
+            content: {
+              'application/json': { schema: { type: 'object' } },
+              'application/problem+json': { schema: schemaRef('ProblemDetails') }
+            }
+          }
+        }
+      }
+    },
+    [`${base}/last`]: {
+      get: operation({
+        operationId: `getAll${prefix}LastPositions`,
+        tags,
+        summary: `Últimas posiciones de todos los ${entity}`,
+        description: 'Con stream=ndjson la respuesta se envía como NDJSON (una posición por línea) sin cargar todo en memoria. ' +
+          'Con since solo se devuelven las posiciones cambiadas después del cursor, ordenadas por momento de cambio (hora de Redis al registrarse el cambio); ' +
+          'summary.nextSince (y la cabecera X-Next-Since) es el since de la siguiente llamada y summary.hasMore indica si quedan más páginas. ' +
+          'summary.removedIds lista las posiciones eliminadas (y con validOnly, las que dejaron de ser válidas) en el mismo orden y cursor; ' +
+          'summary.removalsComplete es false si since es anterior a la retención de eliminaciones y hace falta una carga completa',
+        parameters: [parameterRef('Limit'), parameterRef('Offset'), format, parameterRef('ValidOnly'), parameterRef('Stream'), parameterRef('Fields'), parameterRef('Since')],
+        responses: {
+          200: successResponse('Posiciones paginadas', listSchema, { alternatives: [...POSITION_LIST_ALTERNATIVES, 'ndjson'] })
+        },
+        badRequestCodes: ['INVALID_LIMIT', 'INVALID_OFFSET', 'INVALID_FORMAT', 'INVALID_VALID_ONLY', 'INVALID_STREAM', 'INVALID_FIELDS', 'INVALID_SINCE', 'SINCE_NOT_SUPPORTED'],
+        timestamps: true
+      })
+    },
+    [`${base}/last/multiple`]: {
+      post: operation({
+        operationId: `getMultiple${prefix}LastPositions`,
+        tags,
+        summary: `Últimas posiciones completas de varios ${entity}`,
+        parameters: [parameterRef('ValidOnly'), parameterRef('Fields')],
+        requestBody: { $ref: `#/components/requestBodies/${multipleBody}` },
+        responses: {
+          200: successResponse('Posiciones encontradas y resumen de no encontradas', { type: 'array', items: schemaRef('Position') }, { alternatives: POSITION_LIST_ALTERNATIVES })
+        },
+        badRequestCodes: [...multipleCodes, 'INVALID_VALID_ONLY', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    [`${base}/last/{${isGps ? 'deviceId' : 'userId'}}`]: {
+      get: operation({
+        operationId: `get${prefix}LastPosition`,
+        tags,
+        summary: `Última posición completa de ${isGps ? 'un dispositivo' : 'un usuario móvil'}`,
+        ...(isGps ? {
+          description: 'meta.version (y la cabecera X-Position-Version) identifica el contenido de la posición. ' +
+            'Con waitForChange la petición espera hasta que la posición cambie respecto de ifVersion (long-polling para clientes sin SSE ni WebSocket)'
+        } : {}),
+        parameters: [
+          parameterRef(isGps ? 'DeviceId' : 'UserId'),
+          parameterRef('Fields'),
+          ...(isGps ? [parameterRef('WaitForChange'), parameterRef('IfVersion')] : [])
+        ],
+        responses: {
+          200: successResponse('Posición completa', schemaRef('Position'), { summary: false, alternatives: POSITION_LIST_ALTERNATIVES }),
+          ...(isGps ? { 304: { description: 'Sin cambios durante la espera de waitForChange (X-Position-Version conserva la versión)' } } : {}),
+          404: positionNotFound,
+          ...(isGps ? { 503: errorResponse('Suscripción a Redis no disponible', ['REALTIME_UNAVAILABLE']) } : {})
+        },
+        badRequestCodes: [
+          ...(isGps ? DEVICE_ID_CODES : USER_ID_CODES),
+          'INVALID_FIELDS',
+          ...(isGps ? ['INVALID_WAIT_FOR_CHANGE', 'INVALID_IF_VERSION'] : [])
+        ],
+        timestamps: true
+      })
+    },
+    [`${base}/within`]: {
+      get: operation({
+        operationId: `get${prefix}PositionsWithinBox`,
+        tags,
+        summary: `${isGps ? 'Dispositivos' : 'Usuarios móviles'} dentro de un bounding box (viewport de mapa)`,
+        description: 'Se permite minLng > maxLng para viewports que cruzan el antimeridiano',
+        parameters: [...BOUNDING_BOX_PARAMETERS, parameterRef('Limit'), parameterRef('Offset'), format, parameterRef('Fields')],
+        responses: {
+          200: successResponse('Posiciones dentro del bounding box', listSchema, { alternatives: POSITION_LIST_ALTERNATIVES })
+        },
+        badRequestCodes: ['INVALID_BOUNDING_BOX', 'INVALID_LIMIT', 'INVALID_OFFSET', 'INVALID_FORMAT', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    [`${base}/heatmap`]: {
+      get: operation({
+        operationId: `get${prefix}Heatmap`,
+        tags,
+        summary: `Densidad de ${entity} agregada en una grilla métrica`,
+        parameters: [parameterRef('Bbox'), parameterRef('CellSize')],
+        responses: {
+          200: successResponse('Celdas con conteo y peso normalizado', { type: 'array', items: schemaRef('HeatmapCell') })
+        },
+        badRequestCodes: ['INVALID_BOUNDING_BOX', 'INVALID_CELL_SIZE']
+      })
+    },
+    [`${base}/tiles/{z}/{x}/{y}.mvt`]: {
+      get: operation({
+        operationId: `get${prefix}VectorTile`,
+        tags,
+        summary: `${isGps ? 'Dispositivos' : 'Usuarios móviles'} como Mapbox Vector Tile`,
+        parameters: ['TileZ', 'TileX', 'TileY'].map(parameterRef),
+        responses: {
+          200: {
+            description: `Tile MVT 2.1 con la capa ${source} (vacío si el tile no tiene posiciones)`,
+            content: { 'application/vnd.mapbox-vector-tile': { schema: { type: 'string', format: 'binary' } } }
+          }
+        },
+        badRequestCodes: ['INVALID_TILE'],
+        timestamps: true
+      })
+    },
+    [`${base}/export.csv`]: {
+      get: operation({
+        operationId: `export${prefix}Csv`,
+        tags,
+        summary: `Exporta las últimas posiciones de todos los ${entity} como CSV (streaming)`,
+        parameters: [parameterRef('ValidOnly'), parameterRef('Metadata')],
+        responses: {
+          200: {
+            description: 'CSV RFC 4180 con una fila por posición y columnas de metadata',
+            content: { 'text/csv': { schema: { type: 'string' } } }
+          }
+        },
+        badRequestCodes: ['INVALID_VALID_ONLY', 'INVALID_METADATA_COLUMNS'],
+        timestamps: true
+      })
+    },
+    [`${base}/stream`]: {
+      get: operation({
+        operationId: `stream${prefix}LastPositions`,
+        tags,
+        summary: `Stream en vivo (Server-Sent Events) de las últimas posiciones de varios ${entity}`,
+        description: [
+          'Envía un evento position por entidad, luego ready, y un evento position (o removed) por cada cambio de la clave en Redis (keyspace notifications).',
+          `Cada ${config.realtime.heartbeatMs / 1000} s se envía un evento heartbeat sin id. Con Last-Event-ID solo se reenvían las entidades que cambiaron después de ese evento.`,
+          'Con fields cada evento position se proyecta sobre la posición completa.'
+        ].join(' '),
+        parameters: [
+          parameterRef(isGps ? 'DeviceIdsQuery' : 'UserIdsQuery'),
+          parameterRef(isGps ? 'GpsStreamFormat' : 'MobileStreamFormat'),
+          parameterRef('Fields'),
+          parameterRef('LastEventId')
+        ],
+        responses: {
+          200: {
+            description: 'Eventos position, removed, ready y heartbeat; data es JSON',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          },
+          503: errorResponse('Suscripción a Redis no disponible', ['REALTIME_UNAVAILABLE'])
+        },
+        badRequestCodes: [...Object.values(isGps ? DEVICE_IDS_QUERY_CODES : USER_IDS_QUERY_CODES), 'INVALID_FORMAT', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    [`${base}/exists/{${isGps ? 'deviceId' : 'userId'}}`]: {
+      get: operation({
+        operationId: `check${prefix}Exists`,
+        tags,
+        summary: `Verifica si ${isGps ? 'un dispositivo' : 'un usuario móvil'} tiene última posición`,
+        parameters: [parameterRef(isGps ? 'DeviceId' : 'UserId')],
+        responses: {
+          200: {
+            description: 'Resultado de la verificación',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    exists: { type: 'boolean' },
+                    meta: schemaRef('Meta')
+                  }
+                }
+              }
+            }
+          }
+        },
+        // ?fields= no aplica: la respuesta no contiene posiciones
+        badRequestCodes: [...(isGps ? DEVICE_ID_CODES : USER_ID_CODES), 'FIELDS_NOT_SUPPORTED']
+      })
+    },
+    [`${base}/stats`]: {
+      get: operation({
+        operationId: `get${prefix}Stats`,
+        tags,
+        summary: `Estadísticas del servicio ${isGps ? 'GPS' : 'móvil'}`,
+        responses: {
+          200: {
+            description: 'Totales, patrón de claves y estado de Redis',
+            content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean' }, stats: { type: 'object' }, meta: schemaRef('Meta') } } } }
+          }
+        }
+      })
+    }
+  };
+}
+
+/**
+ * Operaciones exclusivas de GPS (consultas geoespaciales y endpoints optimizados)
+ * @private
+ */
+function gpsOnlyPaths() {
+  const tags = ['GPS'];
+  const geoTags = ['GPS geoespacial'];
+  const listSchema = { type: 'array', items: schemaRef('GpsPosition') };
+  const format = parameterRef('GpsFormat');
+  const nearestResponses = {
+    200: successResponse('Posiciones ordenadas por distancia con distance y bearing', listSchema, { alternatives: POSITION_LIST_ALTERNATIVES })
+  };
+
+  const optimized = (variant, dataSchema) => ({
+    [`/api/v4/gps/last/{deviceId}/${variant}`]: {
+      get: operation({
+        operationId: `getGpsLastPosition${variant[0].toUpperCase()}${variant.slice(1)}`,
+        tags,
+        summary: `Última posición de un dispositivo en formato ${variant}`,
+        description: variant === 'full' ? undefined : 'Con fields la proyección se hace sobre la posición completa',
+        parameters: [parameterRef('DeviceId'), parameterRef('Fields')],
+        responses: {
+          200: successResponse(`Posición en formato ${variant}`, dataSchema, { summary: false, alternatives: POSITION_LIST_ALTERNATIVES }),
+          404: positionNotFound
+        },
+        badRequestCodes: [...DEVICE_ID_CODES, 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    [`/api/v4/gps/last/multiple/${variant}`]: {
+      post: operation({
+        operationId: `getMultipleGpsLastPositions${variant[0].toUpperCase()}${variant.slice(1)}`,
+        tags,
+        summary: `Últimas posiciones de varios dispositivos en formato ${variant}`,
+        description: variant === 'full' ? undefined : 'Con fields la proyección se hace sobre la posición completa',
+        parameters: [parameterRef('ValidOnly'), parameterRef('Fields')],
+        requestBody: { $ref: '#/components/requestBodies/DeviceIdsBody' },
+        responses: {
+          200: successResponse(`Posiciones en formato ${variant}`, { type: 'array', items: dataSchema }, { alternatives: POSITION_LIST_ALTERNATIVES })
+        },
+        badRequestCodes: [...DEVICE_IDS_BODY_CODES, 'INVALID_VALID_ONLY', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    }
+  });
+
+  return {
+    '/api/v4/gps/nearby': {
+      get: operation({
+        operationId: 'getGpsNearbyPositions',
+        tags: geoTags,
+        summary: 'Dispositivos dentro de un radio alrededor de un punto',
+        parameters: [parameterRef('Lat'), parameterRef('Lng'), parameterRef('Radius'), parameterRef('Unit'), parameterRef('Limit'), parameterRef('Offset'), format, parameterRef('Fields')],
+        responses: {
+          200: successResponse('Posiciones ordenadas por distancia', listSchema, { alternatives: POSITION_LIST_ALTERNATIVES })
+        },
+        badRequestCodes: ['INVALID_LATITUDE', 'INVALID_LONGITUDE', 'INVALID_RADIUS', 'INVALID_UNIT', 'INVALID_LIMIT', 'INVALID_OFFSET', 'INVALID_FORMAT', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    '/api/v4/gps/nearest': {
+      get: operation({
+        operationId: 'getGpsNearestPositions',
+        tags: geoTags,
+        summary: 'Los k dispositivos más cercanos a un punto',
+        parameters: [parameterRef('Lat'), parameterRef('Lng'), parameterRef('K'), parameterRef('Unit'), format, parameterRef('Fields')],
+        responses: nearestResponses,
+        badRequestCodes: ['INVALID_LATITUDE', 'INVALID_LONGITUDE', 'INVALID_K', 'INVALID_UNIT', 'INVALID_FORMAT', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    '/api/v4/gps/nearest/to/gps/{deviceId}': {
+      get: operation({
+        operationId: 'getGpsNearestToDevice',
+        tags: geoTags,
+        summary: 'Los k dispositivos más cercanos a otro dispositivo (excluyéndolo)',
+        parameters: [parameterRef('DeviceId'), parameterRef('K'), parameterRef('Unit'), format, parameterRef('Fields')],
+        responses: {
+          ...nearestResponses,
+          404: positionNotFound,
+          422: errorResponse('La entidad de referencia no tiene coordenadas válidas', ['INVALID_POSITION'])
+        },
+        badRequestCodes: [...DEVICE_ID_CODES, 'INVALID_K', 'INVALID_UNIT', 'INVALID_FORMAT', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    '/api/v4/gps/nearest/to/mobile/{userId}': {
+      get: operation({
+        operationId: 'getGpsNearestToMobileUser',
+        tags: geoTags,
+        summary: 'Los k dispositivos más cercanos a un usuario móvil',
+        parameters: [parameterRef('UserId'), parameterRef('K'), parameterRef('Unit'), format, parameterRef('Fields')],
+        responses: {
+          ...nearestResponses,
+          404: positionNotFound,
+          422: errorResponse('La entidad de referencia no tiene coordenadas válidas', ['INVALID_POSITION'])
+        },
+        badRequestCodes: [...USER_ID_CODES, 'INVALID_K', 'INVALID_UNIT', 'INVALID_FORMAT', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    '/api/v4/gps/within/polygon': {
+      post: operation({
+        operationId: 'getGpsPositionsWithinPolygon',
+        tags: geoTags,
+        summary: 'Dispositivos dentro de un Polygon o MultiPolygon GeoJSON',
+        parameters: [format, parameterRef('Fields')],
+        requestBody: {
+          required: true,
+          'x-validated-by': 'validatePolygonBodyMiddleware',
+          description: 'Geometría GeoJSON directa, un Feature o un objeto { geometry }; anillos cerrados con posiciones [lng, lat]',
+          content: { 'application/json': { schema: schemaRef('PolygonGeometry') } }
+        },
+        responses: {
+          200: successResponse('Posiciones dentro del polígono', listSchema, { alternatives: POSITION_LIST_ALTERNATIVES })
+        },
+        badRequestCodes: ['INVALID_GEOMETRY', 'INVALID_FORMAT', 'INVALID_FIELDS'],
+        timestamps: true
+      })
+    },
+    '/api/v4/gps/clusters': {
+      get: operation({
+        operationId: 'getGpsClusters',
+        tags: geoTags,
+        summary: 'Clusters de dispositivos para un zoom de mapa',
+        description: `Desde zoom ${config.clusters.maxZoom} se devuelven puntos individuales`,
+        parameters: [parameterRef('Zoom'), parameterRef('Bbox')],
+        responses: {
+          200: successResponse('Clusters y puntos sueltos', { type: 'array', items: schemaRef('Cluster') })
+        },
+        badRequestCodes: ['INVALID_ZOOM', 'INVALID_BOUNDING_BOX']
+      })
+    },
+    ...optimized('gps', schemaRef('GpsPosition')),
+    ...optimized('mobile', schemaRef('MobilePosition')),
+    ...optimized('full', schemaRef('Position'))
+  };
+}
+
+/**
+ * Parámetros compartidos entre operaciones
+ * @private
+ */
+function buildParameters() {
+  const idParameter = (name, label, codes) => ({
+    name,
+    in: 'path',
+    required: true,
+    description: `${label}: letras, números, puntos, guiones y guiones bajos (máximo 100 caracteres)`,
+    schema: { type: 'string', minLength: 1, maxLength: 100, pattern: ID_PATTERN },
+    'x-error-code': codes[0],
+    'x-error-codes': { minLength: codes[0], maxLength: codes[1], pattern: codes[2] }
+  });
+
+  const coordinateParameter = (name, minimum, maximum, code, description) => ({
+    name,
+    in: 'query',
+    required: true,
+    description,
+    schema: { type: 'number', minimum, maximum },
+    'x-error-code': code
+  });
+
+  const idListParameter = (name, label, example, middleware, codes) => ({
+    name,
+    in: 'query',
+    required: true,
+    description: `IDs de ${label} separados por comas (máximo ${config.realtime.maxStreamIds})`,
+    schema: { type: 'string', example },
+    'x-error-code': codes.pattern,
+    'x-error-codes': codes,
+    'x-validated-by': middleware
+  });
+
+  const tileParameter = (name, description) => ({
+    name,
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'integer', minimum: 0 },
+    'x-error-code': 'INVALID_TILE',
+    'x-validated-by': 'validateTileParamsMiddleware'
+  });
+
+  return {
+    DeviceId: idParameter('deviceId', 'ID del dispositivo GPS', DEVICE_ID_CODES),
+    UserId: idParameter('userId', 'ID del usuario móvil', USER_ID_CODES),
+    Limit: {
+      name: 'limit',
+      in: 'query',
+      description: 'Máximo de posiciones devueltas',
+      schema: { type: 'integer', minimum: 1, maximum: 1000 },
+      'x-error-code': 'INVALID_LIMIT'
+    },
+    Offset: {
+      name: 'offset',
+      in: 'query',
+      description: 'Posiciones a omitir antes de aplicar limit',
+      schema: { type: 'integer', minimum: 0, default: 0 },
+      'x-error-code': 'INVALID_OFFSET'
+    },
+    GpsFormat: {
+      name: 'format',
+      in: 'query',
+      description: 'Forma de cada posición: gps (id, lat, lng), mobile (+ name), full (posición completa); geojson, gpx y kml cambian la representación de la respuesta',
+      schema: { type: 'string', enum: ['gps', 'mobile', 'full', 'geojson', 'gpx', 'kml'], default: 'gps' },
+      'x-error-code': 'INVALID_FORMAT'
+    },
+    MobileFormat: {
+      name: 'format',
+      in: 'query',
+      description: 'Forma de cada posición: mobile (id, lat, lng, name, timestamp) o full; geojson, gpx y kml cambian la representación de la respuesta',
+      schema: { type: 'string', enum: ['mobile', 'full', 'geojson', 'gpx', 'kml'], default: 'mobile' },
+      'x-error-code': 'INVALID_FORMAT'
+    },
+    GpsStreamFormat: {
+      name: 'format',
+      in: 'query',
+      description: 'Forma de cada posición del stream: gps (id, lat, lng), mobile (+ name) o full',
+      schema: { type: 'string', enum: ['gps', 'mobile', 'full'], default: 'full' },
+      'x-error-code': 'INVALID_FORMAT'
+    },
+    MobileStreamFormat: {
+      name: 'format',
+      in: 'query',
+      description: 'Forma de cada posición del stream: mobile (id, lat, lng, name, timestamp) o full',
+      schema: { type: 'string', enum: ['mobile', 'full'], default: 'full' },
+      'x-error-code': 'INVALID_FORMAT'
+    },
+    ValidOnly: {
+      name: 'validOnly',
+      in: 'query',
+      description: 'Excluye posiciones con coordenadas faltantes, fuera de rango o en (0, 0)',
+      schema: { type: 'boolean', default: false },
+      'x-error-code': 'INVALID_VALID_ONLY'
+    },
+    Stream: {
+      name: 'stream',
+      in: 'query',
+      description: 'ndjson envía una posición por línea (application/x-ndjson)',
+      schema: { type: 'string', enum: ['ndjson'] },
+      'x-error-code': 'INVALID_STREAM'
+    },
+    Fields: {
+      name: 'fields',
+      in: 'query',
+      description: `Selección de campos separados por comas (máximo ${MAX_FIELDS}): ${POSITION_FIELDS.join(', ')} o metadata.<ruta>`,
+      schema: { type: 'string', example: 'id,lat,lng,metadata.speed' },
+      'x-error-code': 'INVALID_FIELDS',
+      'x-validated-by': 'validateFieldsQueryMiddleware'
+    },
+    Since: {
+      name: 'since',
+      in: 'query',
+      description: 'Sincronización incremental: token nextSince de la respuesta anterior, ISO 8601 o epoch (since=0 para la primera sincronización). ' +
+        'El momento de cambio es la hora de Redis al registrarse el cambio; no se combina con offset ni stream (SINCE_NOT_SUPPORTED) ' +
+        'y las posiciones eliminadas se informan en summary.removedIds',
+      schema: { type: 'string', example: '2024-05-01T10:00:00Z' },
+      'x-error-code': 'INVALID_SINCE',
+      'x-validated-by': 'validateSinceQueryMiddleware'
+    },
+    WaitForChange: {
+      name: 'waitForChange',
+      in: 'query',
+      description: 'Long-polling: espera máxima hasta que la posición cambie (30s, 1500ms, 1m; sin unidad, segundos). ' +
+        'Responde 200 con la nueva posición o 304 si no hubo cambios',
+      schema: { type: 'string', example: '30s' },
+      'x-error-code': 'INVALID_WAIT_FOR_CHANGE',
+      'x-validated-by': 'validateWaitForChangeQueryMiddleware'
+    },
+    IfVersion: {
+      name: 'ifVersion',
+      in: 'query',
+      description: 'Versión conocida por el cliente (meta.version o X-Position-Version); si ya no coincide se responde de inmediato. ' +
+        'Sin ifVersion se espera un cambio respecto de la versión actual',
+      schema: { type: 'string', maxLength: 100, pattern: '^[A-Za-z0-9_-]+$' },
+      'x-error-code': 'INVALID_IF_VERSION'
+    },
+    DeviceIdsQuery: idListParameter('deviceIds', 'dispositivos', 'device-001,device-002', 'validateDeviceIdsQueryMiddleware', DEVICE_IDS_QUERY_CODES),
+    UserIdsQuery: idListParameter('userIds', 'usuarios móviles', 'user-001,user-002', 'validateUserIdsQueryMiddleware', USER_IDS_QUERY_CODES),
+    LastEventId: {
+      name: 'Last-Event-ID',
+      in: 'header',
+      description: 'id del último evento recibido; lo envía EventSource al reconectar',
+      schema: { type: 'string', example: 'lx3k9a-42' }
+    },
+    Lat: coordinateParameter('lat', -90, 90, 'INVALID_LATITUDE', 'Latitud del punto de referencia'),
+    Lng: coordinateParameter('lng', -180, 180, 'INVALID_LONGITUDE', 'Longitud del punto de referencia'),
+    Unit: {
+      name: 'unit',
+      in: 'query',
+      description: 'Unidad de radius y de las distancias devueltas',
+      schema: { type: 'string', enum: Object.keys(UNIT_TO_METERS), default: 'm' },
+      'x-error-code': 'INVALID_UNIT'
+    },
+    Radius: {
+      name: 'radius',
+      in: 'query',
+      required: true,
+      description: `Radio mayor a 0 en la unidad indicada; máximo equivalente a ${config.geo.maxRadiusKm} km`,
+      schema: { type: 'number', minimum: 0, exclusiveMinimum: true },
+      'x-error-code': 'INVALID_RADIUS',
+      'x-also-validated-by': 'validateNearbyQueryMiddleware'
+    },
+    K: {
+      name: 'k',
+      in: 'query',
+      description: 'Cantidad de vecinos más cercanos',
+      schema: { type: 'integer', minimum: 1, maximum: config.geo.maxNearest, default: 10 },
+      'x-error-code': 'INVALID_K'
+    },
+    MinLat: {
+      ...coordinateParameter('minLat', -90, 90, 'INVALID_BOUNDING_BOX', 'Latitud mínima (no puede ser mayor que maxLat)'),
+      'x-also-validated-by': 'validateBoundingBoxQueryMiddleware'
+    },
+    MinLng: coordinateParameter('minLng', -180, 180, 'INVALID_BOUNDING_BOX', 'Longitud mínima'),
+    MaxLat: {
+      ...coordinateParameter('maxLat', -90, 90, 'INVALID_BOUNDING_BOX', 'Latitud máxima'),
+      'x-also-validated-by': 'validateBoundingBoxQueryMiddleware'
+    },
+    MaxLng: coordinateParameter('maxLng', -180, 180, 'INVALID_BOUNDING_BOX', 'Longitud máxima'),
+    Bbox: {
+      name: 'bbox',
+      in: 'query',
+      description: 'Bounding box opcional minLng,minLat,maxLng,maxLat (por defecto el mundo)',
+      schema: { type: 'string', example: '-77.1,-12.2,-76.9,-12.0' },
+      'x-error-code': 'INVALID_BOUNDING_BOX',
+      'x-validated-by': 'validateBboxQueryMiddleware'
+    },
+    Zoom: {
+      name: 'zoom',
+      in: 'query',
+      required: true,
+      description: 'Nivel de zoom del mapa',
+      schema: { type: 'integer', minimum: 0, maximum: MAX_MAP_ZOOM },
+      'x-error-code': 'INVALID_ZOOM'
+    },
+    CellSize: {
+      name: 'cellSize',
+      in: 'query',
+      description: `Lado de la celda en metros (por defecto ${config.heatmap.defaultCellSize})`,
+      schema: { type: 'number', minimum: 10, maximum: config.heatmap.maxCellSize },
+      'x-error-code': 'INVALID_CELL_SIZE'
+    },
+    Metadata: {
+      name: 'metadata',
+      in: 'query',
+      description: `Columnas de metadata separadas por comas (por defecto ${config.export.metadataColumns.join(',')}); admite rutas como battery.level`,
+      schema: { type: 'string', example: 'speed,heading,battery.level' },
+      'x-error-code': 'INVALID_METADATA_COLUMNS',
+      'x-validated-by': 'validateExportQueryMiddleware'
+    },
+    TileZ: tileParameter('z', `Zoom del tile (0 a ${MAX_MAP_ZOOM})`),
+    TileX: tileParameter('x', 'Columna del tile (0 a 2^z - 1)'),
+    TileY: tileParameter('y', 'Fila del tile (0 a 2^z - 1)'),
+    Tz: {
+      name: 'tz',
+      in: 'query',
+      description: 'Zona horaria IANA de los timestamps ISO 8601 (por defecto UTC); también se aplica a CSV, NDJSON y tiles MVT',
+      schema: { type: 'string', example: 'America/Lima' },
+      'x-error-code': 'INVALID_TIMEZONE',
+      'x-validated-by': 'validateTimeZoneQueryMiddleware'
+    },
+    TimeFormat: {
+      name: 'timeFormat',
+      in: 'query',
+      description: 'Formato de timestamp, receivedAt, updatedAt y retrievedAt: iso (con el offset de tz), epoch (segundos) o epochMs (milisegundos). Sin tz ni timeFormat se devuelven tal como están almacenados',
+      schema: { type: 'string', enum: TIME_FORMATS, default: 'iso' },
+      'x-error-code': 'INVALID_TIME_FORMAT'
+    },
+    Lang: {
+      name: 'lang',
+      in: 'query',
+      description: `Idioma de los mensajes de error (${SUPPORTED_LANGUAGES.join(', ')}); tiene prioridad sobre Accept-Language`,
+      schema: { type: 'string', example: 'en' }
+    }
+  };
+}
+
+/**
+ * Esquemas de datos y de error
+ * @private
+ */
+function buildSchemas() {
+  const nullableNumber = { type: 'number', nullable: true };
+  // Con ?timeFormat=epoch|epochMs los timestamps de posiciones son enteros
+  const nullableDate = { type: 'string', format: 'date-time', nullable: true, description: 'ISO 8601 o epoch según timeFormat' };
+  const boundingBox = {
+    type: 'object',
+    properties: {
+      minLat: { type: 'number' },
+      minLng: { type: 'number' },
+      maxLat: { type: 'number' },
+      maxLng: { type: 'number' }
+    }
+  };
+
+  return {
+    Quality: {
+      type: 'object',
+      description: 'Calidad de las coordenadas almacenadas',
+      properties: {
+        status: { type: 'string', enum: Object.values(COORDINATE_QUALITY) },
+        valid: { type: 'boolean' }
+      }
+    },
+    Position: {
+      type: 'object',
+      description: 'Posición completa tal como se guarda en Redis (deviceId en GPS, userId en móvil)',
+      properties: {
+        deviceId: { type: 'string' },
+        userId: { type: 'string' },
+        name: { type: 'string' },
+        lat: nullableNumber,
+        lng: nullableNumber,
+        timestamp: nullableDate,
+        receivedAt: nullableDate,
+        updatedAt: nullableDate,
+        retrievedAt: { type: 'string', format: 'date-time' },
+        metadata: { type: 'object', nullable: true, additionalProperties: true },
+        quality: schemaRef('Quality'),
+        distance: { type: 'number', description: 'Solo en consultas por distancia' },
+        bearing: { type: 'number', description: 'Solo en consultas por distancia (grados)' }
+      }
+    },
+    GpsPosition: {
+      type: 'object',
+      description: 'Posición en formato gps; mobile agrega name',
+      properties: {
+        id: { type: 'string' },
+        lat: nullableNumber,
+        lng: nullableNumber,
+        name: { type: 'string' },
+        distance: { type: 'number' },
+        bearing: { type: 'number' }
+      }
+    },
+    MobilePosition: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        lat: nullableNumber,
+        lng: nullableNumber,
+        name: { type: 'string' },
+        timestamp: nullableDate
+      }
+    },
+    Cluster: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['cluster', 'point'] },
+        id: { type: 'string' },
+        count: { type: 'integer' },
+        lat: { type: 'number' },
+        lng: { type: 'number' },
+        bbox: boundingBox
+      }
+    },
+    HeatmapCell: {
+      type: 'object',
+      properties: {
+        lat: { type: 'number' },
+        lng: { type: 'number' },
+        count: { type: 'integer' },
+        weight: { type: 'number' },
+        bbox: boundingBox
+      }
+    },
+    FeatureCollection: {
+      type: 'object',
+      description: 'GeoJSON FeatureCollection (RFC 7946) con una Feature Point por posición',
+      properties: {
+        type: { type: 'string', enum: ['FeatureCollection'] },
+        features: { type: 'array', items: { type: 'object' } }
+      }
+    },
+    PolygonGeometry: {
+      type: 'object',
+      required: ['type', 'coordinates'],
+      properties: {
+        type: { type: 'string', enum: ['Polygon', 'MultiPolygon'] },
+        coordinates: { type: 'array', items: { type: 'array' } }
+      }
+    },
+    Meta: {
+      type: 'object',
+      properties: {
+        timestamp: { type: 'string', format: 'date-time' },
+        format: { type: 'string' }
+      },
+      additionalProperties: true
+    },
+    ErrorEnvelope: {
+      type: 'object',
+      required: ['success', 'error', 'code'],
+      properties: {
+        success: { type: 'boolean', example: false },
+        error: { type: 'string', description: 'Mensaje localizado (?lang= o Accept-Language)' },
+        code: { type: 'string', description: 'Código estable del error', example: 'POSITION_NOT_FOUND' },
+        details: { description: 'Detalle por elemento en errores de validación múltiple ({ field o index, code, error localizado })' },
+        meta: schemaRef('Meta')
+      }
+    },
+    ProblemDetails: {
+      type: 'object',
+      description: 'RFC 7807 con Accept: application/problem+json o ERROR_FORMAT=problem; los miembros de meta se agregan como extensiones',
+      required: ['type', 'title', 'status', 'code'],
+      properties: {
+        type: { type: 'string', example: `${config.errors.typeBaseUri}position-not-found` },
+        title: { type: 'string', example: 'Not Found' },
+        status: { type: 'integer', example: 404 },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+        code: { type: 'string', example: 'POSITION_NOT_FOUND' },
+        timestamp: { type: 'string', format: 'date-time' }
+      },
+      additionalProperties: true
+    }
+  };
+}
+
+/**
+ * Cuerpo de peticiones múltiples ({ deviceIds } o { userIds })
+ * @private
+ */
+function idsRequestBody(field, middleware) {
+  return {
+    required: true,
+    'x-validated-by': middleware,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: [field],
+          properties: {
+            [field]: {
+              type: 'array',
+              minItems: 1,
+              maxItems: MAX_IDS_PER_REQUEST,
+              items: { type: 'string', maxLength: 100, pattern: ID_PATTERN }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+export const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'GPS & Mobile Last Position API',
+    version: '1.0.0',
+    description: 'Microservicio para consultar últimas posiciones GPS y móviles desde Redis. ' +
+      'Las respuestas JSON aceptan representaciones alternativas por Accept (application/geo+json, application/gpx+xml, ' +
+      'application/vnd.google-earth.kml+xml, application/msgpack, application/x-protobuf) y los errores pueden pedirse como application/problem+json.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'GPS', description: 'Últimas posiciones de dispositivos GPS (gps:last:*)' },
+    { name: 'GPS geoespacial', description: 'Consultas por distancia, áreas y clustering de dispositivos GPS' },
+    { name: 'Mobile', description: 'Últimas posiciones de usuarios móviles (mobile:last:*)' }
+  ],
+  security: [{}, { ApiKeyHeader: [] }, { BearerAuth: [] }],
+  paths: {
+    ...sourcePaths('gps'),
+    ...gpsOnlyPaths(),
+    ...sourcePaths('mobile')
+  },
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      BearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    parameters: buildParameters(),
+    requestBodies: {
+      DeviceIdsBody: idsRequestBody('deviceIds', 'validateMultipleDevicesMiddleware'),
+      UserIdsBody: idsRequestBody('userIds', 'validateMultipleUsersMiddleware')
+    },
+    schemas: buildSchemas(),
+    responses: {
+      RateLimited: errorResponse('Demasiadas peticiones', ['RATE_LIMIT_EXCEEDED']),
+      InternalError: errorResponse('Error interno', ['INTERNAL_ERROR'])
+    }
+  }
+};
@@ -0,0 +1,161 @@
+/**
+ * English message catalog, keyed by error code
+ * Each message receives the response parameters (meta + extensions + sendError params)
+ */
+
+const list = values => (Array.isArray(values) ? values.join(', ') : values);
+
+// Invalid geometry reasons (geofence details[].code and INVALID_GEOMETRY reason)
+const geometry = {
+  GEOMETRY_REQUIRED: () => 'A GeoJSON geometry is required',
+  GEOMETRY_NOT_POLYGON: () => 'The geometry must be of type Polygon or MultiPolygon',
+  GEOMETRY_EMPTY_COORDINATES: () => 'The geometry must include a non-empty coordinates array',
+  GEOMETRY_MISSING_RING: () => 'Each polygon must have at least an exterior ring',
+  GEOMETRY_RING_TOO_SHORT: () => 'Each ring must have at least 4 positions',
+  GEOMETRY_INVALID_POSITION: () => 'Each position must be [lng, lat] with numeric values within range',
+  GEOMETRY_RING_NOT_CLOSED: () => 'Each ring must be closed (first and last positions equal)',
+  GEOMETRY_TOO_MANY_VERTICES: ({ maxVertices }) => `The geometry cannot exceed ${maxVertices} vertices`
+};
+
+export default {
+  // Authentication and limits
+  MISSING_API_KEY: () => 'API key required',
+  INVALID_API_KEY: () => 'Invalid API key',
+  API_KEY_NOT_CONFIGURED: () => 'This route requires API_KEY to be configured on the server',
+  RATE_LIMIT_EXCEEDED: () => 'Too many requests, please try again later',
+
+  // General errors
+  INTERNAL_ERROR: () => 'Internal server error',
+  SERVICE_UNAVAILABLE: () => 'Service temporarily unavailable',
+  REALTIME_UNAVAILABLE: () => 'Live updates are not available',
+  REQUEST_TIMEOUT: () => 'Request timed out',
+  ROUTE_NOT_FOUND: ({ method, url }) => `Route not found: ${method} ${url}`,
+  INVALID_JSON: () => 'Invalid JSON in request body',
+  MISSING_JSON_BODY: () => 'A JSON body is required for this request',
+
+  // GPS devices
+  MISSING_DEVICE_ID: () => 'Device ID is required',
+  INVALID_DEVICE_ID: () => 'Device ID must be a valid non-empty string',
+  DEVICE_ID_TOO_LONG: () => 'Device ID cannot exceed 100 characters',
+  INVALID_DEVICE_ID_CHARACTERS: () => 'Device ID contains invalid characters. Only letters, digits, dots, hyphens and underscores are allowed',
+  MISSING_DEVICE_IDS: () => 'The deviceIds field is required',
+  INVALID_DEVICE_IDS_TYPE: () => 'deviceIds must be an array',
+  EMPTY_DEVICE_IDS: () => 'deviceIds cannot be empty',
+  INVALID_DEVICE_IDS: () => 'Some device IDs are invalid',
+  TOO_MANY_DEVICE_IDS: ({ maximum }) => `At most ${maximum} devices are allowed per request`,
+  TOO_MANY_DEVICES: ({ maximum }) => (maximum ? `At most ${maximum} devices are allowed per query` : 'Too many devices in the query'),
+
+  // Mobile users
+  MISSING_USER_ID: () => 'User ID is required',
+  INVALID_USER_ID: () => 'User ID must be a valid non-empty string',
+  USER_ID_TOO_LONG: () => 'User ID cannot exceed 100 characters',
+  INVALID_USER_ID_CHARACTERS: () => 'User ID contains invalid characters. Only letters, digits, dots, hyphens and underscores are allowed',
+  MISSING_USER_IDS: () => 'The userIds field is required',
+  INVALID_USER_IDS_TYPE: () => 'userIds must be an array',
+  EMPTY_USER_IDS: () => 'userIds cannot be empty',
+  INVALID_USER_IDS: () => 'Some user IDs are invalid',
+  TOO_MANY_USER_IDS: ({ maximum }) => `At most ${maximum} users are allowed per request`,
+  TOO_MANY_USERS: ({ maximum }) => (maximum ? `At most ${maximum} users are allowed per query` : 'Too many users in the query'),
+
+  // Positions
+  POSITION_NOT_FOUND: ({ deviceId, userId, entityType, entityId }) => {
+    if (userId || entityType === 'mobile') {
+      return `No last position found for user: ${userId || entityId}`;
+    }
+    return `No last position found for device: ${deviceId || entityId}`;
+  },
+  INVALID_POSITION: ({ entityId }) => `The last position of ${entityId} has no valid coordinates`,
+
+  // Query parameters
+  INVALID_PARAMETER: ({ parameter }) => `The ${parameter} parameter is invalid`,
+  INVALID_LIMIT: () => 'The limit parameter must be a number between 1 and 1000',
+  INVALID_OFFSET: () => 'The offset parameter must be a number greater than or equal to 0',
+  INVALID_FORMAT: ({ allowedValues }) => `The format parameter must be one of: ${list(allowedValues)}`,
+  INVALID_FIELDS: ({ unknownFields = [], maximum }) => (unknownFields.length > 0
+    ? `Unknown fields: ${list(unknownFields)}`
+    : `The fields parameter must be a comma-separated list of 1 to ${maximum} fields`),
+  FIELDS_NOT_SUPPORTED: () => 'The fields parameter does not apply to this route: the response contains no positions',
+  INVALID_STREAM: ({ allowedValues }) => `The stream parameter must be one of: ${list(allowedValues)}`,
+  INVALID_SINCE: () => 'The since parameter must be a nextSince token, an ISO 8601 date or an epoch in seconds or milliseconds',
+  SINCE_NOT_SUPPORTED: ({ parameter }) => `The since parameter cannot be combined with ${parameter || 'stream'}`,
+  INVALID_WAIT_FOR_CHANGE: ({ maximum }) => `The waitForChange parameter must be a duration greater than 0 and up to ${maximum}s (for example 30s or 1500ms)`,
+  INVALID_IF_VERSION: () => 'The ifVersion parameter must be the version returned in X-Position-Version (letters, digits, hyphens and underscores)',
+  INVALID_VALID_ONLY: () => 'The validOnly parameter must be true or false',
+  INVALID_TIMEZONE: () => 'The tz parameter must be a valid IANA time zone (for example America/Lima or UTC)',
+  INVALID_TIME_FORMAT: ({ allowedValues }) => `The timeFormat parameter must be one of: ${list(allowedValues)}`,
+  INVALID_METADATA_COLUMNS: ({ maximum }) => `The metadata parameter must be a comma-separated list of up to ${maximum} paths (letters, digits, _, - and dots)`,
+
+  // Geospatial queries
+  INVALID_LATITUDE: () => 'The lat parameter must be a number between -90 and 90',
+  INVALID_LONGITUDE: () => 'The lng parameter must be a number between -180 and 180',
+  INVALID_UNIT: ({ allowedValues }) => `The unit parameter must be one of: ${list(allowedValues)}`,
+  INVALID_RADIUS: ({ maximum, unit }) => (maximum === undefined
+    ? 'The radius parameter must be a number greater than 0'
+    : `The radius parameter must be a number greater than 0 and at most ${maximum} ${unit}`),
+  INVALID_K: ({ maximum }) => `The k parameter must be an integer between 1 and ${maximum}`,
+  INVALID_BOUNDING_BOX: ({ parameter, minimum, maximum, providedBbox }) => {
+    if (parameter) {
+      return `The ${parameter} parameter must be a number between ${minimum} and ${maximum}`;
+    }
+    if (providedBbox !== undefined) {
+      return 'The bbox parameter must use the format minLng,minLat,maxLng,maxLat with valid coordinates';
+    }
+    return 'The minLat parameter cannot be greater than maxLat';
+  },
+  INVALID_GEOMETRY: ({ reason, maxVertices }) => geometry[reason]?.({ maxVertices }) ?? 'Invalid GeoJSON geometry: a closed Polygon or MultiPolygon with [lng, lat] positions within range is required',
+  INVALID_ZOOM: ({ maximum }) => `The zoom parameter must be an integer between 0 and ${maximum}`,
+  INVALID_TILE: ({ maxZoom }) => `Invalid tile: z must be an integer between 0 and ${maxZoom}, x and y integers between 0 and 2^z - 1`,
+  INVALID_CELL_SIZE: ({ minimum, maximum }) => `The cellSize parameter must be a number of meters between ${minimum} and ${maximum}`,
+  INVALID_DISTANCE_MATRIX: () => 'Invalid distance matrix data',
+
+  // Geofences
+  INVALID_GEOFENCE_ID: () => 'Geofence ID must be 1 to 100 characters long (letters, digits, dots, hyphens and underscores)',
+  INVALID_GEOFENCE: () => 'Invalid geofence data',
+  GEOFENCE_NOT_FOUND: ({ geofenceId }) => `Geofence not found: ${geofenceId}`,
+  GEOFENCE_ALREADY_EXISTS: ({ geofenceId }) => `A geofence already exists with id: ${geofenceId}`,
+  TOO_MANY_GEOFENCES: ({ maximum }) => (maximum ? `At most ${maximum} geofences are allowed` : 'The maximum number of geofences has been reached'),
+
+  // WebSocket subscriptions
+  TOO_MANY_CONNECTIONS: ({ maximum }) => `The maximum of ${maximum} WebSocket connections has been reached, try again later`,
+  INVALID_MESSAGE: () => 'Invalid message: a JSON object was expected',
+  INVALID_MESSAGE_TYPE: ({ allowedValues }) => `The type field must be one of: ${list(allowedValues)}`,
+  INVALID_SUBSCRIPTION_ID: () => 'subscriptionId must be 1 to 100 characters long (letters, digits, dots, hyphens and underscores)',
+  INVALID_SOURCE: ({ allowedValues }) => `The source field must be one of: ${list(allowedValues)}`,
+  INVALID_SUBSCRIPTION_FILTER: ({ allowedValues }) => `A subscription requires exactly one of: ${list(allowedValues)}`,
+  INVALID_IDS: ({ maximum }) => `ids must be an array of 1 to ${maximum} valid IDs (letters, digits, dots, hyphens and underscores)`,
+  INVALID_GROUPS: ({ maximum }) => `groups must be an array of 1 to ${maximum} valid group names (letters, digits, dots, hyphens and underscores)`,
+  GROUP_TOO_LARGE: ({ members, maximum }) => `The groups have ${members} members in total; at most ${maximum} are allowed per subscription`,
+  TOO_MANY_SUBSCRIPTIONS: ({ maximum }) => `At most ${maximum} subscriptions are allowed per connection`,
+  SUBSCRIPTION_NOT_FOUND: ({ subscriptionId }) => `Subscription not found: ${subscriptionId}`,
+
+  // Webhooks
+  INVALID_WEBHOOK_ID: () => 'Webhook ID must be 1 to 100 characters long (letters, digits, dots, hyphens and underscores)',
+  INVALID_WEBHOOK: () => 'Invalid webhook data',
+  WEBHOOK_NOT_FOUND: ({ webhookId }) => `Webhook not found: ${webhookId}`,
+  WEBHOOK_ALREADY_EXISTS: ({ webhookId }) => `A webhook already exists with id: ${webhookId}`,
+  TOO_MANY_WEBHOOKS: ({ maximum }) => (maximum ? `At most ${maximum} webhooks are allowed` : 'The maximum number of webhooks has been reached'),
+
+  // Field details (details[].code); they receive field and the detail params
+  ...geometry,
+  INVALID_ID_FIELD: ({ field }) => `${field} must be 1 to 100 characters long (letters, digits, dots, hyphens and underscores)`,
+  INVALID_NAME_FIELD: () => 'name is required and cannot exceed 100 characters',
+  INVALID_CENTER_FIELD: () => 'center must be { lat, lng } with numeric values within range',
+  INVALID_RADIUS_FIELD: ({ maximum }) => `radius must be a number of meters greater than 0 and at most ${maximum}`,
+  INVALID_GEOFENCE_TYPE_FIELD: () => 'type must be circle or polygon',
+  INVALID_METADATA_FIELD: () => 'metadata must be an object',
+  INVALID_URL_FIELD: () => 'url must be an http or https URL of up to 2000 characters',
+  WEBHOOK_URL_NOT_ALLOWED: () => 'url must point to a public address (not localhost, private networks or link-local)',
+  WEBHOOK_URL_UNRESOLVED: ({ hostname }) => (hostname ? `Could not resolve the url host: ${hostname}` : 'Could not resolve the url host'),
+  INVALID_EVENTS_FIELD: ({ allowedValues }) => `events must be a non-empty array with values from: ${list(allowedValues)}`,
+  INVALID_FILTER_FIELD: () => 'filter must be an object with deviceIds, userIds and/or geofenceId',
+  TOO_MANY_FILTER_IDS: ({ field, maximum }) => `${field} must be an array of up to ${maximum} IDs`,
+  INVALID_FILTER_IDS: ({ field }) => `${field} contains invalid IDs (letters, digits, dots, hyphens and underscores)`,
+  EMPTY_FILTER: () => 'filter must include at least deviceIds, userIds or geofenceId',
+  GEOFENCE_FILTER_REQUIRED: () => 'The geofence.enter and geofence.exit events require filter.geofenceId',
+  INVALID_SECRET_FIELD: () => 'secret must be 16 to 200 characters long',
+  INVALID_ACTIVE_FIELD: () => 'active must be a boolean',
+  INVALID_DESCRIPTION_FIELD: () => 'description cannot exceed 200 characters',
+  EMPTY_ENTITIES_FIELD: ({ field }) => `${field} must be a non-empty array`,
+  TOO_MANY_ENTITIES: ({ field, maximum }) => `At most ${maximum} entities are allowed in ${field}`,
+  INVALID_ENTITY_TYPE_FIELD: () => 'type must be gps or mobile'
+};
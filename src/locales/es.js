@@ -0,0 +1,162 @@
+/**
+ * Catálogo de mensajes en español, indexado por código de error
+ * Cada mensaje recibe los parámetros de la respuesta (meta + extensiones + params de sendError)
+ * Los códigos sin entrada usan el mensaje original de la llamada
+ */
+
+const list = values => (Array.isArray(values) ? values.join(', ') : values);
+
+// Motivos de geometría inválida (details[].code de geocercas y reason de INVALID_GEOMETRY)
+const geometry = {
+  GEOMETRY_REQUIRED: () => 'Se requiere una geometría GeoJSON',
+  GEOMETRY_NOT_POLYGON: () => 'La geometría debe ser de tipo Polygon o MultiPolygon',
+  GEOMETRY_EMPTY_COORDINATES: () => 'La geometría debe incluir un array coordinates no vacío',
+  GEOMETRY_MISSING_RING: () => 'Cada polígono debe tener al menos un anillo exterior',
+  GEOMETRY_RING_TOO_SHORT: () => 'Cada anillo debe tener al menos 4 posiciones',
+  GEOMETRY_INVALID_POSITION: () => 'Cada posición debe ser [lng, lat] con valores numéricos dentro de rango',
+  GEOMETRY_RING_NOT_CLOSED: () => 'Cada anillo debe estar cerrado (primera y última posición iguales)',
+  GEOMETRY_TOO_MANY_VERTICES: ({ maxVertices }) => `La geometría no puede exceder ${maxVertices} vértices`
+};
+
+export default {
+  // Autenticación y límites
+  MISSING_API_KEY: () => 'API key requerida',
+  INVALID_API_KEY: () => 'API key inválida',
+  API_KEY_NOT_CONFIGURED: () => 'Esta ruta requiere configurar API_KEY en el servidor',
+  RATE_LIMIT_EXCEEDED: () => 'Demasiadas peticiones, intenta de nuevo más tarde',
+
+  // Errores generales
+  INTERNAL_ERROR: () => 'Error interno del servidor',
+  SERVICE_UNAVAILABLE: () => 'Servicio temporalmente no disponible',
+  REALTIME_UNAVAILABLE: () => 'Las actualizaciones en vivo no están disponibles',
+  REQUEST_TIMEOUT: () => 'Timeout en la petición',
+  ROUTE_NOT_FOUND: ({ method, url }) => `Ruta no encontrada: ${method} ${url}`,
+  INVALID_JSON: () => 'JSON inválido en el cuerpo de la petición',
+  MISSING_JSON_BODY: () => 'Cuerpo JSON requerido para esta petición',
+
+  // Dispositivos GPS
+  MISSING_DEVICE_ID: () => 'Device ID es requerido',
+  INVALID_DEVICE_ID: () => 'Device ID debe ser una cadena válida no vacía',
+  DEVICE_ID_TOO_LONG: () => 'Device ID no puede exceder 100 caracteres',
+  INVALID_DEVICE_ID_CHARACTERS: () => 'Device ID contiene caracteres no válidos. Solo se permiten letras, números, puntos, guiones y guiones bajos',
+  MISSING_DEVICE_IDS: () => 'Campo deviceIds es requerido',
+  INVALID_DEVICE_IDS_TYPE: () => 'deviceIds debe ser un array',
+  EMPTY_DEVICE_IDS: () => 'deviceIds no puede estar vacío',
+  INVALID_DEVICE_IDS: () => 'Algunos Device IDs son inválidos',
+  TOO_MANY_DEVICE_IDS: ({ maximum }) => `Máximo ${maximum} dispositivos permitidos por petición`,
+  TOO_MANY_DEVICES: ({ maximum }) => (maximum ? `Máximo ${maximum} dispositivos permitidos por consulta` : 'Demasiados dispositivos en la consulta'),
+
+  // Usuarios móviles
+  MISSING_USER_ID: () => 'User ID es requerido',
+  INVALID_USER_ID: () => 'User ID debe ser una cadena válida no vacía',
+  USER_ID_TOO_LONG: () => 'User ID no puede exceder 100 caracteres',
+  INVALID_USER_ID_CHARACTERS: () => 'User ID contiene caracteres no válidos. Solo se permiten letras, números, puntos, guiones y guiones bajos',
+  MISSING_USER_IDS: () => 'Campo userIds es requerido',
+  INVALID_USER_IDS_TYPE: () => 'userIds debe ser un array',
+  EMPTY_USER_IDS: () => 'userIds no puede estar vacío',
+  INVALID_USER_IDS: () => 'Algunos User IDs son inválidos',
+  TOO_MANY_USER_IDS: ({ maximum }) => `Máximo ${maximum} usuarios permitidos por petición`,
+  TOO_MANY_USERS: ({ maximum }) => (maximum ? `Máximo ${maximum} usuarios permitidos por consulta` : 'Demasiados usuarios en la consulta'),
+
+  // Posiciones
+  POSITION_NOT_FOUND: ({ deviceId, userId, entityType, entityId }) => {
+    if (userId || entityType === 'mobile') {
+      return `No se encontró última posición para el usuario: ${userId || entityId}`;
+    }
+    return `No se encontró última posición para el dispositivo: ${deviceId || entityId}`;
+  },
+  INVALID_POSITION: ({ entityId }) => `La última posición de ${entityId} no tiene coordenadas válidas`,
+
+  // Parámetros de consulta
+  INVALID_PARAMETER: ({ parameter }) => `El parámetro ${parameter} no es válido`,
+  INVALID_LIMIT: () => 'El parámetro limit debe ser un número entre 1 y 1000',
+  INVALID_OFFSET: () => 'El parámetro offset debe ser un número mayor o igual a 0',
+  INVALID_FORMAT: ({ allowedValues }) => `El parámetro format debe ser uno de: ${list(allowedValues)}`,
+  INVALID_FIELDS: ({ unknownFields = [], maximum }) => (unknownFields.length > 0
+    ? `Campos desconocidos en fields: ${list(unknownFields)}`
+    : `El parámetro fields debe ser una lista separada por comas de 1 a ${maximum} campos`),
+  FIELDS_NOT_SUPPORTED: () => 'El parámetro fields no aplica a esta ruta: la respuesta no contiene posiciones',
+  INVALID_STREAM: ({ allowedValues }) => `El parámetro stream debe ser uno de: ${list(allowedValues)}`,
+  INVALID_SINCE: () => 'El parámetro since debe ser un token nextSince, una fecha ISO 8601 o un epoch en segundos o milisegundos',
+  SINCE_NOT_SUPPORTED: ({ parameter }) => `El parámetro since no se puede combinar con ${parameter || 'stream'}`,
+  INVALID_WAIT_FOR_CHANGE: ({ maximum }) => `El parámetro waitForChange debe ser una duración mayor a 0 y de hasta ${maximum}s (por ejemplo 30s o 1500ms)`,
+  INVALID_IF_VERSION: () => 'El parámetro ifVersion debe ser la versión devuelta en X-Position-Version (letras, números, guiones y guiones bajos)',
+  INVALID_VALID_ONLY: () => 'El parámetro validOnly debe ser true o false',
+  INVALID_TIMEZONE: () => 'El parámetro tz debe ser una zona horaria IANA válida (por ejemplo America/Lima o UTC)',
+  INVALID_TIME_FORMAT: ({ allowedValues }) => `El parámetro timeFormat debe ser uno de: ${list(allowedValues)}`,
+  INVALID_METADATA_COLUMNS: ({ maximum }) => `El parámetro metadata debe ser una lista separada por comas de hasta ${maximum} rutas (letras, números, _, - y puntos)`,
+
+  // Consultas geoespaciales
+  INVALID_LATITUDE: () => 'El parámetro lat debe ser un número entre -90 y 90',
+  INVALID_LONGITUDE: () => 'El parámetro lng debe ser un número entre -180 y 180',
+  INVALID_UNIT: ({ allowedValues }) => `El parámetro unit debe ser uno de: ${list(allowedValues)}`,
+  INVALID_RADIUS: ({ maximum, unit }) => (maximum === undefined
+    ? 'El parámetro radius debe ser un número mayor a 0'
+    : `El parámetro radius debe ser un número mayor a 0 y menor o igual a ${maximum} ${unit}`),
+  INVALID_K: ({ maximum }) => `El parámetro k debe ser un entero entre 1 y ${maximum}`,
+  INVALID_BOUNDING_BOX: ({ parameter, minimum, maximum, providedBbox }) => {
+    if (parameter) {
+      return `El parámetro ${parameter} debe ser un número entre ${minimum} y ${maximum}`;
+    }
+    if (providedBbox !== undefined) {
+      return 'El parámetro bbox debe tener el formato minLng,minLat,maxLng,maxLat con coordenadas válidas';
+    }
+    return 'El parámetro minLat no puede ser mayor que maxLat';
+  },
+  INVALID_GEOMETRY: ({ reason, maxVertices }) => geometry[reason]?.({ maxVertices }) ?? 'Geometría GeoJSON inválida: se requiere un Polygon o MultiPolygon cerrado con posiciones [lng, lat] dentro de rango',
+  INVALID_ZOOM: ({ maximum }) => `El parámetro zoom debe ser un entero entre 0 y ${maximum}`,
+  INVALID_TILE: ({ maxZoom }) => `Tile inválido: z debe ser un entero entre 0 y ${maxZoom}, x e y enteros entre 0 y 2^z - 1`,
+  INVALID_CELL_SIZE: ({ minimum, maximum }) => `El parámetro cellSize debe ser un número en metros entre ${minimum} y ${maximum}`,
+  INVALID_DISTANCE_MATRIX: () => 'Datos de matriz de distancias inválidos',
+
+  // Geocercas
+  INVALID_GEOFENCE_ID: () => 'Geofence ID debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)',
+  INVALID_GEOFENCE: () => 'Datos de geocerca inválidos',
+  GEOFENCE_NOT_FOUND: ({ geofenceId }) => `No se encontró la geocerca: ${geofenceId}`,
+  GEOFENCE_ALREADY_EXISTS: ({ geofenceId }) => `Ya existe una geocerca con id: ${geofenceId}`,
+  TOO_MANY_GEOFENCES: ({ maximum }) => (maximum ? `Máximo ${maximum} geocercas permitidas` : 'Se alcanzó el máximo de geocercas permitidas'),
+
+  // Suscripciones WebSocket
+  TOO_MANY_CONNECTIONS: ({ maximum }) => `Máximo de ${maximum} conexiones WebSocket alcanzado, intenta de nuevo más tarde`,
+  INVALID_MESSAGE: () => 'Mensaje inválido: se esperaba un objeto JSON',
+  INVALID_MESSAGE_TYPE: ({ allowedValues }) => `El campo type debe ser uno de: ${list(allowedValues)}`,
+  INVALID_SUBSCRIPTION_ID: () => 'subscriptionId debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)',
+  INVALID_SOURCE: ({ allowedValues }) => `El campo source debe ser uno de: ${list(allowedValues)}`,
+  INVALID_SUBSCRIPTION_FILTER: ({ allowedValues }) => `La suscripción requiere exactamente uno de: ${list(allowedValues)}`,
+  INVALID_IDS: ({ maximum }) => `ids debe ser un array de 1 a ${maximum} IDs válidos (letras, números, puntos, guiones y guiones bajos)`,
+  INVALID_GROUPS: ({ maximum }) => `groups debe ser un array de 1 a ${maximum} nombres de grupo válidos (letras, números, puntos, guiones y guiones bajos)`,
+  GROUP_TOO_LARGE: ({ members, maximum }) => `Los grupos suman ${members} miembros; el máximo por suscripción es ${maximum}`,
+  TOO_MANY_SUBSCRIPTIONS: ({ maximum }) => `Máximo ${maximum} suscripciones por conexión`,
+  SUBSCRIPTION_NOT_FOUND: ({ subscriptionId }) => `No se encontró la suscripción: ${subscriptionId}`,
+
+  // Webhooks
+  INVALID_WEBHOOK_ID: () => 'Webhook ID debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)',
+  INVALID_WEBHOOK: () => 'Datos de webhook inválidos',
+  WEBHOOK_NOT_FOUND: ({ webhookId }) => `No se encontró el webhook: ${webhookId}`,
+  WEBHOOK_ALREADY_EXISTS: ({ webhookId }) => `Ya existe un webhook con id: ${webhookId}`,
+  TOO_MANY_WEBHOOKS: ({ maximum }) => (maximum ? `Máximo ${maximum} webhooks permitidos` : 'Se alcanzó el máximo de webhooks permitidos'),
+
+  // Detalles por campo (details[].code); reciben field y los params del detalle
+  ...geometry,
+  INVALID_ID_FIELD: ({ field }) => `${field} debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)`,
+  INVALID_NAME_FIELD: () => 'name es requerido y no puede exceder 100 caracteres',
+  INVALID_CENTER_FIELD: () => 'center debe ser { lat, lng } con valores numéricos dentro de rango',
+  INVALID_RADIUS_FIELD: ({ maximum }) => `radius debe ser un número en metros mayor a 0 y menor o igual a ${maximum}`,
+  INVALID_GEOFENCE_TYPE_FIELD: () => 'type debe ser circle o polygon',
+  INVALID_METADATA_FIELD: () => 'metadata debe ser un objeto',
+  INVALID_URL_FIELD: () => 'url debe ser una URL http o https de hasta 2000 caracteres',
+  WEBHOOK_URL_NOT_ALLOWED: () => 'url debe apuntar a una dirección pública (no localhost, redes privadas ni link-local)',
+  WEBHOOK_URL_UNRESOLVED: ({ hostname }) => (hostname ? `No se pudo resolver el host de la url: ${hostname}` : 'No se pudo resolver el host de la url'),
+  INVALID_EVENTS_FIELD: ({ allowedValues }) => `events debe ser un array no vacío con valores de: ${list(allowedValues)}`,
+  INVALID_FILTER_FIELD: () => 'filter debe ser un objeto con deviceIds, userIds y/o geofenceId',
+  TOO_MANY_FILTER_IDS: ({ field, maximum }) => `${field} debe ser un array de hasta ${maximum} IDs`,
+  INVALID_FILTER_IDS: ({ field }) => `${field} contiene IDs inválidos (letras, números, puntos, guiones y guiones bajos)`,
+  EMPTY_FILTER: () => 'filter debe incluir al menos deviceIds, userIds o geofenceId',
+  GEOFENCE_FILTER_REQUIRED: () => 'Los eventos geofence.enter y geofence.exit requieren filter.geofenceId',
+  INVALID_SECRET_FIELD: () => 'secret debe tener entre 16 y 200 caracteres',
+  INVALID_ACTIVE_FIELD: () => 'active debe ser booleano',
+  INVALID_DESCRIPTION_FIELD: () => 'description no puede exceder 200 caracteres',
+  EMPTY_ENTITIES_FIELD: ({ field }) => `${field} debe ser un array no vacío`,
+  TOO_MANY_ENTITIES: ({ field, maximum }) => `Máximo ${maximum} entidades permitidas en ${field}`,
+  INVALID_ENTITY_TYPE_FIELD: () => 'type debe ser gps o mobile'
+};
@@ -1,5 +1,16 @@
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { sendError } from '../utils/errors.js';
+
+/**
+ * Obtiene la API key de la petición (cabecera X-API-Key o Authorization: Bearer)
+ * Funciona también con el request crudo de Node (upgrade de WebSocket)
+ * @param {Object} req - Request
+ * @returns {string|undefined} API key recibida
+ */
+export function extractApiKey(req) {
+  return req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+}
 
 /**
  * Middleware de autenticación por API Key
@@ -10,12 +21,11 @@ export function authMiddleware(req, res, next) {
     return next();
   }
 
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+  const apiKey = extractApiKey(req);
 
   if (!apiKey) {
     logger.warn(`🔒 Acceso denegado: API key faltante desde ${req.ip}`);
-    return res.status(401).json({
-      success: false,
+    return sendError(res, 401, {
       error: 'API key requerida',
       code: 'MISSING_API_KEY',
       meta: {
@@ -26,8 +36,7 @@ export function authMiddleware(req, res, next) {
 
   if (apiKey !== config.api.key) {
     logger.warn(`🔒 Acceso denegado: API key inválida desde ${req.ip}`);
-    return res.status(401).json({
-      success: false,
+    return sendError(res, 401, {
       error: 'API key inválida',
       code: 'INVALID_API_KEY',
       meta: {
@@ -40,6 +49,25 @@ export function authMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Middleware de autenticación obligatoria para rutas que no deben quedar abiertas sin API_KEY (webhooks)
+ * Sin API key configurada responde 403 en lugar de permitir el acceso
+ */
+export function requiredAuthMiddleware(req, res, next) {
+  if (!config.api.key) {
+    logger.warn(`🔒 Acceso denegado a ${req.originalUrl}: API_KEY no configurada`);
+    return sendError(res, 403, {
+      error: 'Esta ruta requiere configurar API_KEY en el servidor',
+      code: 'API_KEY_NOT_CONFIGURED',
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  authMiddleware(req, res, next);
+}
+
 /**
  * Middleware de autenticación opcional (no bloquea si no hay API key)
  */
@@ -49,7 +77,7 @@ export function optionalAuthMiddleware(req, res, next) {
     return next();
   }
 
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+  const apiKey = extractApiKey(req);
 
   // Si no se proporciona API key, permitir acceso pero marcar como no autenticado
   if (!apiKey) {
@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { sendError } from '../utils/errors.js';
 
 /**
  * Middleware global de manejo de errores
@@ -15,8 +16,7 @@ export function errorMiddleware(err, req, res, next) {
 
   // Error de validación de JSON
   if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'JSON inválido en el cuerpo de la petición',
       code: 'INVALID_JSON',
       meta: {
@@ -27,8 +27,7 @@ export function errorMiddleware(err, req, res, next) {
 
   // Error de timeout
   if (err.code === 'TIMEOUT' || err.message.includes('timeout')) {
-    return res.status(408).json({
-      success: false,
+    return sendError(res, 408, {
       error: 'Timeout en la petición',
       code: 'REQUEST_TIMEOUT',
       meta: {
@@ -39,8 +38,7 @@ export function errorMiddleware(err, req, res, next) {
 
   // Error de conexión a Redis
   if (err.message.includes('Redis') || err.message.includes('ECONNREFUSED')) {
-    return res.status(503).json({
-      success: false,
+    return sendError(res, 503, {
       error: 'Servicio temporalmente no disponible',
       code: 'SERVICE_UNAVAILABLE',
       meta: {
@@ -50,8 +48,7 @@ export function errorMiddleware(err, req, res, next) {
   }
 
   // Error genérico del servidor
-  res.status(500).json({
-    success: false,
+  sendError(res, 500, {
     error: 'Error interno del servidor',
     code: 'INTERNAL_ERROR',
     meta: {
@@ -66,8 +63,7 @@ export function errorMiddleware(err, req, res, next) {
 export function notFoundMiddleware(req, res) {
   logger.warn(`🔍 Ruta no encontrada: ${req.method} ${req.url} desde ${req.ip}`);
   
-  res.status(404).json({
-    success: false,
+  sendError(res, 404, {
     error: `Ruta no encontrada: ${req.method} ${req.url}`,
     code: 'ROUTE_NOT_FOUND',
     meta: {
@@ -83,23 +79,31 @@ export function notFoundMiddleware(req, res) {
  */
 export function timeoutMiddleware(timeout = 30000) {
   return (req, res, next) => {
+    let currentTimeout = timeout;
+
     // Configurar timeout para la respuesta
     res.setTimeout(timeout, () => {
       logger.warn(`⏰ Timeout en petición: ${req.method} ${req.url} desde ${req.ip}`);
       
       if (!res.headersSent) {
-        res.status(408).json({
-          success: false,
+        sendError(res, 408, {
           error: 'Timeout en la petición',
           code: 'REQUEST_TIMEOUT',
           meta: {
-            timeout: timeout,
+            timeout: currentTimeout,
             timestamp: new Date().toISOString()
           }
         });
       }
     });
 
+    // Las esperas deliberadas (long-polling) amplían el límite sin desactivarlo:
+    // el 408 sigue protegiendo la petición si la espera no termina a tiempo
+    req.extendTimeout = (extraMs) => {
+      currentTimeout = timeout + extraMs;
+      res.setTimeout(currentTimeout);
+    };
+
     next();
   };
 }
\ No newline at end of file
@@ -0,0 +1,219 @@
+import { GEOJSON_CONTENT_TYPE, isPositionLike, positionToFeature, positionsToFeatureCollection } from '../utils/geojson.js';
+import { GPX_CONTENT_TYPE, KML_CONTENT_TYPE, positionsToGpx, positionsToKml } from '../utils/waypoints.js';
+import { parseFieldsParam, selectFields } from '../utils/fields.js';
+import { MSGPACK_CONTENT_TYPE, encodeMsgpack } from '../utils/msgpack.js';
+import { PROTOBUF_CONTENT_TYPE, PROTOBUF_MESSAGE_TYPE, encodeResponse } from '../utils/lastPositionProto.js';
+import { formatPositionTimes, parseTimeOptions } from '../utils/time.js';
+
+/**
+ * Middleware de salida GeoJSON para rutas de posiciones
+ * Se activa con ?format=geojson o con Accept: application/geo+json
+ * - data como lista de posiciones → FeatureCollection
+ * - data como posición individual → Feature
+ * summary y meta se conservan como miembros adicionales; errores y respuestas sin posiciones no cambian
+ */
+export function geoJsonResponseMiddleware(req, res, next) {
+  const requestedByQuery = req.query.format === 'geojson';
+  const requestedByAccept = req.accepts(['application/json', GEOJSON_CONTENT_TYPE]) === GEOJSON_CONTENT_TYPE;
+
+  res.vary('Accept');
+
+  if (!requestedByQuery && !requestedByAccept) {
+    return next();
+  }
+
+  // geojson es una codificación: las propiedades usan el formato por defecto de la ruta (o ?format si vino por Accept)
+  if (requestedByQuery) {
+    delete req.query.format;
+  }
+
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    if (!body || body.success !== true) {
+      return json(body);
+    }
+
+    const { data, success, ...rest } = body;
+    let geojson = null;
+
+    if (Array.isArray(data) && data.every(isPositionLike)) {
+      geojson = positionsToFeatureCollection(data);
+    } else if (isPositionLike(data)) {
+      geojson = positionToFeature(data);
+    }
+
+    if (!geojson) {
+      return json(body);
+    }
+
+    res.type(GEOJSON_CONTENT_TYPE);
+    return json({ ...geojson, ...rest });
+  };
+
+  next();
+}
+
+/**
+ * Middleware de salida GPX/KML para rutas de posiciones (Google Earth, Garmin)
+ * Se activa con ?format=gpx|kml o con Accept: application/gpx+xml | application/vnd.google-earth.kml+xml
+ * Cada posición se convierte en un waypoint/placemark nombrado con su campo name (o su id)
+ * Errores y respuestas sin posiciones siguen respondiendo JSON
+ */
+export function waypointResponseMiddleware(req, res, next) {
+  const renderers = {
+    gpx: { contentType: GPX_CONTENT_TYPE, render: positionsToGpx },
+    kml: { contentType: KML_CONTENT_TYPE, render: positionsToKml }
+  };
+
+  const acceptedType = req.accepts(['application/json', GPX_CONTENT_TYPE, KML_CONTENT_TYPE]);
+  const extension = renderers[req.query.format]
+    ? req.query.format
+    : Object.keys(renderers).find(key => renderers[key].contentType === acceptedType);
+
+  res.vary('Accept');
+
+  if (!extension) {
+    return next();
+  }
+
+  // Los waypoints se nombran con name: las rutas que aceptan ?format usan 'mobile' (id, lat, lng, name) salvo que se pida otro
+  if (req.query.format === extension || req.query.format === undefined) {
+    req.query.format = 'mobile';
+  }
+
+  const { contentType, render } = renderers[extension];
+  // baseUrl es /api/v4/gps o /api/v4/mobile
+  const source = req.baseUrl.split('/').pop() || 'positions';
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    if (!body || body.success !== true) {
+      return json(body);
+    }
+
+    const positions = isPositionLike(body.data) ? [body.data] : body.data;
+
+    if (!Array.isArray(positions) || !positions.every(isPositionLike)) {
+      return json(body);
+    }
+
+    const date = (body.timestamp || body.meta?.timestamp || new Date().toISOString()).slice(0, 10);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${source}-last-positions-${date}.${extension}"`
+    });
+
+    return res.send(render(positions));
+  };
+
+  next();
+}
+
+/**
+ * Middleware de normalización de timestamps (?tz=America/Lima&timeFormat=iso|epoch|epochMs)
+ * Formatea timestamp, receivedAt, updatedAt y retrievedAt de las posiciones en data; meta.timestamp sigue en UTC
+ * Debe montarse después de los middlewares GeoJSON/GPX/KML para que reciban las fechas ya normalizadas;
+ * CSV, NDJSON y tiles MVT no pasan por res.json y aplican las mismas opciones en el servicio
+ */
+export function timeFormatResponseMiddleware(req, res, next) {
+  const timeOptions = parseTimeOptions(req.query);
+
+  if (!timeOptions) {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    if (!body || body.success !== true || body.data === undefined) {
+      return json(body);
+    }
+
+    return json({
+      ...body,
+      data: formatPositionTimes(body.data, timeOptions),
+      meta: { ...body.meta, tz: timeOptions.tz, timeFormat: timeOptions.timeFormat }
+    });
+  };
+
+  next();
+}
+
+/**
+ * Middleware de selección de campos para rutas de lectura de posiciones
+ * Con ?fields=id,lat,lng,metadata.speed la ruta se consulta en formato full y cada posición se proyecta a esos campos
+ * Debe ir después de validateFieldsQueryMiddleware; se monta por ruta para no afectar clusters, heatmaps ni estadísticas
+ */
+export function sparseFieldsResponseMiddleware(req, res, next) {
+  if (req.query.fields === undefined) {
+    return next();
+  }
+
+  const { fields } = parseFieldsParam(req.query.fields);
+
+  // fields tiene prioridad sobre format: la proyección necesita los datos completos
+  req.query.format = 'full';
+
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    if (!body || body.success !== true) {
+      return json(body);
+    }
+
+    let data = body.data;
+
+    if (Array.isArray(data) && data.every(isPositionLike)) {
+      data = data.map(position => selectFields(position, fields));
+    } else if (isPositionLike(data)) {
+      data = selectFields(data, fields);
+    } else {
+      return json(body);
+    }
+
+    return json({
+      ...body,
+      data,
+      meta: { ...body.meta, fields }
+    });
+  };
+
+  next();
+}
+
+/**
+ * Middleware de negociación de contenido binario para clientes con poco ancho de banda
+ * - Accept: application/msgpack (o application/x-msgpack) → mismo cuerpo que JSON en MessagePack
+ * - Accept: application/x-protobuf → mensaje gpslastposition.v4.Response (proto/last_position.proto)
+ * Se aplica a todas las respuestas res.json, incluidos los errores; debe montarse antes de los
+ * middlewares GeoJSON/GPX/KML para codificar el cuerpo ya transformado
+ */
+export function binaryResponseMiddleware(req, res, next) {
+  const encoders = {
+    [MSGPACK_CONTENT_TYPE]: { contentType: MSGPACK_CONTENT_TYPE, encode: encodeMsgpack },
+    'application/x-msgpack': { contentType: MSGPACK_CONTENT_TYPE, encode: encodeMsgpack },
+    [PROTOBUF_CONTENT_TYPE]: {
+      contentType: `${PROTOBUF_CONTENT_TYPE}; messageType=${PROTOBUF_MESSAGE_TYPE}`,
+      encode: encodeResponse
+    }
+  };
+
+  const acceptedType = req.accepts(['application/json', ...Object.keys(encoders)]);
+
+  res.vary('Accept');
+
+  if (!encoders[acceptedType]) {
+    return next();
+  }
+
+  const { contentType, encode } = encoders[acceptedType];
+
+  res.json = body => {
+    res.set('Content-Type', contentType);
+    return res.send(encode(body));
+  };
+
+  next();
+}
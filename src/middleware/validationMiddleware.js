@@ -1,4 +1,18 @@
 import { logger } from '../utils/logger.js';
+import { sendError } from '../utils/errors.js';
+import { config } from '../config/env.js';
+import { UNIT_TO_METERS, extractGeoJsonGeometry, getPolygonGeometryError, isValidCoordinate, parseBoundingBoxParam } from '../utils/geo.js';
+import { MAX_MAP_ZOOM } from '../utils/grid.js';
+import { MAX_FIELDS, POSITION_FIELDS, parseFieldsParam } from '../utils/fields.js';
+import { compileOperations, getSchemaViolation, matchOperation } from '../utils/openapi.js';
+import { isValidTimeZone, parseDuration } from '../utils/time.js';
+import { parseSinceParam } from '../utils/sync.js';
+import { isBlockedHostname } from '../utils/webhookTarget.js';
+import { openApiDocument } from '../docs/openapi.js';
+import { WEBHOOK_EVENTS } from '../services/WebhookService.js';
+
+// Operaciones del documento OpenAPI indexadas para validar parámetros
+const openApiOperations = compileOperations(openApiDocument);
 
 /**
  * Middleware para validar el cuerpo de peticiones JSON
@@ -9,8 +23,7 @@ export function validateJsonMiddleware(req, res, next) {
     
     if (contentType && contentType.includes('application/json')) {
       if (!req.body || Object.keys(req.body).length === 0) {
-        return res.status(400).json({
-          success: false,
+        return sendError(res, 400, {
           error: 'Cuerpo JSON requerido para esta petición',
           code: 'MISSING_JSON_BODY',
           meta: {
@@ -24,6 +37,64 @@ export function validateJsonMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Middleware para validar parámetros de path y query con el documento OpenAPI
+ * Usa x-error-code / x-error-codes del parámetro para mantener los códigos de error estables
+ * Los parámetros con x-validated-by y los cuerpos los validan sus middlewares dedicados
+ */
+export function validateOpenApiRequestMiddleware(req, res, next) {
+  const operation = matchOperation(openApiOperations, req.method, `${req.baseUrl}${req.path}`);
+
+  if (!operation) {
+    return next();
+  }
+
+  for (const parameter of operation.parameters) {
+    if (parameter['x-validated-by'] || (parameter.in !== 'query' && parameter.in !== 'path')) {
+      continue;
+    }
+
+    const { name, schema = {} } = parameter;
+    const value = parameter.in === 'path' ? operation.pathValues[name] : req.query[name];
+
+    const violation = operation.malformedParams.includes(name)
+      ? 'encoding'
+      : value === undefined
+        ? (parameter.required ? 'required' : null)
+        : getSchemaViolation(schema, value);
+
+    if (!violation) {
+      continue;
+    }
+
+    const code = parameter['x-error-codes']?.[violation] || parameter['x-error-code'] || 'INVALID_PARAMETER';
+    const constraint = {
+      ...(schema.enum ? { allowedValues: schema.enum } : {}),
+      ...(schema.type === 'boolean' ? { allowedValues: ['true', 'false'] } : {}),
+      ...(schema.minimum !== undefined ? { minimum: schema.minimum } : {}),
+      ...(schema.maximum !== undefined ? { maximum: schema.maximum } : {}),
+      ...(violation === 'maxLength' ? { providedLength: value.length, maxLength: schema.maxLength } : {}),
+      ...(violation === 'pattern' ? { allowedPattern: schema.pattern } : {}),
+      ...(violation === 'type' || violation === 'required' ? { expectedType: schema.type } : {})
+    };
+
+    logger.debug(`🧾 Parámetro ${name} inválido según OpenAPI (${operation.operation.operationId}): ${violation}`);
+
+    return sendError(res, 400, {
+      error: `El parámetro ${name} no es válido`,
+      code,
+      meta: {
+        parameter: name,
+        [`provided${name[0].toUpperCase()}${name.slice(1)}`]: value,
+        ...constraint,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
 /**
  * Middleware para validar parámetros de deviceId
  */
@@ -31,8 +102,7 @@ export function validateDeviceIdMiddleware(req, res, next) {
   const { deviceId } = req.params;
   
   if (!deviceId) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Device ID es requerido',
       code: 'MISSING_DEVICE_ID',
       meta: {
@@ -42,8 +112,7 @@ export function validateDeviceIdMiddleware(req, res, next) {
   }
 
   if (typeof deviceId !== 'string' || deviceId.trim() === '') {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Device ID debe ser una cadena válida no vacía',
       code: 'INVALID_DEVICE_ID',
       meta: {
@@ -55,8 +124,7 @@ export function validateDeviceIdMiddleware(req, res, next) {
 
   // Validar longitud del deviceId
   if (deviceId.length > 100) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Device ID no puede exceder 100 caracteres',
       code: 'DEVICE_ID_TOO_LONG',
       meta: {
@@ -70,8 +138,7 @@ export function validateDeviceIdMiddleware(req, res, next) {
   // Validar caracteres permitidos (alfanuméricos, guiones, puntos, guiones bajos)
   const validPattern = /^[a-zA-Z0-9._-]+$/;
   if (!validPattern.test(deviceId)) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Device ID contiene caracteres no válidos. Solo se permiten letras, números, puntos, guiones y guiones bajos',
       code: 'INVALID_DEVICE_ID_CHARACTERS',
       meta: {
@@ -92,8 +159,7 @@ export function validateMultipleDevicesMiddleware(req, res, next) {
   const { deviceIds } = req.body;
 
   if (!deviceIds) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Campo deviceIds es requerido',
       code: 'MISSING_DEVICE_IDS',
       meta: {
@@ -103,8 +169,7 @@ export function validateMultipleDevicesMiddleware(req, res, next) {
   }
 
   if (!Array.isArray(deviceIds)) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'deviceIds debe ser un array',
       code: 'INVALID_DEVICE_IDS_TYPE',
       meta: {
@@ -116,8 +181,7 @@ export function validateMultipleDevicesMiddleware(req, res, next) {
   }
 
   if (deviceIds.length === 0) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'deviceIds no puede estar vacío',
       code: 'EMPTY_DEVICE_IDS',
       meta: {
@@ -127,8 +191,7 @@ export function validateMultipleDevicesMiddleware(req, res, next) {
   }
 
   if (deviceIds.length > 100) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Máximo 100 dispositivos permitidos por petición',
       code: 'TOO_MANY_DEVICE_IDS',
       meta: {
@@ -150,26 +213,28 @@ export function validateMultipleDevicesMiddleware(req, res, next) {
       invalidDevices.push({
         index: i,
         value: deviceId,
+        code: 'INVALID_DEVICE_ID',
         error: 'Device ID debe ser una cadena válida no vacía'
       });
     } else if (deviceId.length > 100) {
       invalidDevices.push({
         index: i,
         value: deviceId,
+        code: 'DEVICE_ID_TOO_LONG',
         error: 'Device ID no puede exceder 100 caracteres'
       });
     } else if (!validPattern.test(deviceId)) {
       invalidDevices.push({
         index: i,
         value: deviceId,
+        code: 'INVALID_DEVICE_ID_CHARACTERS',
         error: 'Device ID contiene caracteres no válidos'
       });
     }
   }
 
   if (invalidDevices.length > 0) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Algunos Device IDs son inválidos',
       code: 'INVALID_DEVICE_IDS',
       details: invalidDevices,
@@ -184,47 +249,6 @@ export function validateMultipleDevicesMiddleware(req, res, next) {
   next();
 }
 
-/**
- * Middleware para validar parámetros de paginación
- */
-export function validatePaginationMiddleware(req, res, next) {
-  const { limit, offset } = req.query;
-
-  if (limit !== undefined) {
-    const limitNum = parseInt(limit);
-    if (isNaN(limitNum) || limitNum <= 0 || limitNum > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: 'El parámetro limit debe ser un número entre 1 y 1000',
-        code: 'INVALID_LIMIT',
-        meta: {
-          providedLimit: limit,
-          validRange: '1-1000',
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-  }
-
-  if (offset !== undefined) {
-    const offsetNum = parseInt(offset);
-    if (isNaN(offsetNum) || offsetNum < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'El parámetro offset debe ser un número mayor o igual a 0',
-        code: 'INVALID_OFFSET',
-        meta: {
-          providedOffset: offset,
-          minimum: 0,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-  }
-
-  next();
-}
-
 /**
  * Middleware para validar parámetros de userId (móvil)
  */
@@ -232,8 +256,7 @@ export function validateUserIdMiddleware(req, res, next) {
   const { userId } = req.params;
   
   if (!userId) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'User ID es requerido',
       code: 'MISSING_USER_ID',
       meta: {
@@ -243,8 +266,7 @@ export function validateUserIdMiddleware(req, res, next) {
   }
 
   if (typeof userId !== 'string' || userId.trim() === '') {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'User ID debe ser una cadena válida no vacía',
       code: 'INVALID_USER_ID',
       meta: {
@@ -256,8 +278,7 @@ export function validateUserIdMiddleware(req, res, next) {
 
   // Validar longitud del userId
   if (userId.length > 100) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'User ID no puede exceder 100 caracteres',
       code: 'USER_ID_TOO_LONG',
       meta: {
@@ -271,8 +292,7 @@ export function validateUserIdMiddleware(req, res, next) {
   // Validar caracteres permitidos (alfanuméricos, guiones, puntos, guiones bajos)
   const validPattern = /^[a-zA-Z0-9._-]+$/;
   if (!validPattern.test(userId)) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'User ID contiene caracteres no válidos. Solo se permiten letras, números, puntos, guiones y guiones bajos',
       code: 'INVALID_USER_ID_CHARACTERS',
       meta: {
@@ -293,8 +313,7 @@ export function validateMultipleUsersMiddleware(req, res, next) {
   const { userIds } = req.body;
 
   if (!userIds) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Campo userIds es requerido',
       code: 'MISSING_USER_IDS',
       meta: {
@@ -304,8 +323,7 @@ export function validateMultipleUsersMiddleware(req, res, next) {
   }
 
   if (!Array.isArray(userIds)) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'userIds debe ser un array',
       code: 'INVALID_USER_IDS_TYPE',
       meta: {
@@ -317,8 +335,7 @@ export function validateMultipleUsersMiddleware(req, res, next) {
   }
 
   if (userIds.length === 0) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'userIds no puede estar vacío',
       code: 'EMPTY_USER_IDS',
       meta: {
@@ -328,8 +345,7 @@ export function validateMultipleUsersMiddleware(req, res, next) {
   }
 
   if (userIds.length > 100) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Máximo 100 usuarios permitidos por petición',
       code: 'TOO_MANY_USER_IDS',
       meta: {
@@ -351,26 +367,28 @@ export function validateMultipleUsersMiddleware(req, res, next) {
       invalidUsers.push({
         index: i,
         value: userId,
+        code: 'INVALID_USER_ID',
         error: 'User ID debe ser una cadena válida no vacía'
       });
     } else if (userId.length > 100) {
       invalidUsers.push({
         index: i,
         value: userId,
+        code: 'USER_ID_TOO_LONG',
         error: 'User ID no puede exceder 100 caracteres'
       });
     } else if (!validPattern.test(userId)) {
       invalidUsers.push({
         index: i,
         value: userId,
+        code: 'INVALID_USER_ID_CHARACTERS',
         error: 'User ID contiene caracteres no válidos'
       });
     }
   }
 
   if (invalidUsers.length > 0) {
-    return res.status(400).json({
-      success: false,
+    return sendError(res, 400, {
       error: 'Algunos User IDs son inválidos',
       code: 'INVALID_USER_IDS',
       details: invalidUsers,
@@ -383,4 +401,638 @@ export function validateMultipleUsersMiddleware(req, res, next) {
   }
 
   next();
-}
\ No newline at end of file
+}
+
+/**
+ * Middleware para validar la unidad de distancia en rutas fuera del documento OpenAPI
+ * Query params: unit (m|km|mi|ft)
+ */
+export function validateUnitQueryMiddleware(req, res, next) {
+  const { unit = 'm' } = req.query;
+
+  if (!Object.prototype.hasOwnProperty.call(UNIT_TO_METERS, unit)) {
+    return sendError(res, 400, {
+      error: 'El parámetro unit debe ser uno de: m, km, mi, ft',
+      code: 'INVALID_UNIT',
+      meta: {
+        providedUnit: unit,
+        allowedValues: Object.keys(UNIT_TO_METERS),
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar consultas geoespaciales por radio
+ * Query params: radius (presencia, tipo y > 0 los valida el documento OpenAPI; aquí solo el máximo, que depende de unit)
+ */
+export function validateNearbyQueryMiddleware(req, res, next) {
+  const { radius, unit = 'm' } = req.query;
+
+  const maxRadius = Math.floor((config.geo.maxRadiusKm * 1000) / UNIT_TO_METERS[unit]);
+  if (Number(radius) > maxRadius) {
+    return sendError(res, 400, {
+      error: `El parámetro radius debe ser un número mayor a 0 y menor o igual a ${maxRadius} ${unit}`,
+      code: 'INVALID_RADIUS',
+      meta: {
+        providedRadius: radius,
+        maximum: maxRadius,
+        unit,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar consultas por bounding box (viewport de mapa)
+ * Query params: minLat, minLng, maxLat, maxLng (rangos validados por el documento OpenAPI)
+ * Se permite minLng > maxLng para viewports que cruzan el antimeridiano
+ */
+export function validateBoundingBoxQueryMiddleware(req, res, next) {
+  if (Number(req.query.minLat) > Number(req.query.maxLat)) {
+    return sendError(res, 400, {
+      error: 'El parámetro minLat no puede ser mayor que maxLat',
+      code: 'INVALID_BOUNDING_BOX',
+      meta: {
+        minLat: req.query.minLat,
+        maxLat: req.query.maxLat,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar un cuerpo GeoJSON Polygon/MultiPolygon
+ * Acepta la geometría directamente, un Feature o un objeto { geometry }
+ */
+export function validatePolygonBodyMiddleware(req, res, next) {
+  const geometry = extractGeoJsonGeometry(req.body);
+  const geometryError = getPolygonGeometryError(geometry);
+
+  if (geometryError) {
+    return sendError(res, 400, {
+      error: geometryError.error,
+      code: 'INVALID_GEOMETRY',
+      meta: {
+        reason: geometryError.code,
+        providedType: geometry?.type || null,
+        allowedTypes: ['Polygon', 'MultiPolygon'],
+        timestamp: new Date().toISOString()
+      },
+      params: geometryError.params
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar el parámetro geofenceId
+ */
+export function validateGeofenceIdMiddleware(req, res, next) {
+  const { geofenceId } = req.params;
+  const validPattern = /^[a-zA-Z0-9._-]+$/;
+
+  if (!geofenceId || geofenceId.length > 100 || !validPattern.test(geofenceId)) {
+    return sendError(res, 400, {
+      error: 'Geofence ID debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)',
+      code: 'INVALID_GEOFENCE_ID',
+      meta: {
+        providedGeofenceId: geofenceId,
+        allowedPattern: 'a-zA-Z0-9._-',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar el cuerpo de creación/actualización de geocercas
+ * Body circle:  { "name": "Almacén", "type": "circle", "center": { "lat": -12.04, "lng": -77.03 }, "radius": 500 }
+ * Body polygon: { "name": "Zona norte", "type": "polygon", "geometry": { "type": "Polygon", "coordinates": [...] } }
+ */
+export function validateGeofenceBodyMiddleware(req, res, next) {
+  const { id, name, type, center, radius, geometry, metadata } = req.body || {};
+  const errors = [];
+
+  if (req.method === 'POST' && id !== undefined) {
+    if (typeof id !== 'string' || id.length === 0 || id.length > 100 || !/^[a-zA-Z0-9._-]+$/.test(id)) {
+      errors.push({ field: 'id', code: 'INVALID_ID_FIELD', error: 'id debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)' });
+    }
+  }
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    errors.push({ field: 'name', code: 'INVALID_NAME_FIELD', error: 'name es requerido y no puede exceder 100 caracteres' });
+  }
+
+  if (type === 'circle') {
+    if (!center || typeof center !== 'object' || !isValidCoordinate(center.lat, center.lng)) {
+      errors.push({ field: 'center', code: 'INVALID_CENTER_FIELD', error: 'center debe ser { lat, lng } con valores numéricos dentro de rango' });
+    }
+
+    const maxRadius = config.geo.maxRadiusKm * 1000;
+    if (typeof radius !== 'number' || !Number.isFinite(radius) || radius <= 0 || radius > maxRadius) {
+      errors.push({ field: 'radius', code: 'INVALID_RADIUS_FIELD', error: `radius debe ser un número en metros mayor a 0 y menor o igual a ${maxRadius}`, params: { maximum: maxRadius } });
+    }
+  } else if (type === 'polygon') {
+    const geometryError = getPolygonGeometryError(geometry);
+    if (geometryError) {
+      errors.push({ field: 'geometry', ...geometryError });
+    }
+  } else {
+    errors.push({ field: 'type', code: 'INVALID_GEOFENCE_TYPE_FIELD', error: 'type debe ser circle o polygon' });
+  }
+
+  if (metadata !== undefined && metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    errors.push({ field: 'metadata', code: 'INVALID_METADATA_FIELD', error: 'metadata debe ser un objeto' });
+  }
+
+  if (errors.length > 0) {
+    return sendError(res, 400, {
+      error: 'Datos de geocerca inválidos',
+      code: 'INVALID_GEOFENCE',
+      details: errors,
+      meta: {
+        invalidCount: errors.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar el parámetro webhookId
+ */
+export function validateWebhookIdMiddleware(req, res, next) {
+  const { webhookId } = req.params;
+  const validPattern = /^[a-zA-Z0-9._-]+$/;
+
+  if (!webhookId || webhookId.length > 100 || !validPattern.test(webhookId)) {
+    return sendError(res, 400, {
+      error: 'Webhook ID debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)',
+      code: 'INVALID_WEBHOOK_ID',
+      meta: {
+        providedWebhookId: webhookId,
+        allowedPattern: 'a-zA-Z0-9._-',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar el cuerpo de creación/actualización de webhooks
+ * Body: { "url": "https://partner.example.com/hooks", "events": ["position.updated"],
+ *         "filter": { "deviceIds": ["device-001"], "userIds": [], "geofenceId": "almacen" } }
+ */
+export function validateWebhookBodyMiddleware(req, res, next) {
+  const { id, url, events, filter, secret, active, description } = req.body || {};
+  const maxFilterIds = config.webhooks.maxFilterIds;
+  const validPattern = /^[a-zA-Z0-9._-]+$/;
+  const errors = [];
+
+  if (req.method === 'POST' && id !== undefined) {
+    if (typeof id !== 'string' || id.length === 0 || id.length > 100 || !validPattern.test(id)) {
+      errors.push({ field: 'id', code: 'INVALID_ID_FIELD', error: 'id debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)' });
+    }
+  }
+
+  let parsedUrl = null;
+  try {
+    parsedUrl = typeof url === 'string' && url.length <= 2000 ? new URL(url) : null;
+  } catch (error) {
+    parsedUrl = null;
+  }
+
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    errors.push({ field: 'url', code: 'INVALID_URL_FIELD', error: 'url debe ser una URL http o https de hasta 2000 caracteres' });
+  } else if (isBlockedHostname(parsedUrl.hostname)) {
+    // Los hosts con nombre se resuelven y comprueban en WebhookService
+    errors.push({ field: 'url', code: 'WEBHOOK_URL_NOT_ALLOWED', error: 'url debe apuntar a una dirección pública (no localhost, redes privadas ni link-local)' });
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    errors.push({ field: 'events', code: 'INVALID_EVENTS_FIELD', error: `events debe ser un array no vacío con valores de: ${WEBHOOK_EVENTS.join(', ')}`, params: { allowedValues: WEBHOOK_EVENTS } });
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.push({ field: 'filter', code: 'INVALID_FILTER_FIELD', error: 'filter debe ser un objeto con deviceIds, userIds y/o geofenceId' });
+  } else {
+    for (const field of ['deviceIds', 'userIds']) {
+      const ids = filter[field];
+      if (ids === undefined) {
+        continue;
+      }
+
+      if (!Array.isArray(ids) || ids.length > maxFilterIds) {
+        errors.push({ field: `filter.${field}`, code: 'TOO_MANY_FILTER_IDS', error: `filter.${field} debe ser un array de hasta ${maxFilterIds} IDs`, params: { maximum: maxFilterIds } });
+      } else if (ids.some(entityId => typeof entityId !== 'string' || entityId.length === 0 || entityId.length > 100 || !validPattern.test(entityId))) {
+        errors.push({ field: `filter.${field}`, code: 'INVALID_FILTER_IDS', error: `filter.${field} contiene IDs inválidos (letras, números, puntos, guiones y guiones bajos)` });
+      }
+    }
+
+    const { geofenceId } = filter;
+    if (geofenceId !== undefined && geofenceId !== null &&
+        (typeof geofenceId !== 'string' || geofenceId.length === 0 || geofenceId.length > 100 || !validPattern.test(geofenceId))) {
+      errors.push({ field: 'filter.geofenceId', code: 'INVALID_ID_FIELD', error: 'filter.geofenceId debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)' });
+    }
+
+    const hasIds = ['deviceIds', 'userIds'].some(field => Array.isArray(filter[field]) && filter[field].length > 0);
+    if (!hasIds && !geofenceId) {
+      errors.push({ field: 'filter', code: 'EMPTY_FILTER', error: 'filter debe incluir al menos deviceIds, userIds o geofenceId' });
+    }
+
+    if (Array.isArray(events) && events.some(event => event.startsWith?.('geofence.')) && !geofenceId) {
+      errors.push({ field: 'filter.geofenceId', code: 'GEOFENCE_FILTER_REQUIRED', error: 'Los eventos geofence.enter y geofence.exit requieren filter.geofenceId' });
+    }
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 200)) {
+    errors.push({ field: 'secret', code: 'INVALID_SECRET_FIELD', error: 'secret debe tener entre 16 y 200 caracteres' });
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    errors.push({ field: 'active', code: 'INVALID_ACTIVE_FIELD', error: 'active debe ser booleano' });
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+    errors.push({ field: 'description', code: 'INVALID_DESCRIPTION_FIELD', error: 'description no puede exceder 200 caracteres' });
+  }
+
+  if (errors.length > 0) {
+    return sendError(res, 400, {
+      error: 'Datos de webhook inválidos',
+      code: 'INVALID_WEBHOOK',
+      details: errors,
+      meta: {
+        invalidCount: errors.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar el cuerpo de la matriz de distancias
+ * Body: { "origins": [{ "type": "gps", "id": "device-001" }], "destinations": [{ "type": "mobile", "id": "user-001" }] }
+ */
+export function validateDistanceMatrixBodyMiddleware(req, res, next) {
+  const { origins, destinations } = req.body || {};
+  const maxEntities = config.geo.maxMatrixEntities;
+  const validPattern = /^[a-zA-Z0-9._-]+$/;
+  const errors = [];
+
+  for (const [field, entities] of [['origins', origins], ['destinations', destinations]]) {
+    if (!Array.isArray(entities) || entities.length === 0) {
+      errors.push({ field, code: 'EMPTY_ENTITIES_FIELD', error: `${field} debe ser un array no vacío` });
+      continue;
+    }
+
+    if (entities.length > maxEntities) {
+      errors.push({ field, code: 'TOO_MANY_ENTITIES', error: `Máximo ${maxEntities} entidades permitidas en ${field}`, params: { maximum: maxEntities } });
+      continue;
+    }
+
+    entities.forEach((entity, index) => {
+      if (!entity || typeof entity !== 'object' || !['gps', 'mobile'].includes(entity.type)) {
+        errors.push({ field: `${field}[${index}].type`, code: 'INVALID_ENTITY_TYPE_FIELD', error: 'type debe ser gps o mobile' });
+      }
+
+      const id = entity && entity.id;
+      if (typeof id !== 'string' || id.trim() === '' || id.length > 100 || !validPattern.test(id)) {
+        errors.push({ field: `${field}[${index}].id`, code: 'INVALID_ID_FIELD', error: 'id debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)' });
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return sendError(res, 400, {
+      error: 'Datos de matriz de distancias inválidos',
+      code: 'INVALID_DISTANCE_MATRIX',
+      details: errors,
+      meta: {
+        invalidCount: errors.length,
+        maximumPerSide: maxEntities,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar el bbox opcional de clusters y heatmap: 'minLng,minLat,maxLng,maxLat'
+ * Una lista de cuatro coordenadas con rangos distintos no se puede expresar en el esquema OpenAPI;
+ * zoom y cellSize sí, y los valida validateOpenApiRequestMiddleware
+ */
+export function validateBboxQueryMiddleware(req, res, next) {
+  const { bbox } = req.query;
+
+  if (bbox !== undefined && !parseBoundingBoxParam(bbox)) {
+    return sendError(res, 400, {
+      error: 'El parámetro bbox debe tener el formato minLng,minLat,maxLng,maxLat con coordenadas válidas',
+      code: 'INVALID_BOUNDING_BOX',
+      meta: {
+        providedBbox: bbox,
+        expectedFormat: 'minLng,minLat,maxLng,maxLat',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar coordenadas de tile XYZ
+ * Path params: z (0-22), x e y (0 a 2^z - 1)
+ */
+export function validateTileParamsMiddleware(req, res, next) {
+  const z = Number(req.params.z);
+  const x = Number(req.params.x);
+  const y = Number(req.params.y);
+
+  const validZoom = Number.isInteger(z) && z >= 0 && z <= MAX_MAP_ZOOM;
+  const maxIndex = validZoom ? Math.pow(2, z) - 1 : 0;
+
+  if (!validZoom || !Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x > maxIndex || y > maxIndex) {
+    return sendError(res, 400, {
+      error: `Tile inválido: z debe ser un entero entre 0 y ${MAX_MAP_ZOOM}, x e y enteros entre 0 y 2^z - 1`,
+      code: 'INVALID_TILE',
+      meta: {
+        providedTile: `${req.params.z}/${req.params.x}/${req.params.y}`,
+        timestamp: new Date().toISOString()
+      },
+      params: { maxZoom: MAX_MAP_ZOOM }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar opciones de exportación CSV
+ * Query params: metadata opcional 'speed,heading,battery.level' (máximo 50 columnas)
+ */
+export function validateExportQueryMiddleware(req, res, next) {
+  const { metadata } = req.query;
+  const maxColumns = 50;
+  const columnPattern = /^[a-zA-Z0-9_-]+(\.[a-zA-Z0-9_-]+)*$/;
+
+  if (metadata !== undefined) {
+    const columns = typeof metadata === 'string' ? metadata.split(',').map(column => column.trim()) : [];
+    const invalidColumns = columns.filter(column => !columnPattern.test(column));
+
+    if (columns.length === 0 || columns.length > maxColumns || invalidColumns.length > 0) {
+      return sendError(res, 400, {
+        error: `El parámetro metadata debe ser una lista separada por comas de hasta ${maxColumns} rutas (letras, números, _, - y puntos)`,
+        code: 'INVALID_METADATA_COLUMNS',
+        meta: {
+          providedMetadata: metadata,
+          invalidColumns,
+          timestamp: new Date().toISOString()
+        },
+        params: { maximum: maxColumns }
+      });
+    }
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar la selección de campos (sparse fieldsets)
+ * Query params: fields opcional 'id,lat,lng,metadata.speed'
+ */
+export function validateFieldsQueryMiddleware(req, res, next) {
+  const { fields } = req.query;
+
+  if (fields === undefined) {
+    return next();
+  }
+
+  const { fields: selectedFields, unknownFields } = typeof fields === 'string'
+    ? parseFieldsParam(fields)
+    : { fields: [], unknownFields: [] };
+
+  if (selectedFields.length === 0 || selectedFields.length > MAX_FIELDS || unknownFields.length > 0) {
+    return sendError(res, 400, {
+      error: unknownFields.length > 0
+        ? `Campos desconocidos en fields: ${unknownFields.join(', ')}`
+        : `El parámetro fields debe ser una lista separada por comas de 1 a ${MAX_FIELDS} campos`,
+      code: 'INVALID_FIELDS',
+      meta: {
+        providedFields: fields,
+        unknownFields,
+        allowedFields: [...POSITION_FIELDS, 'metadata.<ruta>'],
+        timestamp: new Date().toISOString()
+      },
+      params: { maximum: MAX_FIELDS }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para rutas cuya respuesta no contiene posiciones (exists): ?fields= no aplica
+ */
+export function rejectFieldsQueryMiddleware(req, res, next) {
+  if (req.query.fields === undefined) {
+    return next();
+  }
+
+  return sendError(res, 400, {
+    error: 'El parámetro fields no aplica a esta ruta: la respuesta no contiene posiciones',
+    code: 'FIELDS_NOT_SUPPORTED',
+    meta: {
+      providedFields: req.query.fields,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Middleware para validar la zona horaria de los timestamps
+ * Query params: tz opcional con una zona IANA (America/Lima, Europe/Madrid, UTC)
+ */
+export function validateTimeZoneQueryMiddleware(req, res, next) {
+  const { tz } = req.query;
+
+  if (tz !== undefined && !isValidTimeZone(tz)) {
+    return sendError(res, 400, {
+      error: 'El parámetro tz debe ser una zona horaria IANA válida (por ejemplo America/Lima o UTC)',
+      code: 'INVALID_TIMEZONE',
+      meta: {
+        providedTz: tz,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar la sincronización incremental
+ * Query params: since opcional con el token nextSince de una respuesta anterior, ISO 8601 o epoch
+ * (no se combina con stream ni con offset)
+ */
+export function validateSinceQueryMiddleware(req, res, next) {
+  const { since, stream } = req.query;
+
+  if (since === undefined) {
+    return next();
+  }
+
+  if (!parseSinceParam(since)) {
+    return sendError(res, 400, {
+      error: 'El parámetro since debe ser un token nextSince, una fecha ISO 8601 o un epoch en segundos o milisegundos',
+      code: 'INVALID_SINCE',
+      meta: {
+        providedSince: since,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Con since se pagina con nextSince; offset se ignoraría sin avisar
+  const parameter = ['stream', 'offset'].find(name => req.query[name] !== undefined);
+
+  if (parameter) {
+    return sendError(res, 400, {
+      error: `El parámetro since no se puede combinar con ${parameter}`,
+      code: 'SINCE_NOT_SUPPORTED',
+      meta: {
+        parameter,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar la espera del long-polling
+ * Query params: waitForChange opcional como '30s', '1500ms' o '1m' (sin unidad, segundos)
+ */
+export function validateWaitForChangeQueryMiddleware(req, res, next) {
+  const { waitForChange } = req.query;
+  const maximum = config.realtime.longPollMaxWaitMs;
+
+  if (waitForChange === undefined) {
+    return next();
+  }
+
+  const waitMs = parseDuration(waitForChange);
+
+  if (!waitMs || waitMs > maximum) {
+    return sendError(res, 400, {
+      error: `El parámetro waitForChange debe ser una duración mayor a 0 y de hasta ${maximum / 1000}s (por ejemplo 30s o 1500ms)`,
+      code: 'INVALID_WAIT_FOR_CHANGE',
+      meta: {
+        providedWaitForChange: waitForChange,
+        maximumMs: maximum,
+        timestamp: new Date().toISOString()
+      },
+      params: { maximum: maximum / 1000 }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Valida una lista de IDs separados por comas en la query (streams en vivo)
+ * @param {Object} options - { parameter, label, codes: { missing, tooMany, invalid } }
+ * @private
+ */
+function validateIdListQuery(req, res, next, { parameter, label, codes }) {
+  const value = req.query[parameter];
+  const maximum = config.realtime.maxStreamIds;
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    return sendError(res, 400, {
+      error: `Campo ${parameter} es requerido`,
+      code: codes.missing,
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const ids = [...new Set(value.split(',').map(id => id.trim()))];
+
+  if (ids.length > maximum) {
+    return sendError(res, 400, {
+      error: `Máximo ${maximum} ${label} permitidos por petición`,
+      code: codes.tooMany,
+      meta: {
+        provided: ids.length,
+        maximum,
+        timestamp: new Date().toISOString()
+      },
+      params: { maximum }
+    });
+  }
+
+  const validPattern = /^[a-zA-Z0-9._-]+$/;
+  const invalidIds = ids.filter(id => id === '' || id.length > 100 || !validPattern.test(id));
+
+  if (invalidIds.length > 0) {
+    return sendError(res, 400, {
+      error: `Algunos ${parameter} son inválidos`,
+      code: codes.invalid,
+      details: invalidIds.map(id => ({ value: id })),
+      meta: {
+        totalProvided: ids.length,
+        invalidCount: invalidIds.length,
+        allowedPattern: 'a-zA-Z0-9._-',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware para validar ?deviceIds=a,b,c en el stream en vivo GPS
+ */
+export function validateDeviceIdsQueryMiddleware(req, res, next) {
+  validateIdListQuery(req, res, next, {
+    parameter: 'deviceIds',
+    label: 'dispositivos',
+    codes: { missing: 'MISSING_DEVICE_IDS', tooMany: 'TOO_MANY_DEVICE_IDS', invalid: 'INVALID_DEVICE_IDS' }
+  });
+}
+
+/**
+ * Middleware para validar ?userIds=a,b,c en el stream en vivo móvil
+ */
+export function validateUserIdsQueryMiddleware(req, res, next) {
+  validateIdListQuery(req, res, next, {
+    parameter: 'userIds',
+    label: 'usuarios',
+    codes: { missing: 'MISSING_USER_IDS', tooMany: 'TOO_MANY_USER_IDS', invalid: 'INVALID_USER_IDS' }
+  });
+}
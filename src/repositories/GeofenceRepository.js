@@ -0,0 +1,301 @@
+import { createRedisClient, createRedisTransactionClient } from '../config/redis.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/env.js';
+
+// Intentos de una transacción de estados antes de desistir (otra instancia modificó las claves vigiladas)
+const TRANSITION_ATTEMPTS = 5;
+
+// Campo del hash de estado con la versión de la última posición evaluada (los IDs de geocerca no admiten '@')
+const POSITION_VERSION_FIELD = '@position';
+
+/**
+ * Repositorio de geocercas y de su estado de entrada/salida por entidad en Redis
+ * - Registro: hash geofences (campo = id de geocerca, valor = JSON)
+ * - Estado: hash geofence:state:{entityType}:{entityId} (campo = id de geocerca, valor = JSON;
+ *   campo @position = versión de la última posición evaluada)
+ * - Transiciones: lista geofence:transitions (JSON, la más reciente primero), acotada a transitionsMax
+ */
+export class GeofenceRepository {
+  constructor() {
+    this.client = null;
+    this.isConnected = false;
+    this.registryKey = config.geofences.registryKey;
+    this.stateKeyPrefix = config.geofences.stateKeyPrefix;
+    this.transitionsKey = config.geofences.transitionsKey;
+    this.transactionClient = null;
+    this.transactionQueue = Promise.resolve();
+  }
+
+  /**
+   * Conecta a Redis
+   */
+  async connect() {
+    try {
+      if (!this.client) {
+        this.client = createRedisClient();
+      }
+
+      if (this.client.status === 'ready') {
+        this.isConnected = true;
+        return this.client;
+      }
+
+      if (!this.isConnected && this.client.status !== 'connecting') {
+        await this.client.connect();
+        this.isConnected = true;
+        logger.info('✅ Conectado a Redis para geocercas');
+      }
+
+      return this.client;
+    } catch (error) {
+      if (error.message.includes('already connecting') || error.message.includes('already connected')) {
+        logger.debug('🔗 Redis ya está conectado, reutilizando conexión');
+        this.isConnected = true;
+        return this.client;
+      }
+
+      logger.error('❌ Error conectando a Redis para geocercas:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda una geocerca solo si su id no existe
+   * @param {Object} geofence - Geocerca completa (con id)
+   * @returns {boolean} True si se creó, false si el id ya existía
+   */
+  async create(geofence) {
+    try {
+      await this.connect();
+
+      const created = await this.client.hsetnx(this.registryKey, geofence.id, JSON.stringify(geofence));
+
+      if (created === 1) {
+        logger.debug(`🧭 Geocerca creada: ${geofence.id}`);
+      }
+
+      return created === 1;
+
+    } catch (error) {
+      logger.error(`❌ Error creando geocerca ${geofence.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplaza una geocerca existente
+   * @param {Object} geofence - Geocerca completa (con id)
+   */
+  async save(geofence) {
+    try {
+      await this.connect();
+      await this.client.hset(this.registryKey, geofence.id, JSON.stringify(geofence));
+      logger.debug(`🧭 Geocerca actualizada: ${geofence.id}`);
+
+    } catch (error) {
+      logger.error(`❌ Error guardando geocerca ${geofence.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene una geocerca por id
+   * @param {string} geofenceId - ID de la geocerca
+   * @returns {Object|null} Geocerca o null si no existe
+   */
+  async get(geofenceId) {
+    try {
+      await this.connect();
+
+      const data = await this.client.hget(this.registryKey, geofenceId);
+      return data ? JSON.parse(data) : null;
+
+    } catch (error) {
+      logger.error(`❌ Error obteniendo geocerca ${geofenceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene todas las geocercas registradas
+   * @returns {Object[]} Geocercas ordenadas por id
+   */
+  async list() {
+    try {
+      await this.connect();
+
+      const data = await this.client.hgetall(this.registryKey);
+      const geofences = [];
+
+      for (const [geofenceId, value] of Object.entries(data || {})) {
+        if (geofenceId === POSITION_VERSION_FIELD) {
+          continue;
+        }
+
+        try {
+          geofences.push(JSON.parse(value));
+        } catch (error) {
+          logger.warn(`⚠️ Geocerca con JSON inválido ignorada: ${geofenceId}`);
+        }
+      }
+
+      return geofences.sort((a, b) => a.id.localeCompare(b.id));
+
+    } catch (error) {
+      logger.error('❌ Error listando geocercas:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina una geocerca
+   * @param {string} geofenceId - ID de la geocerca
+   * @returns {boolean} True si existía y se eliminó
+   */
+  async delete(geofenceId) {
+    try {
+      await this.connect();
+
+      const removed = await this.client.hdel(this.registryKey, geofenceId);
+      return removed === 1;
+
+    } catch (error) {
+      logger.error(`❌ Error eliminando geocerca ${geofenceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el estado de entrada/salida de una entidad para cada geocerca
+   * @param {string} entityType - Tipo de entidad ('gps' o 'mobile')
+   * @param {string} entityId - ID del dispositivo o usuario
+   * @returns {Object} Mapa geofenceId → { inside, lastEnteredAt, lastExitedAt, evaluatedAt }
+   */
+  async getStates(entityType, entityId) {
+    try {
+      await this.connect();
+
+      const data = await this.client.hgetall(`${this.stateKeyPrefix}${entityType}:${entityId}`);
+      const states = {};
+
+      for (const [geofenceId, value] of Object.entries(data || {})) {
+        if (geofenceId === POSITION_VERSION_FIELD) {
+          continue;
+        }
+
+        try {
+          states[geofenceId] = JSON.parse(value);
+        } catch (error) {
+          logger.warn(`⚠️ Estado de geocerca inválido ignorado: ${entityType}:${entityId}:${geofenceId}`);
+        }
+      }
+
+      return states;
+
+    } catch (error) {
+      logger.error(`❌ Error obteniendo estado de geocercas para ${entityType}:${entityId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza el estado de entrada/salida de varias entidades y registra sus transiciones en una transacción
+   * WATCH sobre los estados y el registro de geocercas (no sobre las posiciones, que se escriben con frecuencia):
+   * cada evaluación escribe en el estado la versión de la posición evaluada, así dos evaluaciones concurrentes de una
+   * entidad no se confirman las dos; la que llega después se vuelve a leer y calcular con la posición vigente.
+   * Cada transición se registra una sola vez aunque varias instancias procesen el mismo cambio
+   * @param {string} entityType - Tipo de entidad ('gps' o 'mobile')
+   * @param {string[]} entityIds - IDs de dispositivos o usuarios
+   * @param {Function} compute - async (geofences, statesByEntity) => { updates, versions, transitions }, con
+   *   updates = { entityId: { geofenceId: estado | null } } (null elimina el estado),
+   *   versions = { entityId: versión de la posición evaluada } y transitions = [registro]
+   * @returns {Object[]} Transiciones registradas
+   */
+  applyTransitions(entityType, entityIds, compute) {
+    // WATCH vale para toda la conexión dedicada: las transacciones se encadenan de a una
+    const transaction = this.transactionQueue.then(() => this._applyTransitions(entityType, entityIds, compute));
+    this.transactionQueue = transaction.catch(() => {});
+    return transaction;
+  }
+
+  /**
+   * Transacción de applyTransitions, con hasta TRANSITION_ATTEMPTS intentos
+   * @private
+   */
+  async _applyTransitions(entityType, entityIds, compute) {
+    await this.connect();
+
+    if (!this.transactionClient) {
+      this.transactionClient = createRedisTransactionClient();
+    }
+
+    const stateKeys = entityIds.map(entityId => `${this.stateKeyPrefix}${entityType}:${entityId}`);
+
+    for (let attempt = 1; attempt <= TRANSITION_ATTEMPTS; attempt++) {
+      await this.transactionClient.watch(this.registryKey, ...stateKeys);
+
+      let result;
+      try {
+        const [geofences, states] = await Promise.all([
+          this.list(),
+          Promise.all(entityIds.map(entityId => this.getStates(entityType, entityId)))
+        ]);
+        result = await compute(geofences, Object.fromEntries(entityIds.map((entityId, index) => [entityId, states[index]])));
+      } catch (error) {
+        await this.transactionClient.unwatch();
+        throw error;
+      }
+
+      const transaction = this.transactionClient.multi();
+
+      entityIds.forEach((entityId, index) => {
+        const updates = Object.entries(result.updates[entityId] || {});
+        const saved = updates.filter(([, state]) => state !== null);
+        const removed = updates.filter(([, state]) => state === null).map(([geofenceId]) => geofenceId);
+        const version = result.versions[entityId];
+
+        // La versión se escribe aunque no haya transiciones: invalida el WATCH de otra evaluación en curso
+        if (saved.length > 0 || version) {
+          transaction.hset(stateKeys[index], {
+            ...Object.fromEntries(saved.map(([geofenceId, state]) => [geofenceId, JSON.stringify(state)])),
+            ...(version ? { [POSITION_VERSION_FIELD]: version } : {})
+          });
+        }
+        if (removed.length > 0) {
+          transaction.hdel(stateKeys[index], ...removed);
+        }
+      });
+
+      if (result.transitions.length > 0) {
+        transaction.lpush(this.transitionsKey, ...result.transitions.map(record => JSON.stringify(record)));
+        transaction.ltrim(this.transitionsKey, 0, config.geofences.transitionsMax - 1);
+      }
+
+      // null: una clave vigilada cambió entre la lectura y el EXEC
+      if (await transaction.exec()) {
+        return result.transitions;
+      }
+    }
+
+    throw new Error(`El estado de geocercas de ${entityType} cambió en ${TRANSITION_ATTEMPTS} intentos seguidos`);
+  }
+
+  /**
+   * Desconecta de Redis
+   */
+  async disconnect() {
+    try {
+      if (this.client && this.isConnected) {
+        if (this.client.status === 'ready') {
+          await this.client.quit();
+        }
+        this.isConnected = false;
+        logger.info('✅ Desconectado de Redis (geocercas)');
+      }
+    } catch (error) {
+      if (!error.message.includes('Connection is closed')) {
+        logger.error('❌ Error desconectando de Redis (geocercas):', error.message);
+      }
+    }
+  }
+}
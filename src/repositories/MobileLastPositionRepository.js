@@ -1,6 +1,40 @@
-import { createRedisClient } from '../config/redis.js';
+import { randomUUID } from 'node:crypto';
+import { createRedisClient, createRedisTransactionClient } from '../config/redis.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/env.js';
+import {
+  boundingBoxCircle,
+  isInBoundingBox,
+  isIndexableCoordinate,
+  isValidCoordinate,
+  withCoordinateQuality
+} from '../utils/geo.js';
+import { getPositionVersion } from '../utils/sync.js';
+
+// Comando que lee la última posición según el tipo de la clave
+const READ_COMMANDS = {
+  string: key => ['get', key],
+  hash: key => ['hgetall', key],
+  list: key => ['lindex', key, -1],
+  zset: key => ['zrevrange', key, 0, 0]
+};
+
+// Claves por transacción y por iteración de SCAN al sincronizar el índice GEO
+const GEO_INDEX_BATCH_SIZE = 500;
+const GEO_INDEX_SYNC_ATTEMPTS = 5;
+
+// Libera el lock solo si sigue siendo de quien lo tomó (pudo expirar y tomarlo otra instancia)
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+// Depura un lote de eliminaciones vencidas: KEYS[1] removed, KEYS[2] changes, ARGV[1] corte (ms), ARGV[2] lote
+const TRIM_REMOVALS_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+for _, id in ipairs(ids) do
+  redis.call('ZREM', KEYS[1], id)
+  redis.call('ZREM', KEYS[2], id)
+end
+return #ids
+`;
 
 /**
  * Repositorio para consultas de última posición móvil desde Redis
@@ -11,6 +45,8 @@ export class MobileLastPositionRepository {
     this.client = null;
     this.isConnected = false;
     this.keyPrefix = 'mobile:last:'; // Prefijo específico para datos móviles
+    this.transactionClient = null;
+    this.geoIndexQueue = Promise.resolve();
   }
 
   /**
@@ -46,6 +82,15 @@ export class MobileLastPositionRepository {
     }
   }
 
+  /**
+   * Clave de Redis de la última posición de un usuario
+   * @param {string} userId - ID del usuario
+   * @returns {string} Clave
+   */
+  getKey(userId) {
+    return `${this.keyPrefix}${userId}`;
+  }
+
   /**
    * Obtiene datos de una clave según su tipo
    * @param {string} key - Clave de Redis
@@ -54,44 +99,116 @@ export class MobileLastPositionRepository {
    */
   async getDataByType(key, userId) {
     const dataType = await this.client.type(key);
-    
+    const read = READ_COMMANDS[dataType];
+
+    if (!read) {
+      logger.warn(`⚠️ Tipo de dato no soportado para usuario móvil ${userId}: ${dataType}`);
+      return null;
+    }
+
+    const [command, ...args] = read(key);
+    return this.parseDataByType(dataType, await this.client[command](...args), userId);
+  }
+
+  /**
+   * Convierte el resultado de la lectura de una clave en datos de posición
+   * @param {string} dataType - Tipo de la clave (string, hash, list o zset)
+   * @param {*} data - Resultado del comando de READ_COMMANDS
+   * @param {string} userId - ID del usuario
+   * @returns {Object|null} Datos procesados o null
+   */
+  parseDataByType(dataType, data, userId) {
     switch (dataType) {
       case 'string':
-        const stringData = await this.client.get(key);
-        if (!stringData) return null;
-        return JSON.parse(stringData);
-        
+      case 'list':
+        return data ? JSON.parse(data) : null;
+
       case 'hash':
-        const hashData = await this.client.hgetall(key);
+        const hashData = data;
         if (!hashData || Object.keys(hashData).length === 0) return null;
-        
+
         return {
           userId: hashData.userId || hashData.deviceId || userId,
-          lat: hashData.lat ? parseFloat(hashData.lat) : null,
-          lng: hashData.lng ? parseFloat(hashData.lng) : null,
+          // lat/lng se convierten y clasifican en withCoordinateQuality
+          lat: hashData.lat ?? null,
+          lng: hashData.lng ?? null,
           timestamp: hashData.timestamp || null,
           receivedAt: hashData.receivedAt || null,
           updatedAt: hashData.updatedAt || null,
           metadata: hashData.metadata ? JSON.parse(hashData.metadata) : null,
           name: hashData.name || hashData.deviceName || null
         };
-        
-      case 'list':
-        const listData = await this.client.lindex(key, -1);
-        if (!listData) return null;
-        return JSON.parse(listData);
-        
+
       case 'zset':
-        const zsetData = await this.client.zrevrange(key, 0, 0);
-        if (!zsetData || zsetData.length === 0) return null;
-        return JSON.parse(zsetData[0]);
-        
+        return data && data.length > 0 ? JSON.parse(data[0]) : null;
+
       default:
-        logger.warn(`⚠️ Tipo de dato no soportado para usuario móvil ${userId}: ${dataType}`);
         return null;
     }
   }
 
+  /**
+   * Completa una posición leída de Redis con la calidad de coordenadas y retrievedAt
+   * @param {Object} position - Datos de parseDataByType
+   * @param {string} userId - ID del usuario
+   * @returns {Object} Posición completa
+   */
+  withRetrievalInfo(position, userId) {
+    return {
+      ...withCoordinateQuality(position),
+      userId: position.userId || userId, // Asegurar que userId esté presente
+      retrievedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Lee un lote de claves con dos round trips (TYPE y lectura según tipo) usando pipelines
+   * @param {string[]} keys - Claves de últimas posiciones
+   * @returns {Object[]} Posiciones encontradas, en el orden de las claves
+   */
+  async getPositionsByKeys(keys) {
+    const entries = await this.getPositionEntriesByKeys(keys);
+    return entries.map(entry => entry.position);
+  }
+
+  /**
+   * Igual que getPositionsByKeys, pero conserva el ID tomado de cada clave
+   * @param {string[]} keys - Claves de últimas posiciones
+   * @returns {Object[]} [{ userId, position }] de las claves con una posición legible
+   */
+  async getPositionEntriesByKeys(keys) {
+    const types = await this.client.pipeline(keys.map(key => ['type', key])).exec();
+    const readable = keys
+      .map((key, index) => ({ key, userId: key.replace(this.keyPrefix, ''), dataType: types[index][1] }))
+      .filter(entry => READ_COMMANDS[entry.dataType]);
+
+    if (readable.length === 0) {
+      return [];
+    }
+
+    const results = await this.client.pipeline(readable.map(entry => READ_COMMANDS[entry.dataType](entry.key))).exec();
+    const entries = [];
+
+    readable.forEach((entry, index) => {
+      const [error, data] = results[index];
+
+      try {
+        if (error) {
+          throw error;
+        }
+
+        const position = this.parseDataByType(entry.dataType, data, entry.userId);
+        if (position) {
+          entries.push({ userId: entry.userId, position: this.withRetrievalInfo(position, entry.userId) });
+        }
+      } catch (parseError) {
+        logger.warn(`⚠️ Error obteniendo posición móvil para ${entry.userId}:`, parseError.message);
+      }
+    });
+
+    return entries;
+  }
+
   /**
    * Obtiene la última posición de un usuario móvil específico
    * @param {string} userId - ID del usuario
@@ -120,11 +237,7 @@ export class MobileLastPositionRepository {
 
       logger.debug(`📱 Última posición móvil obtenida para usuario: ${userId}`);
       
-      return {
-        ...position,
-        userId: position.userId || userId, // Asegurar que userId esté presente
-        retrievedAt: new Date().toISOString()
-      };
+      return this.withRetrievalInfo(position, userId);
 
     } catch (error) {
       logger.error(`❌ Error obteniendo última posición móvil para ${userId}:`, error.message);
@@ -205,6 +318,330 @@ export class MobileLastPositionRepository {
     }
   }
 
+  /**
+   * Recorre las últimas posiciones móviles con SCAN sin cargarlas todas en memoria
+   * El consumidor controla el ritmo: el siguiente lote de claves se pide al avanzar el iterador
+   * @param {number} batchSize - Cantidad sugerida de claves por iteración de SCAN
+   * @yields {Object} Última posición de cada usuario
+   */
+  async *scanLastPositions(batchSize = 200) {
+    await this.connect();
+
+    const stream = this.client.scanStream({ match: `${this.keyPrefix}*`, count: batchSize });
+
+    // SCAN puede repetir una clave si Redis redimensiona el keyspace durante el recorrido: se acepta el duplicado
+    // para no acumular las claves vistas (memoria proporcional a la flota)
+    for await (const keys of stream) {
+      if (keys.length === 0) {
+        continue;
+      }
+
+      let positions = [];
+      try {
+        positions = await this.getPositionsByKeys(keys);
+      } catch (error) {
+        logger.warn('⚠️ Error leyendo lote de posiciones móviles:', error.message);
+      }
+
+      yield* positions;
+    }
+  }
+
+  /**
+   * Sincroniza el índice GEO con la posición actual de los usuarios: GEOADD si es indexable, ZREM si no
+   * (clave eliminada o coordenadas inválidas). WATCH sobre las claves de posición: si alguna cambia antes del EXEC
+   * la transacción se descarta y se vuelve a leer, así ninguna instancia escribe en el índice una posición vieja.
+   * En la misma transacción actualiza el índice de cambios de la sincronización incremental (?since=)
+   * con la hora de Redis: las posiciones cuya versión cambió y las que dejaron de existir
+   * @param {string[]} userIds - IDs de usuarios
+   * @returns {number} Usuarios indexados
+   */
+  syncGeoIndex(userIds) {
+    // WATCH vale para toda la conexión dedicada: las sincronizaciones se encadenan de a una
+    const sync = this.geoIndexQueue.then(() => this._syncGeoIndex(userIds));
+    this.geoIndexQueue = sync.catch(() => {});
+    return sync;
+  }
+
+  /**
+   * Transacción de syncGeoIndex, con hasta GEO_INDEX_SYNC_ATTEMPTS intentos si cambian las posiciones
+   * @private
+   */
+  async _syncGeoIndex(userIds) {
+    await this.connect();
+
+    if (!this.transactionClient) {
+      this.transactionClient = createRedisTransactionClient();
+    }
+
+    const indexKey = config.geo.mobileIndexKey;
+    const syncKeys = this.getSyncKeys();
+    const keys = userIds.map(userId => `${this.keyPrefix}${userId}`);
+
+    for (let attempt = 1; attempt <= GEO_INDEX_SYNC_ATTEMPTS; attempt++) {
+      await this.transactionClient.watch(...keys);
+
+      let entries;
+      let knownVersions;
+      let now;
+      try {
+        entries = await this.getPositionEntriesByKeys(keys);
+        knownVersions = await this.client.hmget(syncKeys.versions, ...userIds);
+        now = await this.getServerTime();
+      } catch (error) {
+        await this.transactionClient.unwatch();
+        throw error;
+      }
+
+      const known = new Map(userIds.map((userId, index) => [userId, knownVersions[index]]));
+      const indexable = entries.filter(({ position }) => isIndexableCoordinate(position.lat, position.lng));
+      const indexed = new Set(indexable.map(entry => entry.userId));
+      const removed = userIds.filter(userId => !indexed.has(userId));
+      const found = new Set(entries.map(entry => entry.userId));
+      const changed = entries
+        .map(({ userId, position }) => ({ userId, version: getPositionVersion(position) }))
+        .filter(({ userId, version }) => known.get(userId) !== version);
+      // Solo las que existían: una clave ya eliminada no vuelve a informarse en cada reconciliación
+      const deleted = userIds.filter(userId => !found.has(userId) && known.get(userId));
+      const transaction = this.transactionClient.multi();
+
+      if (indexable.length > 0) {
+        transaction.geoadd(indexKey, ...indexable.flatMap(({ userId, position }) => [position.lng, position.lat, userId]));
+      }
+      if (removed.length > 0) {
+        transaction.zrem(indexKey, ...removed);
+      }
+      if (changed.length > 0) {
+        transaction.zadd(syncKeys.changes, ...changed.flatMap(({ userId }) => [now, userId]));
+        transaction.hset(syncKeys.versions, ...changed.flatMap(({ userId, version }) => [userId, version]));
+        transaction.zrem(syncKeys.removed, ...changed.map(({ userId }) => userId));
+      }
+      if (deleted.length > 0) {
+        transaction.zadd(syncKeys.changes, ...deleted.flatMap(userId => [now, userId]));
+        transaction.zadd(syncKeys.removed, ...deleted.flatMap(userId => [now, userId]));
+        transaction.hdel(syncKeys.versions, ...deleted);
+      }
+
+      // null: una clave vigilada cambió entre la lectura y el EXEC
+      if (await transaction.exec()) {
+        return indexable.length;
+      }
+    }
+
+    throw new Error(`Las posiciones cambiaron en ${GEO_INDEX_SYNC_ATTEMPTS} intentos seguidos de sincronizar el índice GEO`);
+  }
+
+  /**
+   * Claves del índice de cambios de la sincronización incremental
+   * - changes: zset userId → hora de Redis (ms) del último cambio o eliminación
+   * - removed: zset userId → hora de la eliminación (para depurarlas al vencer la retención)
+   * - versions: hash userId → versión de la última posición registrada
+   * @returns {Object} { changes, removed, versions }
+   */
+  getSyncKeys() {
+    const prefix = config.sync.mobileKeyPrefix;
+    return { changes: `${prefix}changes`, removed: `${prefix}removed`, versions: `${prefix}versions` };
+  }
+
+  /**
+   * Hora de Redis en milisegundos: un mismo reloj para todas las instancias
+   * @returns {number} Milisegundos desde epoch
+   */
+  async getServerTime() {
+    const [seconds, microseconds] = await this.client.time();
+    return Number(seconds) * 1000 + Math.floor(Number(microseconds) / 1000);
+  }
+
+  /**
+   * Obtiene los usuarios que cambiaron (o se eliminaron) después de un cursor, en orden de cambio, con su posición actual
+   * Los empates en el mismo milisegundo se ordenan por ID, igual que los miembros de un zset con el mismo score
+   * @param {Object} cursor - { time, id } (id null: solo cambios posteriores a time)
+   * @param {number|null} limit - Máximo de cambios a devolver
+   * @returns {Object} { changes: [{ id, time, position }], total, removalsComplete } (position null si ya no existe)
+   */
+  async getChangesSince(cursor, limit = null) {
+    await this.connect();
+
+    const { changes: changesKey } = this.getSyncKeys();
+    const ties = cursor.id === null
+      ? []
+      : (await this.client.zrangebyscore(changesKey, cursor.time, cursor.time)).filter(id => id > cursor.id);
+    const [later, laterCount, now] = await Promise.all([
+      limit
+        ? this.client.zrangebyscore(changesKey, `(${cursor.time}`, '+inf', 'WITHSCORES', 'LIMIT', 0, Math.max(0, limit - ties.length))
+        : this.client.zrangebyscore(changesKey, `(${cursor.time}`, '+inf', 'WITHSCORES'),
+      this.client.zcount(changesKey, `(${cursor.time}`, '+inf'),
+      this.getServerTime()
+    ]);
+
+    let changes = ties.map(id => ({ id, time: cursor.time }));
+
+    // WITHSCORES devuelve [miembro, score, ...]
+    for (let index = 0; index < later.length; index += 2) {
+      changes.push({ id: later[index], time: Number(later[index + 1]) });
+    }
+
+    if (limit) {
+      changes = changes.slice(0, limit);
+    }
+
+    const entries = changes.length > 0
+      ? await this.getPositionEntriesByKeys(changes.map(change => `${this.keyPrefix}${change.id}`))
+      : [];
+    const positions = new Map(entries.map(entry => [entry.userId, entry.position]));
+
+    return {
+      changes: changes.map(change => ({ ...change, position: positions.get(change.id) || null })),
+      total: ties.length + laterCount,
+      // Las eliminaciones se conservan SYNC_REMOVALS_RETENTION_MS: un cursor más antiguo requiere una carga completa
+      removalsComplete: cursor.time >= now - config.sync.removalsRetentionMs
+    };
+  }
+
+  /**
+   * Quita del índice de cambios las eliminaciones anteriores a la retención (SYNC_REMOVALS_RETENTION_MS)
+   * @returns {number} Eliminaciones depuradas
+   */
+  async trimRemovals() {
+    await this.connect();
+
+    const { changes, removed } = this.getSyncKeys();
+    const cutoff = await this.getServerTime() - config.sync.removalsRetentionMs;
+    let trimmed = 0;
+    let batch;
+
+    do {
+      batch = await this.client.eval(TRIM_REMOVALS_SCRIPT, 2, removed, changes, cutoff, GEO_INDEX_BATCH_SIZE);
+      trimmed += batch;
+    } while (batch === GEO_INDEX_BATCH_SIZE);
+
+    return trimmed;
+  }
+
+  /**
+   * Reconcilia el índice GEO y el de cambios con todas las claves mobile:last: (arranque y respaldo ante notificaciones perdidas)
+   * Recorre las posiciones con SCAN; después los usuarios con versión registrada (HSCAN) y los miembros del índice GEO
+   * (ZSCAN) para registrar como eliminados los que ya no existen, también los que nunca estuvieron en el índice GEO.
+   * Se escribe sobre los índices en uso con syncGeoIndex, sin clave temporal, para no pisar las actualizaciones
+   * incrementales hechas mientras tanto; un lock en Redis evita que varias instancias lo recorran a la vez
+   * @param {number} lockMs - Duración del lock
+   * @returns {Object|null} { indexed, checked } o null si otra instancia está reconciliando
+   */
+  async reconcileGeoIndex(lockMs) {
+    await this.connect();
+
+    const indexKey = config.geo.mobileIndexKey;
+    const lockKey = `${indexKey}:lock`;
+    const token = randomUUID();
+
+    if (await this.client.set(lockKey, token, 'PX', lockMs, 'NX') !== 'OK') {
+      logger.debug('🗺️ Reconciliación del índice GEO móvil en curso en otra instancia');
+      return null;
+    }
+
+    let indexed = 0;
+    let checked = 0;
+
+    const syncBatch = async (userIds) => {
+      try {
+        indexed += await this.syncGeoIndex(userIds);
+        checked += userIds.length;
+      } catch (error) {
+        logger.warn('⚠️ Error sincronizando lote del índice GEO móvil:', error.message);
+      }
+    };
+
+    try {
+      const keys = this.client.scanStream({ match: `${this.keyPrefix}*`, count: GEO_INDEX_BATCH_SIZE });
+      for await (const batch of keys) {
+        if (batch.length > 0) {
+          await syncBatch(batch.map(key => key.slice(this.keyPrefix.length)));
+        }
+      }
+
+      // HSCAN y ZSCAN devuelven [miembro, valor, ...]: quedan solo los miembros
+      const members = [
+        this.client.hscanStream(this.getSyncKeys().versions, { count: GEO_INDEX_BATCH_SIZE }),
+        this.client.zscanStream(indexKey, { count: GEO_INDEX_BATCH_SIZE })
+      ];
+      for (const stream of members) {
+        for await (const batch of stream) {
+          const userIds = batch.filter((_, index) => index % 2 === 0);
+          if (userIds.length > 0) {
+            await syncBatch(userIds);
+          }
+        }
+      }
+
+      const trimmed = await this.trimRemovals();
+
+      logger.info(`🗺️ Índice GEO móvil reconciliado: ${indexed} usuarios indexados, ${trimmed} eliminaciones depuradas`);
+      return { indexed, checked };
+
+    } finally {
+      await this.client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token).catch(error => {
+        logger.warn('⚠️ No se pudo liberar el lock del índice GEO móvil:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Busca usuarios móviles dentro de un bounding box usando el índice GEO
+   * Preselecciona con el círculo que cubre el box y luego filtra con las coordenadas exactas
+   * @param {Object} bbox - { minLat, minLng, maxLat, maxLng }
+   * @returns {Object[]} Posiciones dentro del box, ordenadas por userId
+   */
+  async findWithinBox(bbox) {
+    try {
+      await this.connect();
+
+      const circle = boundingBoxCircle(bbox);
+      const userIds = await this.client.geosearch(
+        config.geo.mobileIndexKey,
+        'FROMLONLAT', circle.lng, circle.lat,
+        'BYRADIUS', circle.radius, 'm'
+      );
+
+      if (!userIds || userIds.length === 0) {
+        return [];
+      }
+
+      const positions = await this.getMultipleLastPositions(userIds);
+
+      // Orden estable para que limit/offset sean consistentes entre páginas
+      const within = positions
+        .filter(position => isValidCoordinate(position.lat, position.lng))
+        .filter(position => isInBoundingBox(position.lat, position.lng, bbox))
+        .sort((a, b) => String(a.userId).localeCompare(String(b.userId)));
+
+      logger.debug(`🗺️ ${within.length} usuarios móviles dentro del bounding box`);
+      return within;
+
+    } catch (error) {
+      logger.error('❌ Error buscando usuarios móviles dentro del bounding box:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los IDs miembros de un grupo (set de Redis <prefijo><grupo>)
+   * @param {string} group - Nombre del grupo
+   * @returns {string[]} IDs de usuarios del grupo (vacío si el grupo no existe)
+   */
+  async getGroupMembers(group) {
+    try {
+      await this.connect();
+
+      const members = await this.client.smembers(`${config.groups.mobileKeyPrefix}${group}`);
+      logger.debug(`👥 Grupo móviles ${group}: ${members.length} miembros`);
+
+      return members;
+    } catch (error) {
+      logger.error(`❌ Error obteniendo miembros del grupo móviles ${group}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Verifica si existe una última posición para un usuario móvil
    * @param {string} userId - ID del usuario
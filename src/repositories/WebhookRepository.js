@@ -0,0 +1,493 @@
+import { createRedisClient } from '../config/redis.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/env.js';
+
+// Encola cada entrega solo si su versión no es la última encolada para la misma clave (la guarda con vencimiento)
+// KEYS: cola, clave de cada entrega; ARGV: vencimiento (ms), luego versión y JSON de cada entrega (KEYS[i] usa ARGV[2i-2] y ARGV[2i-1])
+const ENQUEUE_ONCE_SCRIPT = `
+local enqueued = 0
+for i = 2, #KEYS do
+  local version = ARGV[2 * i - 2]
+  if redis.call('GET', KEYS[i]) ~= version then
+    redis.call('SET', KEYS[i], version, 'PX', ARGV[1])
+    redis.call('LPUSH', KEYS[1], ARGV[2 * i - 1])
+    enqueued = enqueued + 1
+  end
+end
+return enqueued`;
+
+// Toma el elemento más antiguo de una lista moviéndolo a la lista de procesamiento y registra su lease
+// KEYS: lista, procesamiento, leases; ARGV: vencimiento del lease (ms)
+const CLAIM_SCRIPT = `
+local item = redis.call('LMOVE', KEYS[1], KEYS[2], 'RIGHT', 'LEFT')
+if item then
+  redis.call('ZADD', KEYS[3], ARGV[1], item)
+end
+return item`;
+
+// Devuelve a la lista los elementos con el lease vencido (el proceso que los tomó murió o no confirmó)
+// KEYS: leases, procesamiento, lista; ARGV: momento actual (ms), máximo de elementos
+const REQUEUE_EXPIRED_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+for _, item in ipairs(expired) do
+  redis.call('ZREM', KEYS[1], item)
+  redis.call('LREM', KEYS[2], 1, item)
+  redis.call('RPUSH', KEYS[3], item)
+end
+return #expired`;
+
+// Mueve a la cola los reintentos vencidos
+// KEYS: reintentos, cola; ARGV: momento actual (ms), máximo de reintentos
+const PROMOTE_RETRIES_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+for _, item in ipairs(due) do
+  redis.call('ZREM', KEYS[1], item)
+  redis.call('LPUSH', KEYS[2], item)
+end
+return #due`;
+
+/**
+ * Repositorio de webhooks y de su cola de entregas en Redis
+ * - Registro: hash webhooks (campo = id de webhook, valor = JSON)
+ * - Cola: lista webhooks:queue (LPUSH al encolar; al entregar, LMOVE a webhooks:processing)
+ * - Deduplicación: claves webhooks:dedupe:{webhookId}:{fuente}:{id} con la última versión encolada y vencimiento
+ * - En proceso: lista webhooks:processing y sorted set webhooks:leases (score = vencimiento del lease en ms).
+ *   Una entrega sale de ahí solo al confirmarla, al programar su reintento o al pasarla a dead-letter;
+ *   si el proceso muere antes, vuelve a la cola al vencer el lease (entrega al menos una vez)
+ * - Reintentos: sorted set webhooks:retry (score = momento del próximo intento en ms)
+ * - Dead-letter: lista webhooks:dead con las entregas agotadas (más reciente primero)
+ * - Transiciones de geocercas: se toman de geofence:transitions con el mismo esquema de procesamiento y lease
+ *   (webhooks:transitions:processing y webhooks:transitions:leases) y salen al encolar sus entregas
+ */
+export class WebhookRepository {
+  constructor() {
+    this.client = null;
+    this.isConnected = false;
+    this.registryKey = config.webhooks.registryKey;
+    this.queueKey = config.webhooks.queueKey;
+    this.processingKey = config.webhooks.processingKey;
+    this.leasesKey = config.webhooks.leasesKey;
+    this.retryKey = config.webhooks.retryKey;
+    this.deadLetterKey = config.webhooks.deadLetterKey;
+    this.transitionsKey = config.geofences.transitionsKey;
+    this.transitionsProcessingKey = config.webhooks.transitionsProcessingKey;
+    this.transitionsLeasesKey = config.webhooks.transitionsLeasesKey;
+  }
+
+  /**
+   * Conecta a Redis
+   */
+  async connect() {
+    try {
+      if (!this.client) {
+        this.client = createRedisClient();
+      }
+
+      if (this.client.status === 'ready') {
+        this.isConnected = true;
+        return this.client;
+      }
+
+      if (!this.isConnected && this.client.status !== 'connecting') {
+        await this.client.connect();
+        this.isConnected = true;
+        logger.info('✅ Conectado a Redis para webhooks');
+      }
+
+      return this.client;
+    } catch (error) {
+      if (error.message.includes('already connecting') || error.message.includes('already connected')) {
+        logger.debug('🔗 Redis ya está conectado, reutilizando conexión');
+        this.isConnected = true;
+        return this.client;
+      }
+
+      logger.error('❌ Error conectando a Redis para webhooks:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda un webhook solo si su id no existe
+   * @param {Object} webhook - Webhook completo (con id)
+   * @returns {boolean} True si se creó, false si el id ya existía
+   */
+  async create(webhook) {
+    try {
+      await this.connect();
+
+      const created = await this.client.hsetnx(this.registryKey, webhook.id, JSON.stringify(webhook));
+
+      if (created === 1) {
+        logger.debug(`🪝 Webhook creado: ${webhook.id}`);
+      }
+
+      return created === 1;
+
+    } catch (error) {
+      logger.error(`❌ Error creando webhook ${webhook.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplaza un webhook existente
+   * @param {Object} webhook - Webhook completo (con id)
+   */
+  async save(webhook) {
+    try {
+      await this.connect();
+      await this.client.hset(this.registryKey, webhook.id, JSON.stringify(webhook));
+      logger.debug(`🪝 Webhook actualizado: ${webhook.id}`);
+
+    } catch (error) {
+      logger.error(`❌ Error guardando webhook ${webhook.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene un webhook por id
+   * @param {string} webhookId - ID del webhook
+   * @returns {Object|null} Webhook o null si no existe
+   */
+  async get(webhookId) {
+    try {
+      await this.connect();
+
+      const data = await this.client.hget(this.registryKey, webhookId);
+      return data ? JSON.parse(data) : null;
+
+    } catch (error) {
+      logger.error(`❌ Error obteniendo webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene todos los webhooks registrados
+   * @returns {Object[]} Webhooks ordenados por id
+   */
+  async list() {
+    try {
+      await this.connect();
+
+      const data = await this.client.hgetall(this.registryKey);
+      const webhooks = [];
+
+      for (const [webhookId, value] of Object.entries(data || {})) {
+        try {
+          webhooks.push(JSON.parse(value));
+        } catch (error) {
+          logger.warn(`⚠️ Webhook con JSON inválido ignorado: ${webhookId}`);
+        }
+      }
+
+      return webhooks.sort((a, b) => a.id.localeCompare(b.id));
+
+    } catch (error) {
+      logger.error('❌ Error listando webhooks:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un webhook
+   * @param {string} webhookId - ID del webhook
+   * @returns {boolean} True si existía y se eliminó
+   */
+  async delete(webhookId) {
+    try {
+      await this.connect();
+
+      const removed = await this.client.hdel(this.registryKey, webhookId);
+      return removed === 1;
+
+    } catch (error) {
+      logger.error(`❌ Error eliminando webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Encola entregas pendientes una sola vez por versión
+   * Todas las instancias reciben la misma keyspace notification: solo la primera encola la entrega y guarda su versión
+   * como la última de la clave, en el mismo script para que nunca quede la versión guardada sin la entrega.
+   * Se compara con la última versión y no con todas las vistas: eliminar, recrear y volver a eliminar encola tres eventos
+   * @param {Object[]} entries - [{ dedupeKey, version, delivery }] con delivery { id, webhookId, event, attempt, payload }
+   * @returns {number} Entregas encoladas
+   */
+  async enqueueOnce(entries) {
+    try {
+      await this.connect();
+
+      if (entries.length === 0) {
+        return 0;
+      }
+
+      return await this.client.eval(
+        ENQUEUE_ONCE_SCRIPT,
+        entries.length + 1,
+        this.queueKey,
+        ...entries.map(entry => `${config.webhooks.dedupeKeyPrefix}${entry.dedupeKey}`),
+        config.webhooks.dedupeTtlMs,
+        ...entries.flatMap(entry => [entry.version, JSON.stringify(entry.delivery)])
+      );
+
+    } catch (error) {
+      logger.error('❌ Error encolando entregas de webhooks:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Toma la entrega más antigua de la cola y la deja en proceso hasta confirmarla
+   * @param {number} leaseMs - Plazo para confirmarla antes de que vuelva a la cola
+   * @returns {Object|null} { delivery, receipt } (receipt identifica la entrega en proceso) o null si la cola está vacía
+   */
+  async dequeue(leaseMs) {
+    try {
+      await this.connect();
+
+      const receipt = await this.client.eval(CLAIM_SCRIPT, 3, this.queueKey, this.processingKey, this.leasesKey, Date.now() + leaseMs);
+      if (!receipt) {
+        return null;
+      }
+
+      try {
+        return { delivery: JSON.parse(receipt), receipt };
+      } catch (error) {
+        logger.warn('⚠️ Entrega de webhook con JSON inválido descartada');
+        await this.ack(receipt);
+        return null;
+      }
+
+    } catch (error) {
+      logger.error('❌ Error leyendo la cola de webhooks:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Toma la transición de geocerca más antigua y la deja en proceso hasta encolar sus entregas
+   * @param {number} leaseMs - Plazo para encolarlas antes de que la transición vuelva a la lista
+   * @returns {Object|null} { transition, receipt } o null si no hay transiciones pendientes
+   */
+  async claimTransition(leaseMs) {
+    try {
+      await this.connect();
+
+      const receipt = await this.client.eval(CLAIM_SCRIPT, 3, this.transitionsKey, this.transitionsProcessingKey, this.transitionsLeasesKey, Date.now() + leaseMs);
+      if (!receipt) {
+        return null;
+      }
+
+      try {
+        return { transition: JSON.parse(receipt), receipt };
+      } catch (error) {
+        logger.warn('⚠️ Transición de geocerca con JSON inválido descartada');
+        await this.enqueueTransitionDeliveries(receipt, []);
+        return null;
+      }
+
+    } catch (error) {
+      logger.error('❌ Error leyendo las transiciones de geocercas:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Encola las entregas de una transición en proceso y la confirma en la misma transacción
+   * @param {string} receipt - Recibo de claimTransition
+   * @param {Object[]} deliveries - Entregas (puede estar vacío si ningún webhook la espera)
+   */
+  async enqueueTransitionDeliveries(receipt, deliveries) {
+    try {
+      await this.connect();
+
+      const transaction = this.client.multi()
+        .lrem(this.transitionsProcessingKey, 1, receipt)
+        .zrem(this.transitionsLeasesKey, receipt);
+
+      if (deliveries.length > 0) {
+        transaction.lpush(this.queueKey, ...deliveries.map(delivery => JSON.stringify(delivery)));
+      }
+
+      await transaction.exec();
+
+    } catch (error) {
+      logger.error('❌ Error encolando entregas de una transición de geocerca:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirma una entrega en proceso (enviada o descartada)
+   * @param {string} receipt - Recibo de dequeue
+   */
+  async ack(receipt) {
+    try {
+      await this.connect();
+      await this._release(this.client.multi(), receipt).exec();
+
+    } catch (error) {
+      logger.error('❌ Error confirmando una entrega de webhook:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Programa el reintento de una entrega en proceso
+   * @param {string} receipt - Recibo de dequeue
+   * @param {Object} delivery - Entrega con attempt actualizado
+   * @param {number} retryAt - Momento del reintento (ms)
+   */
+  async scheduleRetry(receipt, delivery, retryAt) {
+    try {
+      await this.connect();
+
+      await this._release(this.client.multi(), receipt)
+        .zadd(this.retryKey, retryAt, JSON.stringify(delivery))
+        .exec();
+
+    } catch (error) {
+      logger.error(`❌ Error programando reintento de la entrega ${delivery.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Mueve a la cola los reintentos vencidos y devuelve a su lista las entregas y transiciones con el lease vencido
+   * Cada script es atómico: varias instancias pueden ejecutarlos a la vez sin duplicar ni perder entregas
+   * @param {number} now - Momento actual (ms)
+   * @param {number} limit - Máximo de elementos a mover de cada tipo
+   * @returns {Object} { promoted, requeued, requeuedTransitions }
+   */
+  async promoteDueRetries(now, limit = 100) {
+    try {
+      await this.connect();
+
+      const [promoted, requeued, requeuedTransitions] = await Promise.all([
+        this.client.eval(PROMOTE_RETRIES_SCRIPT, 2, this.retryKey, this.queueKey, now, limit),
+        this.client.eval(REQUEUE_EXPIRED_SCRIPT, 3, this.leasesKey, this.processingKey, this.queueKey, now, limit),
+        this.client.eval(REQUEUE_EXPIRED_SCRIPT, 3, this.transitionsLeasesKey, this.transitionsProcessingKey, this.transitionsKey, now, limit)
+      ]);
+
+      if (requeued + requeuedTransitions > 0) {
+        logger.warn(`⚠️ ${requeued} entregas y ${requeuedTransitions} transiciones de geocercas devueltas por lease vencido`);
+      }
+
+      return { promoted, requeued, requeuedTransitions };
+
+    } catch (error) {
+      logger.error('❌ Error moviendo reintentos de webhooks a la cola:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Pasa una entrega en proceso a la dead-letter, conservando las deadLetterMax más recientes
+   * @param {string} receipt - Recibo de dequeue
+   * @param {Object} deadLetter - Entrega con el último error
+   */
+  async pushDeadLetter(receipt, deadLetter) {
+    try {
+      await this.connect();
+
+      await this._release(this.client.multi(), receipt)
+        .lpush(this.deadLetterKey, JSON.stringify(deadLetter))
+        .ltrim(this.deadLetterKey, 0, config.webhooks.deadLetterMax - 1)
+        .exec();
+
+    } catch (error) {
+      logger.error(`❌ Error guardando la entrega ${deadLetter.id} en dead-letter:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las entregas de la dead-letter (más reciente primero)
+   * @param {number} limit - Máximo de entregas
+   * @returns {Object} { deadLetters, total }
+   */
+  async listDeadLetters(limit) {
+    try {
+      await this.connect();
+
+      const [data, total] = await Promise.all([
+        this.client.lrange(this.deadLetterKey, 0, limit - 1),
+        this.client.llen(this.deadLetterKey)
+      ]);
+
+      const deadLetters = [];
+      for (const value of data) {
+        try {
+          deadLetters.push(JSON.parse(value));
+        } catch (error) {
+          logger.warn('⚠️ Entrada de dead-letter con JSON inválido ignorada');
+        }
+      }
+
+      return { deadLetters, total };
+
+    } catch (error) {
+      logger.error('❌ Error listando la dead-letter de webhooks:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el tamaño de la cola, de las entregas en proceso, de los reintentos programados y de la dead-letter
+   * @returns {Object} { queued, inProgress, scheduledRetries, deadLetters }
+   */
+  async getQueueStats() {
+    try {
+      await this.connect();
+
+      const [queued, inProgress, scheduledRetries, deadLetters] = await Promise.all([
+        this.client.llen(this.queueKey),
+        this.client.llen(this.processingKey),
+        this.client.zcard(this.retryKey),
+        this.client.llen(this.deadLetterKey)
+      ]);
+
+      return { queued, inProgress, scheduledRetries, deadLetters };
+
+    } catch (error) {
+      logger.error('❌ Error obteniendo estadísticas de la cola de webhooks:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Agrega a una transacción la salida de una entrega de la lista de procesamiento y de los leases
+   * @param {Object} transaction - MULTI de ioredis
+   * @param {string} receipt - Recibo de dequeue
+   * @returns {Object} La misma transacción
+   * @private
+   */
+  _release(transaction, receipt) {
+    return transaction
+      .lrem(this.processingKey, 1, receipt)
+      .zrem(this.leasesKey, receipt);
+  }
+
+  /**
+   * Desconecta de Redis
+   */
+  async disconnect() {
+    try {
+      if (this.client && this.isConnected) {
+        if (this.client.status === 'ready') {
+          await this.client.quit();
+        }
+        this.isConnected = false;
+        logger.info('✅ Desconectado de Redis (webhooks)');
+      }
+    } catch (error) {
+      if (!error.message.includes('Connection is closed')) {
+        logger.error('❌ Error desconectando de Redis (webhooks):', error.message);
+      }
+    }
+  }
+}
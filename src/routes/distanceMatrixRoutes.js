@@ -0,0 +1,20 @@
+import express from 'express';
+import { DistanceMatrixController } from '../controllers/DistanceMatrixController.js';
+import {
+  validateUnitQueryMiddleware,
+  validateDistanceMatrixBodyMiddleware
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+const controller = new DistanceMatrixController();
+
+/**
+ * Rutas para matrices de distancias entre dispositivos GPS y usuarios móviles
+ */
+
+// POST /api/v4/distance-matrix - Calcular distancias y rumbos entre orígenes y destinos
+router.post('/', validateUnitQueryMiddleware, validateDistanceMatrixBodyMiddleware, async (req, res) => {
+  await controller.getDistanceMatrix(req, res);
+});
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { GeofenceController } from '../controllers/GeofenceController.js';
+import {
+  validateDeviceIdMiddleware,
+  validateUserIdMiddleware,
+  validateGeofenceIdMiddleware,
+  validateGeofenceBodyMiddleware
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+const controller = new GeofenceController();
+
+/**
+ * Rutas para el registro de geocercas y la evaluación de entradas/salidas
+ */
+
+// GET /api/v4/geofences - Listar geocercas
+router.get('/', async (req, res) => {
+  await controller.listGeofences(req, res);
+});
+
+// POST /api/v4/geofences - Crear geocerca (circle o polygon)
+router.post('/', validateGeofenceBodyMiddleware, async (req, res) => {
+  await controller.createGeofence(req, res);
+});
+
+// GET /api/v4/geofences/evaluate/gps/:deviceId - Geocercas que contienen la última posición de un dispositivo
+router.get('/evaluate/gps/:deviceId', validateDeviceIdMiddleware, async (req, res) => {
+  await controller.evaluateDevice(req, res);
+});
+
+// GET /api/v4/geofences/evaluate/mobile/:userId - Geocercas que contienen la última posición de un usuario móvil
+router.get('/evaluate/mobile/:userId', validateUserIdMiddleware, async (req, res) => {
+  await controller.evaluateUser(req, res);
+});
+
+// GET /api/v4/geofences/:geofenceId - Obtener geocerca
+router.get('/:geofenceId', validateGeofenceIdMiddleware, async (req, res) => {
+  await controller.getGeofence(req, res);
+});
+
+// PUT /api/v4/geofences/:geofenceId - Reemplazar geocerca
+router.put('/:geofenceId', validateGeofenceIdMiddleware, validateGeofenceBodyMiddleware, async (req, res) => {
+  await controller.updateGeofence(req, res);
+});
+
+// DELETE /api/v4/geofences/:geofenceId - Eliminar geocerca
+router.delete('/:geofenceId', validateGeofenceIdMiddleware, async (req, res) => {
+  await controller.deleteGeofence(req, res);
+});
+
+export default router;
@@ -1,35 +1,112 @@
 import express from 'express';
 import { GPSLastPositionController } from '../controllers/GPSLastPositionController.js';
 import { 
-  validateDeviceIdMiddleware, 
   validateMultipleDevicesMiddleware,
-  validatePaginationMiddleware 
+  validateNearbyQueryMiddleware,
+  validateBoundingBoxQueryMiddleware,
+  validatePolygonBodyMiddleware,
+  validateBboxQueryMiddleware,
+  validateTileParamsMiddleware,
+  validateExportQueryMiddleware,
+  validateDeviceIdsQueryMiddleware,
+  validateFieldsQueryMiddleware,
+  rejectFieldsQueryMiddleware,
+  validateOpenApiRequestMiddleware,
+  validateTimeZoneQueryMiddleware,
+  validateSinceQueryMiddleware,
+  validateWaitForChangeQueryMiddleware
 } from '../middleware/validationMiddleware.js';
+import { sparseFieldsResponseMiddleware } from '../middleware/responseFormatMiddleware.js';
 
 const router = express.Router();
 const controller = new GPSLastPositionController();
 
+// Parámetros de path y query validados con el documento OpenAPI (/api/v4/openapi.json)
+// Los middlewares de cada ruta solo agregan las reglas que el esquema no puede expresar (x-validated-by)
+router.use(validateOpenApiRequestMiddleware);
+
+// ?tz= en cualquier ruta que devuelva timestamps (JSON, CSV, NDJSON, MVT)
+router.use(validateTimeZoneQueryMiddleware);
+
+// ?fields= en rutas de lectura de posiciones (validación + proyección)
+const sparseFields = [validateFieldsQueryMiddleware, sparseFieldsResponseMiddleware];
+
 /**
  * Rutas para consultas de última posición GPS
  */
 
-// GET /api/v4/gps/last/:deviceId - Obtener última posición de un dispositivo
-router.get('/last/:deviceId', validateDeviceIdMiddleware, async (req, res) => {
+// GET /api/v4/gps/last/:deviceId - Obtener última posición de un dispositivo (?waitForChange= espera un cambio)
+router.get('/last/:deviceId', sparseFields, validateWaitForChangeQueryMiddleware, async (req, res) => {
   await controller.getLastPosition(req, res);
 });
 
 // POST /api/v4/gps/last/multiple - Obtener últimas posiciones de múltiples dispositivos
-router.post('/last/multiple', validateMultipleDevicesMiddleware, async (req, res) => {
+router.post('/last/multiple', sparseFields, validateMultipleDevicesMiddleware, async (req, res) => {
   await controller.getMultipleLastPositions(req, res);
 });
 
-// GET /api/v4/gps/last - Obtener todas las últimas posiciones
-router.get('/last', validatePaginationMiddleware, async (req, res) => {
+// GET /api/v4/gps/last - Obtener todas las últimas posiciones (?since= solo las cambiadas)
+router.get('/last', sparseFields, validateSinceQueryMiddleware, async (req, res) => {
   await controller.getAllLastPositions(req, res);
 });
 
+// GET /api/v4/gps/nearby - Obtener dispositivos dentro de un radio alrededor de un punto
+router.get('/nearby', sparseFields, validateNearbyQueryMiddleware, async (req, res) => {
+  await controller.getNearbyPositions(req, res);
+});
+
+// GET /api/v4/gps/nearest - Obtener los k dispositivos más cercanos a un punto
+router.get('/nearest', sparseFields, async (req, res) => {
+  await controller.getNearestPositions(req, res);
+});
+
+// GET /api/v4/gps/nearest/to/gps/:deviceId - Obtener los k dispositivos más cercanos a otro dispositivo
+router.get('/nearest/to/gps/:deviceId', sparseFields, async (req, res) => {
+  await controller.getNearestToDevice(req, res);
+});
+
+// GET /api/v4/gps/nearest/to/mobile/:userId - Obtener los k dispositivos más cercanos a un usuario móvil
+router.get('/nearest/to/mobile/:userId', sparseFields, async (req, res) => {
+  await controller.getNearestToMobileUser(req, res);
+});
+
+// GET /api/v4/gps/within - Obtener dispositivos dentro de un bounding box (viewport de mapa)
+router.get('/within', sparseFields, validateBoundingBoxQueryMiddleware, async (req, res) => {
+  await controller.getPositionsWithinBox(req, res);
+});
+
+// POST /api/v4/gps/within/polygon - Obtener dispositivos dentro de un Polygon/MultiPolygon GeoJSON
+router.post('/within/polygon', sparseFields, validatePolygonBodyMiddleware, async (req, res) => {
+  await controller.getPositionsWithinPolygon(req, res);
+});
+
+// GET /api/v4/gps/clusters - Obtener clusters de dispositivos para un zoom de mapa
+router.get('/clusters', validateBboxQueryMiddleware, async (req, res) => {
+  await controller.getClusters(req, res);
+});
+
+// GET /api/v4/gps/heatmap - Obtener densidad de dispositivos agregada en una grilla
+router.get('/heatmap', validateBboxQueryMiddleware, async (req, res) => {
+  await controller.getHeatmap(req, res);
+});
+
+// GET /api/v4/gps/tiles/:z/:x/:y.mvt - Obtener dispositivos como Mapbox Vector Tile
+router.get('/tiles/:z/:x/:y.mvt', validateTileParamsMiddleware, async (req, res) => {
+  await controller.getVectorTile(req, res);
+});
+
+// GET /api/v4/gps/export.csv - Exportar todas las últimas posiciones como CSV (streaming)
+router.get('/export.csv', validateExportQueryMiddleware, async (req, res) => {
+  await controller.exportCsv(req, res);
+});
+
+// GET /api/v4/gps/stream - Stream en vivo (SSE) de las últimas posiciones de varios dispositivos
+router.get('/stream', sparseFields, validateDeviceIdsQueryMiddleware, async (req, res) => {
+  await controller.streamLastPositions(req, res);
+});
+
 // GET /api/v4/gps/exists/:deviceId - Verificar si existe última posición
-router.get('/exists/:deviceId', validateDeviceIdMiddleware, async (req, res) => {
+router.get('/exists/:deviceId', rejectFieldsQueryMiddleware, async (req, res) => {
   await controller.checkDeviceExists(req, res);
 });
 
@@ -39,34 +116,35 @@ router.get('/stats', async (req, res) => {
 });
 
 // ========== ENDPOINTS OPTIMIZADOS ==========
+// Con ?fields= la proyección se hace sobre la posición completa (fields tiene prioridad sobre la forma fija)
 
 // GET /api/v4/gps/last/:deviceId/gps - Obtener última posición optimizada para GPS (id, lat, lng)
-router.get('/last/:deviceId/gps', validateDeviceIdMiddleware, async (req, res) => {
-  await controller.getLastPositionForGPS(req, res);
+router.get('/last/:deviceId/gps', sparseFields, async (req, res) => {
+  await (req.query.fields !== undefined ? controller.getLastPositionFull(req, res) : controller.getLastPositionForGPS(req, res));
 });
 
 // POST /api/v4/gps/last/multiple/gps - Obtener múltiples posiciones optimizadas para GPS
-router.post('/last/multiple/gps', validateMultipleDevicesMiddleware, async (req, res) => {
-  await controller.getMultipleLastPositionsForGPS(req, res);
+router.post('/last/multiple/gps', sparseFields, validateMultipleDevicesMiddleware, async (req, res) => {
+  await (req.query.fields !== undefined ? controller.getMultipleLastPositionsFull(req, res) : controller.getMultipleLastPositionsForGPS(req, res));
 });
 
 // GET /api/v4/gps/last/:deviceId/mobile - Obtener última posición optimizada para Mobile (id, lat, lng, name)
-router.get('/last/:deviceId/mobile', validateDeviceIdMiddleware, async (req, res) => {
-  await controller.getLastPositionForMobile(req, res);
+router.get('/last/:deviceId/mobile', sparseFields, async (req, res) => {
+  await (req.query.fields !== undefined ? controller.getLastPositionFull(req, res) : controller.getLastPositionForMobile(req, res));
 });
 
 // POST /api/v4/gps/last/multiple/mobile - Obtener múltiples posiciones optimizadas para Mobile
-router.post('/last/multiple/mobile', validateMultipleDevicesMiddleware, async (req, res) => {
-  await controller.getMultipleLastPositionsForMobile(req, res);
+router.post('/last/multiple/mobile', sparseFields, validateMultipleDevicesMiddleware, async (req, res) => {
+  await (req.query.fields !== undefined ? controller.getMultipleLastPositionsFull(req, res) : controller.getMultipleLastPositionsForMobile(req, res));
 });
 
 // GET /api/v4/gps/last/:deviceId/full - Obtener última posición completa
-router.get('/last/:deviceId/full', validateDeviceIdMiddleware, async (req, res) => {
+router.get('/last/:deviceId/full', sparseFields, async (req, res) => {
   await controller.getLastPositionFull(req, res);
 });
 
 // POST /api/v4/gps/last/multiple/full - Obtener múltiples posiciones completas
-router.post('/last/multiple/full', validateMultipleDevicesMiddleware, async (req, res) => {
+router.post('/last/multiple/full', sparseFields, validateMultipleDevicesMiddleware, async (req, res) => {
   await controller.getMultipleLastPositionsFull(req, res);
 });
 
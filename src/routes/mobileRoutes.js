@@ -1,35 +1,79 @@
 import express from 'express';
 import { MobileLastPositionController } from '../controllers/MobileLastPositionController.js';
 import { 
-  validateUserIdMiddleware, 
   validateMultipleUsersMiddleware,
-  validatePaginationMiddleware 
+  validateBoundingBoxQueryMiddleware,
+  validateTileParamsMiddleware,
+  validateBboxQueryMiddleware,
+  validateExportQueryMiddleware,
+  validateUserIdsQueryMiddleware,
+  validateFieldsQueryMiddleware,
+  rejectFieldsQueryMiddleware,
+  validateOpenApiRequestMiddleware,
+  validateTimeZoneQueryMiddleware,
+  validateSinceQueryMiddleware
 } from '../middleware/validationMiddleware.js';
+import { sparseFieldsResponseMiddleware } from '../middleware/responseFormatMiddleware.js';
 
 const router = express.Router();
 const controller = new MobileLastPositionController();
 
+// Parámetros de path y query validados con el documento OpenAPI (/api/v4/openapi.json)
+// Los middlewares de cada ruta solo agregan las reglas que el esquema no puede expresar (x-validated-by)
+router.use(validateOpenApiRequestMiddleware);
+
+// ?tz= en cualquier ruta que devuelva timestamps (JSON, CSV, NDJSON, MVT)
+router.use(validateTimeZoneQueryMiddleware);
+
+// ?fields= en rutas de lectura de posiciones (validación + proyección)
+const sparseFields = [validateFieldsQueryMiddleware, sparseFieldsResponseMiddleware];
+
 /**
  * Rutas para consultas de última posición móvil
  */
 
 // GET /api/v4/mobile/last/:userId - Obtener última posición de un usuario móvil
-router.get('/last/:userId', validateUserIdMiddleware, async (req, res) => {
+router.get('/last/:userId', sparseFields, async (req, res) => {
   await controller.getLastPosition(req, res);
 });
 
 // POST /api/v4/mobile/last/multiple - Obtener últimas posiciones de múltiples usuarios móviles
-router.post('/last/multiple', validateMultipleUsersMiddleware, async (req, res) => {
+router.post('/last/multiple', sparseFields, validateMultipleUsersMiddleware, async (req, res) => {
   await controller.getMultipleLastPositions(req, res);
 });
 
-// GET /api/v4/mobile/last - Obtener todas las últimas posiciones móviles
-router.get('/last', validatePaginationMiddleware, async (req, res) => {
+// GET /api/v4/mobile/last - Obtener todas las últimas posiciones móviles (?since= solo las cambiadas)
+router.get('/last', sparseFields, validateSinceQueryMiddleware, async (req, res) => {
   await controller.getAllLastPositions(req, res);
 });
 
+// GET /api/v4/mobile/within - Obtener usuarios móviles dentro de un bounding box (viewport de mapa)
+router.get('/within', sparseFields, validateBoundingBoxQueryMiddleware, async (req, res) => {
+  await controller.getPositionsWithinBox(req, res);
+});
+
+// GET /api/v4/mobile/heatmap - Obtener densidad de usuarios móviles agregada en una grilla
+router.get('/heatmap', validateBboxQueryMiddleware, async (req, res) => {
+  await controller.getHeatmap(req, res);
+});
+
+// GET /api/v4/mobile/tiles/:z/:x/:y.mvt - Obtener usuarios móviles como Mapbox Vector Tile
+router.get('/tiles/:z/:x/:y.mvt', validateTileParamsMiddleware, async (req, res) => {
+  await controller.getVectorTile(req, res);
+});
+
+// GET /api/v4/mobile/export.csv - Exportar todas las últimas posiciones como CSV (streaming)
+router.get('/export.csv', validateExportQueryMiddleware, async (req, res) => {
+  await controller.exportCsv(req, res);
+});
+
+// GET /api/v4/mobile/stream - Stream en vivo (SSE) de las últimas posiciones de varios usuarios móviles
+router.get('/stream', sparseFields, validateUserIdsQueryMiddleware, async (req, res) => {
+  await controller.streamLastPositions(req, res);
+});
+
 // GET /api/v4/mobile/exists/:userId - Verificar si existe última posición móvil
-router.get('/exists/:userId', validateUserIdMiddleware, async (req, res) => {
+router.get('/exists/:userId', rejectFieldsQueryMiddleware, async (req, res) => {
   await controller.checkUserExists(req, res);
 });
 
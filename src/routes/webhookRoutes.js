@@ -0,0 +1,45 @@
+import express from 'express';
+import { WebhookController } from '../controllers/WebhookController.js';
+import {
+  validateWebhookIdMiddleware,
+  validateWebhookBodyMiddleware
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+const controller = new WebhookController();
+
+/**
+ * Rutas para el registro de webhooks y la consulta de entregas fallidas
+ */
+
+// GET /api/v4/webhooks - Listar webhooks y estado de la cola de entregas
+router.get('/', async (req, res) => {
+  await controller.listWebhooks(req, res);
+});
+
+// POST /api/v4/webhooks - Registrar webhook (devuelve el secreto de firma)
+router.post('/', validateWebhookBodyMiddleware, async (req, res) => {
+  await controller.createWebhook(req, res);
+});
+
+// GET /api/v4/webhooks/dead-letters - Entregas que agotaron sus reintentos
+router.get('/dead-letters', async (req, res) => {
+  await controller.listDeadLetters(req, res);
+});
+
+// GET /api/v4/webhooks/:webhookId - Obtener webhook
+router.get('/:webhookId', validateWebhookIdMiddleware, async (req, res) => {
+  await controller.getWebhook(req, res);
+});
+
+// PUT /api/v4/webhooks/:webhookId - Reemplazar webhook
+router.put('/:webhookId', validateWebhookIdMiddleware, validateWebhookBodyMiddleware, async (req, res) => {
+  await controller.updateWebhook(req, res);
+});
+
+// DELETE /api/v4/webhooks/:webhookId - Eliminar webhook
+router.delete('/:webhookId', validateWebhookIdMiddleware, async (req, res) => {
+  await controller.deleteWebhook(req, res);
+});
+
+export default router;
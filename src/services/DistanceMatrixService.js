@@ -0,0 +1,113 @@
+import { GPSLastPositionRepository } from '../repositories/GPSLastPositionRepository.js';
+import { MobileLastPositionRepository } from '../repositories/MobileLastPositionRepository.js';
+import { logger } from '../utils/logger.js';
+import { haversineDistance, initialBearing, isValidCoordinate, roundBearing, roundDistance } from '../utils/geo.js';
+
+/**
+ * Servicio de negocio para matrices de distancias entre entidades GPS y móviles
+ * Resuelve las últimas posiciones con ambos repositorios y calcula distancia (haversine) y rumbo
+ */
+export class DistanceMatrixService {
+  constructor() {
+    this.positionRepositories = {
+      gps: new GPSLastPositionRepository(),
+      mobile: new MobileLastPositionRepository()
+    };
+  }
+
+  /**
+   * Calcula la matriz de distancias entre orígenes y destinos
+   * @param {Object} options - Opciones de cálculo
+   * @param {Object[]} options.origins - Entidades de origen ({ type: 'gps'|'mobile', id })
+   * @param {Object[]} options.destinations - Entidades de destino ({ type: 'gps'|'mobile', id })
+   * @param {string} options.unit - Unidad de distancia ('m', 'km', 'mi', 'ft')
+   * @returns {Object} Respuesta con la matriz (filas = orígenes, columnas = destinos)
+   */
+  async getDistanceMatrix(options = {}) {
+    try {
+      const { origins, destinations, unit = 'm' } = options;
+      const entities = [...origins, ...destinations];
+
+      const deviceIds = [...new Set(entities.filter(entity => entity.type === 'gps').map(entity => entity.id.trim()))];
+      const userIds = [...new Set(entities.filter(entity => entity.type === 'mobile').map(entity => entity.id.trim()))];
+
+      logger.info(`🗺️ Calculando matriz de distancias ${origins.length}x${destinations.length} (${deviceIds.length} dispositivos, ${userIds.length} usuarios)`);
+
+      const [gpsPositions, mobilePositions] = await Promise.all([
+        deviceIds.length > 0 ? this.positionRepositories.gps.getMultipleLastPositions(deviceIds) : [],
+        userIds.length > 0 ? this.positionRepositories.mobile.getMultipleLastPositions(userIds) : []
+      ]);
+
+      const positions = {
+        gps: new Map(gpsPositions.map(position => [position.deviceId, position])),
+        mobile: new Map(mobilePositions.map(position => [position.userId, position]))
+      };
+
+      const resolve = entity => {
+        const id = entity.id.trim();
+        const position = positions[entity.type].get(id);
+        const located = Boolean(position) && isValidCoordinate(position.lat, position.lng);
+
+        return {
+          type: entity.type,
+          id,
+          found: Boolean(position),
+          lat: located ? position.lat : null,
+          lng: located ? position.lng : null
+        };
+      };
+
+      const resolvedOrigins = origins.map(resolve);
+      const resolvedDestinations = destinations.map(resolve);
+
+      // Celda null cuando alguno de los extremos no tiene posición utilizable
+      const matrix = resolvedOrigins.map(origin => resolvedDestinations.map(destination => {
+        if (origin.lat === null || destination.lat === null) {
+          return null;
+        }
+
+        return {
+          distance: roundDistance(haversineDistance(origin.lat, origin.lng, destination.lat, destination.lng, unit)),
+          bearing: roundBearing(initialBearing(origin.lat, origin.lng, destination.lat, destination.lng))
+        };
+      }));
+
+      const notFoundDeviceIds = deviceIds.filter(id => !positions.gps.has(id));
+      const notFoundUserIds = userIds.filter(id => !positions.mobile.has(id));
+      const invalidPositions = [...resolvedOrigins, ...resolvedDestinations]
+        .filter(entity => entity.found && entity.lat === null)
+        .filter((entity, index, list) => list.findIndex(other => other.type === entity.type && other.id === entity.id) === index)
+        .map(entity => ({ type: entity.type, id: entity.id }));
+
+      return {
+        success: true,
+        data: {
+          origins: resolvedOrigins,
+          destinations: resolvedDestinations,
+          matrix
+        },
+        summary: {
+          origins: origins.length,
+          destinations: destinations.length,
+          cells: origins.length * destinations.length,
+          resolvedCells: matrix.flat().filter(cell => cell !== null).length,
+          notFound: notFoundDeviceIds.length + notFoundUserIds.length,
+          notFoundDeviceIds,
+          notFoundUserIds,
+          invalidPositions,
+          unit
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio calculando matriz de distancias:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al calcular la matriz de distancias',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+}
@@ -1,5 +1,15 @@
 import { GPSLastPositionRepository } from '../repositories/GPSLastPositionRepository.js';
+import { MobileLastPositionRepository } from '../repositories/MobileLastPositionRepository.js';
+import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { geometryBoundingBox, isValidCoordinate, roundBearing, roundCoordinate, roundDistance } from '../utils/geo.js';
+import { aggregateByCell, buildHeatmap, mercatorCell, tileBoundingBox, tilePixel } from '../utils/grid.js';
+import { MVT_EXTENT, encodePointTile } from '../utils/mvt.js';
+import { toCsvLine } from '../utils/csv.js';
+import { getValueAtPath, selectFields } from '../utils/fields.js';
+import { toNdjsonLine } from '../utils/ndjson.js';
+import { formatPositionTimes, formatTimestamp } from '../utils/time.js';
+import { getPositionVersion, buildSyncPage } from '../utils/sync.js';
 
 /**
  * Servicio de negocio para gestión de últimas posiciones GPS
@@ -7,13 +17,14 @@ import { logger } from '../utils/logger.js';
 export class GPSLastPositionService {
   constructor() {
     this.repository = new GPSLastPositionRepository();
+    this.mobileRepository = new MobileLastPositionRepository();
   }
 
   /**
    * Obtiene la última posición de un dispositivo
    * @param {string} deviceId - ID del dispositivo
    * @param {string} format - Formato de respuesta ('full', 'gps', 'mobile')
-   * @returns {Object} Respuesta con la última posición
+   * @returns {Object} Respuesta con la última posición y su versión (para ?ifVersion= del long-polling)
    */
   async getDeviceLastPosition(deviceId, format = 'full') {
     try {
@@ -47,6 +58,7 @@ export class GPSLastPositionService {
         success: true,
         data: formattedData,
         deviceId: cleanDeviceId,
+        version: getPositionVersion(position),
         timestamp: new Date().toISOString()
       };
 
@@ -65,9 +77,11 @@ export class GPSLastPositionService {
    * Obtiene las últimas posiciones de múltiples dispositivos
    * @param {string[]} deviceIds - Array de IDs de dispositivos
    * @param {string} format - Formato de respuesta ('full', 'gps', 'mobile')
+   * @param {Object} options - Opciones de consulta
+   * @param {boolean} options.validOnly - Excluir posiciones con coordenadas no válidas
    * @returns {Object} Respuesta con las últimas posiciones
    */
-  async getMultipleDevicesLastPositions(deviceIds, format = 'full') {
+  async getMultipleDevicesLastPositions(deviceIds, format = 'full', options = {}) {
     try {
       // Validar deviceIds
       if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
@@ -113,10 +127,17 @@ export class GPSLastPositionService {
 
       logger.info(`🔍 Consultando últimas posiciones para ${cleanDeviceIds.length} dispositivos (formato: ${format})`);
 
+      const { validOnly = false } = options;
       const positions = await this.repository.getMultipleLastPositions(cleanDeviceIds);
 
+      // Con validOnly se descartan posiciones null-island, fuera de rango o sin coordenadas
+      const excludedDeviceIds = validOnly
+        ? positions.filter(p => !p.quality.valid).map(p => p.deviceId)
+        : [];
+      const selectedPositions = validOnly ? positions.filter(p => p.quality.valid) : positions;
+
       // Formatear cada posición según el tipo solicitado
-      const formattedPositions = positions.map(position => this._formatPositionData(position, format));
+      const formattedPositions = selectedPositions.map(position => this._formatPositionData(position, format));
 
       // Identificar dispositivos sin posición
       const foundDeviceIds = positions.map(p => p.deviceId);
@@ -129,7 +150,10 @@ export class GPSLastPositionService {
           requested: cleanDeviceIds.length,
           found: formattedPositions.length,
           notFound: notFoundDeviceIds.length,
-          notFoundDeviceIds: notFoundDeviceIds
+          notFoundDeviceIds: notFoundDeviceIds,
+          validOnly,
+          excluded: excludedDeviceIds.length,
+          excludedDeviceIds
         },
         timestamp: new Date().toISOString()
       };
@@ -146,20 +170,28 @@ export class GPSLastPositionService {
   }
 
   /**
-   * Obtiene todas las últimas posiciones disponibles con formato GPS optimizado
-   * @param {Object} options - Opciones de consulta
-   * @returns {Object} Respuesta con todas las últimas posiciones en formato GPS
+   * Obtiene todas las últimas posiciones disponibles (por defecto en formato GPS optimizado)
+   * Con since solo devuelve las posiciones cambiadas después del cursor, en orden de cambio, y el token siguiente
+   * @param {Object} options - Opciones de consulta ({ limit, offset, validOnly, format, since })
+   * @returns {Object} Respuesta con todas las últimas posiciones en el formato solicitado
    */
   async getAllLastPositions(options = {}) {
     try {
-      const { limit = null, offset = 0 } = options;
+      const { limit = null, offset = 0, validOnly = false, format = 'gps', since = null } = options;
+
+      logger.info(`🔍 Consultando todas las últimas posiciones GPS disponibles (formato ${format})`);
 
-      logger.info('🔍 Consultando todas las últimas posiciones GPS disponibles (formato optimizado)');
+      if (since) {
+        return await this._getChangedPositions({ since, limit, validOnly, format });
+      }
 
       const allPositions = await this.repository.getAllLastPositions();
 
-      // Formatear todas las posiciones al formato GPS (id, lat, lng)
-      const formattedPositions = allPositions.map(position => this._formatPositionData(position, 'gps'));
+      // El filtro de calidad se aplica antes de paginar para que total sea consistente
+      const selectedPositions = validOnly ? allPositions.filter(p => p.quality.valid) : allPositions;
+
+      // Formatear todas las posiciones (por defecto formato GPS: id, lat, lng)
+      const formattedPositions = selectedPositions.map(position => this._formatPositionData(position, format));
 
       // Aplicar paginación si se especifica
       let positions = formattedPositions;
@@ -177,7 +209,9 @@ export class GPSLastPositionService {
           returned: positions.length,
           offset: offset,
           limit: limit,
-          format: 'gps'
+          format,
+          validOnly,
+          excluded: allPositions.length - selectedPositions.length
         },
         timestamp: new Date().toISOString()
       };
@@ -193,6 +227,484 @@ export class GPSLastPositionService {
     }
   }
 
+  /**
+   * Obtiene los dispositivos dentro de un radio alrededor de un punto
+   * @param {Object} options - Opciones de consulta
+   * @param {number} options.lat - Latitud del centro
+   * @param {number} options.lng - Longitud del centro
+   * @param {number} options.radius - Radio de búsqueda
+   * @param {string} options.unit - Unidad del radio ('m', 'km', 'mi', 'ft')
+   * @param {string} options.format - Formato de respuesta ('full', 'gps', 'mobile')
+   * @returns {Object} Respuesta con las posiciones cercanas y su distancia
+   */
+  async getNearbyPositions(options = {}) {
+    try {
+      const { lat, lng, radius, unit = 'm', format = 'gps', limit = null, offset = 0 } = options;
+
+      logger.info(`🔍 Consultando dispositivos en un radio de ${radius}${unit} de (${lat}, ${lng}) (formato: ${format})`);
+
+      const nearby = await this.repository.findNearby(lat, lng, radius, unit);
+
+      // Aplicar paginación si se especifica
+      let positions = nearby;
+      if (limit && limit > 0) {
+        const start = Math.max(0, offset);
+        positions = nearby.slice(start, start + limit);
+      }
+
+      const formattedPositions = positions.map(position => ({
+        ...this._formatPositionData(position, format),
+        distance: roundDistance(position.distance)
+      }));
+
+      return {
+        success: true,
+        data: formattedPositions,
+        summary: {
+          center: { lat, lng },
+          radius,
+          unit,
+          total: nearby.length,
+          returned: formattedPositions.length,
+          offset,
+          limit,
+          format
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio obteniendo dispositivos cercanos:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al buscar dispositivos cercanos',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene los k dispositivos más cercanos a un punto
+   * @param {Object} options - Opciones de consulta
+   * @param {number} options.lat - Latitud de referencia
+   * @param {number} options.lng - Longitud de referencia
+   * @param {number} options.k - Cantidad de vecinos
+   * @param {string} options.unit - Unidad de distancia ('m', 'km', 'mi', 'ft')
+   * @param {string} options.format - Formato de respuesta ('full', 'gps', 'mobile')
+   * @returns {Object} Respuesta con los vecinos, su distancia y rumbo
+   */
+  async getNearestPositions(options = {}) {
+    try {
+      const { lat, lng, k = 10, unit = 'm', format = 'gps' } = options;
+
+      logger.info(`🔍 Consultando los ${k} dispositivos más cercanos a (${lat}, ${lng}) (formato: ${format})`);
+
+      const nearest = await this.repository.findNearest(lat, lng, k, unit);
+
+      return {
+        success: true,
+        data: this._formatNearestPositions(nearest, format),
+        summary: {
+          origin: { lat, lng },
+          k,
+          found: nearest.length,
+          unit,
+          format
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio obteniendo dispositivos más cercanos:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al buscar dispositivos más cercanos',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene los k dispositivos más cercanos a la última posición de otra entidad
+   * @param {string} entityType - Tipo de entidad de origen ('gps' o 'mobile')
+   * @param {string} entityId - ID del dispositivo o usuario de origen
+   * @param {Object} options - Opciones de consulta ({ k, unit, format })
+   * @returns {Object} Respuesta con los vecinos, su distancia y rumbo
+   */
+  async getNearestToEntity(entityType, entityId, options = {}) {
+    try {
+      const { k = 10, unit = 'm', format = 'gps' } = options;
+      const originRepository = entityType === 'mobile' ? this.mobileRepository : this.repository;
+
+      logger.info(`🔍 Consultando los ${k} dispositivos más cercanos a ${entityType}:${entityId} (formato: ${format})`);
+
+      const origin = await originRepository.getLastPosition(entityId);
+
+      if (!origin) {
+        return {
+          success: false,
+          error: `No se encontró última posición para ${entityType === 'gps' ? 'el dispositivo' : 'el usuario'}: ${entityId}`,
+          code: 'POSITION_NOT_FOUND',
+          entityId
+        };
+      }
+
+      if (!isValidCoordinate(origin.lat, origin.lng)) {
+        return {
+          success: false,
+          error: `La última posición de ${entityId} no tiene coordenadas válidas`,
+          code: 'INVALID_POSITION',
+          entityId
+        };
+      }
+
+      // Si el origen es un dispositivo GPS no debe aparecer como su propio vecino
+      const excludeDeviceId = entityType === 'gps' ? entityId : null;
+      const nearest = await this.repository.findNearest(origin.lat, origin.lng, k, unit, excludeDeviceId);
+
+      return {
+        success: true,
+        data: this._formatNearestPositions(nearest, format),
+        summary: {
+          origin: {
+            type: entityType,
+            id: entityId,
+            lat: origin.lat,
+            lng: origin.lng
+          },
+          k,
+          found: nearest.length,
+          unit,
+          format
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio obteniendo dispositivos más cercanos a ${entityType}:${entityId}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al buscar dispositivos más cercanos',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene los dispositivos dentro de un bounding box (viewport de mapa)
+   * @param {Object} options - Opciones de consulta
+   * @param {Object} options.bbox - { minLat, minLng, maxLat, maxLng }
+   * @param {string} options.format - Formato de respuesta ('full', 'gps', 'mobile')
+   * @returns {Object} Respuesta con las posiciones dentro del box
+   */
+  async getPositionsWithinBox(options = {}) {
+    try {
+      const { bbox, format = 'gps', limit = null, offset = 0 } = options;
+
+      logger.info(`🔍 Consultando dispositivos dentro de [${bbox.minLat}, ${bbox.minLng}, ${bbox.maxLat}, ${bbox.maxLng}] (formato: ${format})`);
+
+      const within = await this.repository.findWithinBox(bbox);
+
+      // Aplicar paginación si se especifica
+      let positions = within;
+      if (limit && limit > 0) {
+        const start = Math.max(0, offset);
+        positions = within.slice(start, start + limit);
+      }
+
+      const formattedPositions = positions.map(position => this._formatPositionData(position, format));
+
+      return {
+        success: true,
+        data: formattedPositions,
+        summary: {
+          bbox,
+          total: within.length,
+          returned: formattedPositions.length,
+          offset,
+          limit,
+          format
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio obteniendo dispositivos dentro del bounding box:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al buscar dispositivos dentro del área',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene los dispositivos dentro de un Polygon o MultiPolygon GeoJSON
+   * @param {Object} geometry - Geometría GeoJSON validada
+   * @param {string} format - Formato de respuesta ('full', 'gps', 'mobile')
+   * @returns {Object} Respuesta con las posiciones dentro del polígono
+   */
+  async getPositionsWithinPolygon(geometry, format = 'gps') {
+    try {
+      logger.info(`🔍 Consultando dispositivos dentro de un ${geometry.type} (formato: ${format})`);
+
+      const positions = await this.repository.findWithinPolygon(geometry);
+
+      const formattedPositions = positions.map(position => this._formatPositionData(position, format));
+
+      return {
+        success: true,
+        data: formattedPositions,
+        summary: {
+          geometryType: geometry.type,
+          bbox: geometryBoundingBox(geometry),
+          found: formattedPositions.length,
+          format
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio obteniendo dispositivos dentro del polígono:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al buscar dispositivos dentro del polígono',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Agrupa los dispositivos de un área en clusters de grilla según el zoom del mapa
+   * Celdas con un solo dispositivo, o cualquier zoom >= config.clusters.maxZoom, se devuelven como puntos 'gps'
+   * @param {Object} options - Opciones de consulta
+   * @param {number} options.zoom - Nivel de zoom del mapa (0-22)
+   * @param {Object} options.bbox - { minLat, minLng, maxLat, maxLng } (por defecto el mundo completo)
+   * @returns {Object} Respuesta con clusters y puntos individuales
+   */
+  async getClusters(options = {}) {
+    try {
+      const {
+        zoom,
+        bbox = { minLat: -90, minLng: -180, maxLat: 90, maxLng: 180 }
+      } = options;
+      const { cellSizePx, maxZoom } = config.clusters;
+      const clustered = zoom < maxZoom;
+
+      logger.info(`🔍 Consultando clusters de dispositivos en zoom ${zoom} para [${bbox.minLat}, ${bbox.minLng}, ${bbox.maxLat}, ${bbox.maxLng}]`);
+
+      const positions = await this.repository.findWithinBox(bbox);
+
+      const toPoint = position => ({
+        type: 'point',
+        ...this._formatPositionData(position, 'gps')
+      });
+
+      let data;
+      if (clustered) {
+        const cells = aggregateByCell(positions, position => mercatorCell(position.lat, position.lng, zoom, cellSizePx));
+
+        data = cells.map(cell => {
+          if (cell.count === 1) {
+            return toPoint(cell.positions[0]);
+          }
+
+          return {
+            type: 'cluster',
+            id: `${zoom}/${cell.x}/${cell.y}`,
+            count: cell.count,
+            lat: roundCoordinate(cell.lat),
+            lng: roundCoordinate(cell.lng),
+            bbox: cell.bbox
+          };
+        });
+      } else {
+        data = positions.map(toPoint);
+      }
+
+      const clusters = data.filter(item => item.type === 'cluster').length;
+
+      return {
+        success: true,
+        data,
+        summary: {
+          zoom,
+          bbox,
+          clustered,
+          cellSizePx: clustered ? cellSizePx : null,
+          total: positions.length,
+          clusters,
+          points: data.length - clusters,
+          format: 'gps'
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio agrupando dispositivos en clusters:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al agrupar dispositivos en clusters',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Genera un Mapbox Vector Tile con los dispositivos dentro de un tile XYZ
+   * Capa 'gps' con propiedades id, name y timestamp por dispositivo
+   * @param {number} z - Zoom
+   * @param {number} x - Columna del tile
+   * @param {number} y - Fila del tile
+   * @param {Object} options - { timeOptions } (?tz y ?timeFormat para la propiedad timestamp)
+   * @returns {Object} Respuesta con el tile codificado (Buffer) en data
+   */
+  async getVectorTile(z, x, y, options = {}) {
+    try {
+      const { timeOptions = null } = options;
+      const bbox = tileBoundingBox(z, x, y);
+      const positions = await this.repository.findWithinBox(bbox);
+
+      const features = positions.map(position => ({
+        ...tilePixel(position.lat, position.lng, z, x, y, MVT_EXTENT),
+        properties: {
+          id: position.deviceId,
+          name: position.name || position.deviceId,
+          timestamp: formatTimestamp(position.timestamp, timeOptions)
+        }
+      }));
+
+      logger.debug(`🗺️ Tile GPS ${z}/${x}/${y} con ${features.length} dispositivos`);
+
+      return {
+        success: true,
+        data: encodePointTile([{ name: 'gps', extent: MVT_EXTENT, features }]),
+        summary: {
+          tile: { z, x, y },
+          features: features.length
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio generando tile GPS ${z}/${x}/${y}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al generar el tile vectorial',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Agrega las últimas posiciones de dispositivos GPS en una grilla de densidad (heatmap)
+   * Lee solo las posiciones del bbox desde el índice GEO, igual que los clusters y los tiles
+   * @param {Object} options - Opciones de consulta
+   * @param {Object} options.bbox - { minLat, minLng, maxLat, maxLng } (por defecto el mundo completo)
+   * @param {number} options.cellSize - Lado de la celda en metros
+   * @returns {Object} Respuesta con las celdas no vacías y su peso
+   */
+  async getHeatmap(options = {}) {
+    try {
+      const {
+        bbox = { minLat: -90, minLng: -180, maxLat: 90, maxLng: 180 },
+        cellSize = config.heatmap.defaultCellSize
+      } = options;
+
+      logger.info(`🔍 Calculando heatmap GPS con celdas de ${cellSize}m para [${bbox.minLat}, ${bbox.minLng}, ${bbox.maxLat}, ${bbox.maxLng}]`);
+
+      const positions = await this.repository.findWithinBox(bbox);
+      const heatmap = buildHeatmap(positions, bbox, cellSize);
+
+      return {
+        success: true,
+        data: heatmap.cells,
+        summary: {
+          bbox,
+          cellSize,
+          unit: 'm',
+          total: heatmap.total,
+          cells: heatmap.cells.length,
+          maxCount: heatmap.maxCount
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio calculando heatmap GPS:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al calcular el heatmap',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Prepara el streaming NDJSON de todas las últimas posiciones GPS
+   * Las posiciones se emiten a medida que se recorren las claves con SCAN, sin cargar la flota en memoria
+   * @param {Object} options - Opciones ({ limit, offset, validOnly, format, fields, timeOptions })
+   * @returns {Object} Respuesta con un iterable asíncrono de líneas NDJSON en data
+   */
+  async createPositionStream(options = {}) {
+    try {
+      await this.repository.connect();
+
+      return {
+        success: true,
+        data: this._generateNdjsonLines(options),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio preparando streaming NDJSON GPS:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al obtener las posiciones GPS',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Prepara la exportación CSV de todas las últimas posiciones GPS
+   * Verifica la conexión antes de empezar a transmitir para poder responder un error estándar
+   * @param {Object} options - Opciones de exportación
+   * @param {string[]} options.metadataColumns - Rutas de metadata a aplanar como columnas (p. ej. 'speed', 'battery.level')
+   * @param {boolean} options.validOnly - Excluir posiciones con coordenadas no válidas
+   * @param {Object|null} options.timeOptions - ?tz y ?timeFormat para las columnas timestamp y receivedAt
+   * @returns {Object} Respuesta con un iterable asíncrono de líneas CSV en data
+   */
+  async createCsvExport(options = {}) {
+    try {
+      await this.repository.connect();
+
+      return {
+        success: true,
+        data: this._generateCsvLines(options),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio preparando exportación CSV GPS:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al exportar las posiciones GPS',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
   /**
    * Verifica si un dispositivo tiene última posición
    * @param {string} deviceId - ID del dispositivo
@@ -229,6 +741,61 @@ export class GPSLastPositionService {
     }
   }
 
+  /**
+   * Obtiene la posición completa de un dispositivo para las suscripciones en vivo
+   * Se llama por cada cambio notificado, por eso no registra cada lectura a nivel info
+   * @param {string} deviceId - ID del dispositivo
+   * @returns {Object|null} Posición completa o null si ya no existe
+   */
+  async getLivePosition(deviceId) {
+    return await this.repository.getLastPosition(deviceId);
+  }
+
+  /**
+   * Resuelve los dispositivos miembros de uno o más grupos
+   * @param {string[]} groups - Nombres de grupo
+   * @returns {Object} Respuesta con los IDs únicos en data y los grupos vacíos o inexistentes en summary
+   */
+  async resolveGroups(groups) {
+    try {
+      const members = await Promise.all(groups.map(group => this.repository.getGroupMembers(group)));
+      const deviceIds = [...new Set(members.flat())];
+      const emptyGroups = groups.filter((group, index) => members[index].length === 0);
+
+      logger.info(`👥 Grupos GPS ${groups.join(', ')}: ${deviceIds.length} dispositivos`);
+
+      return {
+        success: true,
+        data: deviceIds,
+        summary: {
+          groups,
+          members: deviceIds.length,
+          emptyGroups
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio resolviendo grupos GPS:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al obtener los grupos',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Formatea una posición completa (por ejemplo la leída tras un cambio en vivo)
+   * @param {Object} position - Datos completos de posición
+   * @param {string} format - Formato deseado ('full', 'gps', 'mobile')
+   * @returns {Object} Datos formateados
+   */
+  formatPosition(position, format) {
+    return this._formatPositionData(position, format);
+  }
+
   /**
    * Obtiene estadísticas del servicio
    * @returns {Object} Estadísticas del servicio
@@ -303,10 +870,11 @@ export class GPSLastPositionService {
   /**
    * Obtiene múltiples posiciones optimizadas para GPS (solo id, lat, lng)
    * @param {string[]} deviceIds - Array de IDs de dispositivos
+   * @param {Object} options - Opciones de consulta ({ validOnly })
    * @returns {Object} Respuesta optimizada para GPS
    */
-  async getMultipleDevicesLastPositionsForGPS(deviceIds) {
-    return await this.getMultipleDevicesLastPositions(deviceIds, 'gps');
+  async getMultipleDevicesLastPositionsForGPS(deviceIds, options = {}) {
+    return await this.getMultipleDevicesLastPositions(deviceIds, 'gps', options);
   }
 
   /**
@@ -321,10 +889,11 @@ export class GPSLastPositionService {
   /**
    * Obtiene múltiples posiciones optimizadas para Mobile (id, lat, lng, name)
    * @param {string[]} deviceIds - Array de IDs de dispositivos
+   * @param {Object} options - Opciones de consulta ({ validOnly })
    * @returns {Object} Respuesta optimizada para Mobile
    */
-  async getMultipleDevicesLastPositionsForMobile(deviceIds) {
-    return await this.getMultipleDevicesLastPositions(deviceIds, 'mobile');
+  async getMultipleDevicesLastPositionsForMobile(deviceIds, options = {}) {
+    return await this.getMultipleDevicesLastPositions(deviceIds, 'mobile', options);
   }
 
   /**
@@ -357,6 +926,124 @@ export class GPSLastPositionService {
     }
   }
 
+  /**
+   * Genera una línea NDJSON por dispositivo a medida que se recorre Redis
+   * offset y limit se aplican sobre el orden de SCAN, después del filtro validOnly
+   * @param {Object} options - { limit, offset, validOnly, format, fields, timeOptions }
+   * @yields {string} Posición serializada terminada en salto de línea
+   * @private
+   */
+  async *_generateNdjsonLines(options = {}) {
+    const { limit = null, offset = 0, validOnly = false, format = 'gps', fields = null, timeOptions = null } = options;
+    let skipped = 0;
+    let lines = 0;
+
+    for await (const position of this.repository.scanLastPositions(config.export.scanBatchSize)) {
+      if (validOnly && !position.quality.valid) {
+        continue;
+      }
+
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+
+      const data = fields ? selectFields(position, fields) : this._formatPositionData(position, format);
+      yield toNdjsonLine(formatPositionTimes(data, timeOptions));
+      lines++;
+
+      if (limit && lines >= limit) {
+        break;
+      }
+    }
+
+    logger.info(`✅ Streaming NDJSON GPS completado: ${lines} posiciones`);
+  }
+
+  /**
+   * Genera las líneas CSV (cabecera + una fila por dispositivo) a medida que se recorre Redis
+   * @param {Object} options - { metadataColumns, validOnly, timeOptions }
+   * @yields {string} Línea CSV terminada en CRLF
+   * @private
+   */
+  async *_generateCsvLines(options = {}) {
+    const { metadataColumns = config.export.metadataColumns, validOnly = false, timeOptions = null } = options;
+    let rows = 0;
+
+    yield toCsvLine([
+      'id', 'name', 'lat', 'lng', 'timestamp', 'receivedAt',
+      ...metadataColumns.map(column => `metadata.${column}`)
+    ]);
+
+    for await (const position of this.repository.scanLastPositions(config.export.scanBatchSize)) {
+      if (validOnly && !position.quality.valid) {
+        continue;
+      }
+
+      rows++;
+      yield toCsvLine([
+        position.deviceId,
+        position.name || position.deviceId,
+        position.lat,
+        position.lng,
+        formatTimestamp(position.timestamp, timeOptions),
+        formatTimestamp(position.receivedAt, timeOptions),
+        ...metadataColumns.map(column => getValueAtPath(position.metadata, column))
+      ]);
+    }
+
+    logger.info(`✅ Exportación CSV GPS completada: ${rows} filas`);
+  }
+
+  /**
+   * Formatea vecinos más cercanos agregando distancia y rumbo redondeados
+   * @param {Object[]} positions - Posiciones con distance y bearing
+   * @param {string} format - Formato deseado ('full', 'gps', 'mobile')
+   * @returns {Object[]} Datos formateados
+   * @private
+   */
+  _formatNearestPositions(positions, format) {
+    return positions.map(position => ({
+      ...this._formatPositionData(position, format),
+      distance: roundDistance(position.distance),
+      bearing: roundBearing(position.bearing)
+    }));
+  }
+
+  /**
+   * Respuesta de sincronización incremental: posiciones cambiadas después de since y las eliminadas en summary.removedIds
+   * Con validOnly, las posiciones que cambiaron y ya no son válidas también van en removedIds.
+   * offset no aplica; las páginas siguientes se piden con nextSince mientras hasMore sea true.
+   * Solo se leen las posiciones del índice de cambios, no todas las claves
+   * @param {Object} options - { since, limit, validOnly, format }
+   * @returns {Object} Respuesta con las posiciones cambiadas, las eliminadas y el token siguiente
+   * @private
+   */
+  async _getChangedPositions({ since, limit, validOnly, format }) {
+    const result = await this.repository.getChangesSince(since, limit);
+    const changes = buildSyncPage(result, since, validOnly ? position => position.quality.valid : null);
+
+    logger.info(`🔄 Sincronización incremental GPS: ${changes.total} cambios desde ${new Date(since.time).toISOString()}`);
+
+    return {
+      success: true,
+      data: changes.positions.map(position => this._formatPositionData(position, format)),
+      summary: {
+        total: changes.total,
+        returned: changes.positions.length,
+        limit,
+        format,
+        validOnly,
+        since: new Date(since.time).toISOString(),
+        nextSince: changes.nextSince,
+        hasMore: changes.hasMore,
+        removedIds: changes.removedIds,
+        removalsComplete: result.removalsComplete
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Limpia recursos del servicio
    */
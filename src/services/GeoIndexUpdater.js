@@ -0,0 +1,173 @@
+import { GPSLastPositionRepository } from '../repositories/GPSLastPositionRepository.js';
+import { MobileLastPositionRepository } from '../repositories/MobileLastPositionRepository.js';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { getPositionChangeNotifier } from './PositionChangeNotifier.js';
+
+// Entidades por transacción al sincronizar cambios acumulados
+const SYNC_BATCH_SIZE = 100;
+
+/**
+ * Mantiene los índices GEO de últimas posiciones (GPS y móvil) a partir de los cambios de PositionChangeNotifier,
+ * y con ellos el índice de cambios de la sincronización incremental (?since=: posiciones cambiadas y eliminadas)
+ * 1. Cada cambio sincroniza solo la entidad afectada (GEOADD o ZREM en una transacción con WATCH);
+ *    los cambios que llegan mientras se sincroniza se acumulan y se aplican juntos
+ * 2. Una reconciliación completa al iniciar y cada GEO_INDEX_RECONCILE_MS recupera las notificaciones perdidas
+ *    (reconexiones, notify-keyspace-events sin configurar) y construye el índice la primera vez
+ * Todas las instancias pueden ejecutarlo: las escrituras son idempotentes y la reconciliación usa un lock en Redis
+ */
+export class GeoIndexUpdater {
+  constructor() {
+    this.repositories = {
+      gps: new GPSLastPositionRepository(),
+      mobile: new MobileLastPositionRepository()
+    };
+    this.notifier = getPositionChangeNotifier();
+
+    this.running = false;
+    this.unsubscribeNotifier = null;
+    this.reconcileTimer = null;
+
+    // IDs pendientes de sincronizar por fuente
+    this.pending = Object.fromEntries(Object.keys(this.repositories).map(source => [source, new Set()]));
+    this.flushing = null;
+  }
+
+  /**
+   * Se suscribe a los cambios y lanza la primera reconciliación
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.reconcileTimer = setInterval(() => this._reconcile(), config.geo.reconcileIntervalMs);
+    this.reconcileTimer.unref();
+    this._reconcile();
+
+    logger.info(`🗺️ Actualización del índice GEO iniciada (reconciliación cada ${config.geo.reconcileIntervalMs}ms)`);
+  }
+
+  /**
+   * Deja de escuchar cambios y espera la sincronización en curso
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    clearInterval(this.reconcileTimer);
+    this.reconcileTimer = null;
+    this.unsubscribeNotifier?.();
+    this.unsubscribeNotifier = null;
+
+    await this.flushing;
+    logger.info('🗺️ Actualización del índice GEO detenida');
+  }
+
+  /**
+   * Reconcilia los índices de todas las fuentes; antes reintenta la suscripción si no está activa
+   * @private
+   */
+  async _reconcile() {
+    await this._ensureSubscribed();
+
+    for (const [source, repository] of Object.entries(this.repositories)) {
+      if (!this.running) {
+        return;
+      }
+
+      try {
+        await repository.reconcileGeoIndex(config.geo.reconcileIntervalMs);
+      } catch (error) {
+        logger.error(`❌ Error reconciliando el índice GEO ${source}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Se suscribe a los cambios de posición si todavía no lo está
+   * @private
+   */
+  async _ensureSubscribed() {
+    if (this.unsubscribeNotifier || !this.running) {
+      return;
+    }
+
+    try {
+      const unsubscribe = await this.notifier.subscribe(
+        change => this._handleChange(change),
+        () => {
+          this.unsubscribeNotifier = null;
+        }
+      );
+
+      if (!this.running) {
+        unsubscribe();
+        return;
+      }
+
+      this.unsubscribeNotifier = unsubscribe;
+    } catch (error) {
+      logger.warn(`⚠️ Índice GEO sin cambios en vivo hasta la próxima reconciliación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Acumula la entidad del cambio y programa la sincronización
+   * @private
+   */
+  _handleChange(change) {
+    const pending = this.pending[change.source];
+
+    if (!pending) {
+      return;
+    }
+
+    pending.add(change.id);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Inicia una sincronización si no hay otra en curso; al terminar se repite si quedaron cambios pendientes
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushing) {
+      return;
+    }
+
+    this.flushing = this._flush().finally(() => {
+      this.flushing = null;
+
+      if (this.running && Object.values(this.pending).some(pending => pending.size > 0)) {
+        this._scheduleFlush();
+      }
+    });
+  }
+
+  /**
+   * Sincroniza un lote de entidades pendientes por fuente
+   * Si falla, la próxima reconciliación corrige el índice
+   * @private
+   */
+  async _flush() {
+    for (const [source, pending] of Object.entries(this.pending)) {
+      const ids = [...pending].slice(0, SYNC_BATCH_SIZE);
+
+      if (ids.length === 0) {
+        continue;
+      }
+
+      ids.forEach(id => pending.delete(id));
+
+      try {
+        await this.repositories[source].syncGeoIndex(ids);
+      } catch (error) {
+        logger.warn(`⚠️ Error actualizando el índice GEO ${source} (${ids.length} entidades):`, error.message);
+      }
+    }
+  }
+}
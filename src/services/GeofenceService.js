@@ -0,0 +1,441 @@
+import { randomUUID } from 'node:crypto';
+import { GeofenceRepository } from '../repositories/GeofenceRepository.js';
+import { GPSLastPositionRepository } from '../repositories/GPSLastPositionRepository.js';
+import { MobileLastPositionRepository } from '../repositories/MobileLastPositionRepository.js';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { haversineDistance, isPointInPolygon, isValidCoordinate } from '../utils/geo.js';
+import { getPositionVersion } from '../utils/sync.js';
+
+/**
+ * Servicio de negocio para el registro de geocercas y la evaluación de entradas/salidas
+ * Evalúa tanto dispositivos GPS (gps:last:*) como usuarios móviles (mobile:last:*)
+ * Las transiciones se detectan con cada cambio de posición (GeofenceTracker), no al consultar
+ */
+export class GeofenceService {
+  constructor() {
+    this.repository = new GeofenceRepository();
+    this.positionRepositories = {
+      gps: new GPSLastPositionRepository(),
+      mobile: new MobileLastPositionRepository()
+    };
+  }
+
+  /**
+   * Crea una geocerca
+   * @param {Object} data - Datos validados ({ id?, name, type, center?, radius?, geometry?, metadata? })
+   * @returns {Object} Respuesta con la geocerca creada
+   */
+  async createGeofence(data) {
+    try {
+      const existing = await this.repository.list();
+      if (existing.length >= config.geofences.maxGeofences) {
+        return {
+          success: false,
+          error: `Máximo ${config.geofences.maxGeofences} geocercas permitidas`,
+          code: 'TOO_MANY_GEOFENCES',
+          maximum: config.geofences.maxGeofences
+        };
+      }
+
+      const now = new Date().toISOString();
+      const geofence = {
+        id: data.id || randomUUID(),
+        ...this._buildGeofence(data),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const created = await this.repository.create(geofence);
+      if (!created) {
+        return {
+          success: false,
+          error: `Ya existe una geocerca con id: ${geofence.id}`,
+          code: 'GEOFENCE_ALREADY_EXISTS',
+          geofenceId: geofence.id
+        };
+      }
+
+      logger.info(`🧭 Geocerca creada: ${geofence.id} (${geofence.type})`);
+
+      return {
+        success: true,
+        data: geofence,
+        timestamp: now
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio creando geocerca:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al crear la geocerca',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Lista todas las geocercas
+   * @returns {Object} Respuesta con las geocercas registradas
+   */
+  async listGeofences() {
+    try {
+      const geofences = await this.repository.list();
+
+      return {
+        success: true,
+        data: geofences,
+        summary: {
+          total: geofences.length
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio listando geocercas:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al listar las geocercas',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene una geocerca por id
+   * @param {string} geofenceId - ID de la geocerca
+   * @returns {Object} Respuesta con la geocerca
+   */
+  async getGeofence(geofenceId) {
+    try {
+      const geofence = await this.repository.get(geofenceId);
+
+      if (!geofence) {
+        return this._notFound(geofenceId);
+      }
+
+      return {
+        success: true,
+        data: geofence,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio obteniendo geocerca ${geofenceId}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al obtener la geocerca',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Reemplaza los datos de una geocerca existente
+   * @param {string} geofenceId - ID de la geocerca
+   * @param {Object} data - Datos validados ({ name, type, center?, radius?, geometry?, metadata? })
+   * @returns {Object} Respuesta con la geocerca actualizada
+   */
+  async updateGeofence(geofenceId, data) {
+    try {
+      const existing = await this.repository.get(geofenceId);
+
+      if (!existing) {
+        return this._notFound(geofenceId);
+      }
+
+      const geofence = {
+        id: geofenceId,
+        ...this._buildGeofence(data),
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.repository.save(geofence);
+      logger.info(`🧭 Geocerca actualizada: ${geofenceId}`);
+
+      return {
+        success: true,
+        data: geofence,
+        timestamp: geofence.updatedAt
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio actualizando geocerca ${geofenceId}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al actualizar la geocerca',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Elimina una geocerca
+   * @param {string} geofenceId - ID de la geocerca
+   * @returns {Object} Respuesta con el resultado de la eliminación
+   */
+  async deleteGeofence(geofenceId) {
+    try {
+      const deleted = await this.repository.delete(geofenceId);
+
+      if (!deleted) {
+        return this._notFound(geofenceId);
+      }
+
+      logger.info(`🧭 Geocerca eliminada: ${geofenceId}`);
+
+      return {
+        success: true,
+        geofenceId,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio eliminando geocerca ${geofenceId}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al eliminar la geocerca',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Evalúa la última posición de una entidad contra todas las geocercas (solo lectura)
+   * lastEnteredAt / lastExitedAt son los de las transiciones registradas por trackTransitions
+   * @param {string} entityType - Tipo de entidad ('gps' o 'mobile')
+   * @param {string} entityId - ID del dispositivo o usuario
+   * @returns {Object} Respuesta con las geocercas que contienen a la entidad y su historial
+   */
+  async evaluateEntity(entityType, entityId) {
+    try {
+      const positionRepository = this.positionRepositories[entityType];
+      const position = await positionRepository.getLastPosition(entityId);
+
+      if (!position) {
+        return {
+          success: false,
+          error: `No se encontró última posición para ${entityType === 'gps' ? 'el dispositivo' : 'el usuario'}: ${entityId}`,
+          code: 'POSITION_NOT_FOUND',
+          entityId
+        };
+      }
+
+      if (!isValidCoordinate(position.lat, position.lng)) {
+        return {
+          success: false,
+          error: `La última posición de ${entityId} no tiene coordenadas válidas`,
+          code: 'INVALID_POSITION',
+          entityId
+        };
+      }
+
+      const [geofences, states] = await Promise.all([
+        this.repository.list(),
+        this.repository.getStates(entityType, entityId)
+      ]);
+
+      const now = new Date().toISOString();
+      const results = geofences.map(geofence => ({
+        id: geofence.id,
+        name: geofence.name,
+        type: geofence.type,
+        inside: this._containsPosition(geofence, position),
+        lastEnteredAt: states[geofence.id]?.lastEnteredAt || null,
+        lastExitedAt: states[geofence.id]?.lastExitedAt || null
+      }));
+
+      const insideGeofences = results.filter(result => result.inside);
+
+      logger.debug(`🧭 ${entityType}:${entityId} dentro de ${insideGeofences.length}/${results.length} geocercas`);
+
+      return {
+        success: true,
+        data: {
+          entityType,
+          entityId,
+          position: {
+            lat: position.lat,
+            lng: position.lng,
+            timestamp: positionTime(position, now)
+          },
+          inside: insideGeofences,
+          geofences: results
+        },
+        summary: {
+          evaluated: results.length,
+          inside: insideGeofences.length
+        },
+        timestamp: now
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio evaluando geocercas para ${entityType}:${entityId}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al evaluar las geocercas',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Detecta y registra las entradas/salidas de geocercas de entidades cuya posición cambió
+   * El estado y la lista de transiciones se actualizan en una sola transacción (ver GeofenceRepository.applyTransitions);
+   * las entidades sin posición o con coordenadas inválidas conservan su estado
+   * @param {string} entityType - Tipo de entidad ('gps' o 'mobile')
+   * @param {string[]} entityIds - IDs de dispositivos o usuarios
+   * @returns {Object[]} Transiciones registradas
+   */
+  async trackTransitions(entityType, entityIds) {
+    const positionRepository = this.positionRepositories[entityType];
+    const keys = entityIds.map(entityId => positionRepository.getKey(entityId));
+
+    await positionRepository.connect();
+    const transitions = await this.repository.applyTransitions(entityType, entityIds, async (geofences, statesByEntity) => {
+      const entries = await positionRepository.getPositionEntriesByKeys(keys);
+      const geofenceIds = new Set(geofences.map(geofence => geofence.id));
+      const now = new Date().toISOString();
+      const updates = {};
+      const versions = {};
+      const records = [];
+
+      for (const entry of entries) {
+        const entityId = entry.deviceId ?? entry.userId;
+        const position = entry.position;
+        const states = statesByEntity[entityId] || {};
+        const entityUpdates = {};
+
+        // Estados de geocercas eliminadas
+        Object.keys(states)
+          .filter(geofenceId => !geofenceIds.has(geofenceId))
+          .forEach(geofenceId => {
+            entityUpdates[geofenceId] = null;
+          });
+
+        if (isValidCoordinate(position.lat, position.lng)) {
+          const at = positionTime(position, now);
+
+          for (const geofence of geofences) {
+            const previous = states[geofence.id] || {};
+            const inside = this._containsPosition(geofence, position);
+
+            if (inside === Boolean(previous.inside)) {
+              continue;
+            }
+
+            const transition = inside ? 'enter' : 'exit';
+            entityUpdates[geofence.id] = {
+              inside,
+              lastEnteredAt: inside ? at : previous.lastEnteredAt || null,
+              lastExitedAt: inside ? previous.lastExitedAt || null : at,
+              updatedAt: now
+            };
+            records.push({
+              id: randomUUID(),
+              entityType,
+              entityId,
+              transition,
+              geofence: { id: geofence.id, name: geofence.name, type: geofence.type },
+              position,
+              at,
+              recordedAt: now
+            });
+          }
+        }
+
+        updates[entityId] = entityUpdates;
+        versions[entityId] = getPositionVersion(position);
+      }
+
+      return { updates, versions, transitions: records };
+    });
+
+    if (transitions.length > 0) {
+      logger.info(`🧭 ${transitions.length} transiciones de geocercas registradas para ${entityType} (${entityIds.length} entidades)`);
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Construye la geocerca normalizada a partir de los datos recibidos
+   * @param {Object} data - Datos validados
+   * @returns {Object} Geocerca sin id ni fechas
+   * @private
+   */
+  _buildGeofence(data) {
+    const base = {
+      name: data.name.trim(),
+      type: data.type,
+      metadata: data.metadata || null
+    };
+
+    if (data.type === 'circle') {
+      return {
+        ...base,
+        center: {
+          lat: Number(data.center.lat),
+          lng: Number(data.center.lng)
+        },
+        radius: Number(data.radius)
+      };
+    }
+
+    return {
+      ...base,
+      geometry: {
+        type: data.geometry.type,
+        coordinates: data.geometry.coordinates
+      }
+    };
+  }
+
+  /**
+   * Verifica si una posición está dentro de una geocerca
+   * @param {Object} geofence - Geocerca (circle con radio en metros o polygon GeoJSON)
+   * @param {Object} position - Posición con lat/lng
+   * @returns {boolean} True si la posición está dentro
+   * @private
+   */
+  _containsPosition(geofence, position) {
+    if (geofence.type === 'circle') {
+      return haversineDistance(geofence.center.lat, geofence.center.lng, position.lat, position.lng) <= geofence.radius;
+    }
+
+    return isPointInPolygon(position.lat, position.lng, geofence.geometry);
+  }
+
+  /**
+   * Respuesta estándar para geocercas inexistentes
+   * @param {string} geofenceId - ID de la geocerca
+   * @returns {Object} Respuesta de error
+   * @private
+   */
+  _notFound(geofenceId) {
+    return {
+      success: false,
+      error: `No se encontró la geocerca: ${geofenceId}`,
+      code: 'GEOFENCE_NOT_FOUND',
+      geofenceId
+    };
+  }
+}
+
+/**
+ * Momento de una posición para el historial de geocercas: hora de la posición si existe, si no la hora actual
+ * @param {Object} position - Última posición
+ * @param {string} now - Hora actual ISO
+ * @returns {string} Fecha ISO
+ * @private
+ */
+function positionTime(position, now) {
+  return position.timestamp || position.updatedAt || position.receivedAt || now;
+}
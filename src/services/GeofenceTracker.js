@@ -0,0 +1,183 @@
+import { logger } from '../utils/logger.js';
+import { GeofenceService } from './GeofenceService.js';
+import { getPositionChangeNotifier } from './PositionChangeNotifier.js';
+
+// Entidades por transacción al procesar cambios acumulados
+const TRACK_BATCH_SIZE = 50;
+
+// Reintento de la suscripción si Redis no estaba disponible al iniciar
+const SUBSCRIBE_RETRY_MS = 30000;
+
+// Espera antes de volver a evaluar las entidades de un lote que falló
+const TRACK_RETRY_MS = 5000;
+
+/**
+ * Detecta las entradas/salidas de geocercas con cada cambio de posición de PositionChangeNotifier
+ * Los cambios que llegan mientras se procesa un lote se acumulan por entidad y se evalúan juntos con la posición vigente.
+ * Todas las instancias pueden ejecutarlo: GeofenceService.trackTransitions registra cada transición una sola vez
+ * (geofence:state:* y la lista geofence:transitions que consumen los webhooks)
+ */
+export class GeofenceTracker {
+  constructor() {
+    this.service = new GeofenceService();
+    this.notifier = getPositionChangeNotifier();
+
+    this.running = false;
+    this.unsubscribeNotifier = null;
+    this.retryTimer = null;
+
+    // IDs pendientes de evaluar por fuente y los de lotes fallidos, que vuelven a pending tras TRACK_RETRY_MS
+    this.pending = { gps: new Set(), mobile: new Set() };
+    this.failed = { gps: new Set(), mobile: new Set() };
+    this.failedTimer = null;
+    this.tracking = null;
+  }
+
+  /**
+   * Se suscribe a los cambios de posición
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.retryTimer = setInterval(() => this._ensureSubscribed(), SUBSCRIBE_RETRY_MS);
+    this.retryTimer.unref();
+    this._ensureSubscribed();
+
+    logger.info('🧭 Detección de entradas/salidas de geocercas iniciada');
+  }
+
+  /**
+   * Deja de escuchar cambios y espera el lote en curso
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+    clearTimeout(this.failedTimer);
+    this.failedTimer = null;
+    this.unsubscribeNotifier?.();
+    this.unsubscribeNotifier = null;
+
+    await this.tracking;
+    logger.info('🧭 Detección de entradas/salidas de geocercas detenida');
+  }
+
+  /**
+   * Se suscribe a los cambios de posición si todavía no lo está
+   * @private
+   */
+  async _ensureSubscribed() {
+    if (this.unsubscribeNotifier || !this.running) {
+      return;
+    }
+
+    try {
+      const unsubscribe = await this.notifier.subscribe(
+        change => this._handleChange(change),
+        () => {
+          this.unsubscribeNotifier = null;
+        }
+      );
+
+      if (this.unsubscribeNotifier || !this.running) {
+        unsubscribe();
+        return;
+      }
+
+      this.unsubscribeNotifier = unsubscribe;
+    } catch (error) {
+      logger.warn(`⚠️ Geocercas sin cambios en vivo, reintento en ${SUBSCRIBE_RETRY_MS}ms: ${error.message}`);
+    }
+  }
+
+  /**
+   * Acumula la entidad del cambio y programa su evaluación
+   * Las eliminaciones no cambian el estado: la entidad conserva el último que se registró
+   * @private
+   */
+  _handleChange(change) {
+    if (change.type !== 'position' || !this.pending[change.source]) {
+      return;
+    }
+
+    this.pending[change.source].add(change.id);
+    this._scheduleTracking();
+  }
+
+  /**
+   * Inicia un lote si no hay otro en curso; al terminar se repite si quedaron cambios pendientes
+   * @private
+   */
+  _scheduleTracking() {
+    if (this.tracking) {
+      return;
+    }
+
+    this.tracking = this._track().finally(() => {
+      this.tracking = null;
+
+      if (this.running && Object.values(this.pending).some(pending => pending.size > 0)) {
+        this._scheduleTracking();
+      }
+    });
+  }
+
+  /**
+   * Evalúa un lote de entidades pendientes por fuente
+   * @private
+   */
+  async _track() {
+    for (const [source, pending] of Object.entries(this.pending)) {
+      const ids = [...pending].slice(0, TRACK_BATCH_SIZE);
+
+      if (ids.length === 0) {
+        continue;
+      }
+
+      ids.forEach(id => pending.delete(id));
+
+      try {
+        await this.service.trackTransitions(source, ids);
+      } catch (error) {
+        logger.error(`❌ Error detectando transiciones de geocercas ${source} (${ids.length} entidades), reintento en ${TRACK_RETRY_MS}ms:`, error.message);
+        this._retryLater(source, ids);
+      }
+    }
+  }
+
+  /**
+   * Guarda las entidades de un lote fallido y las devuelve a pending después de TRACK_RETRY_MS
+   * La espera evita repetir en bucle un lote mientras Redis no está disponible
+   * @private
+   */
+  _retryLater(source, ids) {
+    ids.forEach(id => this.failed[source].add(id));
+
+    if (this.failedTimer) {
+      return;
+    }
+
+    this.failedTimer = setTimeout(() => {
+      this.failedTimer = null;
+
+      if (!this.running) {
+        return;
+      }
+
+      for (const [failedSource, failed] of Object.entries(this.failed)) {
+        failed.forEach(id => this.pending[failedSource].add(id));
+        failed.clear();
+      }
+
+      this._scheduleTracking();
+    }, TRACK_RETRY_MS);
+    this.failedTimer.unref();
+  }
+}
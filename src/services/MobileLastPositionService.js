@@ -1,5 +1,13 @@
 import { MobileLastPositionRepository } from '../repositories/MobileLastPositionRepository.js';
+import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { buildHeatmap, tileBoundingBox, tilePixel } from '../utils/grid.js';
+import { MVT_EXTENT, encodePointTile } from '../utils/mvt.js';
+import { toCsvLine } from '../utils/csv.js';
+import { getValueAtPath, selectFields } from '../utils/fields.js';
+import { toNdjsonLine } from '../utils/ndjson.js';
+import { formatPositionTimes, formatTimestamp } from '../utils/time.js';
+import { buildSyncPage } from '../utils/sync.js';
 
 /**
  * Servicio de negocio para gestión de últimas posiciones móviles
@@ -62,9 +70,12 @@ export class MobileLastPositionService {
   /**
    * Obtiene las últimas posiciones de múltiples usuarios móviles
    * @param {string[]} userIds - Array de IDs de usuarios
+   * @param {Object} options - Opciones de consulta
+   * @param {boolean} options.validOnly - Excluir posiciones con coordenadas no válidas
+   * @param {string} options.format - Formato de respuesta ('full' por defecto o 'mobile')
    * @returns {Object} Respuesta con las últimas posiciones móviles
    */
-  async getMultipleUsersLastPositions(userIds) {
+  async getMultipleUsersLastPositions(userIds, options = {}) {
     try {
       // Validar userIds
       if (!Array.isArray(userIds) || userIds.length === 0) {
@@ -110,8 +121,15 @@ export class MobileLastPositionService {
 
       logger.info(`🔍 Consultando últimas posiciones móviles para ${cleanUserIds.length} usuarios`);
 
+      const { validOnly = false, format = 'full' } = options;
       const positions = await this.repository.getMultipleLastPositions(cleanUserIds);
 
+      // Con validOnly se descartan posiciones null-island, fuera de rango o sin coordenadas
+      const excludedUserIds = validOnly
+        ? positions.filter(p => !p.quality.valid).map(p => p.userId)
+        : [];
+      const selectedPositions = validOnly ? positions.filter(p => p.quality.valid) : positions;
+
       // Devolver datos completos para consulta múltiple
       // Identificar usuarios sin posición
       const foundUserIds = positions.map(p => p.userId);
@@ -119,13 +137,16 @@ export class MobileLastPositionService {
 
       return {
         success: true,
-        data: positions, // Datos completos sin formatear
+        data: selectedPositions.map(position => this._formatMobilePosition(position, format)), // Datos completos salvo format=mobile
         summary: {
           requested: cleanUserIds.length,
-          found: positions.length,
+          found: selectedPositions.length,
           notFound: notFoundUserIds.length,
           notFoundUserIds: notFoundUserIds,
-          format: 'full'
+          format,
+          validOnly,
+          excluded: excludedUserIds.length,
+          excludedUserIds
         },
         timestamp: new Date().toISOString()
       };
@@ -142,20 +163,27 @@ export class MobileLastPositionService {
   }
 
   /**
-   * Obtiene todas las últimas posiciones móviles disponibles con formato optimizado
-   * @param {Object} options - Opciones de consulta
-   * @returns {Object} Respuesta con todas las últimas posiciones en formato mobile
+   * Obtiene todas las últimas posiciones móviles disponibles (por defecto en formato optimizado)
+   * @param {Object} options - Opciones de consulta ({ limit, offset, validOnly, format: 'mobile'|'full' })
+   * @returns {Object} Respuesta con todas las últimas posiciones en el formato solicitado
    */
   async getAllLastPositions(options = {}) {
     try {
-      const { limit = null, offset = 0 } = options;
+      const { limit = null, offset = 0, validOnly = false, format = 'mobile', since = null } = options;
 
-      logger.info('🔍 Consultando todas las últimas posiciones móviles disponibles (formato optimizado)');
+      logger.info(`🔍 Consultando todas las últimas posiciones móviles disponibles (formato ${format})`);
+
+      if (since) {
+        return await this._getChangedPositions({ since, limit, validOnly, format });
+      }
 
       const allPositions = await this.repository.getAllLastPositions();
 
-      // Formatear todas las posiciones al formato Mobile (id, lat, lng, name)
-      const formattedPositions = allPositions.map(position => this._formatPositionDataForMobile(position));
+      // El filtro de calidad se aplica antes de paginar para que total sea consistente
+      const selectedPositions = validOnly ? allPositions.filter(p => p.quality.valid) : allPositions;
+
+      // Formatear todas las posiciones (por defecto formato Mobile: id, lat, lng, name)
+      const formattedPositions = selectedPositions.map(position => this._formatMobilePosition(position, format));
 
       // Aplicar paginación si se especifica
       let positions = formattedPositions;
@@ -173,7 +201,9 @@ export class MobileLastPositionService {
           returned: positions.length,
           offset: offset,
           limit: limit,
-          format: 'mobile'
+          format,
+          validOnly,
+          excluded: allPositions.length - selectedPositions.length
         },
         timestamp: new Date().toISOString()
       };
@@ -189,6 +219,204 @@ export class MobileLastPositionService {
     }
   }
 
+  /**
+   * Obtiene los usuarios móviles dentro de un bounding box (viewport de mapa)
+   * @param {Object} options - Opciones de consulta
+   * @param {Object} options.bbox - { minLat, minLng, maxLat, maxLng }
+   * @param {string} options.format - Formato de respuesta ('mobile' o 'full')
+   * @returns {Object} Respuesta con las posiciones dentro del box en el formato solicitado
+   */
+  async getPositionsWithinBox(options = {}) {
+    try {
+      const { bbox, limit = null, offset = 0, format = 'mobile' } = options;
+
+      logger.info(`🔍 Consultando usuarios móviles dentro de [${bbox.minLat}, ${bbox.minLng}, ${bbox.maxLat}, ${bbox.maxLng}]`);
+
+      const within = await this.repository.findWithinBox(bbox);
+
+      // Aplicar paginación si se especifica
+      let positions = within;
+      if (limit && limit > 0) {
+        const start = Math.max(0, offset);
+        positions = within.slice(start, start + limit);
+      }
+
+      const formattedPositions = positions.map(position => this._formatMobilePosition(position, format));
+
+      return {
+        success: true,
+        data: formattedPositions,
+        summary: {
+          bbox,
+          total: within.length,
+          returned: formattedPositions.length,
+          offset,
+          limit,
+          format
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio obteniendo usuarios móviles dentro del bounding box:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al buscar usuarios móviles dentro del área',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Genera un Mapbox Vector Tile con los usuarios móviles dentro de un tile XYZ
+   * Capa 'mobile' con propiedades id, name y timestamp por usuario
+   * @param {number} z - Zoom
+   * @param {number} x - Columna del tile
+   * @param {number} y - Fila del tile
+   * @param {Object} options - { timeOptions } (?tz y ?timeFormat para la propiedad timestamp)
+   * @returns {Object} Respuesta con el tile codificado (Buffer) en data
+   */
+  async getVectorTile(z, x, y, options = {}) {
+    try {
+      const { timeOptions = null } = options;
+      const bbox = tileBoundingBox(z, x, y);
+      const positions = await this.repository.findWithinBox(bbox);
+
+      const features = positions.map(position => ({
+        ...tilePixel(position.lat, position.lng, z, x, y, MVT_EXTENT),
+        properties: {
+          id: position.userId,
+          name: position.name || position.userId,
+          timestamp: formatTimestamp(position.timestamp, timeOptions)
+        }
+      }));
+
+      logger.debug(`🗺️ Tile móvil ${z}/${x}/${y} con ${features.length} usuarios`);
+
+      return {
+        success: true,
+        data: encodePointTile([{ name: 'mobile', extent: MVT_EXTENT, features }]),
+        summary: {
+          tile: { z, x, y },
+          features: features.length
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio generando tile móvil ${z}/${x}/${y}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al generar el tile vectorial',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Agrega las últimas posiciones de usuarios móviles en una grilla de densidad (heatmap)
+   * Lee solo las posiciones del bbox desde el índice GEO, igual que los clusters y los tiles
+   * @param {Object} options - Opciones de consulta
+   * @param {Object} options.bbox - { minLat, minLng, maxLat, maxLng } (por defecto el mundo completo)
+   * @param {number} options.cellSize - Lado de la celda en metros
+   * @returns {Object} Respuesta con las celdas no vacías y su peso
+   */
+  async getHeatmap(options = {}) {
+    try {
+      const {
+        bbox = { minLat: -90, minLng: -180, maxLat: 90, maxLng: 180 },
+        cellSize = config.heatmap.defaultCellSize
+      } = options;
+
+      logger.info(`🔍 Calculando heatmap móvil con celdas de ${cellSize}m para [${bbox.minLat}, ${bbox.minLng}, ${bbox.maxLat}, ${bbox.maxLng}]`);
+
+      const positions = await this.repository.findWithinBox(bbox);
+      const heatmap = buildHeatmap(positions, bbox, cellSize);
+
+      return {
+        success: true,
+        data: heatmap.cells,
+        summary: {
+          bbox,
+          cellSize,
+          unit: 'm',
+          total: heatmap.total,
+          cells: heatmap.cells.length,
+          maxCount: heatmap.maxCount
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio calculando heatmap móvil:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al calcular el heatmap',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Prepara el streaming NDJSON de todas las últimas posiciones móviles
+   * Las posiciones se emiten a medida que se recorren las claves con SCAN, sin cargar todos los usuarios en memoria
+   * @param {Object} options - Opciones ({ limit, offset, validOnly, format, fields, timeOptions })
+   * @returns {Object} Respuesta con un iterable asíncrono de líneas NDJSON en data
+   */
+  async createPositionStream(options = {}) {
+    try {
+      await this.repository.connect();
+
+      return {
+        success: true,
+        data: this._generateNdjsonLines(options),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio preparando streaming NDJSON móvil:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al obtener las posiciones móviles',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Prepara la exportación CSV de todas las últimas posiciones móviles
+   * Verifica la conexión antes de empezar a transmitir para poder responder un error estándar
+   * @param {Object} options - Opciones de exportación
+   * @param {string[]} options.metadataColumns - Rutas de metadata a aplanar como columnas (p. ej. 'speed', 'battery.level')
+   * @param {boolean} options.validOnly - Excluir posiciones con coordenadas no válidas
+   * @param {Object|null} options.timeOptions - ?tz y ?timeFormat para las columnas timestamp y receivedAt
+   * @returns {Object} Respuesta con un iterable asíncrono de líneas CSV en data
+   */
+  async createCsvExport(options = {}) {
+    try {
+      await this.repository.connect();
+
+      return {
+        success: true,
+        data: this._generateCsvLines(options),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio preparando exportación CSV móvil:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al exportar las posiciones móviles',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
   /**
    * Verifica si un usuario tiene última posición móvil
    * @param {string} userId - ID del usuario
@@ -225,6 +453,61 @@ export class MobileLastPositionService {
     }
   }
 
+  /**
+   * Obtiene la posición completa de un usuario móvil para las suscripciones en vivo
+   * Se llama por cada cambio notificado, por eso no registra cada lectura a nivel info
+   * @param {string} userId - ID del usuario móvil
+   * @returns {Object|null} Posición completa o null si ya no existe
+   */
+  async getLivePosition(userId) {
+    return await this.repository.getLastPosition(userId);
+  }
+
+  /**
+   * Resuelve los usuarios miembros de uno o más grupos
+   * @param {string[]} groups - Nombres de grupo
+   * @returns {Object} Respuesta con los IDs únicos en data y los grupos vacíos o inexistentes en summary
+   */
+  async resolveGroups(groups) {
+    try {
+      const members = await Promise.all(groups.map(group => this.repository.getGroupMembers(group)));
+      const userIds = [...new Set(members.flat())];
+      const emptyGroups = groups.filter((group, index) => members[index].length === 0);
+
+      logger.info(`👥 Grupos móvil ${groups.join(', ')}: ${userIds.length} usuarios`);
+
+      return {
+        success: true,
+        data: userIds,
+        summary: {
+          groups,
+          members: userIds.length,
+          emptyGroups
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio resolviendo grupos móvil:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al obtener los grupos',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Formatea una posición completa (por ejemplo la leída tras un cambio en vivo)
+   * @param {Object} position - Datos completos de posición
+   * @param {string} format - Formato deseado ('full' o 'mobile')
+   * @returns {Object} Datos formateados
+   */
+  formatPosition(position, format) {
+    return this._formatMobilePosition(position, format);
+  }
+
   /**
    * Obtiene estadísticas del servicio móvil
    * @returns {Object} Estadísticas del servicio móvil
@@ -287,6 +570,17 @@ export class MobileLastPositionService {
     }
   }
 
+  /**
+   * Formatea una posición móvil según el formato solicitado
+   * @param {Object} position - Datos completos de posición móvil
+   * @param {string} format - 'full' devuelve la posición completa; cualquier otro valor, el formato mobile
+   * @returns {Object} Datos formateados
+   * @private
+   */
+  _formatMobilePosition(position, format) {
+    return format === 'full' ? position : this._formatPositionDataForMobile(position);
+  }
+
   /**
    * Formatea los datos de posición para formato mobile (id, lat, lng, name, timestamp)
    * @param {Object} position - Datos completos de posición móvil
@@ -303,6 +597,109 @@ export class MobileLastPositionService {
     };
   }
 
+  /**
+   * Genera una línea NDJSON por usuario a medida que se recorre Redis
+   * offset y limit se aplican sobre el orden de SCAN, después del filtro validOnly
+   * @param {Object} options - { limit, offset, validOnly, format, fields, timeOptions }
+   * @yields {string} Posición serializada terminada en salto de línea
+   * @private
+   */
+  async *_generateNdjsonLines(options = {}) {
+    const { limit = null, offset = 0, validOnly = false, format = 'mobile', fields = null, timeOptions = null } = options;
+    let skipped = 0;
+    let lines = 0;
+
+    for await (const position of this.repository.scanLastPositions(config.export.scanBatchSize)) {
+      if (validOnly && !position.quality.valid) {
+        continue;
+      }
+
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+
+      const data = fields ? selectFields(position, fields) : this._formatMobilePosition(position, format);
+      yield toNdjsonLine(formatPositionTimes(data, timeOptions));
+      lines++;
+
+      if (limit && lines >= limit) {
+        break;
+      }
+    }
+
+    logger.info(`✅ Streaming NDJSON móvil completado: ${lines} posiciones`);
+  }
+
+  /**
+   * Genera las líneas CSV (cabecera + una fila por usuario) a medida que se recorre Redis
+   * @param {Object} options - { metadataColumns, validOnly, timeOptions }
+   * @yields {string} Línea CSV terminada en CRLF
+   * @private
+   */
+  async *_generateCsvLines(options = {}) {
+    const { metadataColumns = config.export.metadataColumns, validOnly = false, timeOptions = null } = options;
+    let rows = 0;
+
+    yield toCsvLine([
+      'id', 'name', 'lat', 'lng', 'timestamp', 'receivedAt',
+      ...metadataColumns.map(column => `metadata.${column}`)
+    ]);
+
+    for await (const position of this.repository.scanLastPositions(config.export.scanBatchSize)) {
+      if (validOnly && !position.quality.valid) {
+        continue;
+      }
+
+      rows++;
+      yield toCsvLine([
+        position.userId,
+        position.name || position.userId,
+        position.lat,
+        position.lng,
+        formatTimestamp(position.timestamp, timeOptions),
+        formatTimestamp(position.receivedAt, timeOptions),
+        ...metadataColumns.map(column => getValueAtPath(position.metadata, column))
+      ]);
+    }
+
+    logger.info(`✅ Exportación CSV móvil completada: ${rows} filas`);
+  }
+
+  /**
+   * Respuesta de sincronización incremental: posiciones cambiadas después de since y las eliminadas en summary.removedIds
+   * Con validOnly, las posiciones que cambiaron y ya no son válidas también van en removedIds.
+   * offset no aplica; las páginas siguientes se piden con nextSince mientras hasMore sea true.
+   * Solo se leen las posiciones del índice de cambios, no todas las claves
+   * @param {Object} options - { since, limit, validOnly, format }
+   * @returns {Object} Respuesta con las posiciones cambiadas, las eliminadas y el token siguiente
+   * @private
+   */
+  async _getChangedPositions({ since, limit, validOnly, format }) {
+    const result = await this.repository.getChangesSince(since, limit);
+    const changes = buildSyncPage(result, since, validOnly ? position => position.quality.valid : null);
+
+    logger.info(`🔄 Sincronización incremental móvil: ${changes.total} cambios desde ${new Date(since.time).toISOString()}`);
+
+    return {
+      success: true,
+      data: changes.positions.map(position => this._formatMobilePosition(position, format)),
+      summary: {
+        total: changes.total,
+        returned: changes.positions.length,
+        limit,
+        format,
+        validOnly,
+        since: new Date(since.time).toISOString(),
+        nextSince: changes.nextSince,
+        hasMore: changes.hasMore,
+        removedIds: changes.removedIds,
+        removalsComplete: result.removalsComplete
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Limpia recursos del servicio móvil
    */
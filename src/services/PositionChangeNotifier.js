@@ -0,0 +1,262 @@
+import { EventEmitter } from 'node:events';
+import { createRedisSubscriber } from '../config/redis.js';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+// Prefijos de las claves de última posición por fuente (el móvil es fijo en MobileLastPositionRepository)
+const SOURCE_PREFIXES = {
+  gps: config.redis.keyPrefix,
+  mobile: 'mobile:last:'
+};
+
+// Eventos de keyspace que eliminan la última posición; expire/persist solo cambian el TTL
+const REMOVAL_EVENTS = ['del', 'expired', 'evicted', 'rename_from'];
+const IGNORED_EVENTS = ['expire', 'persist'];
+
+// Flags de notify-keyspace-events para todos los tipos que leen los repositorios: K (keyspace), g (genéricos: del, rename),
+// $ (string), h (hash), l (list), z (zset), x (expirados), e (desalojados)
+const REQUIRED_KEYSPACE_FLAGS = ['K', 'g', '$', 'h', 'l', 'z', 'x', 'e'];
+
+/**
+ * Hub de cambios de última posición a partir de keyspace notifications de Redis
+ * Una sola suscripción (psubscribe) por proceso, compartida por todos los streams en vivo
+ * Emite 'change' con { eventId, source, id, type: 'position'|'removed', event }
+ * Guarda el último eventId por entidad para reanudar streams con Last-Event-ID
+ */
+export class PositionChangeNotifier extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+
+    this.subscriber = null;
+    this.starting = null;
+    // Los eventId incluyen el arranque del proceso para detectar ids de una ejecución anterior
+    this.bootId = Date.now().toString(36);
+    this.sequence = 0;
+    this.history = new Map();
+    this.evictedSequence = 0;
+  }
+
+  /**
+   * Inicia la suscripción a Redis si todavía no está activa
+   * La suscripción se mantiene mientras viva el proceso para no perder cambios entre reconexiones de clientes
+   */
+  async start() {
+    if (this.subscriber) {
+      return;
+    }
+
+    if (!this.starting) {
+      this.starting = this._subscribe().catch(error => {
+        this.starting = null;
+        throw error;
+      });
+    }
+
+    await this.starting;
+  }
+
+  /**
+   * Registra un listener de cambios e inicia la suscripción si hace falta
+   * @param {Function} listener - Recibe cada cambio { eventId, source, id, type, event }
+   * @param {Function} onStop - Se llama si el hub se detiene (cierre del servidor)
+   * @returns {Function} Función para quitar los listeners
+   */
+  async subscribe(listener, onStop = () => {}) {
+    const unsubscribe = () => {
+      this.off('change', listener);
+      this.off('stop', onStop);
+    };
+
+    this.on('change', listener);
+    this.on('stop', onStop);
+
+    try {
+      await this.start();
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+
+    return unsubscribe;
+  }
+
+  /**
+   * eventId del último cambio registrado (base para reanudar un stream)
+   * @returns {string} eventId
+   */
+  currentEventId() {
+    return `${this.bootId}-${this.sequence}`;
+  }
+
+  /**
+   * Obtiene las entidades que cambiaron después de un eventId
+   * @param {string} lastEventId - Valor de Last-Event-ID
+   * @param {string} source - 'gps' o 'mobile'
+   * @param {string[]} ids - Entidades del stream
+   * @returns {Object[]|null} Cambios [{ id, type }] o null si el eventId no permite reanudar (otro arranque o historial desalojado)
+   */
+  getChangesSince(lastEventId, source, ids) {
+    const match = typeof lastEventId === 'string' ? lastEventId.match(/^([a-z0-9]+)-(\d+)$/) : null;
+
+    if (!match || match[1] !== this.bootId) {
+      return null;
+    }
+
+    const since = Number(match[2]);
+
+    if (since > this.sequence || since < this.evictedSequence) {
+      return null;
+    }
+
+    return ids
+      .map(id => ({ id, change: this.history.get(`${source}:${id}`) }))
+      .filter(({ change }) => change && change.sequence > since)
+      .map(({ id, change }) => ({ id, type: change.type }));
+  }
+
+  /**
+   * Cierra la suscripción a Redis y avisa a los streams abiertos para que terminen
+   */
+  async stop() {
+    const subscriber = this.subscriber;
+    this.subscriber = null;
+    this.starting = null;
+
+    this.emit('stop');
+
+    if (subscriber) {
+      try {
+        await subscriber.quit();
+        logger.info('🔌 Suscripción a cambios de posición cerrada');
+      } catch (error) {
+        logger.error('❌ Error cerrando suscripción a cambios de posición:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Conecta el cliente de suscripción, habilita las notificaciones y se suscribe a los prefijos
+   * @private
+   */
+  async _subscribe() {
+    const subscriber = createRedisSubscriber();
+    const patterns = Object.values(SOURCE_PREFIXES).map(prefix => `__keyspace@${config.redis.db}__:${prefix}*`);
+
+    try {
+      if (subscriber.status === 'wait') {
+        await subscriber.connect();
+      }
+
+      await this._checkKeyspaceEvents(subscriber);
+
+      subscriber.on('pmessage', (pattern, channel, event) => this._handleKeyspaceEvent(channel, event));
+      await subscriber.psubscribe(...patterns);
+    } catch (error) {
+      // Sin esto el cliente seguiría reconectando y cada start() posterior abriría otra conexión
+      subscriber.disconnect();
+      throw error;
+    }
+
+    this.subscriber = subscriber;
+    logger.info(`📡 Suscrito a cambios de posición en Redis (${patterns.join(', ')})`);
+  }
+
+  /**
+   * Verifica que notify-keyspace-events incluya los flags necesarios
+   * Solo con REDIS_CONFIGURE_KEYSPACE_EVENTS=true agrega los que faltan (CONFIG SET, sin quitar los existentes).
+   * Si faltan flags la suscripción falla: los streams, WebSocket y waitForChange responden REALTIME_UNAVAILABLE
+   * en lugar de quedar abiertos sin recibir cambios. En Redis administrados sin CONFIG no se puede verificar:
+   * se avisa en el log y se continúa (hay que configurarlo en el proveedor)
+   * @private
+   */
+  async _checkKeyspaceEvents(client) {
+    const expected = `${REQUIRED_KEYSPACE_FLAGS.join('')}' o 'KA`;
+    let current;
+
+    try {
+      [, current = ''] = await client.config('GET', 'notify-keyspace-events');
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo verificar notify-keyspace-events (${error.message}); debe incluir '${expected}'`);
+      return;
+    }
+
+    const missing = REQUIRED_KEYSPACE_FLAGS.filter(flag => !current.includes(flag) && !(flag !== 'K' && current.includes('A')));
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    if (!config.realtime.configureKeyspaceEvents) {
+      throw new Error(`notify-keyspace-events ('${current}') no incluye ${missing.join('')}: debe incluir '${expected}' (o REDIS_CONFIGURE_KEYSPACE_EVENTS=true)`);
+    }
+
+    await client.config('SET', 'notify-keyspace-events', `${current}${missing.join('')}`);
+    logger.info(`🔔 notify-keyspace-events actualizado a '${current}${missing.join('')}'`);
+  }
+
+  /**
+   * Traduce un mensaje de keyspace a un cambio de entidad
+   * @param {string} channel - __keyspace@<db>__:<clave>
+   * @param {string} event - Comando que modificó la clave (hset, set, del, expired...)
+   * @private
+   */
+  _handleKeyspaceEvent(channel, event) {
+    if (IGNORED_EVENTS.includes(event)) {
+      return;
+    }
+
+    const key = channel.slice(channel.indexOf('__:') + 3);
+    // El prefijo más largo primero por si uno contiene al otro
+    const source = Object.keys(SOURCE_PREFIXES)
+      .sort((a, b) => SOURCE_PREFIXES[b].length - SOURCE_PREFIXES[a].length)
+      .find(name => key.startsWith(SOURCE_PREFIXES[name]));
+
+    if (!source) {
+      return;
+    }
+
+    const id = key.slice(SOURCE_PREFIXES[source].length);
+    const type = REMOVAL_EVENTS.includes(event) ? 'removed' : 'position';
+
+    if (!id) {
+      return;
+    }
+
+    this.sequence++;
+    this._remember(`${source}:${id}`, { sequence: this.sequence, type });
+
+    logger.debug(`🔔 Cambio de posición ${source}:${id} (${event})`);
+
+    this.emit('change', { eventId: this.currentEventId(), source, id, type, event });
+  }
+
+  /**
+   * Guarda el último cambio de una entidad, desalojando las más antiguas al superar historySize
+   * @private
+   */
+  _remember(key, change) {
+    this.history.delete(key);
+    this.history.set(key, change);
+
+    while (this.history.size > config.realtime.historySize) {
+      const [oldestKey, oldest] = this.history.entries().next().value;
+      this.history.delete(oldestKey);
+      this.evictedSequence = oldest.sequence;
+    }
+  }
+}
+
+let notifier = null;
+
+/**
+ * Obtiene el hub de cambios de posición compartido por el proceso
+ * @returns {PositionChangeNotifier} Instancia única
+ */
+export function getPositionChangeNotifier() {
+  if (!notifier) {
+    notifier = new PositionChangeNotifier();
+  }
+
+  return notifier;
+}
@@ -0,0 +1,835 @@
+import { STATUS_CODES } from 'node:http';
+import { WebSocket, WebSocketServer } from 'ws';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { extractApiKey } from '../middleware/authMiddleware.js';
+import { normalizeLanguage, translate } from '../utils/i18n.js';
+import { isInBoundingBox, isValidCoordinate, parseBoundingBoxParam } from '../utils/geo.js';
+import { TIME_FORMATS, formatPositionTimes, isValidTimeZone, parseTimeOptions } from '../utils/time.js';
+import { GPSLastPositionService } from './GPSLastPositionService.js';
+import { MobileLastPositionService } from './MobileLastPositionService.js';
+import { getPositionChangeNotifier } from './PositionChangeNotifier.js';
+
+// Formatos de posición disponibles por fuente (_formatPositionData y _formatMobilePosition)
+const SOURCE_FORMATS = {
+  gps: ['full', 'gps', 'mobile'],
+  mobile: ['full', 'mobile']
+};
+
+const MESSAGE_TYPES = ['subscribe', 'unsubscribe'];
+const FILTERS = ['ids', 'groups', 'bbox'];
+
+// Máximo de IDs por lectura múltiple en los servicios (snapshot de grupos grandes por lotes)
+const SNAPSHOT_BATCH_SIZE = 100;
+
+/**
+ * Servidor WebSocket de suscripciones a últimas posiciones
+ * Cada conexión puede tener varias suscripciones por IDs, grupos (sets de Redis) o bounding box
+ * Todas comparten una única suscripción a PositionChangeNotifier; cada cambio se lee de Redis una vez
+ * y se entrega solo a las suscripciones interesadas (índice por entidad + lista de bbox por fuente).
+ * Cada mensaje position lleva la posición completa de la entidad que cambió, no un diff de sus campos.
+ * Los miembros de los grupos se vuelven a resolver cada config.websocket.groupRefreshMs
+ */
+export class PositionSocketServer {
+  constructor() {
+    this.services = {
+      gps: new GPSLastPositionService(),
+      mobile: new MobileLastPositionService()
+    };
+    this.notifier = getPositionChangeNotifier();
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: config.websocket.maxPayloadBytes });
+
+    this.clients = new Set();
+    this.idIndex = new Map();
+    this.bboxSubscriptions = { gps: new Set(), mobile: new Set() };
+    // Cambios en curso por entidad, para entregar en orden los de un mismo ID
+    this.dispatching = new Map();
+
+    this.unsubscribeNotifier = null;
+    this.subscribing = null;
+    this.pingTimer = null;
+    this.groupTimer = null;
+    this.refreshingGroups = false;
+  }
+
+  /**
+   * Atiende los upgrades de WebSocket del servidor HTTP en config.websocket.path
+   * @param {http.Server} server - Servidor HTTP de Express
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+    // Las conexiones que no responden al ping en un intervalo se consideran caídas
+    this.pingTimer = setInterval(() => this._pingClients(), config.websocket.pingIntervalMs);
+    this.pingTimer.unref();
+
+    // Los sets de grupos cambian sin keyspace notifications propias: se vuelven a leer periódicamente
+    this.groupTimer = setInterval(() => this._refreshGroups(), config.websocket.groupRefreshMs);
+    this.groupTimer.unref();
+
+    logger.info(`🔌 WebSocket de suscripciones disponible en ${config.websocket.path}`);
+  }
+
+  /**
+   * Cierra todas las conexiones (cierre del servidor)
+   */
+  close() {
+    clearInterval(this.pingTimer);
+    clearInterval(this.groupTimer);
+    this.unsubscribeNotifier?.();
+    this.unsubscribeNotifier = null;
+
+    for (const client of this.clients) {
+      client.ws.close(1001, 'Server shutting down');
+    }
+
+    logger.info(`🔌 WebSocket de suscripciones cerrado (${this.clients.size} conexiones)`);
+  }
+
+  /**
+   * Valida ruta, API key y límite de conexiones antes de aceptar el upgrade
+   * @private
+   */
+  _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const language = resolveSocketLanguage(req, url);
+
+    socket.on('error', error => logger.warn('⚠️ Error de socket en upgrade WebSocket:', error.message));
+
+    if (url.pathname !== config.websocket.path) {
+      return rejectUpgrade(socket, 404, language, 'ROUTE_NOT_FOUND', 'Ruta no encontrada', { method: req.method, url: req.url });
+    }
+
+    // Misma API key que authMiddleware; los navegadores no pueden enviar cabeceras en el handshake, por eso se acepta ?apiKey=
+    if (config.api.key) {
+      const apiKey = extractApiKey(req) || url.searchParams.get('apiKey');
+
+      if (!apiKey) {
+        logger.warn(`🔒 WebSocket rechazado: API key faltante desde ${req.socket.remoteAddress}`);
+        return rejectUpgrade(socket, 401, language, 'MISSING_API_KEY', 'API key requerida');
+      }
+
+      if (apiKey !== config.api.key) {
+        logger.warn(`🔒 WebSocket rechazado: API key inválida desde ${req.socket.remoteAddress}`);
+        return rejectUpgrade(socket, 401, language, 'INVALID_API_KEY', 'API key inválida');
+      }
+    }
+
+    if (this.clients.size >= config.websocket.maxConnections) {
+      logger.warn(`⚠️ WebSocket rechazado: máximo de ${config.websocket.maxConnections} conexiones alcanzado`);
+      return rejectUpgrade(socket, 503, language, 'TOO_MANY_CONNECTIONS', 'Máximo de conexiones WebSocket alcanzado', {
+        maximum: config.websocket.maxConnections
+      });
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => this._handleConnection(ws, req, language));
+  }
+
+  /**
+   * Registra una conexión aceptada
+   * @private
+   */
+  _handleConnection(ws, req, language) {
+    const client = {
+      ws,
+      language,
+      address: req.socket.remoteAddress,
+      subscriptions: new Map(),
+      alive: true
+    };
+
+    this.clients.add(client);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('message', (data, isBinary) => this._handleMessage(client, data, isBinary));
+    ws.on('close', () => this._removeClient(client));
+    ws.on('error', error => logger.warn(`⚠️ Error en WebSocket de ${client.address}:`, error.message));
+
+    logger.info(`🔌 Cliente WebSocket conectado desde ${client.address} (${this.clients.size} conexiones)`);
+
+    this._send(client, {
+      type: 'welcome',
+      sources: Object.keys(SOURCE_FORMATS),
+      filters: FILTERS,
+      maxSubscriptions: config.websocket.maxSubscriptions,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Procesa un mensaje del cliente ({ type: 'subscribe' | 'unsubscribe', ... })
+   * @private
+   */
+  async _handleMessage(client, data, isBinary) {
+    let message = null;
+
+    try {
+      message = isBinary ? null : JSON.parse(data.toString());
+    } catch {
+      message = null;
+    }
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return this._sendError(client, undefined, 'INVALID_MESSAGE', 'Mensaje inválido: se esperaba un objeto JSON');
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        return await this._subscribe(client, message);
+      case 'unsubscribe':
+        return this._unsubscribe(client, message);
+      default:
+        return this._sendError(client, message.subscriptionId, 'INVALID_MESSAGE_TYPE', 'Tipo de mensaje no soportado', {
+          allowedValues: MESSAGE_TYPES
+        });
+    }
+  }
+
+  /**
+   * Crea (o reemplaza, si el subscriptionId ya existe) una suscripción y envía las posiciones actuales
+   * @private
+   */
+  async _subscribe(client, message) {
+    const { subscription, error } = parseSubscription(message);
+
+    if (error) {
+      return this._sendError(client, message.subscriptionId, error.code, error.message, error.params);
+    }
+
+    if (!client.subscriptions.has(subscription.id) && client.subscriptions.size >= config.websocket.maxSubscriptions) {
+      return this._sendError(client, subscription.id, 'TOO_MANY_SUBSCRIPTIONS', 'Máximo de suscripciones por conexión alcanzado', {
+        maximum: config.websocket.maxSubscriptions
+      });
+    }
+
+    try {
+      await this._ensureNotifier();
+    } catch (notifierError) {
+      logger.error('❌ Error suscribiendo WebSocket a cambios de posición:', notifierError.message);
+      return this._sendError(client, subscription.id, 'REALTIME_UNAVAILABLE', 'Las actualizaciones en vivo no están disponibles');
+    }
+
+    const service = this.services[subscription.source];
+    let emptyGroups = [];
+
+    if (subscription.groups) {
+      const result = await service.resolveGroups(subscription.groups);
+
+      if (!result.success) {
+        return this._sendError(client, subscription.id, 'INTERNAL_ERROR', 'Error interno del servidor');
+      }
+
+      if (result.data.length > config.websocket.maxGroupMembers) {
+        return this._sendError(client, subscription.id, 'GROUP_TOO_LARGE', 'Los grupos superan el máximo de miembros por suscripción', {
+          members: result.data.length,
+          maximum: config.websocket.maxGroupMembers
+        });
+      }
+
+      subscription.ids = new Set(result.data);
+      emptyGroups = result.summary.emptyGroups;
+    }
+
+    if (client.ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    // Se indexa antes de leer Redis; los cambios que llegan durante la lectura se encolan hasta enviar el snapshot
+    const previous = client.subscriptions.get(subscription.id);
+    if (previous) {
+      this._removeSubscription(previous);
+    }
+
+    subscription.client = client;
+    client.subscriptions.set(subscription.id, subscription);
+    this._indexSubscription(subscription);
+
+    try {
+      const eventId = this.notifier.currentEventId();
+      const snapshot = await this._loadSnapshot(subscription);
+
+      // Reemplazada o cancelada mientras se leía Redis
+      if (client.subscriptions.get(subscription.id) !== subscription) {
+        return;
+      }
+
+      if (subscription.inside) {
+        snapshot.positions.forEach(position => subscription.inside.add(entityId(position)));
+      }
+
+      this._send(client, {
+        type: 'subscribed',
+        subscriptionId: subscription.id,
+        source: subscription.source,
+        filter: subscription.filter,
+        format: subscription.format,
+        eventId,
+        data: formatPositionTimes(snapshot.positions, subscription.timeOptions),
+        summary: {
+          ids: subscription.ids ? subscription.ids.size : null,
+          found: snapshot.positions.length,
+          notFoundIds: snapshot.notFoundIds,
+          emptyGroups
+        },
+        timestamp: new Date().toISOString()
+      });
+
+      logger.info(`📡 WebSocket ${client.address}: suscripción ${subscription.id} (${subscription.source}, ${subscription.filter}, ${snapshot.positions.length} posiciones)`);
+
+      subscription.ready = true;
+      for (const [change, position] of subscription.queue.splice(0)) {
+        this._deliver(subscription, change, position, new Map());
+      }
+
+    } catch (snapshotError) {
+      logger.error(`❌ Error cargando posiciones de la suscripción ${subscription.id}:`, snapshotError.message);
+      this._removeSubscription(subscription);
+      this._sendError(client, subscription.id, 'INTERNAL_ERROR', 'Error interno del servidor');
+    }
+  }
+
+  /**
+   * Cancela una suscripción de la conexión
+   * @private
+   */
+  _unsubscribe(client, message) {
+    const subscription = client.subscriptions.get(message.subscriptionId);
+
+    if (!subscription) {
+      return this._sendError(client, message.subscriptionId, 'SUBSCRIPTION_NOT_FOUND', 'Suscripción no encontrada', {
+        subscriptionId: message.subscriptionId
+      });
+    }
+
+    this._removeSubscription(subscription);
+    this._send(client, { type: 'unsubscribed', subscriptionId: subscription.id, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Lee las posiciones actuales de una suscripción en su formato
+   * @returns {Object} { positions, notFoundIds }
+   * @private
+   */
+  async _loadSnapshot(subscription) {
+    const { source, format, bbox } = subscription;
+    const service = this.services[source];
+
+    if (bbox) {
+      const result = await service.getPositionsWithinBox({ bbox, format });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return { positions: result.data, notFoundIds: [] };
+    }
+
+    const ids = [...subscription.ids];
+    const positions = [];
+    const notFoundIds = [];
+
+    for (let start = 0; start < ids.length; start += SNAPSHOT_BATCH_SIZE) {
+      const batch = ids.slice(start, start + SNAPSHOT_BATCH_SIZE);
+      const result = source === 'gps'
+        ? await service.getMultipleDevicesLastPositions(batch, format)
+        : await service.getMultipleUsersLastPositions(batch, { format });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      positions.push(...result.data);
+      notFoundIds.push(...(result.summary.notFoundDeviceIds || result.summary.notFoundUserIds));
+    }
+
+    return { positions, notFoundIds };
+  }
+
+  /**
+   * Suscribe el servidor al hub de cambios (una sola vez para todas las conexiones)
+   * @private
+   */
+  async _ensureNotifier() {
+    if (this.unsubscribeNotifier) {
+      return;
+    }
+
+    if (!this.subscribing) {
+      this.subscribing = this.notifier
+        .subscribe(change => this._handleChange(change), () => this._handleNotifierStop())
+        .then(unsubscribe => {
+          this.unsubscribeNotifier = unsubscribe;
+        })
+        .finally(() => {
+          this.subscribing = null;
+        });
+    }
+
+    await this.subscribing;
+  }
+
+  /**
+   * El hub se detuvo (cierre del servidor): se cierran las conexiones
+   * @private
+   */
+  _handleNotifierStop() {
+    this.unsubscribeNotifier = null;
+    this.close();
+  }
+
+  /**
+   * Encola un cambio si alguna suscripción puede estar interesada
+   * @private
+   */
+  _handleChange(change) {
+    const key = `${change.source}:${change.id}`;
+
+    if (!this.idIndex.has(key) && this.bboxSubscriptions[change.source].size === 0) {
+      return;
+    }
+
+    const dispatch = (this.dispatching.get(key) || Promise.resolve())
+      .then(() => this._dispatchChange(change))
+      .finally(() => {
+        if (this.dispatching.get(key) === dispatch) {
+          this.dispatching.delete(key);
+        }
+      });
+
+    this.dispatching.set(key, dispatch);
+  }
+
+  /**
+   * Lee la posición cambiada una vez y la entrega a cada suscripción interesada
+   * @private
+   */
+  async _dispatchChange(change) {
+    try {
+      const position = change.type === 'position'
+        ? await this.services[change.source].getLivePosition(change.id)
+        : null;
+
+      // Se consultan los índices después de leer Redis: pueden haber cambiado mientras tanto
+      const subscriptions = [
+        ...(this.idIndex.get(`${change.source}:${change.id}`) || []),
+        ...this.bboxSubscriptions[change.source]
+      ];
+      const payloads = new Map();
+
+      for (const subscription of subscriptions) {
+        this._deliver(subscription, change, position, payloads);
+      }
+    } catch (error) {
+      logger.error(`❌ Error despachando cambio de ${change.source}:${change.id} por WebSocket:`, error.message);
+    }
+  }
+
+  /**
+   * Envía un cambio a una suscripción: 'position' o 'removed' (clave borrada o salida del bbox)
+   * @param {Object} subscription - Suscripción destino
+   * @param {Object} change - Cambio del hub
+   * @param {Object|null} position - Posición completa o null si ya no existe
+   * @param {Map} payloads - Datos serializados por formato, compartidos entre las suscripciones del mismo cambio
+   * @private
+   */
+  _deliver(subscription, change, position, payloads) {
+    if (!subscription.ready) {
+      subscription.queue.push([change, position]);
+      return;
+    }
+
+    const header = `"subscriptionId":${JSON.stringify(subscription.id)},"source":"${change.source}","id":${JSON.stringify(change.id)},"eventId":"${change.eventId}"`;
+
+    if (subscription.inside) {
+      const inside = Boolean(position) && isValidCoordinate(position.lat, position.lng) &&
+        isInBoundingBox(position.lat, position.lng, subscription.bbox);
+
+      if (!inside) {
+        if (subscription.inside.delete(change.id)) {
+          const reason = position ? 'left-bbox' : 'deleted';
+          this._sendRaw(subscription.client, `{"type":"removed",${header},"reason":"${reason}"}`);
+        }
+        return;
+      }
+
+      subscription.inside.add(change.id);
+    }
+
+    if (!position) {
+      this._sendRaw(subscription.client, `{"type":"removed",${header},"reason":"deleted"}`);
+      return;
+    }
+
+    // data se serializa una vez por formato y zona horaria, no por suscriptor
+    const payloadKey = `${subscription.format}|${subscription.timeOptions?.tz}|${subscription.timeOptions?.timeFormat}`;
+    if (!payloads.has(payloadKey)) {
+      const data = this.services[change.source].formatPosition(position, subscription.format);
+      payloads.set(payloadKey, JSON.stringify(formatPositionTimes(data, subscription.timeOptions)));
+    }
+
+    this._sendRaw(subscription.client, `{"type":"position",${header},"data":${payloads.get(payloadKey)}}`);
+  }
+
+  /**
+   * Agrega una suscripción a los índices de despacho
+   * @private
+   */
+  _indexSubscription(subscription) {
+    if (subscription.bbox) {
+      this.bboxSubscriptions[subscription.source].add(subscription);
+      return;
+    }
+
+    for (const id of subscription.ids) {
+      this._indexId(subscription, id);
+    }
+  }
+
+  /**
+   * Quita una suscripción de la conexión y de los índices
+   * @private
+   */
+  _removeSubscription(subscription) {
+    const { client } = subscription;
+
+    if (client.subscriptions.get(subscription.id) === subscription) {
+      client.subscriptions.delete(subscription.id);
+    }
+
+    if (subscription.bbox) {
+      this.bboxSubscriptions[subscription.source].delete(subscription);
+      return;
+    }
+
+    for (const id of subscription.ids) {
+      this._unindexId(subscription, id);
+    }
+  }
+
+  /**
+   * Agrega una entidad de una suscripción al índice por entidad
+   * @private
+   */
+  _indexId(subscription, id) {
+    const key = `${subscription.source}:${id}`;
+
+    if (!this.idIndex.has(key)) {
+      this.idIndex.set(key, new Set());
+    }
+
+    this.idIndex.get(key).add(subscription);
+  }
+
+  /**
+   * Quita una entidad de una suscripción del índice por entidad
+   * @private
+   */
+  _unindexId(subscription, id) {
+    const key = `${subscription.source}:${id}`;
+    const subscribers = this.idIndex.get(key);
+
+    subscribers?.delete(subscription);
+    if (subscribers?.size === 0) {
+      this.idIndex.delete(key);
+    }
+  }
+
+  /**
+   * Vuelve a resolver los grupos de las suscripciones activas (una lectura por combinación de fuente y grupos)
+   * @private
+   */
+  async _refreshGroups() {
+    if (this.refreshingGroups) {
+      return;
+    }
+
+    this.refreshingGroups = true;
+
+    try {
+      const subscriptions = [...this.clients]
+        .flatMap(client => [...client.subscriptions.values()])
+        .filter(subscription => subscription.groups && subscription.ready);
+      const resolved = new Map();
+
+      for (const subscription of subscriptions) {
+        const key = `${subscription.source}:${subscription.groups.join(',')}`;
+
+        if (!resolved.has(key)) {
+          resolved.set(key, await this.services[subscription.source].resolveGroups(subscription.groups));
+        }
+
+        const result = resolved.get(key);
+
+        // Cancelada o reemplazada mientras se resolvían otros grupos
+        if (result.success && subscription.client.subscriptions.get(subscription.id) === subscription) {
+          await this._updateGroupMembers(subscription, result.data);
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Error actualizando los grupos de suscripciones WebSocket:', error.message);
+    } finally {
+      this.refreshingGroups = false;
+    }
+  }
+
+  /**
+   * Aplica los miembros actuales de los grupos a una suscripción
+   * Los miembros nuevos reciben su posición actual; los que salieron, un removed con reason left-group
+   * @private
+   */
+  async _updateGroupMembers(subscription, members) {
+    const { client, source } = subscription;
+
+    if (members.length > config.websocket.maxGroupMembers) {
+      this._removeSubscription(subscription);
+      return this._sendError(client, subscription.id, 'GROUP_TOO_LARGE', 'Los grupos superan el máximo de miembros por suscripción', {
+        members: members.length,
+        maximum: config.websocket.maxGroupMembers
+      });
+    }
+
+    const current = new Set(members);
+    const added = members.filter(id => !subscription.ids.has(id));
+    const removed = [...subscription.ids].filter(id => !current.has(id));
+
+    if (added.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    const eventId = this.notifier.currentEventId();
+
+    for (const id of removed) {
+      subscription.ids.delete(id);
+      this._unindexId(subscription, id);
+
+      const header = `"subscriptionId":${JSON.stringify(subscription.id)},"source":"${source}","id":${JSON.stringify(id)},"eventId":"${eventId}"`;
+      this._sendRaw(client, `{"type":"removed",${header},"reason":"left-group"}`);
+    }
+
+    // Se indexan antes de leer Redis: un cambio durante la lectura a lo sumo repite la posición
+    for (const id of added) {
+      subscription.ids.add(id);
+      this._indexId(subscription, id);
+    }
+
+    for (let start = 0; start < added.length; start += SNAPSHOT_BATCH_SIZE) {
+      const batch = added.slice(start, start + SNAPSHOT_BATCH_SIZE);
+      const positions = await Promise.all(batch.map(id => this.services[source].getLivePosition(id)));
+
+      positions.forEach((position, index) => {
+        if (position) {
+          this._deliver(subscription, { source, id: batch[index], eventId, type: 'position' }, position, new Map());
+        }
+      });
+    }
+
+    logger.debug(`👥 WebSocket ${client.address}: suscripción ${subscription.id} con ${added.length} miembros nuevos y ${removed.length} que salieron`);
+  }
+
+  /**
+   * Libera las suscripciones de una conexión cerrada
+   * @private
+   */
+  _removeClient(client) {
+    for (const subscription of [...client.subscriptions.values()]) {
+      this._removeSubscription(subscription);
+    }
+
+    this.clients.delete(client);
+    logger.info(`🔌 Cliente WebSocket desconectado (${client.address}, ${this.clients.size} conexiones)`);
+  }
+
+  /**
+   * Cierra las conexiones que no respondieron al ping anterior y envía uno nuevo
+   * @private
+   */
+  _pingClients() {
+    for (const client of this.clients) {
+      if (!client.alive) {
+        logger.warn(`⚠️ Cliente WebSocket sin respuesta (${client.address}), se cierra la conexión`);
+        client.ws.terminate();
+        continue;
+      }
+
+      client.alive = false;
+      client.ws.ping();
+    }
+  }
+
+  /**
+   * Envía un mensaje JSON al cliente
+   * @private
+   */
+  _send(client, message) {
+    this._sendRaw(client, JSON.stringify(message));
+  }
+
+  /**
+   * Envía un error localizado al cliente ({ type: 'error', subscriptionId, code, error, ... })
+   * @private
+   */
+  _sendError(client, subscriptionId, code, fallback, params = {}) {
+    this._send(client, {
+      type: 'error',
+      subscriptionId,
+      code,
+      error: translate(client.language, code, params, fallback),
+      ...params,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Envía un mensaje ya serializado
+   * Un cliente que no consume sus mensajes acumularía memoria sin límite: se desconecta al superar maxBufferedBytes
+   * @private
+   */
+  _sendRaw(client, payload) {
+    const { ws } = client;
+
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (ws.bufferedAmount > config.websocket.maxBufferedBytes) {
+      logger.warn(`🐢 Cliente WebSocket lento (${client.address}): ${ws.bufferedAmount} bytes pendientes, se cierra la conexión`);
+      ws.terminate();
+      return;
+    }
+
+    ws.send(payload);
+  }
+}
+
+/**
+ * Valida un mensaje subscribe
+ * { type: 'subscribe', subscriptionId, source?, ids | groups | bbox, format?, tz?, timeFormat? }
+ * @param {Object} message - Mensaje del cliente
+ * @returns {Object} { subscription } o { error: { code, message, params } }
+ * @private
+ */
+function parseSubscription(message) {
+  const { subscriptionId, source = 'gps', format = 'full', tz, timeFormat } = message;
+  const validPattern = /^[a-zA-Z0-9._-]+$/;
+  const isValidId = value => typeof value === 'string' && value.length > 0 && value.length <= 100 && validPattern.test(value);
+  const fail = (code, text, params = {}) => ({ error: { code, message: text, params } });
+
+  if (!isValidId(subscriptionId)) {
+    return fail('INVALID_SUBSCRIPTION_ID', 'subscriptionId debe tener entre 1 y 100 caracteres (letras, números, puntos, guiones y guiones bajos)');
+  }
+
+  if (!SOURCE_FORMATS[source]) {
+    return fail('INVALID_SOURCE', 'source no es válido', { allowedValues: Object.keys(SOURCE_FORMATS) });
+  }
+
+  if (!SOURCE_FORMATS[source].includes(format)) {
+    return fail('INVALID_FORMAT', 'format no es válido', { allowedValues: SOURCE_FORMATS[source] });
+  }
+
+  const filters = FILTERS.filter(filter => message[filter] !== undefined);
+  if (filters.length !== 1) {
+    return fail('INVALID_SUBSCRIPTION_FILTER', 'Se requiere exactamente uno de ids, groups o bbox', { allowedValues: FILTERS });
+  }
+
+  const [filter] = filters;
+  const maximum = config.realtime.maxStreamIds;
+  const subscription = {
+    id: subscriptionId,
+    source,
+    filter,
+    format,
+    ids: null,
+    groups: null,
+    bbox: null,
+    inside: null,
+    timeOptions: null,
+    ready: false,
+    queue: [],
+    client: null
+  };
+
+  if (filter === 'ids' || filter === 'groups') {
+    const values = message[filter];
+
+    if (!Array.isArray(values) || values.length === 0 || values.length > maximum || !values.every(isValidId)) {
+      const code = filter === 'ids' ? 'INVALID_IDS' : 'INVALID_GROUPS';
+      return fail(code, `${filter} debe ser un array de 1 a ${maximum} valores válidos`, { maximum });
+    }
+
+    if (filter === 'ids') {
+      subscription.ids = new Set(values);
+    } else {
+      subscription.groups = [...new Set(values)];
+    }
+  }
+
+  if (filter === 'bbox') {
+    const value = Array.isArray(message.bbox) ? message.bbox.join(',') : message.bbox;
+    subscription.bbox = parseBoundingBoxParam(value);
+
+    if (!subscription.bbox) {
+      return fail('INVALID_BOUNDING_BOX', 'bbox no es válido', { providedBbox: message.bbox });
+    }
+
+    subscription.inside = new Set();
+  }
+
+  if (tz !== undefined && !isValidTimeZone(tz)) {
+    return fail('INVALID_TIMEZONE', 'tz no es válido', { providedTz: tz });
+  }
+
+  if (timeFormat !== undefined && !TIME_FORMATS.includes(timeFormat)) {
+    return fail('INVALID_TIME_FORMAT', 'timeFormat no es válido', { allowedValues: TIME_FORMATS });
+  }
+
+  subscription.timeOptions = parseTimeOptions({ tz, timeFormat });
+
+  return { subscription };
+}
+
+/**
+ * ID de una posición en cualquier formato (id en gps/mobile, deviceId o userId en full)
+ * @private
+ */
+function entityId(position) {
+  return position.id ?? position.deviceId ?? position.userId;
+}
+
+/**
+ * Idioma de los mensajes de error de la conexión: ?lang=, Accept-Language o DEFAULT_LANGUAGE
+ * El request del upgrade no pasa por Express, por eso no se usa resolveLanguage
+ * @private
+ */
+function resolveSocketLanguage(req, url) {
+  const candidates = [
+    url.searchParams.get('lang'),
+    ...(req.headers['accept-language'] || '').split(',').map(tag => tag.split(';')[0])
+  ];
+
+  return candidates.map(normalizeLanguage).find(Boolean) || config.i18n.defaultLanguage;
+}
+
+/**
+ * Rechaza un upgrade con una respuesta HTTP de error en el formato envelope
+ * @private
+ */
+function rejectUpgrade(socket, status, language, code, fallback, params = {}) {
+  const body = JSON.stringify({
+    success: false,
+    error: translate(language, code, params, fallback),
+    code,
+    meta: {
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  socket.end([
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}`,
+    'Content-Type: application/json; charset=utf-8',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    `Content-Language: ${language}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+}
@@ -0,0 +1,482 @@
+import { randomUUID } from 'node:crypto';
+import { WebhookRepository } from '../repositories/WebhookRepository.js';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, signWebhookPayload } from '../utils/webhookSignature.js';
+import { getPositionVersion } from '../utils/sync.js';
+import { BLOCKED_TARGET_CODE, postWebhook } from '../utils/webhookTarget.js';
+import { GPSLastPositionService } from './GPSLastPositionService.js';
+import { MobileLastPositionService } from './MobileLastPositionService.js';
+import { GeofenceService } from './GeofenceService.js';
+import { getPositionChangeNotifier } from './PositionChangeNotifier.js';
+
+// Códigos HTTP que se reintentan además de los errores de red y los 5xx
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+// Transiciones de geocercas tomadas por iteración de cada bucle
+const TRANSITIONS_PER_ITERATION = 20;
+
+// Espera antes de reintentar la suscripción a cambios si falló (Redis caído o notify-keyspace-events incompleto)
+const SUBSCRIBE_RETRY_MS = 30000;
+
+/**
+ * Worker de entregas de webhooks
+ * 1. Escucha los cambios de PositionChangeNotifier y encola en Redis una entrega por webhook y evento;
+ *    geofence.enter / geofence.exit salen de la lista de transiciones que registra GeofenceTracker.
+ *    Puede ejecutarse en varias instancias: cada evento de posición se encola una sola vez (deduplicado en Redis)
+ * 2. Procesa la cola con WEBHOOKS_CONCURRENCY bucles: POST firmado con HMAC, reintentos con backoff
+ *    exponencial en un sorted set y dead-letter al agotar los intentos o ante un error no reintentable
+ * La cola vive en Redis: las entregas pendientes sobreviven a reinicios y cualquier instancia puede procesarlas.
+ * Una entrega tomada queda en proceso hasta confirmarla; si el worker muere o Redis falla antes, vuelve a la cola
+ * al vencer WEBHOOKS_LEASE_MS (al menos una vez: el receptor puede deduplicar con X-Webhook-Delivery)
+ */
+export class WebhookDeliveryWorker {
+  constructor() {
+    this.repository = new WebhookRepository();
+    this.geofenceService = new GeofenceService();
+    this.positionServices = {
+      gps: new GPSLastPositionService(),
+      mobile: new MobileLastPositionService()
+    };
+    this.notifier = getPositionChangeNotifier();
+
+    this.running = false;
+    this.loops = [];
+    this.sleepers = new Set();
+    this.unsubscribeNotifier = null;
+    this.subscribeRetryAt = 0;
+
+    // Registro en memoria, recargado cada registryTtlMs
+    this.webhooks = [];
+    this.webhooksLoadedAt = 0;
+    this.loadingWebhooks = null;
+
+    // Cambios en curso por entidad: las entregas de una entidad se encolan en el orden de sus cambios
+    this.processing = new Map();
+  }
+
+  /**
+   * Inicia los bucles de entrega
+   * La suscripción a cambios se abre cuando existe al menos un webhook activo
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.loops = Array.from({ length: config.webhooks.concurrency }, () => this._deliveryLoop());
+
+    logger.info(`🪝 Worker de webhooks iniciado (${config.webhooks.concurrency} entregas en paralelo)`);
+  }
+
+  /**
+   * Detiene el worker esperando a que terminen las entregas en curso
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    this.unsubscribeNotifier?.();
+    this.unsubscribeNotifier = null;
+    this._wake();
+
+    await Promise.all(this.loops);
+    logger.info('🪝 Worker de webhooks detenido');
+  }
+
+  /**
+   * Bucle de entrega: mueve reintentos vencidos, toma una entrega de la cola y la envía
+   * @private
+   */
+  async _deliveryLoop() {
+    while (this.running) {
+      try {
+        await this._refreshWebhooks();
+        await this._ensureSubscribed();
+        await this.repository.promoteDueRetries(Date.now());
+        await this._enqueueTransitions();
+
+        const claimed = await this.repository.dequeue(config.webhooks.leaseMs);
+        if (claimed) {
+          await this._deliver(claimed.delivery, claimed.receipt);
+          continue;
+        }
+      } catch (error) {
+        logger.error('❌ Error en el worker de webhooks:', error.message);
+      }
+
+      await this._sleep(config.webhooks.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Recarga el registro de webhooks si venció registryTtlMs
+   * Los cambios hechos por la API (en esta u otra instancia) se aplican en ese plazo
+   * @private
+   */
+  async _refreshWebhooks() {
+    if (Date.now() - this.webhooksLoadedAt < config.webhooks.registryTtlMs) {
+      return;
+    }
+
+    if (!this.loadingWebhooks) {
+      this.loadingWebhooks = this.repository.list()
+        .then(webhooks => {
+          this.webhooks = webhooks
+            .filter(webhook => webhook.active)
+            .map(webhook => ({
+              webhook,
+              deviceIds: new Set(webhook.filter.deviceIds),
+              userIds: new Set(webhook.filter.userIds)
+            }));
+          this.webhooksLoadedAt = Date.now();
+        })
+        .finally(() => {
+          this.loadingWebhooks = null;
+        });
+    }
+
+    await this.loadingWebhooks;
+  }
+
+  /**
+   * Se suscribe a los cambios de posición cuando hay webhooks activos
+   * Si falla se reintenta cada SUBSCRIBE_RETRY_MS sin frenar las entregas ya encoladas
+   * @private
+   */
+  async _ensureSubscribed() {
+    if (this.unsubscribeNotifier || this.webhooks.length === 0 || !this.running || Date.now() < this.subscribeRetryAt) {
+      return;
+    }
+
+    let unsubscribe;
+    try {
+      unsubscribe = await this.notifier.subscribe(
+        change => this._handleChange(change),
+        () => {
+          this.unsubscribeNotifier = null;
+        }
+      );
+    } catch (error) {
+      this.subscribeRetryAt = Date.now() + SUBSCRIBE_RETRY_MS;
+      logger.error(`❌ Webhooks sin eventos de posición, reintento en ${SUBSCRIBE_RETRY_MS}ms: ${error.message}`);
+      return;
+    }
+
+    // Otro bucle pudo suscribirse mientras tanto
+    if (this.unsubscribeNotifier || !this.running) {
+      unsubscribe();
+      return;
+    }
+
+    this.unsubscribeNotifier = unsubscribe;
+    logger.info(`🪝 Webhooks suscritos a cambios de posición (${this.webhooks.length} activos)`);
+  }
+
+  /**
+   * Encadena el procesamiento de un cambio por entidad si algún webhook coincide
+   * @private
+   */
+  _handleChange(change) {
+    const matching = this.webhooks.filter(entry => matchesEntity(entry, change.source, change.id));
+
+    if (matching.length === 0) {
+      return;
+    }
+
+    const key = `${change.source}:${change.id}`;
+    const processing = (this.processing.get(key) || Promise.resolve())
+      .then(() => this._enqueueChange(change, matching.map(entry => entry.webhook)))
+      .finally(() => {
+        if (this.processing.get(key) === processing) {
+          this.processing.delete(key);
+        }
+      });
+
+    this.processing.set(key, processing);
+  }
+
+  /**
+   * Construye y encola las entregas de un cambio
+   * @param {Object} change - Cambio de PositionChangeNotifier
+   * @param {Object[]} webhooks - Webhooks cuyo filtro incluye la entidad
+   * @private
+   */
+  async _enqueueChange(change, webhooks) {
+    try {
+      const position = change.type === 'position'
+        ? await this.positionServices[change.source].getLivePosition(change.id)
+        : null;
+
+      // Una sola evaluación (de solo lectura) de geocercas por cambio, compartida por todos los webhooks con geocerca
+      let geofences = new Map();
+      if (position && webhooks.some(webhook => webhook.filter.geofenceId)) {
+        const result = await this.geofenceService.evaluateEntity(change.source, change.id);
+        geofences = result.success ? new Map(result.data.geofences.map(geofence => [geofence.id, geofence])) : geofences;
+      }
+
+      // Mismo cambio visto por otra instancia = misma versión: solo una encola la entrega.
+      // Las eliminaciones comparten versión, pero solo se descartan si la anterior encolada también fue una eliminación
+      const version = position ? getPositionVersion(position) : 'removed';
+      const occurredAt = new Date().toISOString();
+      const deliveries = [];
+
+      for (const webhook of webhooks) {
+        const geofence = webhook.filter.geofenceId ? geofences.get(webhook.filter.geofenceId) || null : null;
+
+        for (const event of eventsFor(webhook, position, geofence)) {
+          deliveries.push({
+            dedupeKey: `${webhook.id}:${change.source}:${change.id}`,
+            version,
+            delivery: createDelivery(webhook, event, occurredAt, {
+              source: change.source,
+              entityId: change.id,
+              eventId: change.eventId,
+              position,
+              ...(geofence ? { geofence } : {})
+            })
+          });
+        }
+      }
+
+      const enqueued = await this.repository.enqueueOnce(deliveries);
+      if (enqueued > 0) {
+        logger.debug(`🪝 ${enqueued}/${deliveries.length} entregas encoladas para ${change.source}:${change.id}`);
+        this._wake();
+      }
+    } catch (error) {
+      logger.error(`❌ Error encolando webhooks para ${change.source}:${change.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Toma transiciones de geocercas y encola las entregas geofence.enter / geofence.exit de los webhooks que las esperan
+   * Cada transición se registró una sola vez (GeofenceTracker) y la toma un solo bucle de una sola instancia;
+   * sus entregas se encolan en la misma transacción que la confirma
+   * @private
+   */
+  async _enqueueTransitions() {
+    for (let count = 0; count < TRANSITIONS_PER_ITERATION && this.running; count++) {
+      const claimed = await this.repository.claimTransition(config.webhooks.leaseMs);
+
+      if (!claimed) {
+        return;
+      }
+
+      const { transition, receipt } = claimed;
+      const event = `geofence.${transition.transition}`;
+      const occurredAt = new Date().toISOString();
+
+      const deliveries = this.webhooks
+        .filter(entry => entry.webhook.filter.geofenceId === transition.geofence.id)
+        .filter(entry => entry.webhook.events.includes(event))
+        .filter(entry => matchesEntity(entry, transition.entityType, transition.entityId))
+        .map(({ webhook }) => createDelivery(webhook, event, occurredAt, {
+          source: transition.entityType,
+          entityId: transition.entityId,
+          eventId: transition.id,
+          position: transition.position,
+          geofence: {
+            ...transition.geofence,
+            inside: transition.transition === 'enter',
+            transition: transition.transition,
+            at: transition.at
+          }
+        }));
+
+      await this.repository.enqueueTransitionDeliveries(receipt, deliveries);
+
+      if (deliveries.length > 0) {
+        logger.debug(`🪝 ${deliveries.length} entregas ${event} encoladas para ${transition.entityType}:${transition.entityId}`);
+      }
+    }
+  }
+
+  /**
+   * Envía una entrega y la confirma, o programa el reintento o la dead-letter si falla
+   * El webhook se relee para respetar eliminaciones, desactivaciones y cambios de URL o secreto
+   * @param {Object} delivery - Entrega de la cola
+   * @param {string} receipt - Recibo de la entrega en proceso
+   * @private
+   */
+  async _deliver(delivery, receipt) {
+    const webhook = await this.repository.get(delivery.webhookId);
+
+    if (!webhook || !webhook.active) {
+      logger.debug(`🪝 Entrega ${delivery.id} descartada: webhook ${delivery.webhookId} eliminado o inactivo`);
+      await this.repository.ack(receipt);
+      return;
+    }
+
+    const attempt = delivery.attempt + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let status = null;
+    let errorMessage = null;
+    let blocked = false;
+
+    try {
+      // Solo a direcciones públicas (comprobadas al conectar) y sin seguir redirecciones
+      status = await postWebhook(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'gps-last-position-api-webhooks/1.0',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Attempt': String(attempt),
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, timestamp, body)
+      }, body, config.webhooks.timeoutMs);
+
+      if (status < 200 || status >= 300) {
+        errorMessage = `HTTP ${status}`;
+      }
+    } catch (error) {
+      // El detalle de red solo va al log: la dead-letter es visible por la API y no debe revelar qué hay detrás de la URL
+      blocked = error.code === BLOCKED_TARGET_CODE;
+      if (blocked) {
+        errorMessage = 'Destino no permitido';
+      } else if (error.name === 'TimeoutError') {
+        errorMessage = `Timeout después de ${config.webhooks.timeoutMs}ms`;
+      } else {
+        errorMessage = 'Error de conexión';
+      }
+      logger.debug(`🪝 Entrega ${delivery.id} a ${webhook.id}: ${error.message}`);
+    }
+
+    // Fuera del try del envío: si falla la confirmación la entrega vuelve a la cola al vencer el lease
+    if (!errorMessage) {
+      await this.repository.ack(receipt);
+      logger.info(`🪝 Entrega ${delivery.id} (${delivery.event}) a ${webhook.id}: ${status} en el intento ${attempt}`);
+      return;
+    }
+
+    const retryable = !blocked && (status === null || status >= 500 || RETRYABLE_STATUS_CODES.includes(status));
+    const failed = {
+      ...delivery,
+      attempt,
+      lastStatus: status,
+      lastError: errorMessage,
+      lastAttemptAt: new Date().toISOString()
+    };
+
+    if (retryable && attempt < config.webhooks.maxAttempts) {
+      const delay = backoffDelay(attempt);
+      await this.repository.scheduleRetry(receipt, failed, Date.now() + delay);
+      logger.warn(`⚠️ Entrega ${delivery.id} a ${webhook.id} falló (${errorMessage}), reintento ${attempt + 1}/${config.webhooks.maxAttempts} en ${delay}ms`);
+      return;
+    }
+
+    await this.repository.pushDeadLetter(receipt, {
+      ...failed,
+      url: webhook.url,
+      reason: blocked ? 'blocked_target' : retryable ? 'max_attempts' : 'non_retryable_status',
+      deadAt: new Date().toISOString()
+    });
+    logger.error(`❌ Entrega ${delivery.id} a ${webhook.id} enviada a dead-letter tras ${attempt} intentos (${errorMessage})`);
+  }
+
+  /**
+   * Espera ms o hasta que _wake despierte los bucles (nuevas entregas o cierre)
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.sleepers.add(done);
+    });
+  }
+
+  /**
+   * Despierta los bucles de entrega en espera
+   * @private
+   */
+  _wake() {
+    for (const done of [...this.sleepers]) {
+      done();
+    }
+  }
+}
+
+/**
+ * Verifica si el filtro de un webhook incluye una entidad
+ * Un filtro solo con geofenceId incluye a todas las entidades (se evalúan contra la geocerca)
+ * @param {Object} entry - { webhook, deviceIds, userIds } con los IDs del filtro como Set
+ * @param {string} source - 'gps' o 'mobile'
+ * @param {string} id - ID de la entidad
+ * @returns {boolean} True si el webhook debe considerar el cambio
+ * @private
+ */
+function matchesEntity(entry, source, id) {
+  if (entry.deviceIds.size === 0 && entry.userIds.size === 0) {
+    return Boolean(entry.webhook.filter.geofenceId);
+  }
+
+  return source === 'gps' ? entry.deviceIds.has(id) : entry.userIds.has(id);
+}
+
+/**
+ * Eventos de posición que genera un cambio para un webhook (las transiciones de geocerca llegan aparte)
+ * Con geofenceId, position.updated solo se envía si la posición está dentro de la geocerca
+ * @param {Object} webhook - Webhook
+ * @param {Object|null} position - Posición actual o null si se eliminó
+ * @param {Object|null} geofence - Resultado de evaluateEntity para la geocerca del filtro
+ * @returns {string[]} Eventos a entregar
+ * @private
+ */
+function eventsFor(webhook, position, geofence) {
+  const { events, filter } = webhook;
+
+  if (!position) {
+    return events.includes('position.removed') ? ['position.removed'] : [];
+  }
+
+  return events.includes('position.updated') && (!filter.geofenceId || geofence?.inside) ? ['position.updated'] : [];
+}
+
+/**
+ * Construye una entrega pendiente con su payload
+ * @param {Object} webhook - Webhook destino
+ * @param {string} event - Evento
+ * @param {string} occurredAt - Momento del evento (ISO)
+ * @param {Object} data - data del payload ({ source, entityId, eventId, position, geofence? })
+ * @returns {Object} Entrega { id, webhookId, event, attempt, createdAt, payload }
+ * @private
+ */
+function createDelivery(webhook, event, occurredAt, data) {
+  const id = randomUUID();
+
+  return {
+    id,
+    webhookId: webhook.id,
+    event,
+    attempt: 0,
+    createdAt: occurredAt,
+    payload: {
+      id,
+      event,
+      webhookId: webhook.id,
+      occurredAt,
+      data
+    }
+  };
+}
+
+/**
+ * Espera antes del siguiente intento: backoff exponencial con ±20% de jitter, acotado a backoffMaxMs
+ * @param {number} attempt - Intentos ya realizados (1 = primer fallo)
+ * @returns {number} Milisegundos
+ * @private
+ */
+function backoffDelay(attempt) {
+  const base = Math.min(config.webhooks.backoffMaxMs, config.webhooks.backoffBaseMs * 2 ** (attempt - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
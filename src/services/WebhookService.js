@@ -0,0 +1,372 @@
+import { randomUUID } from 'node:crypto';
+import { WebhookRepository } from '../repositories/WebhookRepository.js';
+import { GeofenceRepository } from '../repositories/GeofenceRepository.js';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { generateWebhookSecret } from '../utils/webhookSignature.js';
+import { checkWebhookTarget } from '../utils/webhookTarget.js';
+
+/**
+ * Eventos que pueden notificar los webhooks
+ * - position.updated: nueva escritura en la última posición
+ * - position.removed: la última posición se borró o expiró
+ * - geofence.enter / geofence.exit: transición respecto a la geocerca del filtro
+ */
+export const WEBHOOK_EVENTS = ['position.updated', 'position.removed', 'geofence.enter', 'geofence.exit'];
+
+/**
+ * Servicio de negocio para el registro de webhooks y la consulta de su dead-letter
+ * Las entregas las realiza WebhookDeliveryWorker
+ */
+export class WebhookService {
+  constructor() {
+    this.repository = new WebhookRepository();
+    this.geofenceRepository = new GeofenceRepository();
+  }
+
+  /**
+   * Registra un webhook
+   * El secreto de firma solo se devuelve en esta respuesta (o en un PUT que lo reemplace)
+   * @param {Object} data - Datos validados ({ id?, url, events, filter, secret?, active?, description? })
+   * @returns {Object} Respuesta con el webhook creado
+   */
+  async createWebhook(data) {
+    try {
+      const existing = await this.repository.list();
+      if (existing.length >= config.webhooks.maxWebhooks) {
+        return {
+          success: false,
+          error: `Máximo ${config.webhooks.maxWebhooks} webhooks permitidos`,
+          code: 'TOO_MANY_WEBHOOKS',
+          maximum: config.webhooks.maxWebhooks
+        };
+      }
+
+      const targetError = await this._checkTarget(data.url);
+      if (targetError) {
+        return targetError;
+      }
+
+      const geofenceError = await this._checkGeofence(data.filter);
+      if (geofenceError) {
+        return geofenceError;
+      }
+
+      const now = new Date().toISOString();
+      const webhook = {
+        id: data.id || randomUUID(),
+        ...this._buildWebhook(data),
+        secret: data.secret || generateWebhookSecret(),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const created = await this.repository.create(webhook);
+      if (!created) {
+        return {
+          success: false,
+          error: `Ya existe un webhook con id: ${webhook.id}`,
+          code: 'WEBHOOK_ALREADY_EXISTS',
+          webhookId: webhook.id
+        };
+      }
+
+      logger.info(`🪝 Webhook creado: ${webhook.id} → ${webhook.url} (${webhook.events.join(', ')})`);
+
+      return {
+        success: true,
+        data: { ...this._toPublic(webhook), secret: webhook.secret },
+        timestamp: now
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio creando webhook:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al crear el webhook',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Lista todos los webhooks
+   * @returns {Object} Respuesta con los webhooks registrados (sin secretos) y el estado de la cola
+   */
+  async listWebhooks() {
+    try {
+      const [webhooks, queue] = await Promise.all([
+        this.repository.list(),
+        this.repository.getQueueStats()
+      ]);
+
+      return {
+        success: true,
+        data: webhooks.map(webhook => this._toPublic(webhook)),
+        summary: {
+          total: webhooks.length,
+          active: webhooks.filter(webhook => webhook.active).length,
+          ...queue
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio listando webhooks:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al listar los webhooks',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene un webhook por id
+   * @param {string} webhookId - ID del webhook
+   * @returns {Object} Respuesta con el webhook (sin secreto)
+   */
+  async getWebhook(webhookId) {
+    try {
+      const webhook = await this.repository.get(webhookId);
+
+      if (!webhook) {
+        return this._notFound(webhookId);
+      }
+
+      return {
+        success: true,
+        data: this._toPublic(webhook),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio obteniendo webhook ${webhookId}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al obtener el webhook',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Reemplaza los datos de un webhook existente
+   * Sin secret en el cuerpo se conserva el secreto actual
+   * @param {string} webhookId - ID del webhook
+   * @param {Object} data - Datos validados ({ url, events, filter, secret?, active?, description? })
+   * @returns {Object} Respuesta con el webhook actualizado
+   */
+  async updateWebhook(webhookId, data) {
+    try {
+      const existing = await this.repository.get(webhookId);
+
+      if (!existing) {
+        return this._notFound(webhookId);
+      }
+
+      const targetError = await this._checkTarget(data.url);
+      if (targetError) {
+        return targetError;
+      }
+
+      const geofenceError = await this._checkGeofence(data.filter);
+      if (geofenceError) {
+        return geofenceError;
+      }
+
+      const webhook = {
+        id: webhookId,
+        ...this._buildWebhook(data),
+        secret: data.secret || existing.secret,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.repository.save(webhook);
+      logger.info(`🪝 Webhook actualizado: ${webhookId}`);
+
+      return {
+        success: true,
+        data: data.secret ? { ...this._toPublic(webhook), secret: webhook.secret } : this._toPublic(webhook),
+        timestamp: webhook.updatedAt
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio actualizando webhook ${webhookId}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al actualizar el webhook',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Elimina un webhook
+   * Las entregas ya encoladas se descartan al procesarse
+   * @param {string} webhookId - ID del webhook
+   * @returns {Object} Respuesta con el resultado de la eliminación
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      const deleted = await this.repository.delete(webhookId);
+
+      if (!deleted) {
+        return this._notFound(webhookId);
+      }
+
+      logger.info(`🪝 Webhook eliminado: ${webhookId}`);
+
+      return {
+        success: true,
+        webhookId,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error en servicio eliminando webhook ${webhookId}:`, error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al eliminar el webhook',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Lista las entregas que agotaron sus reintentos
+   * @param {number} limit - Máximo de entregas (más recientes primero)
+   * @returns {Object} Respuesta con las entregas de la dead-letter
+   */
+  async listDeadLetters(limit = 50) {
+    try {
+      const { deadLetters, total } = await this.repository.listDeadLetters(limit);
+
+      return {
+        success: true,
+        data: deadLetters,
+        summary: {
+          total,
+          returned: deadLetters.length,
+          limit
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en servicio listando la dead-letter de webhooks:', error.message);
+      return {
+        success: false,
+        error: 'Error interno del servidor al obtener la dead-letter',
+        code: 'INTERNAL_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Construye el webhook normalizado a partir de los datos recibidos
+   * @param {Object} data - Datos validados
+   * @returns {Object} Webhook sin id, secreto ni fechas
+   * @private
+   */
+  _buildWebhook(data) {
+    const filter = data.filter || {};
+
+    return {
+      url: data.url,
+      description: data.description || null,
+      events: [...new Set(data.events)],
+      filter: {
+        deviceIds: filter.deviceIds ? [...new Set(filter.deviceIds)] : [],
+        userIds: filter.userIds ? [...new Set(filter.userIds)] : [],
+        geofenceId: filter.geofenceId || null
+      },
+      active: data.active !== false
+    };
+  }
+
+  /**
+   * Verifica que el host de la URL resuelva solo a direcciones públicas
+   * Las entregas vuelven a comprobar la dirección al conectar (el DNS puede cambiar después del registro)
+   * @param {string} url - URL del webhook
+   * @returns {Promise<Object|null>} Respuesta de error o null si el destino está permitido
+   * @private
+   */
+  async _checkTarget(url) {
+    const reason = await checkWebhookTarget(url);
+
+    if (!reason) {
+      return null;
+    }
+
+    const { hostname } = new URL(url);
+
+    if (reason === 'blocked') {
+      return {
+        success: false,
+        error: 'url debe apuntar a una dirección pública (no localhost, redes privadas ni link-local)',
+        code: 'WEBHOOK_URL_NOT_ALLOWED',
+        hostname
+      };
+    }
+
+    return {
+      success: false,
+      error: `No se pudo resolver el host de la url: ${hostname}`,
+      code: 'WEBHOOK_URL_UNRESOLVED',
+      hostname
+    };
+  }
+
+  /**
+   * Verifica que exista la geocerca del filtro
+   * @param {Object} filter - Filtro validado
+   * @returns {Object|null} Respuesta de error o null si no hay geocerca o existe
+   * @private
+   */
+  async _checkGeofence(filter = {}) {
+    if (!filter.geofenceId || await this.geofenceRepository.get(filter.geofenceId)) {
+      return null;
+    }
+
+    return {
+      success: false,
+      error: `No se encontró la geocerca: ${filter.geofenceId}`,
+      code: 'GEOFENCE_NOT_FOUND',
+      geofenceId: filter.geofenceId
+    };
+  }
+
+  /**
+   * Representación pública de un webhook (sin el secreto de firma)
+   * @param {Object} webhook - Webhook almacenado
+   * @returns {Object} Webhook sin secret
+   * @private
+   */
+  _toPublic(webhook) {
+    const { secret, ...publicWebhook } = webhook;
+    return publicWebhook;
+  }
+
+  /**
+   * Respuesta estándar para webhooks inexistentes
+   * @param {string} webhookId - ID del webhook
+   * @returns {Object} Respuesta de error
+   * @private
+   */
+  _notFound(webhookId) {
+    return {
+      success: false,
+      error: `No se encontró el webhook: ${webhookId}`,
+      code: 'WEBHOOK_NOT_FOUND',
+      webhookId
+    };
+  }
+}
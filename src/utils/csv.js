@@ -0,0 +1,46 @@
+/**
+ * Utilidades para generar CSV (RFC 4180) de forma incremental
+ */
+
+export const CSV_CONTENT_TYPE = 'text/csv; charset=utf-8';
+
+// Prefijos que las hojas de cálculo interpretan como fórmula (CSV injection)
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escapa un valor para una celda CSV
+ * - null/undefined → celda vacía; objetos y arrays → JSON
+ * - Textos que empiezan como fórmula se prefijan con ' para que la hoja de cálculo no los evalúe
+ * @param {*} value - Valor de la celda
+ * @returns {string} Celda escapada
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Construye una línea CSV terminada en CRLF
+ * @param {Array} values - Valores de las celdas
+ * @returns {string} Línea CSV
+ */
+export function toCsvLine(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
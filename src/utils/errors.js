@@ -0,0 +1,98 @@
+import { STATUS_CODES } from 'node:http';
+import { config } from '../config/env.js';
+import { resolveLanguage, translate } from './i18n.js';
+
+/**
+ * Modelo único de respuestas de error de la API
+ * - Envelope (compatibilidad): { success: false, error, code, ...extensiones, meta: { ..., timestamp } }
+ * - RFC 7807: application/problem+json con type, title, status, detail, instance y code
+ * El mensaje (error/detail) se localiza según ?lang= o Accept-Language; code no cambia
+ */
+
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Verifica si la petición debe recibir errores RFC 7807
+ * Se activa si Accept incluye explícitamente application/problem+json o si ERROR_FORMAT=problem
+ * @param {Object} req - Request de Express
+ * @returns {boolean} True si se debe responder problem+json
+ */
+export function wantsProblemDetails(req) {
+  const acceptedTypes = (req.get('Accept') || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase());
+
+  return acceptedTypes.includes(PROBLEM_CONTENT_TYPE) || config.errors.format === 'problem';
+}
+
+/**
+ * Construye la URI del tipo de problema a partir del código de error
+ * @param {string} code - Código de error (POSITION_NOT_FOUND)
+ * @returns {string} URI del tipo (urn:gps-last-position-api:problem:position-not-found)
+ */
+export function problemType(code) {
+  return code ? `${config.errors.typeBaseUri}${code.toLowerCase().replace(/_/g, '-')}` : 'about:blank';
+}
+
+/**
+ * Envía una respuesta de error con el formato negociado
+ * Los miembros de meta y las extensiones (details, maximum...) se mantienen en ambos formatos
+ * Los elementos de details con code se localizan igual que el mensaje principal (sus params no se incluyen)
+ * @param {Object} res - Response de Express
+ * @param {number} status - Código HTTP
+ * @param {Object} problem - { error, code, meta, params, ...extensiones }
+ * @param {Object} problem.params - Valores adicionales para el mensaje localizado (no se incluyen en la respuesta)
+ * @returns {Object} Response
+ */
+export function sendError(res, status, { error: fallbackError, code, meta = {}, params = {}, ...extensions }) {
+  const timestamp = meta.timestamp || new Date().toISOString();
+  const language = resolveLanguage(res.req);
+  const error = translate(language, code, { ...meta, ...extensions, ...params }, fallbackError);
+
+  if (Array.isArray(extensions.details)) {
+    extensions.details = extensions.details.map(detail => localizeDetail(language, detail));
+  }
+
+  res.vary('Accept-Language');
+  res.set('Content-Language', language);
+
+  if (wantsProblemDetails(res.req)) {
+    const { timestamp: _timestamp, ...metaMembers } = meta;
+
+    return res.status(status).type(PROBLEM_CONTENT_TYPE).json({
+      ...metaMembers,
+      ...extensions,
+      type: problemType(code),
+      title: STATUS_CODES[status] || 'Error',
+      status,
+      detail: error,
+      instance: res.req.originalUrl,
+      code,
+      timestamp
+    });
+  }
+
+  return res.status(status).json({
+    success: false,
+    error,
+    code,
+    ...extensions,
+    meta: { ...meta, timestamp }
+  });
+}
+
+/**
+ * Localiza el mensaje de un elemento de details a partir de su code y params
+ * @param {string} language - Idioma resuelto
+ * @param {*} detail - Elemento de details ({ field, code, error, params } o un valor sin code)
+ * @returns {*} Elemento con error localizado
+ * @private
+ */
+function localizeDetail(language, detail) {
+  if (!detail || typeof detail !== 'object' || !detail.code) {
+    return detail;
+  }
+
+  const { params, ...members } = detail;
+  return { ...members, error: translate(language, detail.code, { ...members, ...params }, detail.error) };
+}
@@ -0,0 +1,82 @@
+/**
+ * Selección de campos (sparse fieldsets) sobre posiciones GPS y móviles
+ * Permite ?fields=id,lat,lng,metadata.speed en lugar de las formas fijas gps/mobile/full
+ */
+
+// Campos conocidos de una posición (formato full y extras de consultas geoespaciales)
+export const POSITION_FIELDS = [
+  'id', 'deviceId', 'userId', 'name', 'lat', 'lng',
+  'timestamp', 'receivedAt', 'updatedAt', 'retrievedAt',
+  'metadata', 'quality', 'quality.status', 'quality.valid',
+  'distance', 'bearing'
+];
+
+export const MAX_FIELDS = 50;
+
+// Rutas libres dentro de metadata: metadata.speed, metadata.battery.level
+const METADATA_PATH_PATTERN = /^metadata(\.[a-zA-Z0-9_-]+)+$/;
+
+/**
+ * Obtiene un valor anidado a partir de una ruta con puntos ('battery.level')
+ * @param {Object} object - Objeto de origen
+ * @param {string} path - Ruta separada por puntos
+ * @returns {*} Valor encontrado o undefined
+ */
+export function getValueAtPath(object, path) {
+  return path.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+/**
+ * Verifica si un campo es seleccionable
+ * @param {string} field - Campo solicitado
+ * @returns {boolean} True si es un campo conocido o una ruta dentro de metadata
+ */
+export function isKnownField(field) {
+  return POSITION_FIELDS.includes(field) || METADATA_PATH_PATTERN.test(field);
+}
+
+/**
+ * Parsea el parámetro fields ('id,lat,lng,metadata.speed')
+ * Elimina duplicados y rutas ya cubiertas por un campo padre (metadata cubre metadata.speed)
+ * @param {string} value - Valor del query param
+ * @returns {Object} { fields, unknownFields }
+ */
+export function parseFieldsParam(value) {
+  const requested = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+  const unknownFields = requested.filter(field => !isKnownField(field));
+  const fields = requested.filter(field => !requested.some(other => field.startsWith(`${other}.`)));
+
+  return { fields, unknownFields };
+}
+
+/**
+ * Proyecta una posición a los campos solicitados
+ * - id se resuelve como id, deviceId o userId según el formato de origen
+ * - Las rutas con puntos se devuelven anidadas ({ metadata: { speed } })
+ * - Los campos sin valor se devuelven como null para mantener una forma estable
+ * @param {Object} position - Posición completa
+ * @param {string[]} fields - Campos ya validados con parseFieldsParam
+ * @returns {Object} Posición con solo los campos solicitados
+ */
+export function selectFields(position, fields) {
+  const selected = {};
+
+  for (const field of fields) {
+    const value = field === 'id'
+      ? position.id ?? position.deviceId ?? position.userId
+      : getValueAtPath(position, field);
+
+    const keys = field.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => {
+      if (parent[key] === null || typeof parent[key] !== 'object') {
+        parent[key] = {};
+      }
+      return parent[key];
+    }, selected);
+
+    target[last] = value === undefined ? null : value;
+  }
+
+  return selected;
+}
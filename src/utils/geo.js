@@ -0,0 +1,436 @@
+/**
+ * Utilidades geoespaciales compartidas por los servicios GPS y móviles
+ */
+
+// Radio medio de la Tierra en metros (mismo valor que usa Redis para GEO*)
+export const EARTH_RADIUS_METERS = 6372797.560856;
+
+// Factores de conversión de las unidades aceptadas por Redis GEOSEARCH
+export const UNIT_TO_METERS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+  ft: 0.3048
+};
+
+// Límites de latitud que Redis acepta en GEOADD (proyección Web Mercator)
+export const GEO_INDEX_MAX_LAT = 85.05112878;
+
+// Clasificación de calidad de coordenadas expuesta en el bloque quality
+export const COORDINATE_QUALITY = Object.freeze({
+  VALID: 'valid',
+  NULL_ISLAND: 'null-island',
+  OUT_OF_RANGE: 'out-of-range',
+  MISSING: 'missing'
+});
+
+/**
+ * Verifica que un par lat/lng sea numérico y esté dentro de rango
+ * @param {number} lat - Latitud
+ * @param {number} lng - Longitud
+ * @returns {boolean} True si la coordenada es válida
+ */
+export function isValidCoordinate(lat, lng) {
+  return typeof lat === 'number' && typeof lng === 'number' &&
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 &&
+    lng >= -180 && lng <= 180;
+}
+
+/**
+ * Verifica que una coordenada pueda indexarse con GEOADD
+ * @param {number} lat - Latitud
+ * @param {number} lng - Longitud
+ * @returns {boolean} True si Redis aceptará la coordenada
+ */
+export function isIndexableCoordinate(lat, lng) {
+  return isValidCoordinate(lat, lng) && Math.abs(lat) <= GEO_INDEX_MAX_LAT;
+}
+
+/**
+ * Convierte un valor almacenado (número o texto) a coordenada numérica
+ * A diferencia de parseFloat, rechaza textos parcialmente numéricos como '12abc'
+ * @param {*} value - Valor leído de Redis
+ * @returns {number|null} Número finito o null si no es interpretable
+ */
+export function parseCoordinate(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value.trim());
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  return null;
+}
+
+/**
+ * Clasifica la calidad de un par lat/lng ya interpretado
+ * @param {number|null} lat - Latitud
+ * @param {number|null} lng - Longitud
+ * @returns {string} Uno de los valores de COORDINATE_QUALITY
+ */
+export function classifyCoordinate(lat, lng) {
+  if (typeof lat !== 'number' || typeof lng !== 'number' || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return COORDINATE_QUALITY.MISSING;
+  }
+
+  if (!isValidCoordinate(lat, lng)) {
+    return COORDINATE_QUALITY.OUT_OF_RANGE;
+  }
+
+  if (lat === 0 && lng === 0) {
+    return COORDINATE_QUALITY.NULL_ISLAND;
+  }
+
+  return COORDINATE_QUALITY.VALID;
+}
+
+/**
+ * Normaliza lat/lng de una posición leída de Redis y agrega su bloque quality
+ * @param {Object} position - Posición tal como se almacenó (hash, JSON, list o zset)
+ * @returns {Object} Posición con lat/lng numéricos (o null) y quality: { status, valid }
+ */
+export function withCoordinateQuality(position) {
+  const lat = parseCoordinate(position.lat);
+  const lng = parseCoordinate(position.lng);
+  const status = classifyCoordinate(lat, lng);
+
+  return {
+    ...position,
+    lat,
+    lng,
+    quality: {
+      status,
+      valid: status === COORDINATE_QUALITY.VALID
+    }
+  };
+}
+
+/**
+ * Convierte grados a radianes
+ * @param {number} degrees - Ángulo en grados
+ * @returns {number} Ángulo en radianes
+ */
+export function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Calcula la distancia de círculo máximo (haversine) entre dos puntos
+ * @param {number} lat1 - Latitud de origen
+ * @param {number} lng1 - Longitud de origen
+ * @param {number} lat2 - Latitud de destino
+ * @param {number} lng2 - Longitud de destino
+ * @param {string} unit - Unidad de salida ('m', 'km', 'mi', 'ft')
+ * @returns {number} Distancia en la unidad solicitada
+ */
+export function haversineDistance(lat1, lng1, lat2, lng2, unit = 'm') {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  const meters = 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+
+  return meters / (UNIT_TO_METERS[unit] || 1);
+}
+
+/**
+ * Calcula el rumbo inicial (azimut) de un punto a otro sobre el círculo máximo
+ * @param {number} lat1 - Latitud de origen
+ * @param {number} lng1 - Longitud de origen
+ * @param {number} lat2 - Latitud de destino
+ * @param {number} lng2 - Longitud de destino
+ * @returns {number} Rumbo en grados [0, 360), 0 = norte, 90 = este
+ */
+export function initialBearing(lat1, lng1, lat2, lng2) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLng = toRadians(lng2 - lng1);
+
+  const y = Math.sin(dLng) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+  const bearing = Math.atan2(y, x) * 180 / Math.PI;
+
+  return (bearing + 360) % 360;
+}
+
+/**
+ * Redondea un rumbo para respuestas de la API
+ * @param {number} value - Rumbo en grados
+ * @returns {number} Rumbo con 1 decimal
+ */
+export function roundBearing(value) {
+  return Math.round(value * 10) / 10 % 360;
+}
+
+/**
+ * Redondea una distancia para respuestas de la API
+ * @param {number} value - Distancia
+ * @returns {number} Distancia con 4 decimales
+ */
+export function roundDistance(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Redondea una coordenada a 6 decimales (~11 cm)
+ * @param {number} value - Latitud o longitud
+ * @returns {number} Coordenada redondeada
+ */
+export function roundCoordinate(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+/**
+ * Normaliza una longitud al rango [-180, 180]
+ * @param {number} lng - Longitud
+ * @returns {number} Longitud normalizada
+ */
+export function normalizeLongitude(lng) {
+  const normalized = ((lng + 180) % 360 + 360) % 360 - 180;
+  return normalized === -180 && lng > 0 ? 180 : normalized;
+}
+
+/**
+ * Verifica si un punto está dentro de un bounding box
+ * Si minLng > maxLng el box cruza el antimeridiano (±180°)
+ * @param {number} lat - Latitud del punto
+ * @param {number} lng - Longitud del punto
+ * @param {Object} bbox - { minLat, minLng, maxLat, maxLng }
+ * @returns {boolean} True si el punto está dentro (bordes incluidos)
+ */
+export function isInBoundingBox(lat, lng, bbox) {
+  if (lat < bbox.minLat || lat > bbox.maxLat) {
+    return false;
+  }
+
+  if (bbox.minLng <= bbox.maxLng) {
+    return lng >= bbox.minLng && lng <= bbox.maxLng;
+  }
+
+  return lng >= bbox.minLng || lng <= bbox.maxLng;
+}
+
+/**
+ * Interpreta un bounding box en formato query 'minLng,minLat,maxLng,maxLat' (orden GeoJSON)
+ * Se permite minLng > maxLng para boxes que cruzan el antimeridiano
+ * @param {string} value - Valor del parámetro bbox
+ * @returns {Object|null} { minLat, minLng, maxLat, maxLng } o null si es inválido
+ */
+export function parseBoundingBoxParam(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.split(',').map(part => part.trim());
+  if (parts.length !== 4 || parts.some(part => part === '')) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts.map(Number);
+  if (!isValidCoordinate(minLat, minLng) || !isValidCoordinate(maxLat, maxLng) || minLat > maxLat) {
+    return null;
+  }
+
+  return { minLat, minLng, maxLat, maxLng };
+}
+
+/**
+ * Calcula el círculo mínimo (centro + radio en metros) que cubre un bounding box
+ * Se usa para preseleccionar candidatos con GEOSEARCH antes del filtro exacto
+ * @param {Object} bbox - { minLat, minLng, maxLat, maxLng }
+ * @returns {Object} { lat, lng, radius } con radius en metros
+ */
+export function boundingBoxCircle(bbox) {
+  const width = bbox.minLng <= bbox.maxLng
+    ? bbox.maxLng - bbox.minLng
+    : bbox.maxLng + 360 - bbox.minLng;
+
+  const lat = (bbox.minLat + bbox.maxLat) / 2;
+  const lng = normalizeLongitude(bbox.minLng + width / 2);
+
+  // Muestrear el contorno: en boxes muy anchos el punto más lejano no siempre es una esquina
+  const steps = 8;
+  const edgePoints = [];
+  for (let i = 0; i <= steps; i++) {
+    const edgeLng = normalizeLongitude(bbox.minLng + (width * i) / steps);
+    const edgeLat = bbox.minLat + ((bbox.maxLat - bbox.minLat) * i) / steps;
+    edgePoints.push(
+      [bbox.minLat, edgeLng],
+      [bbox.maxLat, edgeLng],
+      [edgeLat, bbox.minLng],
+      [edgeLat, bbox.maxLng]
+    );
+  }
+
+  const farthest = Math.max(...edgePoints.map(([pLat, pLng]) => haversineDistance(lat, lng, pLat, pLng)));
+  const halfCircumference = Math.PI * EARTH_RADIUS_METERS;
+
+  // Margen pequeño para no perder puntos en el borde por redondeo del geohash
+  return {
+    lat,
+    lng,
+    radius: Math.min(halfCircumference, farthest * 1.001 + 1)
+  };
+}
+
+/**
+ * Obtiene los polígonos de una geometría GeoJSON como lista de anillos
+ * @param {Object} geometry - Geometría GeoJSON Polygon o MultiPolygon
+ * @returns {Array[]} Lista de polígonos (cada uno es un array de anillos [lng, lat])
+ */
+export function getPolygons(geometry) {
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+/**
+ * Valida una geometría GeoJSON Polygon o MultiPolygon (RFC 7946)
+ * El código identifica el motivo para localizar el mensaje (details[].code e INVALID_GEOMETRY)
+ * @param {Object} geometry - Geometría a validar
+ * @param {number} maxVertices - Máximo de vértices permitidos
+ * @returns {Object|null} { code, error, params } o null si la geometría es válida
+ */
+export function getPolygonGeometryError(geometry, maxVertices = 10000) {
+  if (!geometry || typeof geometry !== 'object') {
+    return { code: 'GEOMETRY_REQUIRED', error: 'Se requiere una geometría GeoJSON' };
+  }
+
+  if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') {
+    return { code: 'GEOMETRY_NOT_POLYGON', error: 'La geometría debe ser de tipo Polygon o MultiPolygon' };
+  }
+
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return { code: 'GEOMETRY_EMPTY_COORDINATES', error: 'La geometría debe incluir un array coordinates no vacío' };
+  }
+
+  const polygons = getPolygons(geometry);
+  let vertices = 0;
+
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      return { code: 'GEOMETRY_MISSING_RING', error: 'Cada polígono debe tener al menos un anillo exterior' };
+    }
+
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return { code: 'GEOMETRY_RING_TOO_SHORT', error: 'Cada anillo debe tener al menos 4 posiciones' };
+      }
+
+      for (const position of ring) {
+        if (!Array.isArray(position) || position.length < 2 || !isValidCoordinate(position[1], position[0])) {
+          return { code: 'GEOMETRY_INVALID_POSITION', error: 'Cada posición debe ser [lng, lat] con valores numéricos dentro de rango' };
+        }
+      }
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return { code: 'GEOMETRY_RING_NOT_CLOSED', error: 'Cada anillo debe estar cerrado (primera y última posición iguales)' };
+      }
+
+      vertices += ring.length;
+    }
+  }
+
+  if (vertices > maxVertices) {
+    return { code: 'GEOMETRY_TOO_MANY_VERTICES', error: `La geometría no puede exceder ${maxVertices} vértices`, params: { maxVertices } };
+  }
+
+  return null;
+}
+
+/**
+ * Calcula el bounding box de una geometría Polygon o MultiPolygon
+ * @param {Object} geometry - Geometría GeoJSON válida
+ * @returns {Object} { minLat, minLng, maxLat, maxLng }
+ */
+export function geometryBoundingBox(geometry) {
+  const bbox = { minLat: 90, minLng: 180, maxLat: -90, maxLng: -180 };
+
+  for (const polygon of getPolygons(geometry)) {
+    // Basta con el anillo exterior: los huecos quedan contenidos en él
+    for (const [lng, lat] of polygon[0]) {
+      bbox.minLat = Math.min(bbox.minLat, lat);
+      bbox.maxLat = Math.max(bbox.maxLat, lat);
+      bbox.minLng = Math.min(bbox.minLng, lng);
+      bbox.maxLng = Math.max(bbox.maxLng, lng);
+    }
+  }
+
+  return bbox;
+}
+
+/**
+ * Verifica si un punto está dentro de un anillo (ray casting)
+ * @param {number} lat - Latitud del punto
+ * @param {number} lng - Longitud del punto
+ * @param {Array} ring - Anillo de posiciones [lng, lat]
+ * @returns {boolean} True si el punto está dentro
+ */
+function isPointInRing(lat, lng, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+
+    const intersects = (latI > lat) !== (latJ > lat) &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+
+    if (intersects) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Verifica si un punto está dentro de un Polygon o MultiPolygon, respetando huecos
+ * @param {number} lat - Latitud del punto
+ * @param {number} lng - Longitud del punto
+ * @param {Object} geometry - Geometría GeoJSON válida
+ * @returns {boolean} True si el punto está dentro
+ */
+export function isPointInPolygon(lat, lng, geometry) {
+  return getPolygons(geometry).some(([outer, ...holes]) =>
+    isPointInRing(lat, lng, outer) && !holes.some(hole => isPointInRing(lat, lng, hole))
+  );
+}
+
+/**
+ * Extrae la geometría de un cuerpo GeoJSON (Geometry, Feature o { geometry })
+ * @param {Object} body - Cuerpo recibido
+ * @returns {Object|null} Geometría o null si no hay ninguna
+ */
+export function extractGeoJsonGeometry(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+
+  if (body.type === 'Feature' || (body.geometry && typeof body.geometry === 'object')) {
+    return body.geometry || null;
+  }
+
+  return body;
+}
+
+/**
+ * Proyecta una coordenada a Web Mercator normalizado (x, y en [0, 1], origen en la esquina noroeste)
+ * Las latitudes se recortan al límite de la proyección (±85.05112878°)
+ * @param {number} lat - Latitud
+ * @param {number} lng - Longitud
+ * @returns {Object} { x, y }
+ */
+export function projectToMercator(lat, lng) {
+  const clampedLat = Math.max(-GEO_INDEX_MAX_LAT, Math.min(GEO_INDEX_MAX_LAT, lat));
+  const sin = Math.sin(toRadians(clampedLat));
+
+  return {
+    x: (lng + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  };
+}
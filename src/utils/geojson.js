@@ -0,0 +1,46 @@
+import { isValidCoordinate } from './geo.js';
+
+/**
+ * Conversión de posiciones (cualquier formato con lat/lng) a GeoJSON RFC 7946
+ */
+
+export const GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+/**
+ * Verifica si un valor es una posición convertible (objeto con lat y lng)
+ * @param {*} item - Valor a verificar
+ * @returns {boolean} True si tiene campos lat y lng
+ */
+export function isPositionLike(item) {
+  return Boolean(item) && typeof item === 'object' && !Array.isArray(item) && 'lat' in item && 'lng' in item;
+}
+
+/**
+ * Convierte una posición a Feature GeoJSON
+ * Las coordenadas no válidas producen geometry null (permitido por RFC 7946)
+ * @param {Object} position - Posición con lat/lng y demás propiedades
+ * @returns {Object} Feature con geometría Point [lng, lat]
+ */
+export function positionToFeature(position) {
+  const { lat, lng, ...properties } = position;
+  const id = position.id ?? position.deviceId ?? position.userId;
+
+  return {
+    type: 'Feature',
+    ...(id !== undefined ? { id } : {}),
+    geometry: isValidCoordinate(lat, lng) ? { type: 'Point', coordinates: [lng, lat] } : null,
+    properties
+  };
+}
+
+/**
+ * Convierte una lista de posiciones a FeatureCollection
+ * @param {Object[]} positions - Posiciones con lat/lng
+ * @returns {Object} FeatureCollection
+ */
+export function positionsToFeatureCollection(positions) {
+  return {
+    type: 'FeatureCollection',
+    features: positions.map(positionToFeature)
+  };
+}
@@ -0,0 +1,182 @@
+import { EARTH_RADIUS_METERS, isInBoundingBox, isValidCoordinate, projectToMercator, roundCoordinate, toRadians } from './geo.js';
+
+/**
+ * Utilidades de agregación por celdas de grilla (clusters y heatmaps)
+ */
+
+// Tamaño en píxeles de un tile Web Mercator
+export const TILE_SIZE_PX = 256;
+
+// Zoom máximo de los mapas web (tiles Web Mercator)
+export const MAX_MAP_ZOOM = 22;
+
+/**
+ * Calcula la celda de grilla en píxeles de pantalla para un zoom dado
+ * @param {number} lat - Latitud
+ * @param {number} lng - Longitud
+ * @param {number} zoom - Nivel de zoom (0 = mundo en un tile)
+ * @param {number} cellSizePx - Lado de la celda en píxeles
+ * @returns {Object} { x, y } índices de la celda
+ */
+export function mercatorCell(lat, lng, zoom, cellSizePx) {
+  const { x, y } = projectToMercator(lat, lng);
+  const worldSizePx = TILE_SIZE_PX * Math.pow(2, zoom);
+  const maxIndex = Math.ceil(worldSizePx / cellSizePx) - 1;
+
+  // lng = 180 y el límite sur caen justo fuera del mundo: se asignan a la última celda
+  return {
+    x: Math.min(Math.floor((x * worldSizePx) / cellSizePx), maxIndex),
+    y: Math.min(Math.max(Math.floor((y * worldSizePx) / cellSizePx), 0), maxIndex)
+  };
+}
+
+/**
+ * Agrupa posiciones por celda y acumula conteo, centroide y extensión
+ * @param {Object[]} positions - Posiciones con lat/lng válidos
+ * @param {Function} cellOf - Función (position) => { x, y } que asigna la celda
+ * @returns {Object[]} Celdas { x, y, count, lat, lng, bbox, positions } ordenadas por y, x
+ */
+export function aggregateByCell(positions, cellOf) {
+  const cells = new Map();
+
+  for (const position of positions) {
+    const { x, y } = cellOf(position);
+    const key = `${x}:${y}`;
+    let cell = cells.get(key);
+
+    if (!cell) {
+      cell = {
+        x,
+        y,
+        count: 0,
+        latSum: 0,
+        lngSum: 0,
+        bbox: { minLat: position.lat, minLng: position.lng, maxLat: position.lat, maxLng: position.lng },
+        positions: []
+      };
+      cells.set(key, cell);
+    }
+
+    cell.count++;
+    cell.latSum += position.lat;
+    cell.lngSum += position.lng;
+    cell.bbox.minLat = Math.min(cell.bbox.minLat, position.lat);
+    cell.bbox.minLng = Math.min(cell.bbox.minLng, position.lng);
+    cell.bbox.maxLat = Math.max(cell.bbox.maxLat, position.lat);
+    cell.bbox.maxLng = Math.max(cell.bbox.maxLng, position.lng);
+    cell.positions.push(position);
+  }
+
+  return [...cells.values()]
+    .map(({ latSum, lngSum, ...cell }) => ({
+      ...cell,
+      lat: latSum / cell.count,
+      lng: lngSum / cell.count
+    }))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Calcula el bounding box geográfico de un tile XYZ (esquema Web Mercator / slippy map)
+ * @param {number} z - Zoom
+ * @param {number} x - Columna del tile
+ * @param {number} y - Fila del tile (0 = norte)
+ * @returns {Object} { minLat, minLng, maxLat, maxLng }
+ */
+export function tileBoundingBox(z, x, y) {
+  const tiles = Math.pow(2, z);
+  const tileLat = row => Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / tiles))) * 180 / Math.PI;
+
+  return {
+    minLat: tileLat(y + 1),
+    minLng: (x / tiles) * 360 - 180,
+    maxLat: tileLat(y),
+    maxLng: ((x + 1) / tiles) * 360 - 180
+  };
+}
+
+/**
+ * Convierte una coordenada a píxeles locales de un tile XYZ
+ * @param {number} lat - Latitud
+ * @param {number} lng - Longitud
+ * @param {number} z - Zoom
+ * @param {number} x - Columna del tile
+ * @param {number} y - Fila del tile
+ * @param {number} extent - Resolución del tile (4096 en MVT)
+ * @returns {Object} { x, y } enteros en [0, extent]
+ */
+export function tilePixel(lat, lng, z, x, y, extent) {
+  const point = projectToMercator(lat, lng);
+  const tiles = Math.pow(2, z);
+
+  return {
+    x: Math.round((point.x * tiles - x) * extent),
+    y: Math.round((point.y * tiles - y) * extent)
+  };
+}
+
+/**
+ * Crea una grilla de celdas de tamaño aproximado en metros, alineada a (-90, -180)
+ * El paso en longitud se ajusta con la latitud de referencia para que las celdas sean cuadradas ahí
+ * @param {number} cellSizeMeters - Lado de la celda en metros
+ * @param {number} referenceLat - Latitud de referencia (p. ej. el centro del área consultada)
+ * @returns {Object} { latStep, lngStep, cellOf(lat, lng), cellBounds(x, y) }
+ */
+export function metricGrid(cellSizeMeters, referenceLat) {
+  const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+  const latStep = Math.min(180, cellSizeMeters / metersPerDegree);
+  const lngStep = Math.min(360, cellSizeMeters / (metersPerDegree * Math.max(Math.cos(toRadians(referenceLat)), 0.01)));
+
+  return {
+    latStep,
+    lngStep,
+    cellOf: (lat, lng) => ({
+      x: Math.floor((lng + 180) / lngStep),
+      y: Math.floor((lat + 90) / latStep)
+    }),
+    cellBounds: (x, y) => ({
+      minLat: -90 + y * latStep,
+      minLng: -180 + x * lngStep,
+      maxLat: Math.min(90, -90 + (y + 1) * latStep),
+      maxLng: Math.min(180, -180 + (x + 1) * lngStep)
+    })
+  };
+}
+
+/**
+ * Agrega posiciones en celdas métricas para un heatmap de densidad
+ * weight es el conteo de la celda normalizado respecto a la celda más densa (0-1]
+ * @param {Object[]} positions - Posiciones con lat/lng
+ * @param {Object} bbox - { minLat, minLng, maxLat, maxLng } del área consultada
+ * @param {number} cellSizeMeters - Lado de la celda en metros
+ * @returns {Object} { cells: [{ lat, lng, count, weight, bbox }], total, maxCount }
+ */
+export function buildHeatmap(positions, bbox, cellSizeMeters) {
+  const grid = metricGrid(cellSizeMeters, (bbox.minLat + bbox.maxLat) / 2);
+
+  const inside = positions
+    .filter(position => isValidCoordinate(position.lat, position.lng))
+    .filter(position => isInBoundingBox(position.lat, position.lng, bbox));
+
+  const aggregated = aggregateByCell(inside, position => grid.cellOf(position.lat, position.lng));
+  const maxCount = aggregated.reduce((max, cell) => Math.max(max, cell.count), 0);
+
+  const cells = aggregated.map(cell => {
+    const bounds = grid.cellBounds(cell.x, cell.y);
+
+    return {
+      lat: roundCoordinate((bounds.minLat + bounds.maxLat) / 2),
+      lng: roundCoordinate((bounds.minLng + bounds.maxLng) / 2),
+      count: cell.count,
+      weight: Math.round((cell.count / maxCount) * 10000) / 10000,
+      bbox: {
+        minLat: roundCoordinate(bounds.minLat),
+        minLng: roundCoordinate(bounds.minLng),
+        maxLat: roundCoordinate(bounds.maxLat),
+        maxLng: roundCoordinate(bounds.maxLng)
+      }
+    };
+  });
+
+  return { cells, total: inside.length, maxCount };
+}
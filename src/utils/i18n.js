@@ -0,0 +1,61 @@
+import { config } from '../config/env.js';
+import es from '../locales/es.js';
+import en from '../locales/en.js';
+
+/**
+ * Resolución de idioma y traducción de mensajes de la API
+ * Los códigos (code) no cambian; solo el texto legible se localiza
+ */
+
+const catalogs = { es, en };
+
+export const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+/**
+ * Normaliza una etiqueta de idioma a un idioma soportado ('en-US' → 'en')
+ * @param {string} tag - Etiqueta de idioma
+ * @returns {string|null} Idioma soportado o null
+ */
+export function normalizeLanguage(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Resuelve el idioma de la petición
+ * Prioridad: ?lang=, cabecera Accept-Language y DEFAULT_LANGUAGE
+ * @param {Object} req - Request de Express
+ * @returns {string} Idioma soportado ('es' o 'en')
+ */
+export function resolveLanguage(req) {
+  const queryLanguage = normalizeLanguage(req.query?.lang);
+  if (queryLanguage) {
+    return queryLanguage;
+  }
+
+  if (req.get('Accept-Language')) {
+    const accepted = req.acceptsLanguages(...SUPPORTED_LANGUAGES);
+    if (accepted) {
+      return accepted;
+    }
+  }
+
+  return config.i18n.defaultLanguage;
+}
+
+/**
+ * Traduce el mensaje asociado a un código
+ * @param {string} language - Idioma resuelto
+ * @param {string} code - Código de error (POSITION_NOT_FOUND)
+ * @param {Object} params - Parámetros del mensaje
+ * @param {string} fallback - Mensaje a usar si el catálogo no tiene el código
+ * @returns {string} Mensaje localizado
+ */
+export function translate(language, code, params = {}, fallback) {
+  const message = catalogs[language]?.[code];
+  return message ? message(params) : fallback;
+}
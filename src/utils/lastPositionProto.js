@@ -0,0 +1,127 @@
+import { ProtobufWriter, encodeStructMessage, encodeValueMessage } from './protobuf.js';
+import { isPositionLike } from './geojson.js';
+
+/**
+ * Codificación de respuestas de la API al mensaje gpslastposition.v4.Response
+ * Esquema publicado en proto/last_position.proto (GET /api/v4/proto/last_position.proto)
+ */
+
+export const PROTOBUF_CONTENT_TYPE = 'application/x-protobuf';
+export const PROTOBUF_MESSAGE_TYPE = 'gpslastposition.v4.Response';
+
+// Campos de Position: nombre JSON → [número de campo, tipo]
+const POSITION_FIELDS = {
+  lat: [2, 'double'],
+  lng: [3, 'double'],
+  name: [4, 'string'],
+  timestamp: [5, 'string'],
+  receivedAt: [6, 'string'],
+  updatedAt: [7, 'string'],
+  retrievedAt: [8, 'string'],
+  distance: [11, 'double'],
+  bearing: [12, 'double']
+};
+
+// Campos consumidos por id (1), quality (9) y metadata (10)
+const POSITION_SPECIAL_FIELDS = ['id', 'deviceId', 'userId', 'quality', 'metadata'];
+
+/**
+ * Codifica una posición como mensaje Position
+ * @param {Object} position - Posición en cualquier formato (gps, mobile, full o ?fields=)
+ * @returns {ProtobufWriter} Mensaje Position
+ * @private
+ */
+function encodePosition(position) {
+  const writer = new ProtobufWriter();
+  const id = position.id ?? position.deviceId ?? position.userId;
+  const extra = {};
+
+  if (id !== undefined && id !== null) {
+    writer.string(1, id);
+  }
+
+  for (const [key, value] of Object.entries(position)) {
+    const field = POSITION_FIELDS[key];
+
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    if (field && field[1] === 'double' && typeof value === 'number' && Number.isFinite(value)) {
+      writer.double(field[0], value);
+    } else if (field && field[1] === 'string' && typeof value !== 'object') {
+      writer.string(field[0], value);
+    } else if (!POSITION_SPECIAL_FIELDS.includes(key)) {
+      extra[key] = value;
+    }
+  }
+
+  if (position.quality && typeof position.quality === 'object') {
+    const quality = new ProtobufWriter();
+    if (position.quality.status !== undefined) {
+      quality.string(1, position.quality.status);
+    }
+    if (position.quality.valid !== undefined) {
+      quality.bool(2, position.quality.valid);
+    }
+    writer.message(9, quality);
+  }
+
+  if (position.metadata && typeof position.metadata === 'object' && !Array.isArray(position.metadata)) {
+    writer.message(10, encodeStructMessage(position.metadata));
+  }
+
+  if (Object.keys(extra).length > 0) {
+    writer.message(13, encodeStructMessage(extra));
+  }
+
+  return writer;
+}
+
+/**
+ * Codifica el cuerpo de una respuesta (éxito o error) como mensaje Response
+ * @param {Object} body - Cuerpo que la ruta enviaría como JSON
+ * @returns {Buffer} Bytes protobuf
+ */
+export function encodeResponse(body) {
+  const writer = new ProtobufWriter();
+  const { success, data, summary, meta, error, code, ...rest } = body || {};
+
+  writer.bool(1, success === true);
+
+  if (Array.isArray(data) && data.every(isPositionLike)) {
+    data.forEach(position => writer.message(2, encodePosition(position)));
+  } else if (isPositionLike(data)) {
+    writer.message(3, encodePosition(data));
+  } else if (data !== undefined) {
+    writer.message(4, encodeValueMessage(data));
+  }
+
+  if (summary && typeof summary === 'object') {
+    writer.message(5, encodeStructMessage(summary));
+  }
+
+  if (meta && typeof meta === 'object') {
+    writer.message(6, encodeStructMessage(meta));
+  }
+
+  if (success !== true) {
+    const errorWriter = new ProtobufWriter();
+    // En errores RFC 7807 el mensaje viene en detail
+    const message = error ?? rest.detail;
+    if (message !== undefined) {
+      errorWriter.string(1, message);
+    }
+    if (code !== undefined) {
+      errorWriter.string(2, code);
+    }
+    if (Object.keys(rest).length > 0) {
+      errorWriter.message(3, encodeStructMessage(rest));
+    }
+    writer.message(7, errorWriter);
+  } else if (Object.keys(rest).length > 0) {
+    writer.message(8, encodeStructMessage(rest));
+  }
+
+  return writer.toBuffer();
+}
@@ -0,0 +1,130 @@
+/**
+ * Codificador mínimo de MessagePack (https://github.com/msgpack/msgpack/blob/master/spec.md)
+ * Sigue la semántica de JSON.stringify: toJSON, undefined omitido en objetos y números no finitos como nil
+ */
+
+export const MSGPACK_CONTENT_TYPE = 'application/msgpack';
+
+/**
+ * Buffer de salida que crece según se necesita
+ * @private
+ */
+class MsgpackWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  bytes(...values) {
+    this.chunks.push(Buffer.from(values));
+  }
+
+  header(type, size, writeSize) {
+    const buffer = Buffer.allocUnsafe(1 + size);
+    buffer[0] = type;
+    writeSize(buffer);
+    this.chunks.push(buffer);
+  }
+
+  raw(buffer) {
+    this.chunks.push(buffer);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Escribe la cabecera de longitud de str, array o map
+ * @private
+ */
+function writeLength(writer, length, { fix, fixMax, type8, type16, type32 }) {
+  if (length <= fixMax) {
+    writer.bytes(fix | length);
+  } else if (type8 !== null && length <= 0xff) {
+    writer.bytes(type8, length);
+  } else if (length <= 0xffff) {
+    writer.header(type16, 2, buffer => buffer.writeUInt16BE(length, 1));
+  } else {
+    writer.header(type32, 4, buffer => buffer.writeUInt32BE(length, 1));
+  }
+}
+
+/**
+ * Escribe un número como entero compacto o float64
+ * @private
+ */
+function writeNumber(writer, value) {
+  if (!Number.isFinite(value)) {
+    writer.bytes(0xc0);
+  } else if (!Number.isSafeInteger(value)) {
+    writer.header(0xcb, 8, buffer => buffer.writeDoubleBE(value, 1));
+  } else if (value >= 0) {
+    if (value <= 0x7f) {
+      writer.bytes(value);
+    } else if (value <= 0xff) {
+      writer.bytes(0xcc, value);
+    } else if (value <= 0xffff) {
+      writer.header(0xcd, 2, buffer => buffer.writeUInt16BE(value, 1));
+    } else if (value <= 0xffffffff) {
+      writer.header(0xce, 4, buffer => buffer.writeUInt32BE(value, 1));
+    } else {
+      writer.header(0xcf, 8, buffer => buffer.writeBigUInt64BE(BigInt(value), 1));
+    }
+  } else if (value >= -32) {
+    writer.bytes(0x100 + value);
+  } else if (value >= -0x80) {
+    writer.header(0xd0, 1, buffer => buffer.writeInt8(value, 1));
+  } else if (value >= -0x8000) {
+    writer.header(0xd1, 2, buffer => buffer.writeInt16BE(value, 1));
+  } else if (value >= -0x80000000) {
+    writer.header(0xd2, 4, buffer => buffer.writeInt32BE(value, 1));
+  } else {
+    writer.header(0xd3, 8, buffer => buffer.writeBigInt64BE(BigInt(value), 1));
+  }
+}
+
+/**
+ * Escribe un valor cualquiera
+ * @private
+ */
+function writeValue(writer, value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  if (value === null || value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+    writer.bytes(0xc0);
+  } else if (typeof value === 'boolean') {
+    writer.bytes(value ? 0xc3 : 0xc2);
+  } else if (typeof value === 'number') {
+    writeNumber(writer, value);
+  } else if (typeof value === 'bigint') {
+    writeNumber(writer, Number(value));
+  } else if (typeof value === 'string') {
+    const encoded = Buffer.from(value, 'utf8');
+    writeLength(writer, encoded.length, { fix: 0xa0, fixMax: 31, type8: 0xd9, type16: 0xda, type32: 0xdb });
+    writer.raw(encoded);
+  } else if (Array.isArray(value)) {
+    writeLength(writer, value.length, { fix: 0x90, fixMax: 15, type8: null, type16: 0xdc, type32: 0xdd });
+    value.forEach(item => writeValue(writer, item));
+  } else {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function' && typeof item !== 'symbol');
+    writeLength(writer, entries.length, { fix: 0x80, fixMax: 15, type8: null, type16: 0xde, type32: 0xdf });
+    for (const [key, item] of entries) {
+      writeValue(writer, key);
+      writeValue(writer, item);
+    }
+  }
+}
+
+/**
+ * Codifica un valor (normalmente el cuerpo de una respuesta JSON) en MessagePack
+ * @param {*} value - Valor serializable a JSON
+ * @returns {Buffer} Bytes MessagePack
+ */
+export function encodeMsgpack(value) {
+  const writer = new MsgpackWriter();
+  writeValue(writer, value);
+  return writer.toBuffer();
+}
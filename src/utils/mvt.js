@@ -0,0 +1,117 @@
+import { ProtobufWriter, WIRE_VARINT } from './protobuf.js';
+
+/**
+ * Codificador mínimo de Mapbox Vector Tiles (MVT 2.1) para capas de puntos
+ * Especificación: https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+ */
+
+// Resolución estándar de coordenadas dentro de un tile
+export const MVT_EXTENT = 4096;
+
+export const MVT_CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+// GeomType.POINT y comando MoveTo con un solo punto: (1 & 0x7) | (1 << 3)
+const GEOM_TYPE_POINT = 1;
+const MOVE_TO_ONE = 9;
+
+/**
+ * Codificación zigzag para enteros con signo
+ * @private
+ */
+function zigzag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+/**
+ * Codifica un valor de propiedad como mensaje Value de MVT
+ * @private
+ */
+function encodeValue(value) {
+  const writer = new ProtobufWriter();
+
+  if (typeof value === 'boolean') {
+    writer.uint(7, value ? 1 : 0);
+  } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    if (value >= 0) {
+      writer.uint(5, value);
+    } else {
+      writer.tag(6, WIRE_VARINT).varint(zigzag(value));
+    }
+  } else if (typeof value === 'number') {
+    writer.double(3, value);
+  } else {
+    writer.string(1, value);
+  }
+
+  return writer;
+}
+
+/**
+ * Codifica una capa de puntos
+ * @private
+ */
+function encodeLayer(layer) {
+  const extent = layer.extent || MVT_EXTENT;
+  const writer = new ProtobufWriter();
+  const keys = new Map();
+  const values = new Map();
+
+  writer.uint(15, 2).string(1, layer.name);
+
+  for (const feature of layer.features) {
+    const tags = [];
+
+    for (const [key, value] of Object.entries(feature.properties || {})) {
+      if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+        continue;
+      }
+
+      if (!keys.has(key)) {
+        keys.set(key, keys.size);
+      }
+
+      // Valores deduplicados por tipo + contenido para no confundir '1' con 1
+      const valueKey = `${typeof value}:${value}`;
+      if (!values.has(valueKey)) {
+        values.set(valueKey, { index: values.size, value });
+      }
+
+      tags.push(keys.get(key), values.get(valueKey).index);
+    }
+
+    const featureWriter = new ProtobufWriter();
+    if (tags.length > 0) {
+      featureWriter.packed(2, tags);
+    }
+    featureWriter.uint(3, GEOM_TYPE_POINT);
+    featureWriter.packed(4, [MOVE_TO_ONE, zigzag(feature.x), zigzag(feature.y)]);
+
+    writer.message(2, featureWriter);
+  }
+
+  for (const key of keys.keys()) {
+    writer.string(3, key);
+  }
+
+  for (const { value } of values.values()) {
+    writer.message(4, encodeValue(value));
+  }
+
+  writer.uint(5, extent);
+  return writer;
+}
+
+/**
+ * Codifica un tile vectorial con capas de puntos
+ * @param {Object[]} layers - Capas { name, extent?, features: [{ x, y, properties }] } en coordenadas de tile
+ * @returns {Buffer} Tile MVT codificado en protobuf
+ */
+export function encodePointTile(layers) {
+  const writer = new ProtobufWriter();
+
+  for (const layer of layers) {
+    writer.message(3, encodeLayer(layer));
+  }
+
+  return writer.toBuffer();
+}
@@ -0,0 +1,14 @@
+/**
+ * Utilidades para respuestas NDJSON (un documento JSON por línea, http://ndjson.org)
+ */
+
+export const NDJSON_CONTENT_TYPE = 'application/x-ndjson; charset=utf-8';
+
+/**
+ * Serializa un valor como línea NDJSON
+ * @param {*} value - Valor serializable a JSON
+ * @returns {string} JSON terminado en salto de línea
+ */
+export function toNdjsonLine(value) {
+  return `${JSON.stringify(value)}\n`;
+}
@@ -0,0 +1,163 @@
+/**
+ * Utilidades para usar el documento OpenAPI como fuente de validación
+ * Soporta el subconjunto de JSON Schema usado en los parámetros de la API:
+ * type (string|integer|number|boolean), enum, minimum, maximum, minLength, maxLength y pattern
+ */
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+// Orden de evaluación de restricciones; la primera que falla determina el código de error
+const SCHEMA_KEYWORDS = ['type', 'minLength', 'maxLength', 'pattern', 'enum', 'minimum', 'maximum'];
+
+/**
+ * Resuelve una referencia local (#/components/...) del documento
+ * @param {Object} document - Documento OpenAPI
+ * @param {Object} value - Objeto que puede ser { $ref }
+ * @returns {Object} Objeto referenciado o el mismo valor
+ */
+export function resolveRef(document, value) {
+  if (!value || typeof value.$ref !== 'string') {
+    return value;
+  }
+
+  return value.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node?.[key], document);
+}
+
+/**
+ * Compila las operaciones del documento para buscarlas por método y ruta
+ * Las rutas literales tienen prioridad sobre las que usan parámetros ({deviceId})
+ * @param {Object} document - Documento OpenAPI
+ * @returns {Object[]} Operaciones { method, path, pattern, pathParams, parameters, operation }
+ */
+export function compileOperations(document) {
+  const operations = [];
+
+  for (const [path, pathItem] of Object.entries(document.paths)) {
+    const pathParams = [];
+    const pattern = new RegExp(`^${path
+      .split(/(\{[^}]+\})/)
+      .map(part => {
+        const match = part.match(/^\{([^}]+)\}$/);
+        if (match) {
+          pathParams.push(match[1]);
+          return '([^/]+)';
+        }
+        return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+      })
+      .join('')}/?$`);
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+
+      // Parámetros comunes de la ruta + propios de la operación (la operación tiene prioridad)
+      const parameters = new Map();
+      for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+        const resolved = resolveRef(document, parameter);
+        parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+      }
+
+      operations.push({ method, path, pattern, pathParams, parameters: [...parameters.values()], operation });
+    }
+  }
+
+  return operations.sort((a, b) => a.pathParams.length - b.pathParams.length);
+}
+
+/**
+ * Busca la operación que corresponde a una petición
+ * Un parámetro de ruta con un escape inválido (%E0%A4%A) se devuelve sin decodificar en malformedParams
+ * @param {Object[]} operations - Resultado de compileOperations
+ * @param {string} method - Método HTTP (HEAD se trata como GET)
+ * @param {string} path - Ruta completa de la petición (sin query string)
+ * @returns {Object|null} { operation compilada, pathValues, malformedParams } o null si no está documentada
+ */
+export function matchOperation(operations, method, path) {
+  const normalizedMethod = method.toLowerCase() === 'head' ? 'get' : method.toLowerCase();
+
+  for (const compiled of operations) {
+    if (compiled.method !== normalizedMethod) {
+      continue;
+    }
+
+    const match = path.match(compiled.pattern);
+    if (match) {
+      const pathValues = {};
+      const malformedParams = [];
+      compiled.pathParams.forEach((name, index) => {
+        try {
+          pathValues[name] = decodeURIComponent(match[index + 1]);
+        } catch {
+          pathValues[name] = match[index + 1];
+          malformedParams.push(name);
+        }
+      });
+      return { ...compiled, pathValues, malformedParams };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convierte un valor de query/path (string) al tipo del esquema
+ * @param {*} value - Valor recibido
+ * @param {string} type - Tipo del esquema
+ * @returns {Object} { valid, value }
+ * @private
+ */
+function coerceValue(value, type) {
+  if (typeof value !== 'string') {
+    return { valid: false, value };
+  }
+
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(value.trim()) ? { valid: true, value: Number(value) } : { valid: false, value };
+    case 'number': {
+      const number = Number(value);
+      return value.trim() !== '' && Number.isFinite(number) ? { valid: true, value: number } : { valid: false, value };
+    }
+    case 'boolean':
+      return value === 'true' || value === 'false' ? { valid: true, value: value === 'true' } : { valid: false, value };
+    default:
+      return { valid: true, value };
+  }
+}
+
+/**
+ * Valida un valor de parámetro contra su esquema
+ * @param {Object} schema - Esquema del parámetro
+ * @param {*} rawValue - Valor recibido (string en query y path)
+ * @returns {string|null} Restricción que falla (type, enum, maximum...) o null si es válido
+ */
+export function getSchemaViolation(schema, rawValue) {
+  const { valid, value } = coerceValue(rawValue, schema.type);
+
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (schema[keyword] === undefined) {
+      continue;
+    }
+
+    const failed = {
+      type: () => !valid,
+      minLength: () => value.length < schema.minLength,
+      maxLength: () => value.length > schema.maxLength,
+      pattern: () => !new RegExp(schema.pattern).test(value),
+      enum: () => !schema.enum.includes(value),
+      minimum: () => value < schema.minimum || (schema.exclusiveMinimum === true && value === schema.minimum),
+      maximum: () => value > schema.maximum || (schema.exclusiveMaximum === true && value === schema.maximum)
+    }[keyword]();
+
+    if (failed) {
+      return keyword;
+    }
+  }
+
+  return null;
+}
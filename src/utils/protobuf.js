@@ -0,0 +1,124 @@
+/**
+ * Escritor mínimo de Protocol Buffers (wire format) compartido por MVT y las respuestas x-protobuf
+ */
+
+// Tipos de cable (wire types) de protobuf
+export const WIRE_VARINT = 0;
+export const WIRE_FIXED64 = 1;
+export const WIRE_LENGTH_DELIMITED = 2;
+
+/**
+ * Escritor protobuf que acumula bytes en memoria
+ */
+export class ProtobufWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    let remaining = value;
+    while (remaining > 0x7f) {
+      this.bytes.push((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.bytes.push(remaining);
+    return this;
+  }
+
+  tag(field, wireType) {
+    return this.varint((field << 3) | wireType);
+  }
+
+  uint(field, value) {
+    return this.tag(field, WIRE_VARINT).varint(value);
+  }
+
+  bool(field, value) {
+    return this.uint(field, value ? 1 : 0);
+  }
+
+  bytesField(field, buffer) {
+    this.tag(field, WIRE_LENGTH_DELIMITED).varint(buffer.length);
+    for (const byte of buffer) {
+      this.bytes.push(byte);
+    }
+    return this;
+  }
+
+  string(field, value) {
+    return this.bytesField(field, Buffer.from(String(value), 'utf8'));
+  }
+
+  double(field, value) {
+    const buffer = Buffer.allocUnsafe(8);
+    buffer.writeDoubleLE(value);
+    this.tag(field, WIRE_FIXED64);
+    for (const byte of buffer) {
+      this.bytes.push(byte);
+    }
+    return this;
+  }
+
+  message(field, writer) {
+    return this.bytesField(field, writer.bytes);
+  }
+
+  packed(field, values) {
+    const inner = new ProtobufWriter();
+    values.forEach(value => inner.varint(value));
+    return this.message(field, inner);
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+/**
+ * Codifica un valor JSON como google.protobuf.Value
+ * @param {*} value - Valor serializable a JSON
+ * @returns {ProtobufWriter} Mensaje Value
+ */
+export function encodeValueMessage(value) {
+  const writer = new ProtobufWriter();
+  const json = value !== null && typeof value === 'object' && typeof value.toJSON === 'function' ? value.toJSON() : value;
+
+  if (json === null || json === undefined || (typeof json === 'number' && !Number.isFinite(json))) {
+    writer.uint(1, 0); // NullValue.NULL_VALUE
+  } else if (typeof json === 'number') {
+    writer.double(2, json);
+  } else if (typeof json === 'string') {
+    writer.string(3, json);
+  } else if (typeof json === 'boolean') {
+    writer.bool(4, json);
+  } else if (Array.isArray(json)) {
+    const list = new ProtobufWriter();
+    json.forEach(item => list.message(1, encodeValueMessage(item)));
+    writer.message(6, list);
+  } else {
+    writer.message(5, encodeStructMessage(json));
+  }
+
+  return writer;
+}
+
+/**
+ * Codifica un objeto JSON como google.protobuf.Struct (map<string, Value> fields = 1)
+ * @param {Object} object - Objeto plano
+ * @returns {ProtobufWriter} Mensaje Struct
+ */
+export function encodeStructMessage(object) {
+  const writer = new ProtobufWriter();
+
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    const entry = new ProtobufWriter();
+    entry.string(1, key).message(2, encodeValueMessage(value));
+    writer.message(1, entry);
+  }
+
+  return writer;
+}
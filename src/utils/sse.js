@@ -0,0 +1,90 @@
+/**
+ * Utilidades para respuestas Server-Sent Events (text/event-stream)
+ * Especificación: https://html.spec.whatwg.org/multipage/server-sent-events.html
+ */
+
+export const SSE_CONTENT_TYPE = 'text/event-stream; charset=utf-8';
+
+/**
+ * Serializa un evento SSE
+ * @param {Object} message - { id?, event?, data?, retry? }; data se envía como JSON en una sola línea
+ * @returns {string} Evento terminado en línea en blanco
+ */
+export function toSseEvent({ id, event, data, retry }) {
+  const lines = [];
+
+  if (retry !== undefined) {
+    lines.push(`retry: ${retry}`);
+  }
+  if (id !== undefined) {
+    lines.push(`id: ${id}`);
+  }
+  if (event !== undefined) {
+    lines.push(`event: ${event}`);
+  }
+  if (data !== undefined) {
+    lines.push(`data: ${JSON.stringify(data)}`);
+  }
+
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Abre un stream SSE sobre la respuesta HTTP con heartbeat periódico
+ * El heartbeat (evento 'heartbeat' sin id) mantiene viva la conexión en proxies y no altera Last-Event-ID
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} options - { retryMs, heartbeatMs, onClose }
+ * @returns {Object} { send(message), close(), closed }
+ */
+export function openEventStream(req, res, options = {}) {
+  const { retryMs, heartbeatMs, onClose } = options;
+
+  // El heartbeat evita el timeout por inactividad; la conexión dura lo que decida el cliente
+  res.setTimeout(0);
+  req.socket.setKeepAlive(true);
+
+  res.status(200).set({
+    'Content-Type': SSE_CONTENT_TYPE,
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Desactiva el buffering de nginx para que cada evento salga inmediatamente
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const stream = {
+    closed: false,
+    send(message) {
+      if (!stream.closed) {
+        res.write(toSseEvent(message));
+      }
+    },
+    close() {
+      if (!stream.closed) {
+        stream.closed = true;
+        clearInterval(heartbeat);
+        onClose?.();
+        res.end();
+      }
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    stream.send({ event: 'heartbeat', data: { timestamp: new Date().toISOString() } });
+  }, heartbeatMs);
+
+  res.on('close', () => {
+    if (!stream.closed) {
+      stream.closed = true;
+      clearInterval(heartbeat);
+      onClose?.();
+    }
+  });
+
+  if (retryMs !== undefined) {
+    res.write(toSseEvent({ retry: retryMs }));
+  }
+
+  return stream;
+}
@@ -0,0 +1,109 @@
+import { createHash } from 'node:crypto';
+import { parseTimestamp } from './time.js';
+
+/**
+ * Sincronización incremental de últimas posiciones (?since=)
+ * El momento de cambio es la hora de Redis en que el índice GEO registró la nueva versión de la posición
+ * (o su eliminación), no una fecha escrita por el productor: un reloj desfasado no hace perder cambios.
+ * El token es un cursor opaco (base64url de { t, id }) con el momento de cambio y el ID de la última
+ * posición entregada: el desempate por ID permite paginar sin perder posiciones con el mismo momento.
+ * Las posiciones eliminadas (y con validOnly, las que dejaron de ser válidas) se informan en removedIds.
+ * La versión de una posición (?ifVersion= del long-polling) es un hash de su contenido.
+ */
+
+/**
+ * Calcula la versión de una posición a partir de su contenido
+ * retrievedAt se excluye porque cambia en cada lectura aunque la posición sea la misma
+ * @param {Object} position - Posición completa del repositorio
+ * @returns {string} Versión opaca (16 caracteres base64url)
+ */
+export function getPositionVersion(position) {
+  const { retrievedAt, ...content } = position;
+  return createHash('sha1').update(JSON.stringify(content)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Codifica un cursor como token de sincronización
+ * @param {Object} cursor - { time, id } (id null cuando el cursor viene de un timestamp)
+ * @returns {string} Token opaco
+ */
+export function createSyncToken(cursor) {
+  return Buffer.from(JSON.stringify({ t: cursor.time, id: cursor.id })).toString('base64url');
+}
+
+/**
+ * Interpreta el parámetro since: token de una respuesta anterior, ISO 8601 o epoch en segundos/milisegundos
+ * @param {string} value - Valor recibido
+ * @returns {Object|null} Cursor { time, id } o null si no es válido
+ */
+export function parseSinceParam(value) {
+  if (typeof value !== 'string' || value === '' || value.length > 200) {
+    return null;
+  }
+
+  const cursor = decodeSyncToken(value);
+  if (cursor) {
+    return cursor;
+  }
+
+  const date = parseTimestamp(value);
+  return date ? { time: date.getTime(), id: null } : null;
+}
+
+/**
+ * Arma una página de sincronización a partir de los cambios del repositorio (getChangesSince)
+ * Las eliminaciones comparten el orden y el cursor con los cambios, así una página nunca salta una baja:
+ * - position null: posición borrada o expirada
+ * - isIncluded: las posiciones que cambiaron pero ya no cumplen el filtro (validOnly) se informan como eliminadas
+ * @param {Object} result - { changes: [{ id, time, position }], total } en orden de cambio
+ * @param {Object} cursor - Cursor de parseSinceParam
+ * @param {Function|null} isIncluded - Filtro de las posiciones existentes
+ * @returns {Object} { positions, removedIds, total, hasMore, nextSince }
+ */
+export function buildSyncPage({ changes, total }, cursor, isIncluded = null) {
+  const positions = [];
+  const removedIds = [];
+
+  for (const change of changes) {
+    if (change.position && (!isIncluded || isIncluded(change.position))) {
+      positions.push(change.position);
+    } else {
+      removedIds.push(change.id);
+    }
+  }
+
+  const last = changes[changes.length - 1];
+
+  return {
+    positions,
+    removedIds,
+    total,
+    hasMore: changes.length < total,
+    // Sin cambios se devuelve el mismo cursor para que el cliente pueda reutilizarlo
+    nextSince: createSyncToken(last ? { time: last.time, id: last.id } : cursor)
+  };
+}
+
+/**
+ * Decodifica un token de sincronización
+ * @param {string} value - Token
+ * @returns {Object|null} Cursor { time, id } o null si no es un token
+ * @private
+ */
+function decodeSyncToken(value) {
+  if (!/^[A-Za-z0-9_-]+$/.test(value)) {
+    return null;
+  }
+
+  try {
+    const { t, id } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+
+    if (!Number.isFinite(t) || Number.isNaN(new Date(t).getTime()) || (id !== null && typeof id !== 'string')) {
+      return null;
+    }
+
+    return { time: t, id };
+  } catch {
+    return null;
+  }
+}
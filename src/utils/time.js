@@ -0,0 +1,199 @@
+/**
+ * Normalización de timestamps de posiciones (?tz= y ?timeFormat=)
+ * - iso: ISO 8601 con el offset de la zona horaria IANA pedida (UTC con Z por defecto)
+ * - epoch: segundos desde 1970-01-01T00:00:00Z
+ * - epochMs: milisegundos desde 1970-01-01T00:00:00Z
+ */
+
+export const TIME_FORMATS = ['iso', 'epoch', 'epochMs'];
+
+// Campos de fecha de una posición; metadata se deja tal como la envió el dispositivo
+export const TIMESTAMP_FIELDS = ['timestamp', 'receivedAt', 'updatedAt', 'retrievedAt'];
+
+// Por debajo de este valor un epoch numérico se interpreta en segundos (1e11 ms ≈ marzo de 1973)
+const EPOCH_SECONDS_THRESHOLD = 1e11;
+
+// Formateadores Intl por zona horaria (crearlos es costoso y el CSV/NDJSON los usa por fila)
+const zoneFormatters = new Map();
+
+/**
+ * Obtiene (y cachea) el formateador Intl de una zona horaria
+ * @param {string} timeZone - Zona IANA
+ * @returns {Intl.DateTimeFormat} Formateador con los componentes de fecha y hora
+ * @private
+ */
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * Verifica si una zona horaria IANA es válida (America/Lima, Europe/Madrid, UTC...)
+ * @param {string} timeZone - Zona a verificar
+ * @returns {boolean} true si Intl la reconoce
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convierte un timestamp almacenado a Date
+ * Acepta ISO 8601, Date y epoch numérico (o string numérico) en segundos o milisegundos
+ * @param {*} value - Timestamp
+ * @returns {Date|null} Fecha o null si no es válida
+ */
+export function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let input = value;
+
+  if (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value)) {
+    input = Number(value);
+  }
+
+  if (typeof input === 'number') {
+    input = Math.abs(input) < EPOCH_SECONDS_THRESHOLD ? input * 1000 : input;
+  }
+
+  const date = input instanceof Date ? input : new Date(input);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formatea una fecha como ISO 8601 con el offset de una zona horaria
+ * @param {Date} date - Fecha
+ * @param {string} timeZone - Zona IANA
+ * @returns {string} Por ejemplo 2024-05-01T10:00:00.000-05:00
+ * @private
+ */
+function toZonedIso(date, timeZone) {
+  const parts = Object.fromEntries(
+    getZoneFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  const milliseconds = date.getUTCMilliseconds();
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, milliseconds);
+  const offsetMinutes = Math.round((wallClock - date.getTime()) / 60000);
+
+  if (offsetMinutes === 0) {
+    return date.toISOString();
+  }
+
+  const sign = offsetMinutes > 0 ? '+' : '-';
+  const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${String(milliseconds).padStart(3, '0')}${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Formatea un timestamp según las opciones de tiempo de la petición
+ * Los valores que no son fechas reconocibles se devuelven sin cambios
+ * @param {*} value - Timestamp almacenado
+ * @param {Object|null} options - Resultado de parseTimeOptions (null → sin cambios)
+ * @returns {*} ISO 8601 (string), epoch (number) o el valor original
+ */
+export function formatTimestamp(value, options) {
+  const date = options ? parseTimestamp(value) : null;
+
+  if (!date) {
+    return value;
+  }
+
+  const { tz, timeFormat } = options;
+
+  switch (timeFormat) {
+    case 'epoch':
+      return Math.floor(date.getTime() / 1000);
+    case 'epochMs':
+      return date.getTime();
+    default:
+      return toZonedIso(date, tz);
+  }
+}
+
+/**
+ * Lee ?tz y ?timeFormat de la query
+ * @param {Object} query - req.query
+ * @returns {Object|null} { tz, timeFormat } o null si no se pidió ninguna normalización
+ */
+export function parseTimeOptions(query = {}) {
+  const { tz, timeFormat } = query;
+
+  if (tz === undefined && timeFormat === undefined) {
+    return null;
+  }
+
+  return {
+    tz: tz || 'UTC',
+    timeFormat: TIME_FORMATS.includes(timeFormat) ? timeFormat : 'iso'
+  };
+}
+
+/**
+ * Normaliza los campos de fecha de una posición o de una lista de posiciones
+ * Recorre objetos anidados (por ejemplo data.positions) sin entrar en metadata
+ * @param {*} value - Posición, lista u objeto de respuesta
+ * @param {Object|null} options - Resultado de parseTimeOptions (null → sin cambios)
+ * @returns {*} Copia con los timestamps formateados
+ */
+export function formatPositionTimes(value, options) {
+  if (!options || value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => formatPositionTimes(item, options));
+  }
+
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+    if (TIMESTAMP_FIELDS.includes(key)) {
+      return [key, formatTimestamp(field, options)];
+    }
+
+    return [key, key === 'metadata' ? field : formatPositionTimes(field, options)];
+  }));
+}
+
+/**
+ * Convierte una duración como '30s', '1500ms' o '2m' a milisegundos (sin unidad se interpreta en segundos)
+ * @param {string} value - Duración
+ * @returns {number|null} Milisegundos o null si el formato no es válido
+ */
+export function parseDuration(value) {
+  const match = typeof value === 'string' ? /^(\d{1,9})(ms|s|m)?$/.exec(value.trim()) : null;
+
+  if (!match) {
+    return null;
+  }
+
+  const multipliers = { ms: 1, s: 1000, m: 60000 };
+  return Number(match[1]) * multipliers[match[2] || 's'];
+}
@@ -0,0 +1,95 @@
+import { isValidCoordinate } from './geo.js';
+import { escapeXml, toIsoTime } from './xml.js';
+
+/**
+ * Conversión de posiciones a waypoints GPX 1.1 y placemarks KML 2.2
+ * Pensado para Google Earth y herramientas Garmin: un punto por dispositivo/usuario nombrado con su campo name
+ */
+
+export const GPX_CONTENT_TYPE = 'application/gpx+xml';
+export const KML_CONTENT_TYPE = 'application/vnd.google-earth.kml+xml';
+
+const CREATOR = 'gps-last-position-api';
+
+/**
+ * Extrae los datos comunes de un waypoint a partir de una posición
+ * @param {Object} position - Posición en cualquier formato (gps, mobile, full)
+ * @returns {Object|null} { id, name, lat, lng, elevation, time } o null si las coordenadas no son válidas
+ * @private
+ */
+function toWaypoint(position) {
+  if (!isValidCoordinate(position.lat, position.lng)) {
+    return null;
+  }
+
+  const id = position.id ?? position.deviceId ?? position.userId ?? null;
+  const altitude = Number(position.metadata?.altitude);
+
+  return {
+    id,
+    name: position.name || id || 'Sin nombre',
+    lat: position.lat,
+    lng: position.lng,
+    elevation: position.metadata?.altitude !== undefined && Number.isFinite(altitude) ? altitude : null,
+    time: toIsoTime(position.timestamp ?? position.receivedAt)
+  };
+}
+
+/**
+ * Convierte posiciones a un documento GPX 1.1 con un wpt por posición
+ * Las posiciones sin coordenadas válidas se omiten (GPX exige lat/lon)
+ * @param {Object[]} positions - Posiciones con lat/lng
+ * @returns {string} Documento GPX
+ */
+export function positionsToGpx(positions) {
+  const waypoints = positions.map(toWaypoint).filter(Boolean).map(waypoint => [
+    `  <wpt lat="${waypoint.lat}" lon="${waypoint.lng}">`,
+    waypoint.elevation !== null ? `    <ele>${waypoint.elevation}</ele>` : null,
+    waypoint.time ? `    <time>${waypoint.time}</time>` : null,
+    `    <name>${escapeXml(waypoint.name)}</name>`,
+    waypoint.id !== null ? `    <desc>${escapeXml(waypoint.id)}</desc>` : null,
+    '  </wpt>'
+  ].filter(line => line !== null).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata><time>${new Date().toISOString()}</time></metadata>`,
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Convierte posiciones a un documento KML 2.2 con un Placemark por posición
+ * Las posiciones sin coordenadas válidas se omiten
+ * @param {Object[]} positions - Posiciones con lat/lng
+ * @param {string} documentName - Nombre del Document KML
+ * @returns {string} Documento KML
+ */
+export function positionsToKml(positions, documentName = 'Últimas posiciones') {
+  const placemarks = positions.map(toWaypoint).filter(Boolean).map(waypoint => {
+    const coordinates = [waypoint.lng, waypoint.lat, ...(waypoint.elevation !== null ? [waypoint.elevation] : [])].join(',');
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(waypoint.name)}</name>`,
+      waypoint.time ? `      <TimeStamp><when>${waypoint.time}</when></TimeStamp>` : null,
+      waypoint.id !== null ? `      <ExtendedData><Data name="id"><value>${escapeXml(waypoint.id)}</value></Data></ExtendedData>` : null,
+      `      <Point><coordinates>${coordinates}</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(documentName)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,53 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Firma HMAC de las entregas de webhooks
+ * X-Webhook-Signature: sha256=<hex> con HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * El timestamp (X-Webhook-Timestamp, segundos) entra en la firma para que el receptor pueda rechazar reenvíos antiguos
+ */
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+/**
+ * Genera un secreto aleatorio para firmar entregas
+ * @returns {string} Secreto (whsec_ + 48 caracteres hex)
+ */
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Calcula la firma de un cuerpo
+ * @param {string} secret - Secreto del webhook
+ * @param {number|string} timestamp - Segundos desde epoch enviados en X-Webhook-Timestamp
+ * @param {string} body - Cuerpo exacto de la petición
+ * @returns {string} Valor de X-Webhook-Signature (sha256=<hex>)
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Verifica la firma de una entrega (para receptores)
+ * @param {string} secret - Secreto del webhook
+ * @param {string} signature - Valor recibido en X-Webhook-Signature
+ * @param {number|string} timestamp - Valor recibido en X-Webhook-Timestamp
+ * @param {string} body - Cuerpo exacto recibido
+ * @param {number} toleranceSeconds - Antigüedad máxima aceptada del timestamp
+ * @returns {boolean} True si la firma es válida y el timestamp está dentro de la tolerancia
+ */
+export function verifyWebhookSignature(secret, signature, timestamp, body, toleranceSeconds = 300) {
+  if (typeof signature !== 'string' || !/^\d+$/.test(String(timestamp))) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
@@ -0,0 +1,184 @@
+import { BlockList, isIP } from 'node:net';
+import { lookup } from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import { config } from '../config/env.js';
+
+/**
+ * Destinos de webhooks
+ * Las URLs registradas solo pueden apuntar a direcciones públicas: se rechazan loopback, redes privadas,
+ * link-local (metadatos de la nube en 169.254.169.254), CGNAT, multicast y reservadas, también como IPv6 o IPv4 mapeada.
+ * Se comprueba al registrar (resolviendo el host) y en cada entrega, sobre la dirección a la que se conecta,
+ * para que un DNS que cambia después del registro no lleve la entrega a la red interna.
+ * WEBHOOKS_ALLOW_PRIVATE_TARGETS=true desactiva la comprobación (solo desarrollo local)
+ */
+
+export const BLOCKED_TARGET_CODE = 'WEBHOOK_TARGET_BLOCKED';
+
+const blockedAddresses = new BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Verifica si una IP es un destino permitido (pública)
+ * @param {string} address - IPv4 o IPv6
+ * @returns {boolean} True si es pública o se permiten destinos privados
+ */
+export function isAllowedAddress(address) {
+  if (config.webhooks.allowPrivateTargets) {
+    return true;
+  }
+
+  const family = isIP(address);
+  return family !== 0 && !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Comprobación sin DNS del host de una URL: localhost y las IPs literales no públicas
+ * @param {string} hostname - URL.hostname (las IPv6 llegan entre corchetes)
+ * @returns {boolean} True si el host no está permitido
+ */
+export function isBlockedHostname(hostname) {
+  if (config.webhooks.allowPrivateTargets) {
+    return false;
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  return isIP(host) !== 0 && !isAllowedAddress(host);
+}
+
+/**
+ * Resuelve el host de una URL y verifica que todas sus direcciones sean públicas
+ * @param {string} url - URL del webhook
+ * @returns {Promise<string|null>} null si está permitida; 'blocked' o 'unresolved' si no
+ */
+export async function checkWebhookTarget(url) {
+  const { hostname } = new URL(url);
+
+  if (isBlockedHostname(hostname)) {
+    return 'blocked';
+  }
+
+  try {
+    await resolveAllowed(hostname.replace(/^\[|\]$/g, ''));
+    return null;
+  } catch (error) {
+    return error.code === BLOCKED_TARGET_CODE ? 'blocked' : 'unresolved';
+  }
+}
+
+/**
+ * POST al destino de un webhook conectando solo a direcciones permitidas
+ * Sin seguir redirecciones: la entrega va solo a la URL registrada
+ * @param {string} url - URL del webhook
+ * @param {Object} headers - Cabeceras
+ * @param {string} body - Cuerpo JSON
+ * @param {number} timeoutMs - Tiempo máximo de la petición completa
+ * @returns {Promise<number>} Código HTTP de la respuesta
+ * @throws {Error} code WEBHOOK_TARGET_BLOCKED si el destino no está permitido; name TimeoutError al vencer timeoutMs
+ */
+export function postWebhook(url, headers, body, timeoutMs) {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+
+  // Con una IP literal no hay resolución: se comprueba aquí
+  if (isBlockedHostname(target.hostname)) {
+    return Promise.reject(blockedError(host));
+  }
+
+  const signal = AbortSignal.timeout(timeoutMs);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowedLookup,
+      agent: false,
+      signal
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('error', error => reject(signal.aborted ? signal.reason : error));
+    request.end(body);
+  });
+}
+
+/**
+ * dns.lookup que falla si alguna dirección del host no está permitida
+ * Compatible con la opción lookup de net/http (con o sin options.all)
+ * @private
+ */
+function allowedLookup(hostname, options, callback) {
+  resolveAllowed(hostname, options).then(
+    addresses => (options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family)),
+    error => callback(error)
+  );
+}
+
+/**
+ * Resuelve todas las direcciones de un host y rechaza si alguna no está permitida
+ * @private
+ */
+function resolveAllowed(hostname, options = {}) {
+  return new Promise((resolve, reject) => {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return reject(error);
+      }
+
+      const blocked = addresses.find(({ address }) => !isAllowedAddress(address));
+      return blocked ? reject(blockedError(hostname)) : resolve(addresses);
+    });
+  });
+}
+
+/**
+ * Error de destino no permitido
+ * @private
+ */
+function blockedError(hostname) {
+  const error = new Error(`Destino de webhook no permitido: ${hostname}`);
+  error.code = BLOCKED_TARGET_CODE;
+  return error;
+}
@@ -0,0 +1,31 @@
+import { parseTimestamp } from './time.js';
+
+/**
+ * Utilidades mínimas para generar documentos XML (GPX, KML)
+ */
+
+/**
+ * Escapa texto para contenido o atributos XML
+ * Elimina caracteres de control no permitidos en XML 1.0
+ * @param {*} value - Valor a escapar
+ * @returns {string} Texto escapado
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Normaliza una fecha a ISO 8601 UTC
+ * @param {*} value - Fecha (ISO con cualquier offset, epoch en segundos o ms, o Date)
+ * @returns {string|null} Fecha ISO o null si no es válida
+ */
+export function toIsoTime(value) {
+  const date = parseTimestamp(value);
+  return date ? date.toISOString() : null;
+}